@@ -0,0 +1,303 @@
+/**
+ * Smart City Data Analytics Dashboard - Basemaps Module
+ * This file contains the basemap switcher: online basemap styles, tiles
+ * served from a local directory, offline MBTiles/PMTiles packages, and a
+ * blank grid shown wherever no tiles can be loaded
+ */
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Basemap definitions; 'local' and 'package' are only listed when configured
+// Tiles are requested with CORS so map exports can include them (see mapExport.js)
+const BASEMAPS = {
+    street: {
+        name: 'Street',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        options: { attribution: OSM_ATTRIBUTION, maxZoom: 19, crossOrigin: 'anonymous' }
+    },
+    light: {
+        name: 'Light',
+        url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        options: { attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`, subdomains: 'abcd', maxZoom: 20, crossOrigin: 'anonymous' }
+    },
+    dark: {
+        name: 'Dark',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        options: { attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`, subdomains: 'abcd', maxZoom: 20, crossOrigin: 'anonymous' }
+    },
+    satellite: {
+        name: 'Satellite',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        options: { attribution: 'Tiles &copy; Esri', maxZoom: 19, crossOrigin: 'anonymous' }
+    },
+    local: {
+        name: 'Local tiles',
+        options: { attribution: OSM_ATTRIBUTION, maxZoom: 19, crossOrigin: 'anonymous' }
+    },
+    package: {
+        name: 'Offline package',
+        options: { attribution: OSM_ATTRIBUTION, maxZoom: 19 }
+    },
+    blank: {
+        name: 'Blank grid'
+    }
+};
+
+// Blank Grid Layer class; a light grid with tile coordinates, drawn without any network access
+class BlankGridLayer extends L.GridLayer {
+    /**
+     * @param {Object} coords - Tile coordinates
+     * @returns {HTMLCanvasElement} - Tile
+     */
+    createTile(coords) {
+        const tile = document.createElement('canvas');
+        const size = this.getTileSize();
+        tile.width = size.x;
+        tile.height = size.y;
+
+        const context = tile.getContext('2d');
+        context.fillStyle = '#f2efe9';
+        context.fillRect(0, 0, size.x, size.y);
+        context.strokeStyle = '#dcd8d0';
+        context.strokeRect(0.5, 0.5, size.x - 1, size.y - 1);
+        context.fillStyle = '#b5b0a6';
+        context.font = '11px sans-serif';
+        context.fillText(`${coords.z}/${coords.x}/${coords.y}`, 6, 16);
+
+        return tile;
+    }
+}
+
+// Tile Package Layer class; draws raster or vector tiles from an MBTiles/PMTiles package
+class TilePackageLayer extends L.GridLayer {
+    /**
+     * @param {Promise} packagePromise - Promise of the opened package
+     * @param {Object} options - Grid layer options
+     */
+    constructor(packagePromise, options = {}) {
+        super(options);
+        this.packagePromise = packagePromise;
+    }
+
+    /**
+     * @param {Object} coords - Tile coordinates
+     * @param {Function} done - Called when the tile is drawn, or with an error
+     * @returns {HTMLCanvasElement} - Tile
+     */
+    createTile(coords, done) {
+        const tile = document.createElement('canvas');
+        const size = this.getTileSize();
+        tile.width = size.x;
+        tile.height = size.y;
+
+        this.packagePromise
+            .then(tilePackage => this.drawTile(tilePackage, tile, coords))
+            .then(() => done(null, tile))
+            .catch(error => done(error, tile));
+
+        return tile;
+    }
+
+    /**
+     * Draw a package tile onto a tile canvas
+     * @param {MbtilesPackage|PmtilesPackage} tilePackage - Package
+     * @param {HTMLCanvasElement} tile - Tile canvas
+     * @param {Object} coords - Tile coordinates
+     */
+    async drawTile(tilePackage, tile, coords) {
+        // Beyond the package's zoom range, scale up the deepest tile that covers this one
+        const zoomOut = Math.max(0, coords.z - tilePackage.maxZoom);
+        const z = coords.z - zoomOut;
+        const x = Math.floor(coords.x / 2 ** zoomOut);
+        const y = Math.floor(coords.y / 2 ** zoomOut);
+        if (z < tilePackage.minZoom) return;
+
+        const data = await tilePackage.getTile(z, x, y);
+        if (!data) return;
+
+        const context = tile.getContext('2d');
+        const scale = 2 ** zoomOut;
+        const offsetX = (coords.x - x * scale) * tile.width;
+        const offsetY = (coords.y - y * scale) * tile.height;
+        context.setTransform(scale, 0, 0, scale, -offsetX, -offsetY);
+
+        if (tilePackage.tileType === 'mvt') {
+            drawVectorTile(context, decodeVectorTile(data), tile.width);
+        } else {
+            const image = await createImageBitmap(new Blob([data], { type: `image/${tilePackage.tileType}` }));
+            context.drawImage(image, 0, 0, tile.width, tile.height);
+        }
+    }
+}
+
+// Basemap Manager class; creates basemap layers and switches the main map between them
+class BasemapManager {
+    /**
+     * @param {Object} options - Basemap configuration ({ default, tileUrl, packageUrl })
+     */
+    constructor(options = {}) {
+        this.tileUrl = options.tileUrl || null;
+        this.packageSource = options.packageUrl || null;
+        this.packagePromise = null;
+        this.map = null;
+        this.layer = null;
+        this.current = options.default || (this.packageSource ? 'package' : (this.tileUrl ? 'local' : 'street'));
+        this.listeners = [];
+        this.notifiedFailure = false;
+    }
+
+    /**
+     * Get the basemaps that can be selected
+     * @returns {Array} - Basemaps ({ key, name })
+     */
+    getBasemaps() {
+        return Object.keys(BASEMAPS)
+            .filter(key => (key !== 'local' || this.tileUrl) && (key !== 'package' || this.packageSource))
+            .map(key => ({ key, name: BASEMAPS[key].name }));
+    }
+
+    /**
+     * Get the opened tile package, opening it on first use
+     * @returns {Promise} - Promise of the package
+     */
+    getPackage() {
+        if (!this.packagePromise) {
+            this.packagePromise = openTilePackage(this.packageSource);
+            this.packagePromise.catch(error => {
+                console.error('Error opening tile package:', error);
+                this.notifyFailure(`Could not open the tile package (${error.message}); showing a blank grid`);
+            });
+        }
+        return this.packagePromise;
+    }
+
+    /**
+     * Create the layer of a basemap; the blank grid is always underneath, so it shows through missing tiles
+     * @param {string} key - Basemap key (defaults to the current basemap)
+     * @returns {L.LayerGroup} - Basemap layer
+     */
+    createLayer(key = this.current) {
+        const basemap = BASEMAPS[key] || BASEMAPS.street;
+        const layers = [new BlankGridLayer({ maxZoom: 22, zIndex: 0 })];
+
+        let tiles = null;
+        if (key === 'package' && this.packageSource) {
+            tiles = new TilePackageLayer(this.getPackage(), Object.assign({}, basemap.options, { maxZoom: 22 }));
+        } else if (key === 'local' && this.tileUrl) {
+            tiles = L.tileLayer(this.tileUrl, basemap.options);
+        } else if (basemap.url) {
+            tiles = L.tileLayer(basemap.url, basemap.options);
+        }
+
+        if (tiles) {
+            let errors = 0;
+            tiles.on('tileerror', () => {
+                errors++;
+                if (errors === 4) {
+                    this.notifyFailure(`${basemap.name} tiles are unreachable; showing a blank grid`);
+                }
+            });
+            layers.push(tiles);
+        }
+
+        return L.layerGroup(layers);
+    }
+
+    /**
+     * Show the current basemap on a map, which is then switched by setBasemap
+     * @param {L.Map} map - Map
+     */
+    attach(map) {
+        this.map = map;
+        this.layer = this.createLayer().addTo(map);
+    }
+
+    /**
+     * Switch the basemap
+     * @param {string} key - Basemap key
+     */
+    setBasemap(key) {
+        if (!BASEMAPS[key]) return;
+
+        this.current = key;
+        this.notifiedFailure = false;
+        if (this.map) {
+            if (this.layer) this.map.removeLayer(this.layer);
+            this.layer = this.createLayer(key).addTo(this.map);
+        }
+
+        this.listeners.forEach(listener => listener(key));
+    }
+
+    /**
+     * Use a tile package file chosen by the user and switch to it
+     * @param {File} file - .mbtiles or .pmtiles file
+     */
+    setPackage(file) {
+        this.packageSource = file;
+        this.packagePromise = null;
+        this.setBasemap('package');
+    }
+
+    /**
+     * Register a listener called when the basemap changes
+     * @param {Function} listener - Called with the basemap key
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Tell the user once per basemap that its tiles cannot be shown
+     * @param {string} message - Notification message
+     */
+    notifyFailure(message) {
+        if (this.notifiedFailure) return;
+        this.notifiedFailure = true;
+        showNotification(message, 'warning');
+    }
+}
+
+// Create the global basemap manager
+const basemapManager = new BasemapManager(appConfig.basemaps);
+
+// Set up the basemap switcher once the map exists
+document.addEventListener('DOMContentLoaded', function() {
+    initializeBasemapControl();
+});
+
+/**
+ * Initialize the basemap select and package file input in the map layer panel
+ */
+function initializeBasemapControl() {
+    const select = document.getElementById('basemap-select');
+    if (!select) return;
+
+    const renderOptions = () => {
+        select.innerHTML = basemapManager.getBasemaps()
+            .map(basemap => `<option value="${basemap.key}">${basemap.name}</option>`)
+            .join('');
+        select.value = basemapManager.current;
+    };
+
+    renderOptions();
+    select.addEventListener('change', function() {
+        basemapManager.setBasemap(select.value);
+    });
+    basemapManager.onChange(renderOptions);
+
+    const fileInput = document.getElementById('basemap-package-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files.length > 0) {
+                basemapManager.setPackage(fileInput.files[0]);
+                showNotification(`Using the offline tile package ${fileInput.files[0].name}`, 'info');
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.BASEMAPS = BASEMAPS;
+window.BasemapManager = BasemapManager;
+window.basemapManager = basemapManager;
@@ -0,0 +1,403 @@
+/**
+ * Smart City Data Analytics Dashboard - Choropleth Module
+ * This file contains the neighborhood demographics (imported from a GeoJSON
+ * feed of census-style attributes) and the choropleth classification of the
+ * demographics layer: quantile, equal interval and Jenks natural breaks
+ */
+
+// Neighborhood attributes the choropleth can show
+const CHOROPLETH_ATTRIBUTES = {
+    population: {
+        label: 'Population',
+        palette: 'YlOrRd',
+        format: value => Math.round(value).toLocaleString()
+    },
+    density: {
+        label: 'Population Density',
+        palette: 'YlOrRd',
+        format: value => `${Math.round(value).toLocaleString()}/km²`
+    },
+    medianIncome: {
+        label: 'Median Household Income',
+        palette: 'Greens',
+        format: value => `$${Math.round(value).toLocaleString()}`
+    },
+    ageUnder18: {
+        label: 'Residents Under 18',
+        palette: 'Blues',
+        format: value => `${Math.round(value * 100)}%`
+    },
+    age65Plus: {
+        label: 'Residents 65 and Over',
+        palette: 'Purples',
+        format: value => `${Math.round(value * 100)}%`
+    },
+    carOwnership: {
+        label: 'Households with a Car',
+        palette: 'Oranges',
+        format: value => `${Math.round(value * 100)}%`
+    }
+};
+
+// Sequential color schemes (ColorBrewer, 9 classes, light to dark)
+const CHOROPLETH_PALETTES = {
+    YlOrRd: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+    Greens: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+    Blues: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+    Purples: ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d'],
+    Oranges: ['#fff5eb', '#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704']
+};
+
+// Color of neighborhoods without a value for the attribute
+const CHOROPLETH_NO_DATA_COLOR = '#cccccc';
+
+// Classification methods; each returns the class breaks [min, ..., max] of sorted values
+const CLASSIFICATION_METHODS = {
+    quantile: { label: 'Quantile', getBreaks: getQuantileBreaks },
+    equalInterval: { label: 'Equal Interval', getBreaks: getEqualIntervalBreaks },
+    jenks: { label: 'Natural Breaks (Jenks)', getBreaks: getJenksBreaks }
+};
+
+/**
+ * Get class breaks holding the same number of values in each class
+ * @param {Array} values - Values, sorted ascending
+ * @param {number} classes - Number of classes
+ * @returns {Array} - Breaks (classes + 1 values)
+ */
+function getQuantileBreaks(values, classes) {
+    const breaks = [];
+    for (let i = 0; i <= classes; i++) {
+        // Interpolate between the values around each quantile
+        const position = (i / classes) * (values.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        breaks.push(values[lower] + (values[upper] - values[lower]) * (position - lower));
+    }
+    return breaks;
+}
+
+/**
+ * Get class breaks dividing the value range into classes of equal width
+ * @param {Array} values - Values, sorted ascending
+ * @param {number} classes - Number of classes
+ * @returns {Array} - Breaks (classes + 1 values)
+ */
+function getEqualIntervalBreaks(values, classes) {
+    const min = values[0];
+    const width = (values[values.length - 1] - min) / classes;
+    const breaks = [];
+    for (let i = 0; i <= classes; i++) {
+        breaks.push(min + width * i);
+    }
+    return breaks;
+}
+
+/**
+ * Get Jenks natural breaks: the classes that minimize the variance within each class
+ * (Fisher's exact dynamic programming method)
+ * @param {Array} values - Values, sorted ascending
+ * @param {number} classes - Number of classes
+ * @returns {Array} - Breaks (classes + 1 values)
+ */
+function getJenksBreaks(values, classes) {
+    const n = values.length;
+
+    // lowerLimits[l][j]: first value (1-based) of the last class when the first l values form j classes
+    // variances[l][j]: smallest total within-class variance for that split
+    const lowerLimits = [];
+    const variances = [];
+    for (let i = 0; i <= n; i++) {
+        lowerLimits.push(new Array(classes + 1).fill(0));
+        variances.push(new Array(classes + 1).fill(i < 2 ? 0 : Infinity));
+    }
+    for (let j = 1; j <= classes; j++) {
+        lowerLimits[1][j] = 1;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let variance = 0;
+
+        // Grow the last class downwards from value l
+        for (let m = 1; m <= l; m++) {
+            const lowerLimit = l - m + 1;
+            const value = values[lowerLimit - 1];
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / m;
+
+            const previous = lowerLimit - 1;
+            if (previous === 0) continue;
+            for (let j = 2; j <= classes; j++) {
+                if (variances[l][j] >= variance + variances[previous][j - 1]) {
+                    lowerLimits[l][j] = lowerLimit;
+                    variances[l][j] = variance + variances[previous][j - 1];
+                }
+            }
+        }
+
+        lowerLimits[l][1] = 1;
+        variances[l][1] = variance;
+    }
+
+    // Walk back from the last value to read the upper bound of each class
+    const breaks = new Array(classes + 1);
+    breaks[0] = values[0];
+    breaks[classes] = values[n - 1];
+    let last = n;
+    for (let j = classes; j >= 2; j--) {
+        const lowerLimit = lowerLimits[last][j];
+        breaks[j - 1] = values[lowerLimit - 2];
+        last = lowerLimit - 1;
+    }
+    return breaks;
+}
+
+/**
+ * Pick evenly spread colors of a palette, skipping its lightest color
+ * @param {string} palette - Palette name
+ * @param {number} classes - Number of colors
+ * @returns {Array} - Colors, light to dark
+ */
+function getChoroplethColors(palette, classes) {
+    const colors = CHOROPLETH_PALETTES[palette] || CHOROPLETH_PALETTES.YlOrRd;
+    if (classes === 1) return [colors[5]];
+    return Array.from({ length: classes }, (value, i) => colors[1 + Math.round((i * (colors.length - 2)) / (classes - 1))]);
+}
+
+/**
+ * Classify values into choropleth classes
+ * @param {Array} values - Values (null for missing values)
+ * @param {string} method - Classification method (see CLASSIFICATION_METHODS)
+ * @param {number} classes - Number of classes wanted (fewer when there are fewer distinct values)
+ * @returns {Array} - Breaks [min, ..., max], or an empty array when there are no values
+ */
+function classifyValues(values, method, classes) {
+    const sorted = values.filter(value => value !== null && isFinite(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+
+    const distinct = new Set(sorted).size;
+    if (distinct === 1) return [sorted[0], sorted[0]];
+
+    const classCount = Math.max(1, Math.min(classes, distinct));
+    const getBreaks = (CLASSIFICATION_METHODS[method] || CLASSIFICATION_METHODS.quantile).getBreaks;
+
+    // Quantiles of clustered values can repeat; merge classes that would be empty
+    return getBreaks(sorted, classCount).filter((value, index, breaks) => index === 0 || value > breaks[index - 1]);
+}
+
+/**
+ * Get the class of a value
+ * @param {number} value - Value
+ * @param {Array} breaks - Class breaks
+ * @returns {number} - Class index, or -1 when the value is missing
+ */
+function getClassIndex(value, breaks) {
+    if (value === null || !isFinite(value) || breaks.length === 0) return -1;
+
+    for (let i = 1; i < breaks.length - 1; i++) {
+        if (value <= breaks[i]) return i - 1;
+    }
+    return Math.max(0, breaks.length - 2);
+}
+
+// Demographics Manager class; neighborhood boundaries and their census-style attributes
+class DemographicsManager {
+    constructor() {
+        this.neighborhoods = null;
+        this.settings = { attribute: 'density', method: 'quantile', classes: 5 };
+    }
+
+    /**
+     * Load the demographics feed; the sample neighborhoods are used when it is not available
+     * @returns {Promise<boolean>} - Whether neighborhoods were loaded from the feed
+     */
+    async initialize() {
+        const data = await dataSource.load('demographics');
+        if (!data) return false;
+
+        this.applyFeed(data);
+        return true;
+    }
+
+    /**
+     * Use the neighborhoods of a mapped demographics feed
+     * @param {Object} feed - Mapped feed ({ neighborhoods })
+     */
+    applyFeed(feed) {
+        this.neighborhoods = feed.neighborhoods;
+    }
+
+    /**
+     * Get the neighborhoods
+     * @returns {Array} - Neighborhoods ({ name, polygon: [[lat, lng], ...], population, density, medianIncome, ... })
+     */
+    getNeighborhoods() {
+        if (this.neighborhoods) return this.neighborhoods;
+        return typeof sampleData !== 'undefined' ? sampleData.demographics.neighborhoods : [];
+    }
+
+    /**
+     * Change the choropleth settings
+     * @param {Object} settings - { attribute, method, classes }
+     */
+    setSettings(settings) {
+        Object.assign(this.settings, settings);
+    }
+
+    /**
+     * Classify the neighborhoods by the selected attribute
+     * @returns {Object} - { attribute, method, breaks, colors, getColor(neighborhood) }
+     */
+    getClassification() {
+        const attribute = CHOROPLETH_ATTRIBUTES[this.settings.attribute] ? this.settings.attribute : 'population';
+        const method = CLASSIFICATION_METHODS[this.settings.method] ? this.settings.method : 'quantile';
+        const values = this.getNeighborhoods().map(neighborhood => getNeighborhoodValue(neighborhood, attribute));
+        const breaks = classifyValues(values, method, this.settings.classes);
+        const colors = getChoroplethColors(CHOROPLETH_ATTRIBUTES[attribute].palette, Math.max(1, breaks.length - 1));
+
+        return {
+            attribute: attribute,
+            method: method,
+            breaks: breaks,
+            colors: colors,
+            getColor: neighborhood => {
+                const index = getClassIndex(getNeighborhoodValue(neighborhood, attribute), breaks);
+                return index < 0 ? CHOROPLETH_NO_DATA_COLOR : colors[index];
+            }
+        };
+    }
+}
+
+/**
+ * Get an attribute of a neighborhood
+ * @param {Object} neighborhood - Neighborhood
+ * @param {string} attribute - Attribute name (see CHOROPLETH_ATTRIBUTES)
+ * @returns {number|null} - Value, or null when unknown
+ */
+function getNeighborhoodValue(neighborhood, attribute) {
+    const value = neighborhood[attribute];
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+/**
+ * Format an attribute value for display
+ * @param {Object} neighborhood - Neighborhood
+ * @param {string} attribute - Attribute name
+ * @returns {string} - Formatted value, or 'No data'
+ */
+function formatNeighborhoodValue(neighborhood, attribute) {
+    const value = getNeighborhoodValue(neighborhood, attribute);
+    return value === null ? 'No data' : CHOROPLETH_ATTRIBUTES[attribute].format(value);
+}
+
+/**
+ * Get the legend of a choropleth classification
+ * @param {Object} classification - Classification (see DemographicsManager.getClassification)
+ * @returns {string} - Legend HTML
+ */
+function getChoroplethLegendHTML(classification) {
+    const attribute = CHOROPLETH_ATTRIBUTES[classification.attribute];
+    const { breaks, colors } = classification;
+
+    if (breaks.length === 0) {
+        return `<div class="legend-item">No ${attribute.label.toLowerCase()} data</div>`;
+    }
+
+    // Topmost class first, as in the rest of the legend
+    const items = colors.map((color, index) => {
+        const low = attribute.format(breaks[index]);
+        const high = attribute.format(breaks[Math.min(index + 1, breaks.length - 1)]);
+        return `
+            <div class="legend-item">
+                <span class="legend-swatch" style="background-color: ${color};"></span>
+                <span>${low === high ? low : `${low} – ${high}`}</span>
+            </div>
+        `;
+    }).reverse();
+
+    items.unshift(`<div class="legend-item legend-caption">${attribute.label}, ${CLASSIFICATION_METHODS[classification.method].label}</div>`);
+    return items.join('');
+}
+
+// Create global instance
+const demographicsManager = new DemographicsManager();
+
+// Load the demographics and set up the choropleth controls when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeChoroplethControl();
+    initializeDemographics();
+});
+
+/**
+ * Load the neighborhood demographics and redraw what depends on the neighborhoods
+ */
+async function initializeDemographics() {
+    try {
+        if (await demographicsManager.initialize()) {
+            refreshDemographics();
+        }
+    } catch (error) {
+        console.error('Failed to load demographics data:', error);
+        showNotification('Neighborhood demographics could not be loaded; showing sample neighborhoods', 'warning');
+    }
+
+    // Boundaries rarely change, but a live feed can be configured for the demographics domain
+    liveFeedManager.subscribe('demographics', feed => {
+        demographicsManager.applyFeed(feed);
+        refreshDemographics();
+    });
+}
+
+/**
+ * Redraw what depends on the neighborhoods after they changed
+ */
+function refreshDemographics() {
+    refreshNeighborhoodFilters();
+    mapRegistry.refreshLayer('demographics');
+    updateLegend();
+}
+
+/**
+ * Initialize the attribute, classification and class count selects of the choropleth
+ */
+function initializeChoroplethControl() {
+    const control = document.getElementById('choropleth-control');
+    if (!control) return;
+
+    const attributeSelect = document.getElementById('choropleth-attribute');
+    const methodSelect = document.getElementById('choropleth-method');
+    const classesSelect = document.getElementById('choropleth-classes');
+    const settings = demographicsManager.settings;
+
+    attributeSelect.innerHTML = Object.keys(CHOROPLETH_ATTRIBUTES)
+        .map(attribute => `<option value="${attribute}">${CHOROPLETH_ATTRIBUTES[attribute].label}</option>`)
+        .join('');
+    methodSelect.innerHTML = Object.keys(CLASSIFICATION_METHODS)
+        .map(method => `<option value="${method}">${CLASSIFICATION_METHODS[method].label}</option>`)
+        .join('');
+    classesSelect.innerHTML = [3, 4, 5, 6, 7]
+        .map(classes => `<option value="${classes}">${classes} classes</option>`)
+        .join('');
+
+    attributeSelect.value = settings.attribute;
+    methodSelect.value = settings.method;
+    classesSelect.value = String(settings.classes);
+
+    control.addEventListener('change', function() {
+        demographicsManager.setSettings({
+            attribute: attributeSelect.value,
+            method: methodSelect.value,
+            classes: parseInt(classesSelect.value)
+        });
+        mapRegistry.refreshLayer('demographics');
+        updateLegend();
+    });
+}
+
+// Export for use in other modules
+window.CHOROPLETH_ATTRIBUTES = CHOROPLETH_ATTRIBUTES;
+window.CLASSIFICATION_METHODS = CLASSIFICATION_METHODS;
+window.classifyValues = classifyValues;
+window.demographicsManager = demographicsManager;
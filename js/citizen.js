@@ -5,7 +5,9 @@
 
 // Citizen Engagement Manager class for issue reporting and community engagement
 class CitizenEngagementManager {
-    constructor() {
+    constructor(random = createSampleRandom('citizen')) {
+        // Seeded generator for sample data, so a seed reproduces the same city state
+        this.random = random;
         this.reportedIssues = [];
         this.communityProjects = [];
         this.userFeedback = [];
@@ -14,27 +16,77 @@ class CitizenEngagementManager {
     }
     
     /**
-     * Initialize the citizen engagement manager with sample data
+     * Initialize the citizen engagement manager from the citizen feed
+     * (or sample data when the data source is configured for it)
      */
-    initialize() {
+    async initialize() {
         if (this.initialized) return;
         
-        // Load sample reported issues
-        this.loadSampleReportedIssues();
-        
-        // Load sample community projects
-        this.loadSampleCommunityProjects();
-        
-        // Load sample user feedback
-        this.loadSampleUserFeedback();
-        
-        // Load sample notifications
-        this.loadSampleNotifications();
+        const feed = await dataSource.load('citizen');
+        if (feed) {
+            // Load issues, projects, feedback and notifications from the citizen feed
+            this.loadFeedData(feed);
+        } else {
+            // Load sample reported issues
+            this.loadSampleReportedIssues();
+            
+            // Load sample community projects
+            this.loadSampleCommunityProjects();
+            
+            // Load sample user feedback
+            this.loadSampleUserFeedback();
+            
+            // Load sample notifications
+            this.loadSampleNotifications();
+        }
         
         this.initialized = true;
         console.log('Citizen Engagement Manager initialized');
     }
     
+    /**
+     * Load issues, projects, feedback and notifications from a mapped citizen feed
+     * @param {Object} feed - Mapped citizen feed (see DataSource.mapCitizenFeed)
+     */
+    loadFeedData(feed) {
+        this.reportedIssues = feed.reportedIssues;
+        this.communityProjects = feed.communityProjects;
+        this.userFeedback = feed.userFeedback;
+        this.notifications = feed.notifications;
+    }
+    
+    /**
+     * Apply a live citizen feed update
+     * @param {Object} feed - Mapped citizen feed
+     */
+    applyFeedUpdate(feed) {
+        this.loadFeedData(feed);
+    }
+    
+    /**
+     * Get the state recorded in history snapshots
+     * @returns {Object} - Reported issues, community projects, feedback and notifications
+     */
+    getSnapshotState() {
+        return {
+            reportedIssues: this.reportedIssues,
+            communityProjects: this.communityProjects,
+            userFeedback: this.userFeedback,
+            notifications: this.notifications
+        };
+    }
+    
+    /**
+     * Restore the state of a history snapshot
+     * @param {Object} state - State returned by getSnapshotState
+     */
+    restoreSnapshotState(state) {
+        this.reportedIssues = state.reportedIssues;
+        this.communityProjects = state.communityProjects;
+        this.userFeedback = state.userFeedback;
+        this.notifications = state.notifications;
+    }
+    
     /**
      * Load sample reported issues
      */
@@ -44,22 +96,22 @@ class CitizenEngagementManager {
         const statusOptions = ['reported', 'under_review', 'in_progress', 'resolved', 'closed'];
         
         // Generate 15-25 random issues
-        const numIssues = 15 + Math.floor(Math.random() * 11);
+        const numIssues = 15 + Math.floor(this.random.next() * 11);
         
         for (let i = 0; i < numIssues; i++) {
             // Generate random issue data
-            const issueType = issueTypes[Math.floor(Math.random() * issueTypes.length)];
-            const status = statusOptions[Math.floor(Math.random() * statusOptions.length)];
+            const issueType = issueTypes[Math.floor(this.random.next() * issueTypes.length)];
+            const status = statusOptions[Math.floor(this.random.next() * statusOptions.length)];
             
             // Generate random location within city bounds
-            const lat = 40.7128 + (Math.random() - 0.5) * 0.1;
-            const lng = -74.006 + (Math.random() - 0.5) * 0.1;
+            const lat = 40.7128 + (this.random.next() - 0.5) * 0.1;
+            const lng = -74.006 + (this.random.next() - 0.5) * 0.1;
             
             // Generate random timestamp within the last 30 days
-            const timestamp = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString();
+            const timestamp = new Date(Date.now() - this.random.next() * 30 * 24 * 60 * 60 * 1000).toISOString();
             
             // Generate random votes (0-50)
-            const votes = Math.floor(Math.random() * 51);
+            const votes = Math.floor(this.random.next() * 51);
             
             // Create issue object
             const issue = {
@@ -163,7 +215,7 @@ class CitizenEngagementManager {
         };
         
         const typeTitles = titles[type] || ['Issue reported by citizen'];
-        return typeTitles[Math.floor(Math.random() * typeTitles.length)];
+        return typeTitles[Math.floor(this.random.next() * typeTitles.length)];
     }
     
     /**
@@ -221,7 +273,7 @@ class CitizenEngagementManager {
         };
         
         const typeDescriptions = descriptions[type] || ['Issue reported by citizen requiring attention from city services.'];
-        return typeDescriptions[Math.floor(Math.random() * typeDescriptions.length)];
+        return typeDescriptions[Math.floor(this.random.next() * typeDescriptions.length)];
     }
     
     /**
@@ -230,8 +282,8 @@ class CitizenEngagementManager {
      */
     generateRandomAddress() {
         const streets = ['Main St', 'Broadway', 'Park Ave', 'Oak St', 'Maple Ave', 'Washington Blvd', 'Cedar Ln', 'River Rd'];
-        const streetNumber = Math.floor(Math.random() * 1000) + 1;
-        const street = streets[Math.floor(Math.random() * streets.length)];
+        const streetNumber = Math.floor(this.random.next() * 1000) + 1;
+        const street = streets[Math.floor(this.random.next() * streets.length)];
         return `${streetNumber} ${street}`;
     }
     
@@ -243,13 +295,13 @@ class CitizenEngagementManager {
         const firstNames = ['John', 'Jane', 'Michael', 'Emily', 'David', 'Sarah', 'Robert', 'Jennifer', 'William', 'Elizabeth'];
         const lastNames = ['Smith', 'Johnson', 'Williams', 'Jones', 'Brown', 'Davis', 'Miller', 'Wilson', 'Moore', 'Taylor'];
         
-        const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-        const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+        const firstName = firstNames[Math.floor(this.random.next() * firstNames.length)];
+        const lastName = lastNames[Math.floor(this.random.next() * lastNames.length)];
         
         return {
-            id: `user_${Math.floor(Math.random() * 1000)}`,
+            id: `user_${Math.floor(this.random.next() * 1000)}`,
             name: `${firstName} ${lastName}`,
-            avatar: `https://randomuser.me/api/portraits/${Math.random() > 0.5 ? 'men' : 'women'}/${Math.floor(Math.random() * 100)}.jpg`
+            avatar: `https://randomuser.me/api/portraits/${this.random.next() > 0.5 ? 'men' : 'women'}/${Math.floor(this.random.next() * 100)}.jpg`
         };
     }
     
@@ -261,7 +313,7 @@ class CitizenEngagementManager {
     generateIssueImages(type) {
         // In a real application, these would be actual image URLs
         // For this demo, we'll generate placeholder URLs
-        const numImages = 1 + Math.floor(Math.random() * 3); // 1-3 images
+        const numImages = 1 + Math.floor(this.random.next() * 3); // 1-3 images
         const images = [];
         
         for (let i = 0; i < numImages; i++) {
@@ -281,7 +333,7 @@ class CitizenEngagementManager {
         
         // Always add initial report
         updates.push({
-            timestamp: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString(),
+            timestamp: new Date(Date.now() - this.random.next() * 30 * 24 * 60 * 60 * 1000).toISOString(),
             status: 'reported',
             message: 'Issue reported by citizen.',
             updatedBy: 'system'
@@ -290,7 +342,7 @@ class CitizenEngagementManager {
         // Add under_review update if status is beyond reported
         if (status !== 'reported') {
             updates.push({
-                timestamp: new Date(new Date(updates[0].timestamp).getTime() + 1 * 24 * 60 * 60 * 1000 + Math.random() * 2 * 24 * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[0].timestamp).getTime() + 1 * 24 * 60 * 60 * 1000 + this.random.next() * 2 * 24 * 60 * 60 * 1000).toISOString(),
                 status: 'under_review',
                 message: 'Issue is under review by city services.',
                 updatedBy: 'admin'
@@ -300,7 +352,7 @@ class CitizenEngagementManager {
         // Add in_progress update if status is beyond under_review
         if (status === 'in_progress' || status === 'resolved' || status === 'closed') {
             updates.push({
-                timestamp: new Date(new Date(updates[1].timestamp).getTime() + 2 * 24 * 60 * 60 * 1000 + Math.random() * 3 * 24 * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[1].timestamp).getTime() + 2 * 24 * 60 * 60 * 1000 + this.random.next() * 3 * 24 * 60 * 60 * 1000).toISOString(),
                 status: 'in_progress',
                 message: 'Work has begun to address this issue.',
                 updatedBy: 'admin'
@@ -310,7 +362,7 @@ class CitizenEngagementManager {
         // Add resolved update if status is resolved or closed
         if (status === 'resolved' || status === 'closed') {
             updates.push({
-                timestamp: new Date(new Date(updates[2].timestamp).getTime() + 3 * 24 * 60 * 60 * 1000 + Math.random() * 5 * 24 * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[2].timestamp).getTime() + 3 * 24 * 60 * 60 * 1000 + this.random.next() * 5 * 24 * 60 * 60 * 1000).toISOString(),
                 status: 'resolved',
                 message: 'This issue has been resolved. Thank you for your report.',
                 updatedBy: 'admin'
@@ -320,7 +372,7 @@ class CitizenEngagementManager {
         // Add closed update if status is closed
         if (status === 'closed') {
             updates.push({
-                timestamp: new Date(new Date(updates[3].timestamp).getTime() + 1 * 24 * 60 * 60 * 1000 + Math.random() * 2 * 24 * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[3].timestamp).getTime() + 1 * 24 * 60 * 60 * 1000 + this.random.next() * 2 * 24 * 60 * 60 * 1000).toISOString(),
                 status: 'closed',
                 message: 'This issue has been verified as resolved and the case is now closed.',
                 updatedBy: 'admin'
@@ -336,7 +388,7 @@ class CitizenEngagementManager {
      */
     generateEstimatedResolutionDate() {
         // Generate a date 5-30 days in the future
-        const daysToAdd = 5 + Math.floor(Math.random() * 26);
+        const daysToAdd = 5 + Math.floor(this.random.next() * 26);
         return new Date(Date.now() + daysToAdd * 24 * 60 * 60 * 1000).toISOString();
     }
     
@@ -382,33 +434,33 @@ class CitizenEngagementManager {
         const statusOptions = ['proposed', 'planning', 'in_progress', 'completed'];
         
         // Generate 5-10 random projects
-        const numProjects = 5 + Math.floor(Math.random() * 6);
+        const numProjects = 5 + Math.floor(this.random.next() * 6);
         
         for (let i = 0; i < numProjects; i++) {
             // Generate random project data
-            const projectType = projectTypes[Math.floor(Math.random() * projectTypes.length)];
-            const status = statusOptions[Math.floor(Math.random() * statusOptions.length)];
+            const projectType = projectTypes[Math.floor(this.random.next() * projectTypes.length)];
+            const status = statusOptions[Math.floor(this.random.next() * statusOptions.length)];
             
             // Generate random location within city bounds
-            const lat = 40.7128 + (Math.random() - 0.5) * 0.1;
-            const lng = -74.006 + (Math.random() - 0.5) * 0.1;
+            const lat = 40.7128 + (this.random.next() - 0.5) * 0.1;
+            const lng = -74.006 + (this.random.next() - 0.5) * 0.1;
             
             // Generate random start date within the last 6 months
-            const startDate = new Date(Date.now() - Math.random() * 180 * 24 * 60 * 60 * 1000).toISOString();
+            const startDate = new Date(Date.now() - this.random.next() * 180 * 24 * 60 * 60 * 1000).toISOString();
             
             // Generate random end date (if completed) or estimated end date
             let endDate = null;
             if (status === 'completed') {
-                endDate = new Date(new Date(startDate).getTime() + (30 + Math.random() * 150) * 24 * 60 * 60 * 1000).toISOString();
+                endDate = new Date(new Date(startDate).getTime() + (30 + this.random.next() * 150) * 24 * 60 * 60 * 1000).toISOString();
             } else if (status !== 'proposed') {
-                endDate = new Date(Date.now() + (30 + Math.random() * 180) * 24 * 60 * 60 * 1000).toISOString();
+                endDate = new Date(Date.now() + (30 + this.random.next() * 180) * 24 * 60 * 60 * 1000).toISOString();
             }
             
             // Generate random budget
-            const budget = Math.floor((50000 + Math.random() * 950000) / 1000) * 1000; // $50k-$1M in $1k increments
+            const budget = Math.floor((50000 + this.random.next() * 950000) / 1000) * 1000; // $50k-$1M in $1k increments
             
             // Generate random votes (0-200)
-            const votes = Math.floor(Math.random() * 201);
+            const votes = Math.floor(this.random.next() * 201);
             
             // Create project object
             const project = {
@@ -493,7 +545,7 @@ class CitizenEngagementManager {
         };
         
         const typeTitles = titles[type] || ['Community Improvement Project'];
-        return typeTitles[Math.floor(Math.random() * typeTitles.length)];
+        return typeTitles[Math.floor(this.random.next() * typeTitles.length)];
     }
     
     /**
@@ -536,7 +588,7 @@ class CitizenEngagementManager {
         };
         
         const typeDescriptions = descriptions[type] || ['A community improvement project proposed to enhance quality of life for residents.'];
-        return typeDescriptions[Math.floor(Math.random() * typeDescriptions.length)];
+        return typeDescriptions[Math.floor(this.random.next() * typeDescriptions.length)];
     }
     
     /**
@@ -547,7 +599,7 @@ class CitizenEngagementManager {
     generateProjectImages(type) {
         // In a real application, these would be actual image URLs
         // For this demo, we'll generate placeholder URLs
-        const numImages = 2 + Math.floor(Math.random() * 3); // 2-4 images
+        const numImages = 2 + Math.floor(this.random.next() * 3); // 2-4 images
         const images = [];
         
         for (let i = 0; i < numImages; i++) {
@@ -567,7 +619,7 @@ class CitizenEngagementManager {
         
         // Always add proposed update
         updates.push({
-            timestamp: new Date(Date.now() - Math.random() * 180 * 24 * 60 * 60 * 1000).toISOString(),
+            timestamp: new Date(Date.now() - this.random.next() * 180 * 24 * 60 * 60 * 1000).toISOString(),
             status: 'proposed',
             message: 'Project proposed for community consideration.',
             updatedBy: status === 'proposed' ? 'citizen' : 'admin'
@@ -576,7 +628,7 @@ class CitizenEngagementManager {
         // Add planning update if status is beyond proposed
         if (status !== 'proposed') {
             updates.push({
-                timestamp: new Date(new Date(updates[0].timestamp).getTime() + 30 * 24 * 60 * 60 * 1000 + Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[0].timestamp).getTime() + 30 * 24 * 60 * 60 * 1000 + this.random.next() * 30 * 24 * 60 * 60 * 1000).toISOString(),
                 status: 'planning',
                 message: 'Project approved for planning phase. Budget allocated and design work beginning.',
                 updatedBy: 'admin'
@@ -586,7 +638,7 @@ class CitizenEngagementManager {
         // Add in_progress update if status is beyond planning
         if (status === 'in_progress' || status === 'completed') {
             updates.push({
-                timestamp: new Date(new Date(updates[1].timestamp).getTime() + 30 * 24 * 60 * 60 * 1000 + Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[1].timestamp).getTime() + 30 * 24 * 60 * 60 * 1000 + this.random.next() * 30 * 24 * 60 * 60 * 1000).toISOString(),
                 status: 'in_progress',
                 message: 'Project implementation has begun. Construction/work is underway.',
                 updatedBy: 'admin'
@@ -596,7 +648,7 @@ class CitizenEngagementManager {
         // Add completed update if status is completed
         if (status === 'completed') {
             updates.push({
-                timestamp: new Date(new Date(updates[2].timestamp).getTime() + 30 * 24 * 60 * 60 * 1000 + Math.random() * 60 * 24 * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[2].timestamp).getTime() + 30 * 24 * 60 * 60 * 1000 + this.random.next() * 60 * 24 * 60 * 60 * 1000).toISOString(),
                 status: 'completed',
                 message: 'Project has been completed successfully. Thank you for your support.',
                 updatedBy: 'admin'
@@ -616,84 +668,84 @@ class CitizenEngagementManager {
         switch (type) {
             case 'park':
                 return {
-                    environmentalBenefit: Math.floor(Math.random() * 51) + 50, // 50-100%
-                    communityBenefit: Math.floor(Math.random() * 31) + 70, // 70-100%
-                    economicBenefit: Math.floor(Math.random() * 41) + 30, // 30-70%
-                    peopleServed: Math.floor(Math.random() * 5000) + 1000, // 1000-6000
+                    environmentalBenefit: Math.floor(this.random.next() * 51) + 50, // 50-100%
+                    communityBenefit: Math.floor(this.random.next() * 31) + 70, // 70-100%
+                    economicBenefit: Math.floor(this.random.next() * 41) + 30, // 30-70%
+                    peopleServed: Math.floor(this.random.next() * 5000) + 1000, // 1000-6000
                     metrics: {
-                        greenSpaceAdded: Math.floor(Math.random() * 5000) + 1000, // 1000-6000 sq ft
-                        treesPlanted: Math.floor(Math.random() * 50) + 10, // 10-60
-                        recreationalValue: Math.floor(Math.random() * 50000) + 50000 // $50k-$100k
+                        greenSpaceAdded: Math.floor(this.random.next() * 5000) + 1000, // 1000-6000 sq ft
+                        treesPlanted: Math.floor(this.random.next() * 50) + 10, // 10-60
+                        recreationalValue: Math.floor(this.random.next() * 50000) + 50000 // $50k-$100k
                     }
                 };
             case 'infrastructure':
                 return {
-                    environmentalBenefit: Math.floor(Math.random() * 41) + 30, // 30-70%
-                    communityBenefit: Math.floor(Math.random() * 31) + 60, // 60-90%
-                    economicBenefit: Math.floor(Math.random() * 31) + 60, // 60-90%
-                    peopleServed: Math.floor(Math.random() * 10000) + 5000, // 5000-15000
+                    environmentalBenefit: Math.floor(this.random.next() * 41) + 30, // 30-70%
+                    communityBenefit: Math.floor(this.random.next() * 31) + 60, // 60-90%
+                    economicBenefit: Math.floor(this.random.next() * 31) + 60, // 60-90%
+                    peopleServed: Math.floor(this.random.next() * 10000) + 5000, // 5000-15000
                     metrics: {
-                        trafficFlowImprovement: Math.floor(Math.random() * 31) + 20, // 20-50%
-                        maintenanceCostReduction: Math.floor(Math.random() * 31) + 10, // 10-40%
-                        propertyValueIncrease: Math.floor(Math.random() * 16) + 5 // 5-20%
+                        trafficFlowImprovement: Math.floor(this.random.next() * 31) + 20, // 20-50%
+                        maintenanceCostReduction: Math.floor(this.random.next() * 31) + 10, // 10-40%
+                        propertyValueIncrease: Math.floor(this.random.next() * 16) + 5 // 5-20%
                     }
                 };
             case 'community':
                 return {
-                    environmentalBenefit: Math.floor(Math.random() * 41) + 10, // 10-50%
-                    communityBenefit: Math.floor(Math.random() * 21) + 80, // 80-100%
-                    economicBenefit: Math.floor(Math.random() * 41) + 40, // 40-80%
-                    peopleServed: Math.floor(Math.random() * 5000) + 2000, // 2000-7000
+                    environmentalBenefit: Math.floor(this.random.next() * 41) + 10, // 10-50%
+                    communityBenefit: Math.floor(this.random.next() * 21) + 80, // 80-100%
+                    economicBenefit: Math.floor(this.random.next() * 41) + 40, // 40-80%
+                    peopleServed: Math.floor(this.random.next() * 5000) + 2000, // 2000-7000
                     metrics: {
-                        programsOffered: Math.floor(Math.random() * 20) + 5, // 5-25
-                        volunteerHours: Math.floor(Math.random() * 1000) + 500, // 500-1500
-                        communityEngagement: Math.floor(Math.random() * 31) + 70 // 70-100%
+                        programsOffered: Math.floor(this.random.next() * 20) + 5, // 5-25
+                        volunteerHours: Math.floor(this.random.next() * 1000) + 500, // 500-1500
+                        communityEngagement: Math.floor(this.random.next() * 31) + 70 // 70-100%
                     }
                 };
             case 'environment':
                 return {
-                    environmentalBenefit: Math.floor(Math.random() * 21) + 80, // 80-100%
-                    communityBenefit: Math.floor(Math.random() * 31) + 60, // 60-90%
-                    economicBenefit: Math.floor(Math.random() * 41) + 30, // 30-70%
-                    peopleServed: Math.floor(Math.random() * 20000) + 10000, // 10000-30000
+                    environmentalBenefit: Math.floor(this.random.next() * 21) + 80, // 80-100%
+                    communityBenefit: Math.floor(this.random.next() * 31) + 60, // 60-90%
+                    economicBenefit: Math.floor(this.random.next() * 41) + 30, // 30-70%
+                    peopleServed: Math.floor(this.random.next() * 20000) + 10000, // 10000-30000
                     metrics: {
-                        carbonReduction: Math.floor(Math.random() * 500) + 100, // 100-600 tons
-                        energySaved: Math.floor(Math.random() * 50000) + 10000, // 10000-60000 kWh
-                        wasteReduction: Math.floor(Math.random() * 31) + 20 // 20-50%
+                        carbonReduction: Math.floor(this.random.next() * 500) + 100, // 100-600 tons
+                        energySaved: Math.floor(this.random.next() * 50000) + 10000, // 10000-60000 kWh
+                        wasteReduction: Math.floor(this.random.next() * 31) + 20 // 20-50%
                     }
                 };
             case 'safety':
                 return {
-                    environmentalBenefit: Math.floor(Math.random() * 31) + 10, // 10-40%
-                    communityBenefit: Math.floor(Math.random() * 21) + 80, // 80-100%
-                    economicBenefit: Math.floor(Math.random() * 41) + 40, // 40-80%
-                    peopleServed: Math.floor(Math.random() * 15000) + 5000, // 5000-20000
+                    environmentalBenefit: Math.floor(this.random.next() * 31) + 10, // 10-40%
+                    communityBenefit: Math.floor(this.random.next() * 21) + 80, // 80-100%
+                    economicBenefit: Math.floor(this.random.next() * 41) + 40, // 40-80%
+                    peopleServed: Math.floor(this.random.next() * 15000) + 5000, // 5000-20000
                     metrics: {
-                        accidentReduction: Math.floor(Math.random() * 41) + 30, // 30-70%
-                        responseTimeImprovement: Math.floor(Math.random() * 31) + 10, // 10-40%
-                        crimeReduction: Math.floor(Math.random() * 26) + 5 // 5-30%
+                        accidentReduction: Math.floor(this.random.next() * 41) + 30, // 30-70%
+                        responseTimeImprovement: Math.floor(this.random.next() * 31) + 10, // 10-40%
+                        crimeReduction: Math.floor(this.random.next() * 26) + 5 // 5-30%
                     }
                 };
             case 'education':
                 return {
-                    environmentalBenefit: Math.floor(Math.random() * 31) + 20, // 20-50%
-                    communityBenefit: Math.floor(Math.random() * 21) + 80, // 80-100%
-                    economicBenefit: Math.floor(Math.random() * 31) + 60, // 60-90%
-                    peopleServed: Math.floor(Math.random() * 5000) + 1000, // 1000-6000
+                    environmentalBenefit: Math.floor(this.random.next() * 31) + 20, // 20-50%
+                    communityBenefit: Math.floor(this.random.next() * 21) + 80, // 80-100%
+                    economicBenefit: Math.floor(this.random.next() * 31) + 60, // 60-90%
+                    peopleServed: Math.floor(this.random.next() * 5000) + 1000, // 1000-6000
                     metrics: {
-                        programParticipants: Math.floor(Math.random() * 1000) + 500, // 500-1500
-                        educationalOutcomes: Math.floor(Math.random() * 31) + 40, // 40-70%
-                        skillDevelopment: Math.floor(Math.random() * 31) + 50 // 50-80%
+                        programParticipants: Math.floor(this.random.next() * 1000) + 500, // 500-1500
+                        educationalOutcomes: Math.floor(this.random.next() * 31) + 40, // 40-70%
+                        skillDevelopment: Math.floor(this.random.next() * 31) + 50 // 50-80%
                     }
                 };
             default:
                 return {
-                    environmentalBenefit: Math.floor(Math.random() * 101), // 0-100%
-                    communityBenefit: Math.floor(Math.random() * 101), // 0-100%
-                    economicBenefit: Math.floor(Math.random() * 101), // 0-100%
-                    peopleServed: Math.floor(Math.random() * 10000) + 1000, // 1000-11000
+                    environmentalBenefit: Math.floor(this.random.next() * 101), // 0-100%
+                    communityBenefit: Math.floor(this.random.next() * 101), // 0-100%
+                    economicBenefit: Math.floor(this.random.next() * 101), // 0-100%
+                    peopleServed: Math.floor(this.random.next() * 10000) + 1000, // 1000-11000
                     metrics: {
-                        generalImpact: Math.floor(Math.random() * 101) // 0-100%
+                        generalImpact: Math.floor(this.random.next() * 101) // 0-100%
                     }
                 };
         }
@@ -704,20 +756,20 @@ class CitizenEngagementManager {
      */
     loadSampleUserFeedback() {
         // Generate 10-20 random feedback items
-        const numFeedback = 10 + Math.floor(Math.random() * 11);
+        const numFeedback = 10 + Math.floor(this.random.next() * 11);
         
         for (let i = 0; i < numFeedback; i++) {
             // Generate random feedback data
-            const type = Math.random() > 0.3 ? 'issue' : 'project';
+            const type = this.random.next() > 0.3 ? 'issue' : 'project';
             const itemId = type === 'issue' ? 
-                (this.reportedIssues.length > 0 ? this.reportedIssues[Math.floor(Math.random() * this.reportedIssues.length)].id : `issue_${Math.floor(Math.random() * 100)}`) : 
-                (this.communityProjects.length > 0 ? this.communityProjects[Math.floor(Math.random() * this.communityProjects.length)].id : `project_${Math.floor(Math.random() * 100)}`);
+                (this.reportedIssues.length > 0 ? this.reportedIssues[Math.floor(this.random.next() * this.reportedIssues.length)].id : `issue_${Math.floor(this.random.next() * 100)}`) : 
+                (this.communityProjects.length > 0 ? this.communityProjects[Math.floor(this.random.next() * this.communityProjects.length)].id : `project_${Math.floor(this.random.next() * 100)}`);
             
             // Generate random timestamp within the last 30 days
-            const timestamp = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString();
+            const timestamp = new Date(Date.now() - this.random.next() * 30 * 24 * 60 * 60 * 1000).toISOString();
             
             // Generate random rating (1-5)
-            const rating = 1 + Math.floor(Math.random() * 5);
+            const rating = 1 + Math.floor(this.random.next() * 5);
             
             // Create feedback object
             const feedback = {
@@ -728,7 +780,7 @@ class CitizenEngagementManager {
                 timestamp: timestamp,
                 rating: rating,
                 comment: this.generateFeedbackComment(type, rating),
-                helpful: Math.floor(Math.random() * 21) // 0-20 people found this helpful
+                helpful: Math.floor(this.random.next() * 21) // 0-20 people found this helpful
             };
             
             // Add feedback to the list
@@ -755,7 +807,7 @@ class CitizenEngagementManager {
                     'I appreciate the thorough work done to resolve this issue permanently.',
                     'The online reporting system made it easy to submit and track this issue.'
                 ];
-                return positiveComments[Math.floor(Math.random() * positiveComments.length)];
+                return positiveComments[Math.floor(this.random.next() * positiveComments.length)];
             } else if (rating >= 3) {
                 const neutralComments = [
                     'The issue was fixed, but it took longer than I expected.',
@@ -764,7 +816,7 @@ class CitizenEngagementManager {
                     'Satisfied with the result, but the process was confusing to navigate.',
                     'The fix seems temporary rather than addressing the root cause.'
                 ];
-                return neutralComments[Math.floor(Math.random() * neutralComments.length)];
+                return neutralComments[Math.floor(this.random.next() * neutralComments.length)];
             } else {
                 const negativeComments = [
                     'Very disappointed with the response time. This issue affected many residents.',
@@ -773,7 +825,7 @@ class CitizenEngagementManager {
                     'Had to report multiple times before any action was taken.',
                     'The quality of the repair work was poor and inadequate.'
                 ];
-                return negativeComments[Math.floor(Math.random() * negativeComments.length)];
+                return negativeComments[Math.floor(this.random.next() * negativeComments.length)];
             }
         } else { // project
             if (rating >= 4) {
@@ -784,7 +836,7 @@ class CitizenEngagementManager {
                     'The community engagement throughout the project was impressive and inclusive.',
                     'The completed project exceeds expectations and improves quality of life.'
                 ];
-                return positiveComments[Math.floor(Math.random() * positiveComments.length)];
+                return positiveComments[Math.floor(this.random.next() * positiveComments.length)];
             } else if (rating >= 3) {
                 const neutralComments = [
                     'The project is good overall, though some aspects could have been better planned.',
@@ -793,7 +845,7 @@ class CitizenEngagementManager {
                     'Good addition to the community, though maintenance concerns remain.',
                     'The project is useful but doesn\'t fully address all the community needs.'
                 ];
-                return neutralComments[Math.floor(Math.random() * neutralComments.length)];
+                return neutralComments[Math.floor(this.random.next() * neutralComments.length)];
             } else {
                 const negativeComments = [
                     'This project seems like a waste of taxpayer money that could be better used elsewhere.',
@@ -802,7 +854,7 @@ class CitizenEngagementManager {
                     'The project is already showing signs of poor construction and maintenance issues.',
                     'The disruption to the neighborhood wasn\'t worth the minimal benefits.'
                 ];
-                return negativeComments[Math.floor(Math.random() * negativeComments.length)];
+                return negativeComments[Math.floor(this.random.next() * negativeComments.length)];
             }
         }
     }
@@ -815,14 +867,14 @@ class CitizenEngagementManager {
         const notificationTypes = ['issue_update', 'project_update', 'new_issue', 'new_project', 'survey', 'announcement'];
         
         // Generate 10-20 random notifications
-        const numNotifications = 10 + Math.floor(Math.random() * 11);
+        const numNotifications = 10 + Math.floor(this.random.next() * 11);
         
         for (let i = 0; i < numNotifications; i++) {
             // Generate random notification data
-            const notificationType = notificationTypes[Math.floor(Math.random() * notificationTypes.length)];
+            const notificationType = notificationTypes[Math.floor(this.random.next() * notificationTypes.length)];
             
             // Generate random timestamp within the last 30 days
-            const timestamp = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString();
+            const timestamp = new Date(Date.now() - this.random.next() * 30 * 24 * 60 * 60 * 1000).toISOString();
             
             // Create notification object
             const notification = {
@@ -831,7 +883,7 @@ class CitizenEngagementManager {
                 timestamp: timestamp,
                 title: this.generateNotificationTitle(notificationType),
                 message: this.generateNotificationMessage(notificationType),
-                read: Math.random() > 0.3, // 70% chance of being read
+                read: this.random.next() > 0.3, // 70% chance of being read
                 relatedItemId: this.getRelatedItemId(notificationType),
                 actionUrl: this.generateActionUrl(notificationType),
                 priority: this.calculateNotificationPriority(notificationType)
@@ -878,23 +930,23 @@ class CitizenEngagementManager {
         switch (type) {
             case 'issue_update':
                 const issueStatuses = ['under review', 'in progress', 'resolved'];
-                const issueStatus = issueStatuses[Math.floor(Math.random() * issueStatuses.length)];
+                const issueStatus = issueStatuses[Math.floor(this.random.next() * issueStatuses.length)];
                 return `The issue you reported has been updated to status: ${issueStatus}. Click to view details.`;
             case 'project_update':
                 const projectStatuses = ['planning phase', 'construction beginning', 'milestone reached', 'completed'];
-                const projectStatus = projectStatuses[Math.floor(Math.random() * projectStatuses.length)];
+                const projectStatus = projectStatuses[Math.floor(this.random.next() * projectStatuses.length)];
                 return `A community project in your area has reached a new stage: ${projectStatus}. Click to learn more.`;
             case 'new_issue':
                 const issueTypes = ['pothole', 'streetlight outage', 'graffiti', 'water leak'];
-                const issueType = issueTypes[Math.floor(Math.random() * issueTypes.length)];
+                const issueType = issueTypes[Math.floor(this.random.next() * issueTypes.length)];
                 return `A new ${issueType} has been reported near your location. Click to view details.`;
             case 'new_project':
                 const projectTypes = ['park improvement', 'road construction', 'community facility', 'public art'];
-                const projectType = projectTypes[Math.floor(Math.random() * projectTypes.length)];
+                const projectType = projectTypes[Math.floor(this.random.next() * projectTypes.length)];
                 return `A new ${projectType} project has been proposed in your neighborhood. Review and provide feedback.`;
             case 'survey':
                 const surveyTopics = ['transportation needs', 'park facilities', 'community services', 'city budget priorities'];
-                const surveyTopic = surveyTopics[Math.floor(Math.random() * surveyTopics.length)];
+                const surveyTopic = surveyTopics[Math.floor(this.random.next() * surveyTopics.length)];
                 return `Your input is requested on a new survey about ${surveyTopic}. Your feedback helps shape our city's future.`;
             case 'announcement':
                 const announcements = [
@@ -904,7 +956,7 @@ class CitizenEngagementManager {
                     'Public meeting scheduled for zoning changes',
                     'Emergency preparedness information'
                 ];
-                return announcements[Math.floor(Math.random() * announcements.length)];
+                return announcements[Math.floor(this.random.next() * announcements.length)];
             default:
                 return 'You have a new notification from City Services. Click to view details.';
         }
@@ -918,12 +970,12 @@ class CitizenEngagementManager {
     getRelatedItemId(type) {
         if (type === 'issue_update' || type === 'new_issue') {
             return this.reportedIssues.length > 0 ? 
-                this.reportedIssues[Math.floor(Math.random() * this.reportedIssues.length)].id : 
-                `issue_${Math.floor(Math.random() * 100)}`;
+                this.reportedIssues[Math.floor(this.random.next() * this.reportedIssues.length)].id : 
+                `issue_${Math.floor(this.random.next() * 100)}`;
         } else if (type === 'project_update' || type === 'new_project') {
             return this.communityProjects.length > 0 ? 
-                this.communityProjects[Math.floor(Math.random() * this.communityProjects.length)].id : 
-                `project_${Math.floor(Math.random() * 100)}`;
+                this.communityProjects[Math.floor(this.random.next() * this.communityProjects.length)].id : 
+                `project_${Math.floor(this.random.next() * 100)}`;
         } else {
             return null;
         }
@@ -969,7 +1021,7 @@ class CitizenEngagementManager {
             case 'survey':
                 return 'medium';
             case 'announcement':
-                return Math.random() > 0.7 ? 'high' : 'medium'; // 30% chance of high priority
+                return this.random.next() > 0.7 ? 'high' : 'medium'; // 30% chance of high priority
             default:
                 return 'low';
         }
@@ -981,6 +1033,9 @@ class CitizenEngagementManager {
      * @returns {Array} - Array of issue objects
      */
     getAllReportedIssues(filters = {}) {
+        // Tag each issue with its neighborhood
+        this.reportedIssues.forEach(issue => assignNeighborhood(issue.location));
+        
         let filteredIssues = [...this.reportedIssues];
         
         // Apply type filter
@@ -998,6 +1053,11 @@ class CitizenEngagementManager {
             filteredIssues = filteredIssues.filter(issue => issue.priority === filters.priority);
         }
         
+        // Apply neighborhood filter
+        if (filters.neighborhood) {
+            filteredIssues = filteredIssues.filter(issue => issue.location.neighborhood === filters.neighborhood);
+        }
+        
         // Apply time range filter
         if (filters.timeRange) {
             const now = new Date();
@@ -1421,12 +1481,26 @@ class CitizenEngagementManager {
 // Create a global instance of the Citizen Engagement Manager
 const citizenManager = new CitizenEngagementManager();
 
+// Initialize the citizen engagement module when the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initCitizenEngagement();
+});
+
 /**
  * Initialize the citizen engagement module
  */
-function initCitizenEngagement() {
+async function initCitizenEngagement() {
     // Initialize the citizen engagement manager
-    citizenManager.initialize();
+    try {
+        await citizenManager.initialize();
+    } catch (error) {
+        console.error('Failed to initialize citizen data:', error);
+        showNotification('Citizen data unavailable', 'Citizen data could not be loaded', 'error');
+        return;
+    }
+    
+    // Show the reported issues on the section map
+    mapRegistry.registerMap('citizen', 'citizen-map', { layers: ['issues'] });
     
     // Set up event listeners
     setupCitizenEventListeners();
@@ -1434,6 +1508,15 @@ function initCitizenEngagement() {
     // Load initial data
     loadCitizenData();
     
+    // Refresh when live citizen updates arrive
+    liveFeedManager.subscribe('citizen', feed => {
+        citizenManager.applyFeedUpdate(feed);
+        loadCitizenData();
+    });
+    
+    // Record reported issues for viewing past dates
+    historyManager.register('citizen', citizenManager, loadCitizenData);
+    
     console.log('Citizen Engagement Module initialized');
 }
 
@@ -1466,18 +1549,28 @@ function setupCitizenEventListeners() {
     });
     
     // Issue filters
-    document.getElementById('issue-type-filter').addEventListener('change', filterIssues);
-    document.getElementById('issue-status-filter').addEventListener('change', filterIssues);
-    document.getElementById('issue-time-filter').addEventListener('change', filterIssues);
+    ['issue-type-filter', 'issue-status-filter', 'issue-time-filter', 'issue-neighborhood-filter'].forEach(id => {
+        const filter = document.getElementById(id);
+        if (filter) {
+            filter.addEventListener('change', filterIssues);
+        }
+    });
     
     // Project filters
-    document.getElementById('project-type-filter').addEventListener('change', filterProjects);
-    document.getElementById('project-status-filter').addEventListener('change', filterProjects);
+    ['project-type-filter', 'project-status-filter'].forEach(id => {
+        const filter = document.getElementById(id);
+        if (filter) {
+            filter.addEventListener('change', filterProjects);
+        }
+    });
     
     // Report issue button
-    document.getElementById('report-issue-btn').addEventListener('click', () => {
-        document.getElementById('report-issue-modal').classList.add('active');
-    });
+    const reportIssueBtn = document.getElementById('report-issue-btn');
+    if (reportIssueBtn) {
+        reportIssueBtn.addEventListener('click', () => {
+            document.getElementById('report-issue-modal').classList.add('active');
+        });
+    }
     
     // Close modal buttons
     document.querySelectorAll('.modal-close').forEach(button => {
@@ -1489,24 +1582,36 @@ function setupCitizenEventListeners() {
     });
     
     // Submit issue form
-    document.getElementById('issue-form').addEventListener('submit', (e) => {
-        e.preventDefault();
-        submitIssueReport();
-    });
+    const issueForm = document.getElementById('issue-form');
+    if (issueForm) {
+        issueForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submitIssueReport();
+        });
+    }
     
     // Submit project form
-    document.getElementById('project-form').addEventListener('submit', (e) => {
-        e.preventDefault();
-        submitProjectProposal();
-    });
+    const projectForm = document.getElementById('project-form');
+    if (projectForm) {
+        projectForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submitProjectProposal();
+        });
+    }
     
     // Propose project button
-    document.getElementById('propose-project-btn').addEventListener('click', () => {
-        document.getElementById('propose-project-modal').classList.add('active');
-    });
+    const proposeProjectBtn = document.getElementById('propose-project-btn');
+    if (proposeProjectBtn) {
+        proposeProjectBtn.addEventListener('click', () => {
+            document.getElementById('propose-project-modal').classList.add('active');
+        });
+    }
     
     // Notification mark all as read button
-    document.getElementById('mark-all-read-btn').addEventListener('click', markAllNotificationsAsRead);
+    const markAllReadBtn = document.getElementById('mark-all-read-btn');
+    if (markAllReadBtn) {
+        markAllReadBtn.addEventListener('click', markAllNotificationsAsRead);
+    }
 }
 
 /**
@@ -1524,6 +1629,9 @@ function loadCitizenData() {
     
     // Update notification badge
     updateNotificationBadge();
+    
+    // Redraw the issues on the maps showing them
+    mapRegistry.refreshLayer('issues');
 }
 
 /**
@@ -1537,12 +1645,14 @@ function updateIssuesList() {
     const typeFilter = document.getElementById('issue-type-filter').value;
     const statusFilter = document.getElementById('issue-status-filter').value;
     const timeFilter = document.getElementById('issue-time-filter').value;
+    const neighborhoodFilter = document.getElementById('issue-neighborhood-filter');
     
     // Create filters object
     const filters = {};
     if (typeFilter !== 'all') filters.type = typeFilter;
     if (statusFilter !== 'all') filters.status = statusFilter;
     if (timeFilter !== 'all') filters.timeRange = timeFilter;
+    if (neighborhoodFilter && neighborhoodFilter.value !== 'all') filters.neighborhood = neighborhoodFilter.value;
     
     // Get filtered issues
     const issues = citizenManager.getAllReportedIssues(filters);
@@ -1559,6 +1669,9 @@ function updateIssuesList() {
             issuesList.appendChild(issueCard);
         });
     }
+    
+    // Show the filtered issues on the maps
+    mapRegistry.setLayerData('issues', issues);
 }
 
 /**
@@ -1590,7 +1703,7 @@ function createIssueCard(issue) {
         </div>
         <div class="issue-details">
             <div class="issue-location">
-                <i class="fas fa-map-marker-alt"></i> ${issue.location.address}
+                <i class="fas fa-map-marker-alt"></i> ${issue.location.address}${issue.location.neighborhood ? `, ${issue.location.neighborhood}` : ''}
             </div>
             <div class="issue-date">
                 <i class="far fa-calendar-alt"></i> ${formattedDate}
@@ -1847,9 +1960,7 @@ function showIssueDetails(issueId) {
     if (window.L && issue.location.lat && issue.location.lng) {
         setTimeout(() => {
             const map = L.map('issue-detail-map').setView([issue.location.lat, issue.location.lng], 15);
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '&copy; OpenStreetMap contributors'
-            }).addTo(map);
+            window.basemapManager.createLayer().addTo(map);
             
             L.marker([issue.location.lat, issue.location.lng])
                 .addTo(map)
@@ -2301,9 +2412,7 @@ function showProjectDetails(projectId) {
     if (window.L && project.location.lat && project.location.lng) {
         setTimeout(() => {
             const map = L.map('project-detail-map').setView([project.location.lat, project.location.lng], 15);
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '&copy; OpenStreetMap contributors'
-            }).addTo(map);
+            window.basemapManager.createLayer().addTo(map);
             
             L.marker([project.location.lat, project.location.lng])
                 .addTo(map)
@@ -2559,6 +2668,9 @@ function showNotification(title, message, type = 'info') {
     }, 10);
 }
 
+// Expose the manager to the non-module scripts
+window.citizenManager = citizenManager;
+
 // Export functions for module use
 export {
     initCitizenEngagement,
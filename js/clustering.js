@@ -0,0 +1,229 @@
+/**
+ * Smart City Data Analytics Dashboard - Clustering Module
+ * This file contains the zoom-aware marker clustering used by the dense
+ * map layers: nearby markers are grouped on a pixel grid at the current
+ * zoom level, clusters show their count colored by the worst severity
+ * inside, and clicking a cluster spreads its markers around it (spiderfy)
+ */
+
+// Severity (or priority) levels, from least to most severe
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Get the display color of a severity or priority level
+ * @param {string} level - Severity level (low, medium, high, critical)
+ * @returns {string} - Color code
+ */
+function getSeverityColor(level) {
+    switch (level) {
+        case 'low': return '#008000';  // Green
+        case 'medium': return '#ffa500';  // Orange
+        case 'high': return '#ff0000';  // Red
+        case 'critical': return '#7e0023';  // Maroon
+        default: return '#808080';  // Gray
+    }
+}
+
+// Marker Clusterer class; renders a set of markers into a layer group, clustered or not
+class MarkerClusterer {
+    /**
+     * @param {L.Map} map - Map the markers are shown on
+     * @param {L.LayerGroup} layerGroup - Layer group the markers and clusters are drawn into
+     * @param {Object} options - { pane, radius (cluster cell size in pixels), maxSpiderfy, enabled }
+     */
+    constructor(map, layerGroup, options = {}) {
+        this.map = map;
+        this.layerGroup = layerGroup;
+        this.pane = options.pane;
+        this.radius = options.radius || 60;
+        this.maxSpiderfy = options.maxSpiderfy || 30;
+        this.enabled = options.enabled !== false;
+        this.items = [];
+        this.group = L.layerGroup();
+        this.spiderfied = null;
+
+        // Clusters depend on the zoom level; an open spider closes when the map is clicked
+        this.onZoomEnd = () => this.redraw();
+        this.onMapClick = () => {
+            if (this.spiderfied) this.redraw();
+        };
+        this.map.on('zoomend', this.onZoomEnd);
+        this.map.on('click', this.onMapClick);
+    }
+
+    /**
+     * Stop following the map and remove the markers
+     */
+    remove() {
+        this.map.off('zoomend', this.onZoomEnd);
+        this.map.off('click', this.onMapClick);
+        this.group.clearLayers();
+        this.layerGroup.removeLayer(this.group);
+        this.items = [];
+    }
+
+    /**
+     * Set the markers to show
+     * @param {Array} items - [{ marker, latlng: [lat, lng], severity }]
+     */
+    setItems(items) {
+        this.items = items;
+        this.redraw();
+    }
+
+    /**
+     * Turn clustering on or off
+     * @param {boolean} enabled - Whether markers are clustered
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.redraw();
+    }
+
+    /**
+     * Draw the markers, clustered at the current zoom level when enabled
+     */
+    redraw() {
+        this.spiderfied = null;
+        this.group.clearLayers();
+
+        // The parent layer group is cleared whenever its layer is reloaded
+        if (!this.layerGroup.hasLayer(this.group)) {
+            this.layerGroup.addLayer(this.group);
+        }
+
+        this.items.forEach(item => item.marker.setLatLng(item.latlng));
+
+        if (!this.enabled) {
+            this.items.forEach(item => this.group.addLayer(item.marker));
+            return;
+        }
+
+        this.cluster(this.map.getZoom()).forEach(cluster => {
+            if (cluster.items.length === 1) {
+                this.group.addLayer(cluster.items[0].marker);
+            } else {
+                this.group.addLayer(this.createClusterMarker(cluster));
+            }
+        });
+    }
+
+    /**
+     * Group the markers that fall in the same grid cell at a zoom level
+     * @param {number} zoom - Zoom level
+     * @returns {Array} - Clusters ({ items, latlng, severity })
+     */
+    cluster(zoom) {
+        const cells = new Map();
+
+        this.items.forEach(item => {
+            const point = this.map.project(item.latlng, zoom);
+            const key = `${Math.floor(point.x / this.radius)}:${Math.floor(point.y / this.radius)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(item);
+        });
+
+        return Array.from(cells.values()).map(items => ({
+            items: items,
+            latlng: [
+                items.reduce((sum, item) => sum + item.latlng[0], 0) / items.length,
+                items.reduce((sum, item) => sum + item.latlng[1], 0) / items.length
+            ],
+            severity: items.reduce((worst, item) =>
+                (SEVERITY_LEVELS.indexOf(item.severity) > SEVERITY_LEVELS.indexOf(worst) ? item.severity : worst), null)
+        }));
+    }
+
+    /**
+     * Create the marker of a cluster: its count, colored by the worst severity inside
+     * @param {Object} cluster - Cluster
+     * @returns {L.Marker} - Cluster marker
+     */
+    createClusterMarker(cluster) {
+        const count = cluster.items.length;
+        const size = count < 10 ? 30 : (count < 100 ? 38 : 46);
+        const color = getSeverityColor(cluster.severity);
+
+        const icon = L.divIcon({
+            className: 'marker-cluster-icon',
+            html: `<div class="marker-cluster" style="background-color: ${color}; width: ${size}px; height: ${size}px;"><span>${count}</span></div>`,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2]
+        });
+
+        const options = { icon: icon, title: `${count} markers (click to expand)` };
+        if (this.pane) options.pane = this.pane;
+
+        // Keep the cluster on its marker so exports can list the markers inside
+        const marker = L.marker(cluster.latlng, options);
+        marker.cluster = cluster;
+        marker.on('click', event => {
+            L.DomEvent.stopPropagation(event);
+            this.expand(cluster, marker);
+        });
+        return marker;
+    }
+
+    /**
+     * Expand a cluster: spread small clusters around their center, zoom into large ones
+     * @param {Object} cluster - Cluster
+     * @param {L.Marker} clusterMarker - Marker of the cluster
+     */
+    expand(cluster, clusterMarker) {
+        if (cluster.items.length > this.maxSpiderfy && this.map.getZoom() < this.map.getMaxZoom()) {
+            this.map.fitBounds(L.latLngBounds(cluster.items.map(item => item.latlng)), { padding: [40, 40] });
+            return;
+        }
+
+        // Close a spider that is already open
+        if (this.spiderfied) {
+            this.redraw();
+        }
+        this.spiderfy(cluster, clusterMarker);
+    }
+
+    /**
+     * Place the markers of a cluster on a circle (a spiral for many markers) around it,
+     * with a leg to the cluster center
+     * @param {Object} cluster - Cluster
+     * @param {L.Marker} clusterMarker - Marker of the cluster, hidden while spiderfied
+     */
+    spiderfy(cluster, clusterMarker) {
+        const zoom = this.map.getZoom();
+        const center = this.map.project(cluster.latlng, zoom);
+        const count = cluster.items.length;
+
+        this.group.removeLayer(clusterMarker);
+        this.spiderfied = cluster;
+
+        cluster.items.forEach((item, index) => {
+            let angle;
+            let distance;
+            if (count <= 8) {
+                angle = (2 * Math.PI * index) / count;
+                distance = 40;
+            } else {
+                // Archimedean spiral keeps a roughly constant spacing between markers
+                angle = 0.9 * Math.sqrt(index + 1) * Math.PI;
+                distance = 25 + 9 * Math.sqrt(index + 1) * 2;
+            }
+
+            const position = this.map.unproject(
+                center.add(L.point(Math.cos(angle) * distance, Math.sin(angle) * distance)),
+                zoom
+            );
+
+            const legOptions = { color: '#555', weight: 1.5, opacity: 0.7, interactive: false };
+            if (this.pane) legOptions.pane = this.pane;
+            this.group.addLayer(L.polyline([cluster.latlng, position], legOptions));
+
+            item.marker.setLatLng(position);
+            this.group.addLayer(item.marker);
+        });
+    }
+}
+
+// Export for use in other modules
+window.SEVERITY_LEVELS = SEVERITY_LEVELS;
+window.getSeverityColor = getSeverityColor;
+window.MarkerClusterer = MarkerClusterer;
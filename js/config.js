@@ -0,0 +1,133 @@
+/**
+ * Smart City Data Analytics Dashboard - Configuration
+ * This file contains the runtime configuration shared by all modules
+ */
+
+// Default configuration values
+const defaultAppConfig = {
+    dataSource: {
+        // 'files' loads the data/*.json feeds, 'sample' uses the built-in generators
+        mode: 'files',
+        // Directory (or URL prefix) the domain feeds are loaded from
+        baseUrl: 'data',
+        // Per-domain URL overrides, e.g. { traffic: 'https://example.org/traffic.json' }
+        urls: {},
+        // Use the generators when a feed cannot be loaded (off unless explicitly enabled)
+        fallbackToSample: false
+    },
+    dataValidation: {
+        // Validate every feed against data/schemas before it is used
+        enabled: true,
+        // Directory (or URL prefix) the <domain>.schema.json files are loaded from
+        schemaBaseUrl: 'data/schemas',
+        // Optional city bounds [[south, west], [north, east]]; coordinates outside are rejected
+        bounds: null
+    },
+    liveFeeds: {
+        // Base URL of a live feed server (e.g. scripts/mock-feed-server.js); enables every domain
+        baseUrl: null,
+        // Default adapter type: 'poll' (HTTP with ETag/If-Modified-Since), 'websocket' or 'sse'
+        type: 'poll',
+        // Polling interval in milliseconds
+        interval: 30000,
+        // Per-domain adapters, e.g. { emergency: { type: 'websocket', url: 'wss://example.org/emergency' } }
+        feeds: {}
+    },
+    gtfs: {
+        // URL of a GTFS static zip; when set, the transit network is imported from it
+        staticUrl: null,
+        // GTFS-Realtime feed URLs (vehicle positions, trip updates and/or alerts)
+        realtimeUrls: [],
+        // Realtime polling interval in milliseconds
+        realtimeInterval: 30000
+    },
+    history: {
+        // Record snapshots of every module in IndexedDB for viewing past dates
+        enabled: true,
+        // Recording interval in milliseconds
+        interval: 300000,
+        // Snapshots older than this many days are deleted (null keeps everything)
+        retentionDays: 30
+    },
+    basemaps: {
+        // Basemap shown on load: street, light, dark, satellite, local, package or blank
+        // (null picks the package, then the local tiles, then street)
+        default: null,
+        // URL template of tiles served alongside the app, e.g. 'tiles/{z}/{x}/{y}.png'
+        tileUrl: null,
+        // URL of an offline .mbtiles or .pmtiles tile package
+        packageUrl: null
+    },
+    traffic: {
+        // Give public holidays the Sunday traffic profile
+        holidays: true,
+        // Holidays and special events added to the feed's calendar, e.g.
+        // { date: '2024-06-08', name: 'Street fair', start: '10:00', end: '18:00', factor: 1.4, segments: ['segment_002'] }
+        calendar: [],
+        // Congestion factor by month ({ July: 0.9, ... } or 12 values), replacing the feed's
+        seasonalFactors: null
+    },
+    // Seed for the sample-data generators; null picks a random seed on each load
+    seed: null
+};
+
+/**
+ * Build the application configuration
+ * Values are taken from the defaults, then window.SMART_CITY_CONFIG, then URL parameters
+ * @returns {Object} - Merged configuration
+ */
+function loadAppConfig() {
+    const overrides = window.SMART_CITY_CONFIG || {};
+    const config = {
+        dataSource: Object.assign({}, defaultAppConfig.dataSource, overrides.dataSource),
+        dataValidation: Object.assign({}, defaultAppConfig.dataValidation, overrides.dataValidation),
+        liveFeeds: Object.assign({}, defaultAppConfig.liveFeeds, overrides.liveFeeds),
+        gtfs: Object.assign({}, defaultAppConfig.gtfs, overrides.gtfs),
+        history: Object.assign({}, defaultAppConfig.history, overrides.history),
+        basemaps: Object.assign({}, defaultAppConfig.basemaps, overrides.basemaps),
+        traffic: Object.assign({}, defaultAppConfig.traffic, overrides.traffic),
+        seed: overrides.seed !== undefined ? overrides.seed : defaultAppConfig.seed
+    };
+
+    // URL parameters take precedence so a link can reproduce a given setup
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('data')) {
+        config.dataSource.mode = params.get('data') === 'sample' ? 'sample' : 'files';
+    }
+    if (params.has('fallback')) {
+        config.dataSource.fallbackToSample = params.get('fallback') === 'true';
+    }
+    if (params.has('live')) {
+        // An empty value means the page is served by the live feed server itself
+        config.liveFeeds.baseUrl = params.get('live') || window.location.origin;
+    }
+    if (params.has('liveType')) {
+        config.liveFeeds.type = params.get('liveType');
+    }
+    if (params.has('gtfs')) {
+        config.gtfs.staticUrl = params.get('gtfs');
+    }
+    if (params.has('gtfsRealtime')) {
+        config.gtfs.realtimeUrls = params.getAll('gtfsRealtime');
+    }
+    if (params.has('basemap')) {
+        config.basemaps.default = params.get('basemap');
+    }
+    if (params.has('tiles')) {
+        config.basemaps.tileUrl = params.get('tiles');
+    }
+    if (params.has('tilePackage')) {
+        config.basemaps.packageUrl = params.get('tilePackage');
+    }
+    if (params.has('seed')) {
+        config.seed = params.get('seed');
+    }
+
+    return config;
+}
+
+// Create the global configuration
+const appConfig = loadAppConfig();
+
+// Export for use in other modules
+window.appConfig = appConfig;
@@ -0,0 +1,840 @@
+/**
+ * Smart City Data Analytics Dashboard - Data Source Module
+ * This file contains the data-source layer that loads the domain feeds
+ * (data/*.json or any URL with the same schema) and maps them into the
+ * shapes expected by each module's manager
+ */
+
+// Root key of each domain feed
+const FEED_ROOT_KEYS = {
+    traffic: 'trafficData',
+    environment: 'environmentalData',
+    transportation: 'transportationData',
+    emergency: 'emergencyData',
+    citizen: 'citizenData',
+    demographics: 'demographicsData'
+};
+
+// Domains whose feeds rarely change; live feeds only follow them when configured explicitly
+const STATIC_FEED_DOMAINS = ['demographics'];
+
+// Data Source class for loading and normalizing domain feeds
+class DataSource {
+    /**
+     * @param {Object} options - Data source options (see appConfig.dataSource)
+     * @param {DataValidator} validator - Validator applied to each feed before mapping
+     */
+    constructor(options = {}, validator = null) {
+        this.mode = options.mode || 'files';
+        this.baseUrl = options.baseUrl || 'data';
+        this.urls = options.urls || {};
+        this.fallbackToSample = options.fallbackToSample === true;
+        this.validator = validator;
+        this.feeds = new Map();
+    }
+
+    /**
+     * Check whether the sample generators should be used instead of the feeds
+     * @returns {boolean} - True in sample mode
+     */
+    usesSampleData() {
+        return this.mode === 'sample';
+    }
+
+    /**
+     * Get the URL of a domain feed
+     * @param {string} domain - Domain name (traffic, environment, transportation, emergency, citizen, demographics)
+     * @returns {string} - Feed URL
+     */
+    getFeedUrl(domain) {
+        return this.urls[domain] || `${this.baseUrl}/${domain}.json`;
+    }
+
+    /**
+     * Fetch the raw contents of a domain feed (cached per domain)
+     * @param {string} domain - Domain name
+     * @returns {Promise<Object>} - Raw feed data below the root key
+     */
+    fetchFeed(domain) {
+        if (!this.feeds.has(domain)) {
+            const url = this.getFeedUrl(domain);
+            const request = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load ${domain} feed from ${url}: HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(json => json[FEED_ROOT_KEYS[domain]] || json);
+
+            // Do not cache failures so a later call can retry
+            request.catch(() => this.feeds.delete(domain));
+            this.feeds.set(domain, request);
+        }
+
+        return this.feeds.get(domain);
+    }
+
+    /**
+     * Load a domain feed and map it into the manager's shapes
+     * Resolves to null when the caller should use its sample generators instead
+     * (sample mode, or a failed load with fallbackToSample enabled)
+     * @param {string} domain - Domain name
+     * @returns {Promise<Object|null>} - Mapped domain data
+     */
+    async load(domain) {
+        if (this.usesSampleData()) return null;
+
+        try {
+            const raw = await this.fetchFeed(domain);
+            return await this.prepareFeed(domain, raw);
+        } catch (error) {
+            if (this.fallbackToSample) {
+                console.warn(`Using sample ${domain} data:`, error.message);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Validate a raw domain feed and map it into the manager's shapes
+     * Used both for the initial load and for live feed updates
+     * @param {string} domain - Domain name
+     * @param {Object} raw - Raw feed data, with or without the root key
+     * @returns {Promise<Object>} - Mapped domain data
+     */
+    async prepareFeed(domain, raw) {
+        const rootKey = FEED_ROOT_KEYS[domain];
+        let data = raw && raw[rootKey] ? raw[rootKey] : raw;
+
+        if (this.validator) {
+            data = await this.validator.validateFeed(domain, data, rootKey);
+        }
+
+        return this.mapFeed(domain, data);
+    }
+
+    /**
+     * Map a raw domain feed into the manager's shapes
+     * @param {string} domain - Domain name
+     * @param {Object} raw - Raw feed data
+     * @returns {Object} - Mapped domain data
+     */
+    mapFeed(domain, raw) {
+        switch (domain) {
+            case 'traffic': return this.mapTrafficFeed(raw);
+            case 'environment': return this.mapEnvironmentFeed(raw);
+            case 'transportation': return this.mapTransportationFeed(raw);
+            case 'emergency': return this.mapEmergencyFeed(raw);
+            case 'citizen': return this.mapCitizenFeed(raw);
+            case 'demographics': return this.mapDemographicsFeed(raw);
+            default: throw new Error(`Unknown data domain: ${domain}`);
+        }
+    }
+
+    /**
+     * Map the traffic feed
+     * Road segments become the predictor's routes, keyed by segment ID
+     * @param {Object} raw - Raw traffic feed
+     * @returns {Object} - { segments, historical (profile observations by segment), realTime,
+     *   calendar, seasonalFactors, signals }
+     */
+    mapTrafficFeed(raw) {
+        const segments = (raw.currentConditions || []).map(segment => ({
+            id: segment.id,
+            startPoint: this.toLatLng(segment.startPoint),
+            endPoint: this.toLatLng(segment.endPoint),
+            speedLimit: segment.speedLimit,
+            currentSpeed: segment.currentSpeed,
+            congestion: this.speedToCongestion(segment.currentSpeed, segment.speedLimit),
+            congestionLevel: segment.congestionLevel,
+            timestamp: segment.timestamp
+        }));
+
+        // Historical speeds become congestion observations of each segment's time-of-week profile
+        const speedLimits = {};
+        segments.forEach(segment => {
+            speedLimits[segment.id] = segment.speedLimit;
+        });
+
+        const historical = {};
+        const realTime = {};
+        segments.forEach(segment => {
+            historical[segment.id] = [];
+        });
+
+        (raw.historicalPatterns || []).forEach(pattern => {
+            const day = PROFILE_DAY_NAMES.indexOf(pattern.dayOfWeek);
+            const [start, end] = pattern.timeSlot.split('-').map(parseClockMinutes);
+
+            Object.entries(pattern.averageSpeeds || {}).forEach(([segmentId, speed]) => {
+                if (!historical[segmentId]) return;
+                historical[segmentId].push({
+                    day: day,
+                    start: start,
+                    // A slot ending at 00:00 runs to midnight
+                    end: end > start ? end : 24 * 60,
+                    congestion: this.speedToCongestion(speed, speedLimits[segmentId])
+                });
+            });
+        });
+
+        segments.forEach(segment => {
+            realTime[segment.id] = {
+                congestion: [segment.congestion],
+                speed: [segment.currentSpeed],
+                incidents: [],
+                lastUpdated: segment.timestamp
+            };
+        });
+
+        // Attach incidents to every segment they affect
+        (raw.incidents || []).forEach(incident => {
+            (incident.affectedSegments || []).forEach(segmentId => {
+                if (!realTime[segmentId]) return;
+                realTime[segmentId].incidents.push({
+                    id: incident.id,
+                    type: incident.type,
+                    location: this.toLatLng(incident.location),
+                    description: incident.description,
+                    severity: this.severityToLevel(incident.severity),
+                    timestamp: incident.reportTime,
+                    estimatedClearTime: incident.estimatedClearTime
+                });
+            });
+        });
+
+        // Signalized intersections (see signalTiming.js); volumes left out are estimated from congestion
+        const signals = (raw.signals || []).map(signal => ({
+            id: signal.id,
+            name: signal.name,
+            location: this.toLatLng(signal.location),
+            cycleLength: signal.cycleLength,
+            approaches: signal.approaches.map(approach => ({
+                id: approach.id,
+                name: approach.name,
+                segmentId: approach.segmentId,
+                lanes: approach.lanes,
+                volume: typeof approach.volume === 'number' ? approach.volume : null
+            })),
+            phases: signal.phases.map(phase => ({
+                name: phase.name,
+                green: phase.green,
+                lostTime: typeof phase.lostTime === 'number' ? phase.lostTime : SIGNAL_DEFAULT_LOST_TIME,
+                approaches: phase.approaches
+            }))
+        }));
+
+        return {
+            segments,
+            historical,
+            realTime,
+            calendar: raw.calendar || [],
+            seasonalFactors: raw.seasonalFactors || null,
+            signals
+        };
+    }
+
+    /**
+     * Map the environment feed
+     * @param {Object} raw - Raw environment feed
+     * @returns {Object} - { sensors, pollutionSources, weather }
+     */
+    mapEnvironmentFeed(raw) {
+        const sensors = (raw.sensors || []).map(sensor => {
+            const location = this.toLatLng(sensor.location);
+            const readings = Object.assign({}, sensor.readings);
+
+            // The AQI reading carries no timestamp of its own; use the latest pollutant reading
+            const timestamps = Object.values(readings)
+                .map(reading => reading.timestamp)
+                .filter(Boolean)
+                .sort();
+            const lastUpdated = timestamps[timestamps.length - 1] || null;
+
+            if (readings.aqi) {
+                readings.aqi = Object.assign({ timestamp: lastUpdated }, readings.aqi);
+            }
+
+            return {
+                id: sensor.id,
+                location: {
+                    lat: location.lat,
+                    lng: location.lng,
+                    name: sensor.name || location.name || `Sensor ${sensor.id.split('_').pop()}`
+                },
+                type: sensor.type,
+                readings: readings,
+                lastUpdated: lastUpdated
+            };
+        });
+
+        const pollutionSources = (raw.pollutionSources || []).map(source => {
+            const emissions = source.emissions || {};
+            const peakEmission = Math.max(0, ...Object.values(emissions));
+
+            return Object.assign({}, source, {
+                location: this.toLatLng(source.location),
+                pollutants: source.pollutants || Object.keys(emissions),
+                emissionLevel: source.emissionLevel ||
+                    (peakEmission >= 100 ? 'high' : (peakEmission >= 50 ? 'medium' : 'low'))
+            });
+        });
+
+        // The daily weather of the forecasts: { date, temperature, humidity, windSpeed, windDirection, precipitation }
+        const weather = (raw.forecasts || [])
+            .filter(forecast => forecast.weatherFactors)
+            .map(forecast => Object.assign({ date: forecast.date }, forecast.weatherFactors));
+
+        return { sensors, pollutionSources, weather };
+    }
+
+    /**
+     * Map the transportation feed
+     * @param {Object} raw - Raw transportation feed
+     * @returns {Object} - { stops, routes, vehicles, schedules, delays, serviceAlerts, crowdLevels }
+     */
+    mapTransportationFeed(raw) {
+        const stops = (raw.stops || []).map(stop => {
+            const features = stop.accessibility || [];
+            return {
+                id: stop.id,
+                name: stop.name,
+                location: this.toLatLng(stop.location),
+                type: stop.type,
+                routes: stop.routes || [],
+                accessibility: {
+                    wheelchair: features.includes('wheelchair'),
+                    elevator: features.includes('elevator'),
+                    ramp: features.includes('ramp'),
+                    tactilePaving: features.includes('tactile_paving')
+                },
+                amenities: stop.amenities || [],
+                // Distances are filled in by the transportation manager
+                connections: (stop.connections || []).map(stopId => ({ stopId: stopId }))
+            };
+        });
+
+        const routes = (raw.routes || []).map(route => ({
+            id: route.id,
+            name: route.name,
+            type: route.type,
+            stops: route.stops || [],
+            frequency: typeof route.frequency === 'object' ?
+                route.frequency :
+                { peak: route.frequency, offPeak: route.frequency },
+            operatingHours: route.operatingHours || {
+                weekday: { start: route.startTime, end: route.endTime },
+                weekend: { start: route.startTime, end: route.endTime }
+            },
+            averageRidership: route.averageRidership,
+            status: route.status
+        }));
+
+        const vehicles = (raw.vehicles || []).map(vehicle => {
+            const route = routes.find(r => r.id === vehicle.route);
+            const position = this.toLatLng(vehicle.currentLocation);
+
+            // Vehicles between stops report only the next stop; derive the previous one from the route
+            let currentStop = vehicle.currentStop || null;
+            if (!currentStop && route && vehicle.nextStop) {
+                const nextIndex = route.stops.indexOf(vehicle.nextStop);
+                if (nextIndex > 0) currentStop = route.stops[nextIndex - 1];
+            }
+
+            return {
+                id: vehicle.id,
+                routeId: vehicle.route,
+                type: vehicle.type,
+                capacity: vehicle.capacity,
+                status: vehicle.status === 'out_of_service' ? 'out_of_service' : 'in_service',
+                location: {
+                    currentStop: currentStop,
+                    nextStop: vehicle.nextStop,
+                    progress: vehicle.status === 'at_stop' ? 0 : 0.5,
+                    lat: position ? position.lat : null,
+                    lng: position ? position.lng : null
+                },
+                speed: vehicle.currentSpeed,
+                heading: vehicle.heading,
+                accessibility: {
+                    wheelchair: vehicle.accessible === true,
+                    visualAnnouncements: vehicle.accessible === true,
+                    audioAnnouncements: vehicle.accessible === true
+                },
+                occupancy: vehicle.occupancy,
+                lastUpdated: vehicle.estimatedArrival || vehicle.estimatedDeparture || null
+            };
+        });
+
+        // Published timetables, per route and stop; routes without trips are scheduled from their frequency
+        const schedules = {};
+        (raw.schedules || []).forEach(schedule => {
+            const departuresByStop = {};
+            (schedule.trips || []).forEach(trip => {
+                (trip.stopTimes || []).forEach(stopTime => {
+                    const time = stopTime.departureTime || stopTime.arrivalTime;
+                    if (!time) return;
+                    departuresByStop[stopTime.stopId] = departuresByStop[stopTime.stopId] || [];
+                    departuresByStop[stopTime.stopId].push(time.substring(0, 5));
+                });
+            });
+
+            const daily = Object.entries(departuresByStop).map(([stopId, departures]) => ({
+                stopId: stopId,
+                departures: departures.sort()
+            }));
+            schedules[schedule.routeId] = { weekday: daily, weekend: daily };
+        });
+
+        // Vehicle delays feed the per-vehicle delay table, route disruptions become service alerts
+        const delays = {};
+        const serviceAlerts = [];
+        (raw.delays || []).forEach(delay => {
+            if (delay.vehicleId) {
+                delays[delay.vehicleId] = {
+                    minutes: delay.delayMinutes,
+                    reason: this.formatLabel(delay.reason),
+                    timestamp: delay.timestamp,
+                    affectedStops: delay.affectedStops || []
+                };
+            } else {
+                serviceAlerts.push({
+                    routeId: delay.routeId,
+                    reason: this.formatLabel(delay.reason),
+                    startTime: delay.startTime,
+                    endTime: delay.endTime,
+                    affectedStops: delay.affectedStops || [],
+                    alternatives: delay.alternativeRoutes || []
+                });
+            }
+        });
+        (raw.vehicles || []).forEach(vehicle => {
+            if (vehicle.delay && !delays[vehicle.id]) {
+                delays[vehicle.id] = {
+                    minutes: vehicle.delay,
+                    reason: 'Reported by vehicle',
+                    timestamp: vehicle.estimatedDeparture || vehicle.estimatedArrival || null
+                };
+            }
+        });
+
+        // Measured stop counts take precedence over the coarse per-stop level
+        const crowdLevels = {};
+        const levelMidpoints = { low: 15, medium: 50, moderate: 50, high: 80, very_high: 95 };
+        (raw.stops || []).forEach(stop => {
+            if (stop.crowdLevel && levelMidpoints[stop.crowdLevel] !== undefined) {
+                crowdLevels[stop.id] = {
+                    level: levelMidpoints[stop.crowdLevel],
+                    category: this.crowdCategory(levelMidpoints[stop.crowdLevel]),
+                    timestamp: null
+                };
+            }
+        });
+        (raw.crowdLevels || []).forEach(entry => {
+            if (!entry.stopId || !entry.capacity) return;
+            const level = Math.round((entry.count / entry.capacity) * 100);
+            crowdLevels[entry.stopId] = {
+                level: level,
+                category: this.crowdCategory(level),
+                timestamp: entry.timestamp
+            };
+        });
+
+        return { stops, routes, vehicles, schedules, delays, serviceAlerts, crowdLevels };
+    }
+
+    /**
+     * Map the emergency feed
+     * @param {Object} raw - Raw emergency feed
+     * @returns {Object} - { incidents, resources, evacuationRoutes, riskZones }
+     */
+    mapEmergencyFeed(raw) {
+        const incidents = (raw.incidents || []).map(incident => {
+            const location = this.toLatLng(incident.location);
+            return {
+                id: incident.id,
+                type: incident.type,
+                subtype: incident.subtype || 'general',
+                severity: this.severityToCategory(incident.severity),
+                status: incident.status,
+                location: {
+                    lat: location.lat,
+                    lng: location.lng,
+                    address: incident.address || location.address || ''
+                },
+                timestamp: incident.reportTime || incident.timestamp,
+                description: incident.description,
+                affectedArea: typeof incident.affectedArea === 'object' ?
+                    incident.affectedArea :
+                    { radius: incident.affectedArea || 0, impactLevel: null },
+                casualties: incident.casualties,
+                assignedResources: incident.assignedResources || [],
+                // The first update is the report itself, as in the generated data
+                updates: [{
+                    timestamp: incident.reportTime || incident.timestamp,
+                    status: 'reported',
+                    message: 'Incident reported to emergency services.'
+                }].concat((incident.updates || []).map(update => ({
+                    timestamp: update.timestamp,
+                    status: update.status || incident.status,
+                    message: update.content || update.message
+                }))),
+                estimatedResolutionTime: incident.estimatedResolutionTime || null,
+                resolutionTime: incident.resolutionTime || null
+            };
+        });
+
+        const resourceTypes = {
+            fire_engine: 'fire_truck',
+            fire_ladder: 'fire_truck',
+            utility_truck: 'utility_vehicle'
+        };
+        const resources = (raw.resources || []).map(resource => {
+            const location = this.toLatLng(resource.location);
+            return {
+                id: resource.id,
+                type: resourceTypes[resource.type] || resource.type,
+                name: resource.name,
+                status: resource.status === 'available' ? 'available' : 'busy',
+                location: {
+                    lat: location.lat,
+                    lng: location.lng,
+                    address: resource.address || resource.homeStation || ''
+                },
+                capabilities: resource.capabilities || [],
+                personnel: resource.personnel,
+                assignedIncidentId: resource.currentIncident || undefined,
+                homeStation: resource.homeStation,
+                lastUpdated: resource.lastMaintenance || null
+            };
+        });
+
+        const evacuationRoutes = (raw.evacuationRoutes || []).map((route, index) => ({
+            id: route.id,
+            name: route.name || `Evacuation Route ${String.fromCharCode(65 + index)}`,
+            type: route.type,
+            status: route.status || (route.safetyLevel === 'low' ? 'restricted' : 'open'),
+            incidentId: route.incidentId,
+            startPoint: Object.assign({ name: '' }, this.toLatLng(route.startPoint)),
+            endPoint: Object.assign({ name: '' }, this.toLatLng(route.endPoint)),
+            waypoints: (route.waypoints || []).map(point => this.toLatLng(point)),
+            estimatedTravelTime: route.estimatedTravelTime || route.estimatedTime,
+            safetyLevel: route.safetyLevel,
+            instructions: route.instructions,
+            lastUpdated: route.lastUpdated
+        }));
+
+        const riskLevels = { low: 2, medium: 3, high: 4, critical: 5 };
+        const riskZones = (raw.riskZones || []).map((zone, index) => {
+            const riskLevel = typeof zone.riskLevel === 'number' ? zone.riskLevel : (riskLevels[zone.riskLevel] || 1);
+            return {
+                id: zone.id,
+                type: zone.type,
+                name: zone.name || `${this.formatLabel(zone.type)} Risk Zone ${index + 1}`,
+                center: this.toLatLng(zone.center || zone.location),
+                radius: zone.radius,
+                riskLevel: riskLevel,
+                description: zone.description,
+                affectedPopulation: zone.affectedPopulation || 0,
+                evacuationRequired: zone.evacuationRequired !== undefined ? zone.evacuationRequired : riskLevel >= 4,
+                relatedIncident: zone.relatedIncident,
+                lastUpdated: zone.startTime
+            };
+        });
+
+        return { incidents, resources, evacuationRoutes, riskZones };
+    }
+
+    /**
+     * Map the citizen feed
+     * @param {Object} raw - Raw citizen feed
+     * @returns {Object} - { reportedIssues, communityProjects, userFeedback, notifications }
+     */
+    mapCitizenFeed(raw) {
+        const issueTypes = {
+            road_maintenance: 'pothole',
+            street_lighting: 'streetlight',
+            sanitation: 'trash',
+            vandalism: 'graffiti',
+            sidewalk: 'sidewalk',
+            water: 'water_leak',
+            traffic_signals: 'traffic_signal',
+            noise: 'noise'
+        };
+        const issueStatuses = { scheduled: 'under_review' };
+
+        const reportedIssues = (raw.reportedIssues || []).map(issue => {
+            const location = this.toLatLng(issue.location);
+            const status = issueStatuses[issue.status] || issue.status;
+            return {
+                id: issue.id,
+                type: issue.type || issueTypes[issue.category] || 'other',
+                category: issue.category,
+                title: issue.title,
+                description: issue.description,
+                status: status,
+                location: {
+                    lat: location.lat,
+                    lng: location.lng,
+                    address: issue.address || location.address || ''
+                },
+                reportedBy: this.toUser(issue.reportedBy),
+                reportedAt: issue.reportTime || issue.reportedAt,
+                votes: issue.upvotes !== undefined ? issue.upvotes : (issue.votes || 0),
+                images: issue.images || [],
+                updates: this.mapUpdates(issue.updates, issue.reportTime || issue.reportedAt, 'reported', 'Issue reported by citizen.'),
+                comments: issue.comments || [],
+                estimatedResolutionDate: issue.estimatedResolutionTime || issue.estimatedResolutionDate || null,
+                priority: issue.priority,
+                assignedDepartment: issue.assignedDepartment
+            };
+        });
+
+        const communityProjects = (raw.communityProjects || []).map(project => {
+            const location = this.toLatLng(project.location);
+            return {
+                id: project.id,
+                type: project.type || project.category,
+                title: project.title,
+                description: project.description,
+                status: project.status,
+                location: {
+                    lat: location.lat,
+                    lng: location.lng,
+                    address: project.address || location.address || ''
+                },
+                proposedBy: this.toUser(project.proposedBy),
+                managedBy: project.managedBy || null,
+                startDate: project.proposalTime || project.startDate,
+                endDate: project.estimatedCompletion || project.endDate || null,
+                budget: project.budget,
+                currentFunding: project.currentFunding,
+                votes: project.votes || 0,
+                images: project.images || [],
+                updates: this.mapUpdates(project.updates, project.proposalTime || project.startDate, 'proposed', 'Project proposed for community consideration.'),
+                comments: project.comments || [],
+                impact: project.impact || {}
+            };
+        });
+
+        const userFeedback = (raw.userFeedback || []).map(feedback => ({
+            id: feedback.id,
+            type: feedback.type || feedback.category,
+            itemId: feedback.itemId || null,
+            title: feedback.title,
+            user: this.toUser(feedback.submittedBy || feedback.user),
+            timestamp: feedback.submissionTime || feedback.timestamp,
+            rating: feedback.rating,
+            comment: feedback.description || feedback.comment,
+            status: feedback.status,
+            helpful: feedback.helpfulCount !== undefined ? feedback.helpfulCount : (feedback.helpful || 0)
+        }));
+
+        const notifications = (raw.notifications || []).map(notification => ({
+            id: notification.id,
+            type: notification.type,
+            timestamp: notification.timestamp,
+            title: notification.title,
+            message: notification.content || notification.message,
+            read: notification.read === true,
+            relatedItemId: notification.referenceId || notification.relatedItemId || null,
+            actionUrl: notification.actionUrl || null,
+            priority: notification.priority
+        }));
+
+        // Same ordering as the generated data
+        reportedIssues.sort((a, b) => b.votes - a.votes);
+        communityProjects.sort((a, b) => b.votes - a.votes);
+        userFeedback.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        notifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        return { reportedIssues, communityProjects, userFeedback, notifications };
+    }
+
+    /**
+     * Map the demographics feed, a GeoJSON FeatureCollection of neighborhood boundaries
+     * with census-style counts in their properties; age groups and car ownership become
+     * shares of the population and households, and density is derived from the area
+     * @param {Object} raw - Raw demographics feed
+     * @returns {Object} - { neighborhoods }
+     */
+    mapDemographicsFeed(raw) {
+        const neighborhoods = (raw.features || []).map((feature, index) => {
+            const properties = feature.properties || {};
+            const polygon = this.toOuterRing(feature.geometry);
+            const population = properties.population;
+            const area = properties.area_km2 || this.ringAreaKm2(polygon);
+            const share = (count, total) => (typeof count === 'number' && total > 0 ? count / total : null);
+
+            return {
+                id: feature.id !== undefined ? String(feature.id) : (properties.id || `neighborhood_${index + 1}`),
+                name: properties.name,
+                polygon: polygon,
+                population: population,
+                areaKm2: area,
+                density: area > 0 ? population / area : null,
+                medianIncome: typeof properties.median_income === 'number' ? properties.median_income : null,
+                ageUnder18: share(properties.age_under_18, population),
+                age18To64: share(properties.age_18_64, population),
+                age65Plus: share(properties.age_65_plus, population),
+                households: properties.households !== undefined ? properties.households : null,
+                carOwnership: share(properties.households_with_car, properties.households)
+            };
+        });
+
+        return { neighborhoods };
+    }
+
+    // Helper methods
+
+    /**
+     * Get the outer boundary of a GeoJSON polygon as [lat, lng] vertices
+     * Holes are left out, and a MultiPolygon is represented by its largest part
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+     * @returns {Array} - Closed ring of [lat, lng] vertices
+     */
+    toOuterRing(geometry) {
+        const parts = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        const rings = parts.map(part => part[0].map(([lng, lat]) => [lat, lng]));
+        return rings.reduce((largest, ring) => (this.ringAreaKm2(ring) > this.ringAreaKm2(largest) ? ring : largest));
+    }
+
+    /**
+     * Get the area enclosed by a ring (shoelace formula on a local equirectangular projection)
+     * @param {Array} ring - [lat, lng] vertices
+     * @returns {number} - Area in square kilometers
+     */
+    ringAreaKm2(ring) {
+        const kmPerDegree = 111.32;
+        const cosLat = Math.cos((ring.reduce((sum, vertex) => sum + vertex[0], 0) / ring.length) * Math.PI / 180);
+        let area = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const [lat1, lng1] = ring[i];
+            const [lat2, lng2] = ring[(i + 1) % ring.length];
+            area += (lng1 * cosLat * lat2 - lng2 * cosLat * lat1) * kmPerDegree * kmPerDegree;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    /**
+     * Convert a location in any feed format into a {lat, lng} object
+     * Accepts [lat, lng] arrays and {lat, lng} / {lat, lon} objects
+     * @param {Array|Object} location - Feed location
+     * @returns {Object|null} - Location object or null if missing
+     */
+    toLatLng(location) {
+        if (Array.isArray(location)) {
+            return { lat: location[0], lng: location[1] };
+        }
+        if (location && typeof location === 'object') {
+            return Object.assign({}, location, {
+                lat: location.lat,
+                lng: location.lng !== undefined ? location.lng : location.lon
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Convert a user reference into the user object used by the citizen module
+     * @param {string|Object} user - User ID or user object
+     * @returns {Object|null} - User object
+     */
+    toUser(user) {
+        if (!user) return null;
+        if (typeof user === 'object') return user;
+        return { id: user, name: user, avatar: null };
+    }
+
+    /**
+     * Map feed updates ({timestamp, content, updatedBy}) into status updates
+     * @param {Array} updates - Feed updates
+     * @param {string} createdAt - Creation timestamp of the item
+     * @param {string} initialStatus - Status of the initial update
+     * @param {string} initialMessage - Message of the initial update
+     * @returns {Array} - Array of update objects
+     */
+    mapUpdates(updates, createdAt, initialStatus, initialMessage) {
+        const mapped = [{
+            timestamp: createdAt,
+            status: initialStatus,
+            message: initialMessage,
+            updatedBy: 'system'
+        }];
+
+        (updates || []).forEach(update => {
+            mapped.push({
+                timestamp: update.timestamp,
+                status: update.status || null,
+                message: update.content || update.message,
+                updatedBy: update.updatedBy || 'admin'
+            });
+        });
+
+        return mapped;
+    }
+
+    /**
+     * Convert a speed into a congestion percentage
+     * @param {number} speed - Observed speed
+     * @param {number} speedLimit - Free-flow speed
+     * @returns {number} - Congestion (0-100)
+     */
+    speedToCongestion(speed, speedLimit) {
+        if (!speedLimit) return 0;
+        return Math.round(Math.max(0, Math.min(100, (1 - speed / speedLimit) * 100)));
+    }
+
+    /**
+     * Convert a textual severity into the traffic module's 1-5 scale
+     * @param {string|number} severity - Feed severity
+     * @returns {number} - Severity level (1-5)
+     */
+    severityToLevel(severity) {
+        if (typeof severity === 'number') return severity;
+        const levels = { minor: 1, low: 1, moderate: 2, medium: 2, significant: 3, major: 4, high: 4, severe: 4, critical: 5 };
+        return levels[severity] || 3;
+    }
+
+    /**
+     * Convert a textual severity into the emergency module's categories
+     * @param {string} severity - Feed severity
+     * @returns {string} - low, medium, high or critical
+     */
+    severityToCategory(severity) {
+        const categories = { minor: 'low', moderate: 'medium', major: 'high', severe: 'critical' };
+        return categories[severity] || severity;
+    }
+
+    /**
+     * Get the crowd category for a crowd percentage
+     * @param {number} level - Crowd level (0-100)
+     * @returns {string} - Crowd category
+     */
+    crowdCategory(level) {
+        if (level < 30) return 'low';
+        if (level < 70) return 'moderate';
+        if (level < 90) return 'high';
+        return 'very_high';
+    }
+
+    /**
+     * Turn a snake_case feed value into a label
+     * @param {string} value - Feed value
+     * @returns {string} - Label
+     */
+    formatLabel(value) {
+        if (!value) return '';
+        const label = value.replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+}
+
+// Create a global instance of the data source
+const dataSource = new DataSource(appConfig.dataSource, dataValidator);
+
+// Export for use in other modules
+window.DataSource = DataSource;
+window.dataSource = dataSource;
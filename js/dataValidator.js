@@ -0,0 +1,513 @@
+/**
+ * Smart City Data Analytics Dashboard - Data Validation Module
+ * This file validates the domain feeds against the JSON Schemas in
+ * data/schemas, drops records that would break the map or charts, and
+ * renders the resulting report in the Data Health panel
+ */
+
+// Issue kinds that cause a record to be rejected; anything else is only a warning
+const REJECTING_ISSUES = ['missing', 'coordinates', 'invalid'];
+
+// Data Validator class for schema validation and data-quality reports
+class DataValidator {
+    /**
+     * @param {Object} options - Validation options (see appConfig.dataValidation)
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.schemaBaseUrl = options.schemaBaseUrl || 'data/schemas';
+        this.bounds = options.bounds || null;
+        this.schemas = new Map();
+        this.reports = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Load the JSON Schema of a domain feed (cached per domain)
+     * @param {string} domain - Domain name
+     * @returns {Promise<Object>} - JSON Schema
+     */
+    loadSchema(domain) {
+        if (!this.schemas.has(domain)) {
+            const url = `${this.schemaBaseUrl}/${domain}.schema.json`;
+            const request = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${domain} schema from ${url}: HTTP ${response.status}`);
+                }
+                return response.json();
+            });
+
+            request.catch(() => this.schemas.delete(domain));
+            this.schemas.set(domain, request);
+        }
+
+        return this.schemas.get(domain);
+    }
+
+    /**
+     * Validate a raw domain feed
+     * Records with missing fields, invalid values or out-of-range coordinates
+     * are removed; stale timestamps are reported but the records are kept.
+     * Throws if the feed itself does not match the schema.
+     * @param {string} domain - Domain name
+     * @param {Object} raw - Raw feed data below the root key
+     * @param {string} rootKey - Root key of the feed in the schema
+     * @returns {Promise<Object>} - Feed data without the rejected records
+     */
+    async validateFeed(domain, raw, rootKey) {
+        const report = this.createReport(domain);
+
+        if (!this.enabled) {
+            report.status = 'skipped';
+            report.message = 'Validation is disabled';
+            this.setReport(report);
+            return raw;
+        }
+
+        let schema;
+        try {
+            schema = await this.loadSchema(domain);
+        } catch (error) {
+            console.warn(`Skipping ${domain} validation:`, error.message);
+            report.status = 'skipped';
+            report.message = error.message;
+            this.setReport(report);
+            return raw;
+        }
+
+        const feedSchema = this.resolve(schema.properties[rootKey], schema);
+        const data = Object.assign({}, raw);
+        const feedIssues = [];
+
+        // Validate each record of the top-level collections on its own so one
+        // bad record does not take down the rest of the feed
+        const collections = Object.entries(feedSchema.properties || {})
+            .filter(([, property]) => this.resolve(property, schema).type === 'array');
+
+        collections.forEach(([name, property]) => {
+            if (raw[name] === undefined) return;
+            if (!Array.isArray(raw[name])) {
+                feedIssues.push({ path: name, kind: 'invalid', message: 'must be an array' });
+                return;
+            }
+
+            const itemSchema = this.resolve(property, schema).items;
+            const summary = { total: raw[name].length, accepted: 0, rejected: 0 };
+
+            data[name] = raw[name].filter((record, index) => {
+                const issues = [];
+                this.validate(record, itemSchema, `${name}[${index}]`, schema, issues);
+
+                const recordId = (record && (record.id || record.segmentId || record.routeId || record.stopId || record.vehicleId)) || `#${index + 1}`;
+                const rejected = issues.some(issue => REJECTING_ISSUES.includes(issue.kind));
+
+                issues.forEach(issue => {
+                    report.issues.push(Object.assign({ collection: name, recordId, rejected }, issue));
+                });
+
+                if (rejected) {
+                    summary.rejected++;
+                    return false;
+                }
+                summary.accepted++;
+                return true;
+            });
+
+            report.collections[name] = summary;
+        });
+
+        // Validate the rest of the feed (required collections and non-collection fields)
+        const envelopeSchema = Object.assign({}, feedSchema, {
+            properties: Object.fromEntries(
+                Object.entries(feedSchema.properties || {})
+                    .filter(([name]) => !collections.some(([collection]) => collection === name))
+            )
+        });
+        this.validate(raw, envelopeSchema, '', schema, feedIssues);
+
+        const feedErrors = feedIssues.filter(issue => REJECTING_ISSUES.includes(issue.kind));
+        feedIssues.forEach(issue => report.issues.push(Object.assign({ collection: '', recordId: '', rejected: feedErrors.length > 0 }, issue)));
+
+        this.summarize(report);
+        this.setReport(report);
+
+        if (feedErrors.length > 0) {
+            throw new Error(`The ${domain} feed does not match its schema: ${feedErrors[0].path || 'feed'} ${feedErrors[0].message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Validate a value against a schema, collecting issues
+     * Supports the JSON Schema keywords used by data/schemas: $ref, type, enum,
+     * anyOf, required, properties, additionalProperties, items, minItems, maxItems,
+     * minimum, maximum, pattern and format (date-time, date, lat-lng), plus
+     * staleAfterMinutes for timestamps that should be recent
+     * @param {*} value - Value to validate
+     * @param {Object} schema - Schema for the value
+     * @param {string} path - Path of the value, used in issue messages
+     * @param {Object} rootSchema - Root schema for resolving $ref
+     * @param {Array} issues - Array the issues are appended to
+     */
+    validate(value, schema, path, rootSchema, issues) {
+        if (!schema) return;
+        schema = this.resolve(schema, rootSchema);
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            issues.push({ path, kind: 'invalid', message: `must be of type ${[].concat(schema.type).join(' or ')}` });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            issues.push({ path, kind: 'invalid', message: `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                issues.push({ path, kind: 'invalid', message: `must have at least ${schema.minItems} items` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                issues.push({ path, kind: 'invalid', message: `must have at most ${schema.maxItems} items` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validate(item, schema.items, `${path}[${index}]`, rootSchema, issues));
+            }
+        } else if (value !== null && typeof value === 'object') {
+            (schema.required || []).forEach(field => {
+                if (value[field] === undefined || value[field] === null || value[field] === '') {
+                    issues.push({ path: this.joinPath(path, field), kind: 'missing', message: 'is missing' });
+                }
+            });
+
+            Object.entries(value).forEach(([field, fieldValue]) => {
+                if (fieldValue === undefined) return;
+                const fieldSchema = schema.properties && schema.properties[field] ?
+                    schema.properties[field] :
+                    (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+                this.validate(fieldValue, fieldSchema, this.joinPath(path, field), rootSchema, issues);
+            });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                issues.push({ path, kind: 'invalid', message: `must be at least ${schema.minimum} (got ${value})` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                issues.push({ path, kind: 'invalid', message: `must be at most ${schema.maximum} (got ${value})` });
+            }
+        }
+
+        if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            issues.push({ path, kind: 'invalid', message: `has an unexpected format (got ${JSON.stringify(value)})` });
+        }
+
+        if (schema.format) {
+            this.validateFormat(value, schema, path, issues);
+        }
+
+        if (schema.anyOf) {
+            // Report the first matching alternative's warnings, or the closest one's errors
+            const attempts = schema.anyOf.map(option => {
+                const optionIssues = [];
+                this.validate(value, option, path, rootSchema, optionIssues);
+                return optionIssues;
+            });
+            const isError = issue => REJECTING_ISSUES.includes(issue.kind);
+            const match = attempts.find(attempt => !attempt.some(isError)) ||
+                attempts.reduce((best, attempt) => (attempt.filter(isError).length < best.filter(isError).length ? attempt : best));
+            issues.push(...match);
+        }
+    }
+
+    /**
+     * Check the format and freshness keywords of a value
+     * @param {*} value - Value to validate
+     * @param {Object} schema - Resolved schema for the value
+     * @param {string} path - Path of the value
+     * @param {Array} issues - Array the issues are appended to
+     */
+    validateFormat(value, schema, path, issues) {
+        switch (schema.format) {
+            case 'date-time':
+            case 'date': {
+                const time = Date.parse(value);
+                if (isNaN(time)) {
+                    issues.push({ path, kind: 'invalid', message: `is not a valid ${schema.format} (got ${JSON.stringify(value)})` });
+                } else if (schema.staleAfterMinutes !== undefined) {
+                    const ageMinutes = (Date.now() - time) / 60000;
+                    if (ageMinutes > schema.staleAfterMinutes) {
+                        issues.push({ path, kind: 'stale', message: `is ${this.formatAge(ageMinutes)} old (expected within ${schema.staleAfterMinutes} min)` });
+                    }
+                }
+                break;
+            }
+            case 'lat-lng': {
+                if (!Array.isArray(value) || value.length < 2) break;
+                const [lat, lng] = value;
+                if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+                    issues.push({ path, kind: 'coordinates', message: `is not a valid coordinate (${lat}, ${lng})` });
+                } else if (this.bounds && !this.isWithinBounds(lat, lng)) {
+                    issues.push({ path, kind: 'coordinates', message: `is outside the city bounds (${lat}, ${lng})` });
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Resolve a local $ref ("#/definitions/name") against the root schema
+     * @param {Object} schema - Schema that may be a reference
+     * @param {Object} rootSchema - Root schema
+     * @returns {Object} - Resolved schema
+     */
+    resolve(schema, rootSchema) {
+        if (!schema || !schema.$ref) return schema || {};
+
+        const target = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+        if (!target) {
+            throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+        }
+        return this.resolve(target, rootSchema);
+    }
+
+    /**
+     * Check a value against a JSON Schema type
+     * @param {*} value - Value to check
+     * @param {string|Array} type - Type name or list of type names
+     * @returns {boolean} - True if the value matches
+     */
+    matchesType(value, type) {
+        return [].concat(type).some(name => {
+            switch (name) {
+                case 'array': return Array.isArray(value);
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && isFinite(value);
+                case 'null': return value === null;
+                default: return typeof value === name;
+            }
+        });
+    }
+
+    /**
+     * Check whether a coordinate lies within the configured city bounds
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {boolean} - True if inside the bounds
+     */
+    isWithinBounds(lat, lng) {
+        const [[south, west], [north, east]] = this.bounds;
+        return lat >= south && lat <= north && lng >= west && lng <= east;
+    }
+
+    /**
+     * Create an empty report for a domain
+     * @param {string} domain - Domain name
+     * @returns {Object} - Report
+     */
+    createReport(domain) {
+        return {
+            domain,
+            checkedAt: new Date(),
+            status: 'ok',
+            message: '',
+            collections: {},
+            issues: [],
+            counts: { total: 0, accepted: 0, rejected: 0, missing: 0, coordinates: 0, invalid: 0, stale: 0 }
+        };
+    }
+
+    /**
+     * Fill in the totals and overall status of a report
+     * @param {Object} report - Report to summarize
+     */
+    summarize(report) {
+        Object.values(report.collections).forEach(summary => {
+            report.counts.total += summary.total;
+            report.counts.accepted += summary.accepted;
+            report.counts.rejected += summary.rejected;
+        });
+        report.issues.forEach(issue => {
+            report.counts[issue.kind]++;
+        });
+
+        if (report.issues.some(issue => issue.rejected)) {
+            report.status = 'error';
+        } else if (report.issues.length > 0) {
+            report.status = 'warning';
+        }
+    }
+
+    /**
+     * Store a report and notify the listeners
+     * @param {Object} report - Validation report
+     */
+    setReport(report) {
+        this.reports.set(report.domain, report);
+        this.listeners.forEach(listener => listener(report));
+    }
+
+    /**
+     * Get the validation reports of all domains
+     * @returns {Array} - Reports
+     */
+    getReports() {
+        return Array.from(this.reports.values());
+    }
+
+    /**
+     * Register a callback for new validation reports
+     * @param {Function} listener - Called with each report
+     */
+    onReport(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Join a property name onto a path
+     * @param {string} path - Parent path
+     * @param {string} field - Property name
+     * @returns {string} - Joined path
+     */
+    joinPath(path, field) {
+        return path ? `${path}.${field}` : field;
+    }
+
+    /**
+     * Format an age in minutes for display
+     * @param {number} minutes - Age in minutes
+     * @returns {string} - Formatted age
+     */
+    formatAge(minutes) {
+        if (minutes < 120) return `${Math.round(minutes)} min`;
+        if (minutes < 2880) return `${Math.round(minutes / 60)} h`;
+        return `${Math.round(minutes / 1440)} days`;
+    }
+}
+
+// Create global instance
+const dataValidator = new DataValidator(appConfig.dataValidation);
+
+// Initialize the Data Health panel when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeDataHealthPanel();
+});
+
+/**
+ * Initialize the Data Health panel
+ */
+function initializeDataHealthPanel() {
+    // Re-render whenever a feed is validated
+    dataValidator.onReport(report => {
+        updateDataHealthPanel();
+
+        const rejected = report.issues.filter(issue => issue.rejected && issue.collection)
+            .reduce((ids, issue) => ids.add(`${issue.collection}|${issue.recordId}`), new Set()).size;
+        if (rejected > 0) {
+            showNotification(`${rejected} ${report.domain} record${rejected === 1 ? ' was' : 's were'} rejected, see Data Health`, 'warning');
+        }
+    });
+
+    const filter = document.getElementById('data-health-filter');
+    if (filter) {
+        filter.addEventListener('change', function() {
+            updateDataHealthPanel();
+        });
+    }
+
+    updateDataHealthPanel();
+}
+
+/**
+ * Update the Data Health panel from the current validation reports
+ */
+function updateDataHealthPanel() {
+    const summaryContainer = document.getElementById('data-health-summary');
+    const issuesContainer = document.getElementById('data-health-issues');
+    if (!summaryContainer || !issuesContainer) return;
+
+    const reports = dataValidator.getReports();
+
+    if (reports.length === 0) {
+        summaryContainer.innerHTML = `<p class="data-health-empty">${
+            typeof dataSource !== 'undefined' && dataSource.usesSampleData() ?
+                'Sample data is generated locally and is not validated.' :
+                'No feeds have been validated yet.'
+        }</p>`;
+        issuesContainer.innerHTML = '';
+        return;
+    }
+
+    summaryContainer.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Feed</th>
+                    <th>Status</th>
+                    <th>Records</th>
+                    <th>Rejected</th>
+                    <th>Missing Fields</th>
+                    <th>Bad Coordinates</th>
+                    <th>Invalid Values</th>
+                    <th>Stale Timestamps</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${reports.map(report => `
+                    <tr>
+                        <td>${escapeHtml(report.domain)}</td>
+                        <td><span class="data-health-status ${escapeHtml(report.status)}" title="${escapeHtml(report.message)}">${escapeHtml(report.status)}</span></td>
+                        <td>${report.counts.total}</td>
+                        <td>${report.counts.rejected}</td>
+                        <td>${report.counts.missing}</td>
+                        <td>${report.counts.coordinates}</td>
+                        <td>${report.counts.invalid}</td>
+                        <td>${report.counts.stale}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const filter = document.getElementById('data-health-filter');
+    const kind = filter ? filter.value : 'all';
+    const issues = reports.flatMap(report => report.issues.map(issue => Object.assign({ domain: report.domain }, issue)))
+        .filter(issue => kind === 'all' || (kind === 'rejected' ? issue.rejected : issue.kind === kind));
+
+    if (issues.length === 0) {
+        issuesContainer.innerHTML = '<p class="data-health-empty">No issues found.</p>';
+        return;
+    }
+
+    issuesContainer.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Feed</th>
+                    <th>Record</th>
+                    <th>Field</th>
+                    <th>Problem</th>
+                    <th>Result</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${issues.map(issue => `
+                    <tr>
+                        <td>${escapeHtml(issue.domain)}${issue.collection ? ` / ${escapeHtml(issue.collection)}` : ''}</td>
+                        <td>${escapeHtml(issue.recordId || '-')}</td>
+                        <td><code>${escapeHtml(issue.path || '(feed)')}</code></td>
+                        <td>${escapeHtml(issue.message)}</td>
+                        <td><span class="data-health-status ${issue.rejected ? 'error' : 'warning'}">${issue.rejected ? 'rejected' : 'kept'}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Export for use in other modules
+window.DataValidator = DataValidator;
+window.dataValidator = dataValidator;
+window.updateDataHealthPanel = updateDataHealthPanel;
@@ -0,0 +1,301 @@
+/**
+ * Smart City Data Analytics Dashboard - Deep Links Module
+ * This file keeps the current view (section, city map center and zoom,
+ * visible layers, selected date and filters) in the URL hash, so a view can
+ * be shared as a link and browsed with the back and forward buttons
+ */
+
+// Delay in milliseconds before a change is written to the URL, so bursts of changes make one history entry
+const DEEP_LINK_UPDATE_DELAY = 250;
+
+// Decimal places of the map center in links (5 places is about a meter)
+const DEEP_LINK_COORDINATE_PRECISION = 5;
+
+// Filter selects kept in links, by hash parameter
+const DEEP_LINK_FILTERS = {
+    incident: 'incident-filter',
+    issue: 'issue-filter'
+};
+
+/**
+ * Deep Link Manager class
+ * Reads and writes the dashboard view as hash parameters, e.g.
+ * #section=traffic&map=40.71280,-74.00600,14&layers=traffic,incidents&date=2024-05-01&incident=fire
+ */
+class DeepLinkManager {
+    constructor() {
+        this.applying = false;
+        this.lastHash = null;
+        this.pendingLayers = null;
+        this.updateTimer = null;
+    }
+
+    /**
+     * Apply the link the page was opened with and start following the view
+     */
+    initialize() {
+        this.apply(this.parse(window.location.hash));
+        this.lastHash = this.serialize(this.getState());
+        history.replaceState(null, '', this.lastHash);
+
+        // Back and forward (and hand-edited links) restore the view of the link
+        window.addEventListener('popstate', () => {
+            this.apply(this.parse(window.location.hash));
+            this.lastHash = this.serialize(this.getState());
+            history.replaceState(null, '', this.lastHash);
+        });
+
+        this.watch();
+    }
+
+    /**
+     * Follow the controls whose state is kept in the link
+     */
+    watch() {
+        const scheduleUpdate = () => this.scheduleUpdate();
+
+        document.querySelectorAll('.sidebar-nav li[data-section]').forEach(item => {
+            item.addEventListener('click', scheduleUpdate);
+        });
+        document.querySelectorAll('.transport-btn[data-transport]').forEach(button => {
+            button.addEventListener('click', scheduleUpdate);
+        });
+
+        const dateSelector = document.getElementById('date-selector');
+        if (dateSelector) dateSelector.addEventListener('change', scheduleUpdate);
+
+        Object.values(DEEP_LINK_FILTERS).forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', scheduleUpdate);
+        });
+
+        if (cityMap) cityMap.on('moveend', scheduleUpdate);
+
+        mapRegistry.on('layeradd', scheduleUpdate);
+        mapRegistry.on('layerremove', scheduleUpdate);
+
+        // Layers of a link may be registered after it was applied, e.g. imported layers restored from storage
+        mapRegistry.on('layerregister', event => {
+            if (!this.pendingLayers || !this.pendingLayers.includes(event.layerName)) return;
+
+            this.pendingLayers = this.pendingLayers.filter(layerType => layerType !== event.layerName);
+            this.applying = true;
+            try {
+                setMapLayerVisible(event.layerName, true);
+            } finally {
+                this.applying = false;
+            }
+
+            // The layer was part of the link already, so this is no new history entry
+            this.lastHash = this.serialize(this.getState());
+            history.replaceState(null, '', this.lastHash);
+        });
+    }
+
+    /**
+     * Write the current view to the URL after a short delay
+     */
+    scheduleUpdate() {
+        if (this.applying) return;
+
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.update(), DEEP_LINK_UPDATE_DELAY);
+    }
+
+    /**
+     * Write the current view to the URL; moving the map replaces the history
+     * entry, any other change adds one
+     */
+    update() {
+        const hash = this.serialize(this.getState());
+        if (hash === this.lastHash) return;
+
+        const previous = this.parse(this.lastHash || '');
+        const current = this.parse(hash);
+        previous.delete('map');
+        current.delete('map');
+
+        if (previous.toString() === current.toString()) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+        this.lastHash = hash;
+    }
+
+    /**
+     * Get the current view of the dashboard
+     * @returns {Object} - View state
+     */
+    getState() {
+        const state = {
+            section: currentSection,
+            map: null,
+            layers: typeof getVisibleMapLayers === 'function' ? getVisibleMapLayers() : [],
+            date: toDateInputValue(currentDate) === toDateInputValue(new Date()) ? null : toDateInputValue(currentDate),
+            filters: {},
+            transport: null
+        };
+
+        if (cityMap) {
+            const center = cityMap.getCenter();
+            state.map = { lat: center.lat, lng: center.lng, zoom: cityMap.getZoom() };
+        }
+
+        Object.entries(DEEP_LINK_FILTERS).forEach(([param, id]) => {
+            const select = document.getElementById(id);
+            if (select && select.value !== 'all') state.filters[param] = select.value;
+        });
+
+        const transportButton = document.querySelector('.transport-btn.active[data-transport]');
+        if (transportButton && transportButton.getAttribute('data-transport') !== 'all') {
+            state.transport = transportButton.getAttribute('data-transport');
+        }
+
+        return state;
+    }
+
+    /**
+     * Turn a view state into a URL hash
+     * @param {Object} state - View state (see getState)
+     * @returns {string} - Hash, starting with #
+     */
+    serialize(state) {
+        const params = new URLSearchParams();
+
+        params.set('section', state.section.replace(/-section$/, ''));
+        if (state.map) {
+            params.set('map', [
+                state.map.lat.toFixed(DEEP_LINK_COORDINATE_PRECISION),
+                state.map.lng.toFixed(DEEP_LINK_COORDINATE_PRECISION),
+                state.map.zoom
+            ].join(','));
+        }
+        params.set('layers', state.layers.join(','));
+        if (state.date) params.set('date', state.date);
+        Object.entries(state.filters).forEach(([param, value]) => params.set(param, value));
+        if (state.transport) params.set('transport', state.transport);
+
+        // Commas in the map and layer lists read better unescaped
+        return `#${params.toString().replace(/%2C/gi, ',')}`;
+    }
+
+    /**
+     * Read the parameters of a URL hash
+     * @param {string} hash - Hash, with or without the leading #
+     * @returns {URLSearchParams} - Hash parameters
+     */
+    parse(hash) {
+        return new URLSearchParams(hash.replace(/^#/, ''));
+    }
+
+    /**
+     * Show the view of a link; parameters that are missing or invalid leave
+     * that part of the view at its default
+     * @param {URLSearchParams} params - Hash parameters
+     */
+    apply(params) {
+        this.pendingLayers = null;
+        this.applying = true;
+        try {
+            this.applySection(params.get('section') || 'map');
+            this.applyDate(params.get('date'));
+            this.applyMapView(params.get('map'));
+            if (params.has('layers')) this.applyLayers(params.get('layers'));
+
+            Object.entries(DEEP_LINK_FILTERS).forEach(([param, id]) => {
+                this.applySelect(id, params.get(param) || 'all');
+            });
+
+            const transportButton = document.querySelector(`.transport-btn[data-transport="${CSS.escape(params.get('transport') || 'all')}"]`);
+            if (transportButton && !transportButton.classList.contains('active')) transportButton.click();
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Show a dashboard section
+     * @param {string} section - Section name, without the -section suffix
+     */
+    applySection(section) {
+        const item = document.querySelector(`.sidebar-nav li[data-section="${CSS.escape(section)}-section"]`);
+        if (item && currentSection !== `${section}-section`) item.click();
+    }
+
+    /**
+     * Select the date of the dashboard data
+     * @param {string|null} value - Date as YYYY-MM-DD; today when null
+     */
+    applyDate(value) {
+        const dateSelector = document.getElementById('date-selector');
+        if (!dateSelector) return;
+
+        const today = toDateInputValue(new Date());
+        if (!value) value = today;
+
+        // Dates in the future have no data
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseDateInputValue(value) : null;
+        if (!date || isNaN(date.getTime()) || value > today) return;
+
+        if (toDateInputValue(currentDate) === value) return;
+        dateSelector.value = value;
+        dateSelector.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Move the city map
+     * @param {string|null} value - Center and zoom as lat,lng,zoom
+     */
+    applyMapView(value) {
+        if (!cityMap || !value) return;
+
+        const [lat, lng, zoom] = value.split(',').map(Number);
+        if (![lat, lng, zoom].every(Number.isFinite) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return;
+
+        cityMap.setView([lat, lng], zoom, { animate: false });
+    }
+
+    /**
+     * Show the layers of a link and hide the others
+     * @param {string} value - Comma-separated layer names
+     */
+    applyLayers(value) {
+        if (typeof setMapLayerVisible !== 'function') return;
+
+        const layers = value.split(',').filter(Boolean);
+        Object.keys(mapLayerSettings).forEach(layerType => {
+            const visible = layers.includes(layerType);
+            if (mapLayerSettings[layerType].visible !== visible) setMapLayerVisible(layerType, visible);
+        });
+
+        this.pendingLayers = layers.filter(layerType => !mapLayerSettings[layerType]);
+    }
+
+    /**
+     * Select an option of a filter
+     * @param {string} id - Select element ID
+     * @param {string} value - Option value
+     */
+    applySelect(id, value) {
+        const select = document.getElementById(id);
+        if (!select || select.value === value) return;
+        if (!Array.from(select.options).some(option => option.value === value)) return;
+
+        select.value = value;
+        select.dispatchEvent(new Event('change'));
+    }
+}
+
+// Create global instance
+const deepLinkManager = new DeepLinkManager();
+
+// Export for use in other modules
+window.deepLinkManager = deepLinkManager;
+
+// Apply the opened link once every module has set up its controls
+document.addEventListener('DOMContentLoaded', function() {
+    if (!document.querySelector('.sidebar-nav')) return;
+
+    deepLinkManager.initialize();
+});
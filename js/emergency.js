@@ -5,7 +5,9 @@
 
 // Emergency Response Manager class for incident management and resource allocation
 class EmergencyManager {
-    constructor() {
+    constructor(random = createSampleRandom('emergency')) {
+        // Seeded generator for sample data, so a seed reproduces the same city state
+        this.random = random;
         this.incidents = [];
         this.resources = [];
         this.evacuationRoutes = [];
@@ -15,22 +17,29 @@ class EmergencyManager {
     }
     
     /**
-     * Initialize the emergency manager with sample data
+     * Initialize the emergency manager from the emergency feed
+     * (or sample data when the data source is configured for it)
      */
-    initialize() {
+    async initialize() {
         if (this.initialized) return;
         
-        // Load sample incidents
-        this.loadSampleIncidents();
-        
-        // Load sample resources
-        this.loadSampleResources();
-        
-        // Load sample evacuation routes
-        this.loadSampleEvacuationRoutes();
-        
-        // Load sample risk zones
-        this.loadSampleRiskZones();
+        const feed = await dataSource.load('emergency');
+        if (feed) {
+            // Load incidents, resources, routes and zones from the emergency feed
+            this.loadFeedData(feed);
+        } else {
+            // Load sample incidents
+            this.loadSampleIncidents();
+            
+            // Load sample resources
+            this.loadSampleResources();
+            
+            // Load sample evacuation routes
+            this.loadSampleEvacuationRoutes();
+            
+            // Load sample risk zones
+            this.loadSampleRiskZones();
+        }
         
         // Generate response statistics
         this.generateResponseStats();
@@ -39,6 +48,55 @@ class EmergencyManager {
         console.log('Emergency Manager initialized');
     }
     
+    /**
+     * Load incidents, resources, routes and zones from a mapped emergency feed
+     * @param {Object} feed - Mapped emergency feed (see DataSource.mapEmergencyFeed)
+     */
+    loadFeedData(feed) {
+        this.incidents = feed.incidents;
+        this.resources = feed.resources;
+        this.evacuationRoutes = feed.evacuationRoutes;
+        this.riskZones = feed.riskZones;
+        
+        // Sort incidents by timestamp (newest first)
+        this.incidents.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+    
+    /**
+     * Apply a live emergency feed update
+     * @param {Object} feed - Mapped emergency feed
+     */
+    applyFeedUpdate(feed) {
+        this.loadFeedData(feed);
+        this.generateResponseStats();
+    }
+    
+    /**
+     * Get the state recorded in history snapshots
+     * @returns {Object} - Incidents, resources, evacuation routes, risk zones and response statistics
+     */
+    getSnapshotState() {
+        return {
+            incidents: this.incidents,
+            resources: this.resources,
+            evacuationRoutes: this.evacuationRoutes,
+            riskZones: this.riskZones,
+            responseStats: this.responseStats
+        };
+    }
+    
+    /**
+     * Restore the state of a history snapshot
+     * @param {Object} state - State returned by getSnapshotState
+     */
+    restoreSnapshotState(state) {
+        this.incidents = state.incidents;
+        this.resources = state.resources;
+        this.evacuationRoutes = state.evacuationRoutes;
+        this.riskZones = state.riskZones;
+        this.responseStats = state.responseStats;
+    }
+    
     /**
      * Load sample incidents
      */
@@ -49,20 +107,20 @@ class EmergencyManager {
         const statusOptions = ['reported', 'responding', 'in_progress', 'resolved'];
         
         // Generate 10-15 random incidents
-        const numIncidents = 10 + Math.floor(Math.random() * 6);
+        const numIncidents = 10 + Math.floor(this.random.next() * 6);
         
         for (let i = 0; i < numIncidents; i++) {
             // Generate random incident data
-            const incidentType = incidentTypes[Math.floor(Math.random() * incidentTypes.length)];
-            const severity = severityLevels[Math.floor(Math.random() * severityLevels.length)];
-            const status = statusOptions[Math.floor(Math.random() * statusOptions.length)];
+            const incidentType = incidentTypes[Math.floor(this.random.next() * incidentTypes.length)];
+            const severity = severityLevels[Math.floor(this.random.next() * severityLevels.length)];
+            const status = statusOptions[Math.floor(this.random.next() * statusOptions.length)];
             
             // Generate random location within city bounds
-            const lat = 40.7128 + (Math.random() - 0.5) * 0.1;
-            const lng = -74.006 + (Math.random() - 0.5) * 0.1;
+            const lat = 40.7128 + (this.random.next() - 0.5) * 0.1;
+            const lng = -74.006 + (this.random.next() - 0.5) * 0.1;
             
             // Generate random timestamp within the last 24 hours
-            const timestamp = new Date(Date.now() - Math.random() * 24 * 60 * 60 * 1000).toISOString();
+            const timestamp = new Date(Date.now() - this.random.next() * 24 * 60 * 60 * 1000).toISOString();
             
             // Create incident object
             const incident = {
@@ -79,8 +137,8 @@ class EmergencyManager {
                 timestamp: timestamp,
                 description: this.generateIncidentDescription(incidentType),
                 affectedArea: {
-                    radius: 50 + Math.floor(Math.random() * 450), // 50-500 meters
-                    impactLevel: Math.floor(Math.random() * 101) // 0-100%
+                    radius: 50 + Math.floor(this.random.next() * 450), // 50-500 meters
+                    impactLevel: Math.floor(this.random.next() * 101) // 0-100%
                 },
                 assignedResources: [],
                 updates: this.generateIncidentUpdates(status),
@@ -111,7 +169,7 @@ class EmergencyManager {
         };
         
         const typeSubtypes = subtypes[type] || ['general'];
-        return typeSubtypes[Math.floor(Math.random() * typeSubtypes.length)];
+        return typeSubtypes[Math.floor(this.random.next() * typeSubtypes.length)];
     }
     
     /**
@@ -120,8 +178,8 @@ class EmergencyManager {
      */
     generateRandomAddress() {
         const streets = ['Main St', 'Broadway', 'Park Ave', 'Oak St', 'Maple Ave', 'Washington Blvd', 'Cedar Ln', 'River Rd'];
-        const streetNumber = Math.floor(Math.random() * 1000) + 1;
-        const street = streets[Math.floor(Math.random() * streets.length)];
+        const streetNumber = Math.floor(this.random.next() * 1000) + 1;
+        const street = streets[Math.floor(this.random.next() * streets.length)];
         return `${streetNumber} ${street}`;
     }
     
@@ -177,7 +235,7 @@ class EmergencyManager {
         };
         
         const typeDescriptions = descriptions[type] || ['Incident reported at location.'];
-        return typeDescriptions[Math.floor(Math.random() * typeDescriptions.length)];
+        return typeDescriptions[Math.floor(this.random.next() * typeDescriptions.length)];
     }
     
     /**
@@ -190,7 +248,7 @@ class EmergencyManager {
         
         // Always add initial report
         updates.push({
-            timestamp: new Date(Date.now() - Math.random() * 24 * 60 * 60 * 1000).toISOString(),
+            timestamp: new Date(Date.now() - this.random.next() * 24 * 60 * 60 * 1000).toISOString(),
             status: 'reported',
             message: 'Incident reported to emergency services.'
         });
@@ -198,7 +256,7 @@ class EmergencyManager {
         // Add responding update if status is beyond reported
         if (status !== 'reported') {
             updates.push({
-                timestamp: new Date(new Date(updates[0].timestamp).getTime() + 5 * 60 * 1000 + Math.random() * 10 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[0].timestamp).getTime() + 5 * 60 * 1000 + this.random.next() * 10 * 60 * 1000).toISOString(),
                 status: 'responding',
                 message: 'Emergency units dispatched to the scene.'
             });
@@ -207,7 +265,7 @@ class EmergencyManager {
         // Add in_progress update if status is beyond responding
         if (status === 'in_progress' || status === 'resolved') {
             updates.push({
-                timestamp: new Date(new Date(updates[1].timestamp).getTime() + 5 * 60 * 1000 + Math.random() * 15 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[1].timestamp).getTime() + 5 * 60 * 1000 + this.random.next() * 15 * 60 * 1000).toISOString(),
                 status: 'in_progress',
                 message: 'Emergency units on scene and addressing the incident.'
             });
@@ -216,7 +274,7 @@ class EmergencyManager {
         // Add resolved update if status is resolved
         if (status === 'resolved') {
             updates.push({
-                timestamp: new Date(new Date(updates[2].timestamp).getTime() + 15 * 60 * 1000 + Math.random() * 60 * 60 * 1000).toISOString(),
+                timestamp: new Date(new Date(updates[2].timestamp).getTime() + 15 * 60 * 1000 + this.random.next() * 60 * 60 * 1000).toISOString(),
                 status: 'resolved',
                 message: 'Incident has been resolved. Units clearing the scene.'
             });
@@ -235,19 +293,19 @@ class EmergencyManager {
         
         switch (severity) {
             case 'low':
-                resolutionMinutes = 30 + Math.floor(Math.random() * 30); // 30-60 minutes
+                resolutionMinutes = 30 + Math.floor(this.random.next() * 30); // 30-60 minutes
                 break;
             case 'medium':
-                resolutionMinutes = 60 + Math.floor(Math.random() * 60); // 60-120 minutes
+                resolutionMinutes = 60 + Math.floor(this.random.next() * 60); // 60-120 minutes
                 break;
             case 'high':
-                resolutionMinutes = 120 + Math.floor(Math.random() * 120); // 2-4 hours
+                resolutionMinutes = 120 + Math.floor(this.random.next() * 120); // 2-4 hours
                 break;
             case 'critical':
-                resolutionMinutes = 240 + Math.floor(Math.random() * 240); // 4-8 hours
+                resolutionMinutes = 240 + Math.floor(this.random.next() * 240); // 4-8 hours
                 break;
             default:
-                resolutionMinutes = 60 + Math.floor(Math.random() * 60); // 1-2 hours
+                resolutionMinutes = 60 + Math.floor(this.random.next() * 60); // 1-2 hours
         }
         
         return new Date(Date.now() + resolutionMinutes * 60 * 1000).toISOString();
@@ -261,18 +319,18 @@ class EmergencyManager {
         const resourceTypes = ['fire_truck', 'ambulance', 'police_car', 'hazmat_unit', 'utility_vehicle'];
         
         // Generate 20-30 random resources
-        const numResources = 20 + Math.floor(Math.random() * 11);
+        const numResources = 20 + Math.floor(this.random.next() * 11);
         
         for (let i = 0; i < numResources; i++) {
             // Generate random resource data
-            const resourceType = resourceTypes[Math.floor(Math.random() * resourceTypes.length)];
+            const resourceType = resourceTypes[Math.floor(this.random.next() * resourceTypes.length)];
             
             // Generate random location within city bounds
-            const lat = 40.7128 + (Math.random() - 0.5) * 0.1;
-            const lng = -74.006 + (Math.random() - 0.5) * 0.1;
+            const lat = 40.7128 + (this.random.next() - 0.5) * 0.1;
+            const lng = -74.006 + (this.random.next() - 0.5) * 0.1;
             
             // Determine status (70% available, 30% busy)
-            const status = Math.random() < 0.7 ? 'available' : 'busy';
+            const status = this.random.next() < 0.7 ? 'available' : 'busy';
             
             // Create resource object
             const resource = {
@@ -294,7 +352,7 @@ class EmergencyManager {
             if (status === 'busy' && this.incidents.length > 0) {
                 const activeIncidents = this.incidents.filter(incident => incident.status !== 'resolved');
                 if (activeIncidents.length > 0) {
-                    const randomIncident = activeIncidents[Math.floor(Math.random() * activeIncidents.length)];
+                    const randomIncident = activeIncidents[Math.floor(this.random.next() * activeIncidents.length)];
                     resource.assignedIncidentId = randomIncident.id;
                     randomIncident.assignedResources.push(resource.id);
                 }
@@ -343,7 +401,7 @@ class EmergencyManager {
         };
         
         const typeStations = stations[type] || ['123 Emergency Services Rd'];
-        return typeStations[Math.floor(Math.random() * typeStations.length)];
+        return typeStations[Math.floor(this.random.next() * typeStations.length)];
     }
     
     /**
@@ -363,8 +421,8 @@ class EmergencyManager {
         const typeCapabilities = capabilities[type] || ['general_emergency_response'];
         
         // Return 2-4 random capabilities from the list
-        const numCapabilities = 2 + Math.floor(Math.random() * 3);
-        const shuffled = [...typeCapabilities].sort(() => 0.5 - Math.random());
+        const numCapabilities = 2 + Math.floor(this.random.next() * 3);
+        const shuffled = [...typeCapabilities].sort(() => 0.5 - this.random.next());
         return shuffled.slice(0, Math.min(numCapabilities, typeCapabilities.length));
     }
     
@@ -376,17 +434,17 @@ class EmergencyManager {
     generateResourcePersonnel(type) {
         switch (type) {
             case 'fire_truck':
-                return 4 + Math.floor(Math.random() * 3); // 4-6 personnel
+                return 4 + Math.floor(this.random.next() * 3); // 4-6 personnel
             case 'ambulance':
-                return 2 + Math.floor(Math.random() * 2); // 2-3 personnel
+                return 2 + Math.floor(this.random.next() * 2); // 2-3 personnel
             case 'police_car':
-                return 1 + Math.floor(Math.random() * 2); // 1-2 personnel
+                return 1 + Math.floor(this.random.next() * 2); // 1-2 personnel
             case 'hazmat_unit':
-                return 3 + Math.floor(Math.random() * 3); // 3-5 personnel
+                return 3 + Math.floor(this.random.next() * 3); // 3-5 personnel
             case 'utility_vehicle':
-                return 2 + Math.floor(Math.random() * 3); // 2-4 personnel
+                return 2 + Math.floor(this.random.next() * 3); // 2-4 personnel
             default:
-                return 2 + Math.floor(Math.random() * 3); // 2-4 personnel
+                return 2 + Math.floor(this.random.next() * 3); // 2-4 personnel
         }
     }
     
@@ -395,27 +453,27 @@ class EmergencyManager {
      */
     loadSampleEvacuationRoutes() {
         // Generate 3-5 evacuation routes
-        const numRoutes = 3 + Math.floor(Math.random() * 3);
+        const numRoutes = 3 + Math.floor(this.random.next() * 3);
         
         for (let i = 0; i < numRoutes; i++) {
             // Generate random route data
             const routeId = `evac_route_${(i + 1).toString().padStart(3, '0')}`;
             
             // Generate random start and end points
-            const startLat = 40.7128 + (Math.random() - 0.5) * 0.05;
-            const startLng = -74.006 + (Math.random() - 0.5) * 0.05;
-            const endLat = 40.7128 + (Math.random() - 0.5) * 0.1;
-            const endLng = -74.006 + (Math.random() - 0.5) * 0.1;
+            const startLat = 40.7128 + (this.random.next() - 0.5) * 0.05;
+            const startLng = -74.006 + (this.random.next() - 0.5) * 0.05;
+            const endLat = 40.7128 + (this.random.next() - 0.5) * 0.1;
+            const endLng = -74.006 + (this.random.next() - 0.5) * 0.1;
             
             // Generate 3-6 waypoints for the route
-            const numWaypoints = 3 + Math.floor(Math.random() * 4);
+            const numWaypoints = 3 + Math.floor(this.random.next() * 4);
             const waypoints = [];
             
             for (let j = 0; j < numWaypoints; j++) {
                 // Interpolate between start and end points
                 const progress = (j + 1) / (numWaypoints + 1);
-                const waypointLat = startLat + (endLat - startLat) * progress + (Math.random() - 0.5) * 0.02;
-                const waypointLng = startLng + (endLng - startLng) * progress + (Math.random() - 0.5) * 0.02;
+                const waypointLat = startLat + (endLat - startLat) * progress + (this.random.next() - 0.5) * 0.02;
+                const waypointLng = startLng + (endLng - startLng) * progress + (this.random.next() - 0.5) * 0.02;
                 
                 waypoints.push({
                     lat: waypointLat,
@@ -428,8 +486,8 @@ class EmergencyManager {
             const route = {
                 id: routeId,
                 name: `Evacuation Route ${String.fromCharCode(65 + i)}`, // A, B, C, etc.
-                type: Math.random() > 0.5 ? 'primary' : 'secondary',
-                status: Math.random() > 0.2 ? 'open' : 'restricted',
+                type: this.random.next() > 0.5 ? 'primary' : 'secondary',
+                status: this.random.next() > 0.2 ? 'open' : 'restricted',
                 startPoint: {
                     lat: startLat,
                     lng: startLng,
@@ -441,7 +499,7 @@ class EmergencyManager {
                     name: this.generateRandomAddress()
                 },
                 waypoints: waypoints,
-                estimatedTravelTime: 15 + Math.floor(Math.random() * 46), // 15-60 minutes
+                estimatedTravelTime: 15 + Math.floor(this.random.next() * 46), // 15-60 minutes
                 lastUpdated: new Date().toISOString()
             };
             
@@ -458,21 +516,21 @@ class EmergencyManager {
         const zoneTypes = ['flood', 'fire', 'chemical', 'structural', 'weather'];
         
         // Generate 3-7 risk zones
-        const numZones = 3 + Math.floor(Math.random() * 5);
+        const numZones = 3 + Math.floor(this.random.next() * 5);
         
         for (let i = 0; i < numZones; i++) {
             // Generate random zone data
-            const zoneType = zoneTypes[Math.floor(Math.random() * zoneTypes.length)];
+            const zoneType = zoneTypes[Math.floor(this.random.next() * zoneTypes.length)];
             
             // Generate random center point
-            const centerLat = 40.7128 + (Math.random() - 0.5) * 0.1;
-            const centerLng = -74.006 + (Math.random() - 0.5) * 0.1;
+            const centerLat = 40.7128 + (this.random.next() - 0.5) * 0.1;
+            const centerLng = -74.006 + (this.random.next() - 0.5) * 0.1;
             
             // Generate random radius (100-1000 meters)
-            const radius = 100 + Math.floor(Math.random() * 901);
+            const radius = 100 + Math.floor(this.random.next() * 901);
             
             // Generate random risk level (1-5)
-            const riskLevel = 1 + Math.floor(Math.random() * 5);
+            const riskLevel = 1 + Math.floor(this.random.next() * 5);
             
             // Create zone object
             const zone = {
@@ -486,7 +544,7 @@ class EmergencyManager {
                 radius: radius,
                 riskLevel: riskLevel,
                 description: this.generateZoneDescription(zoneType, riskLevel),
-                affectedPopulation: Math.floor(radius * radius * Math.PI * 0.0001 * (0.5 + Math.random())), // Rough estimate
+                affectedPopulation: Math.floor(radius * radius * Math.PI * 0.0001 * (0.5 + this.random.next())), // Rough estimate
                 evacuationRequired: riskLevel >= 4,
                 lastUpdated: new Date().toISOString()
             };
@@ -682,6 +740,9 @@ class EmergencyManager {
      * @returns {Array} - Array of incident objects
      */
     getAllIncidents(filters = {}) {
+        // Tag each incident with its neighborhood
+        this.incidents.forEach(incident => assignNeighborhood(incident.location));
+        
         let filteredIncidents = [...this.incidents];
         
         // Apply type filter
@@ -699,6 +760,11 @@ class EmergencyManager {
             filteredIncidents = filteredIncidents.filter(incident => incident.status === filters.status);
         }
         
+        // Apply neighborhood filter
+        if (filters.neighborhood) {
+            filteredIncidents = filteredIncidents.filter(incident => incident.location.neighborhood === filters.neighborhood);
+        }
+        
         // Apply time range filter
         if (filters.timeRange) {
             const now = new Date();
@@ -1143,6 +1209,37 @@ class EmergencyManager {
 // Create a global instance of the emergency manager
 const emergencyManager = new EmergencyManager();
 
+// Colors of the risk zone levels (1-5)
+const RISK_LEVEL_COLORS = ['#2ecc71', '#f1c40f', '#e67e22', '#e74c3c', '#8e44ad'];
+
+// Register the map layers of the emergency module
+mapRegistry.registerLayer('emergencyResources', {
+    label: 'Emergency Resources',
+    module: 'emergency',
+    draw: drawResourcesLayer,
+    legend: `
+        <div class="legend-item">
+            <span class="legend-color" style="background-color: #27ae60;"></span>
+            <span>Available</span>
+        </div>
+        <div class="legend-item">
+            <span class="legend-color" style="background-color: #7f8c8d;"></span>
+            <span>Busy</span>
+        </div>
+    `
+});
+mapRegistry.registerLayer('riskZones', {
+    label: 'Risk Zones',
+    module: 'emergency',
+    draw: drawRiskZonesLayer,
+    legend: RISK_LEVEL_COLORS.map((color, index) => `
+        <div class="legend-item">
+            <span class="legend-color" style="background-color: ${color};"></span>
+            <span>Risk Level ${index + 1}</span>
+        </div>
+    `).reverse().join('')
+});
+
 // Initialize the emergency module when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     initializeEmergencyModule();
@@ -1151,9 +1248,20 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * Initialize the emergency module
  */
-function initializeEmergencyModule() {
+async function initializeEmergencyModule() {
     // Initialize the emergency manager
-    emergencyManager.initialize();
+    try {
+        await emergencyManager.initialize();
+    } catch (error) {
+        console.error('Failed to initialize emergency data:', error);
+        showNotification('Emergency data could not be loaded', 'error');
+        return;
+    }
+    
+    // Show the emergency layers on the section map
+    mapRegistry.registerMap('emergency', 'emergency-map', {
+        layers: ['riskZones', 'emergencyResources', 'incidents']
+    });
     
     // Set up event listeners
     setupEmergencyEventListeners();
@@ -1161,6 +1269,21 @@ function initializeEmergencyModule() {
     // Load initial emergency data
     loadEmergencyData();
     
+    // Refresh when live emergency updates arrive
+    liveFeedManager.subscribe('emergency', feed => {
+        emergencyManager.applyFeedUpdate(feed);
+        updateIncidentList();
+        updateResourceList();
+        updateRiskZoneList();
+    });
+    
+    // Record incidents and resources for viewing past dates
+    historyManager.register('emergency', emergencyManager, () => {
+        updateIncidentList();
+        updateResourceList();
+        updateRiskZoneList();
+    });
+    
     console.log('Emergency module initialized');
 }
 
@@ -1176,6 +1299,14 @@ function setupEmergencyEventListeners() {
         });
     }
     
+    // Incident neighborhood filter
+    const incidentNeighborhoodFilter = document.getElementById('incident-neighborhood-filter');
+    if (incidentNeighborhoodFilter) {
+        incidentNeighborhoodFilter.addEventListener('change', function() {
+            updateIncidentList();
+        });
+    }
+    
     // Incident severity filter
     const incidentSeverityFilter = document.getElementById('incident-severity-filter');
     if (incidentSeverityFilter) {
@@ -1264,13 +1395,8 @@ function loadEmergencyData() {
     // Update risk zone list
     updateRiskZoneList();
     
-    // Update response statistics
-    updateResponseStats();
-    
-    // Update the map if the map function is available
-    if (typeof switchMapLayer === 'function') {
-        switchMapLayer('emergency');
-    }
+    // Redraw the incidents on the maps showing them
+    mapRegistry.refreshLayer('incidents');
 }
 
 /**
@@ -1282,12 +1408,14 @@ function updateIncidentList() {
     const severityFilter = document.getElementById('incident-severity-filter');
     const statusFilter = document.getElementById('incident-status-filter');
     const timeFilter = document.getElementById('incident-time-filter');
+    const neighborhoodFilter = document.getElementById('incident-neighborhood-filter');
     
     const filters = {
         type: typeFilter && typeFilter.value !== 'all' ? typeFilter.value : null,
         severity: severityFilter && severityFilter.value !== 'all' ? severityFilter.value : null,
         status: statusFilter && statusFilter.value !== 'all' ? statusFilter.value : null,
-        timeRange: timeFilter && timeFilter.value !== 'all' ? timeFilter.value : null
+        timeRange: timeFilter && timeFilter.value !== 'all' ? timeFilter.value : null,
+        neighborhood: neighborhoodFilter && neighborhoodFilter.value !== 'all' ? neighborhoodFilter.value : null
     };
     
     // Get filtered incidents
@@ -1361,7 +1489,7 @@ function updateIncidentList() {
                 <div class="incident-body">
                     <div class="incident-description">${incident.description}</div>
                     <div class="incident-location">
-                        <i class="fas fa-map-marker-alt"></i> ${incident.location.address}
+                        <i class="fas fa-map-marker-alt"></i> ${incident.location.address}${incident.location.neighborhood ? `, ${incident.location.neighborhood}` : ''}
                     </div>
                     <div class="incident-time">
                         <i class="fas fa-clock"></i> ${formattedTime}
@@ -1379,10 +1507,8 @@ function updateIncidentList() {
         });
     }
     
-    // Update the map if the map function is available
-    if (typeof updateIncidentsOnMap === 'function') {
-        updateIncidentsOnMap(incidents);
-    }
+    // Show the filtered incidents on the maps
+    mapRegistry.setLayerData('incidents', incidents);
 }
 
 /**
@@ -1471,10 +1597,8 @@ function updateResourceList() {
         });
     }
     
-    // Update the map if the map function is available
-    if (typeof updateResourcesOnMap === 'function') {
-        updateResourcesOnMap(resources);
-    }
+    // Show the filtered resources on the maps
+    mapRegistry.setLayerData('emergencyResources', resources);
 }
 
 /**
@@ -1556,8 +1680,62 @@ function updateRiskZoneList() {
         });
     }
     
-    // Update the map if the map function is available
-    if (typeof updateRiskZonesOnMap === 'function') {
-        updateRiskZonesOnMap(riskZones);
-    }
+    // Show the filtered risk zones on the maps
+    mapRegistry.setLayerData('riskZones', riskZones);
+}
+
+/**
+ * Draw emergency resources onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context; its data is the resources as last filtered (null for all)
+ */
+function drawResourcesLayer(group, context) {
+    const resources = context.data || emergencyManager.getAllResources();
+    
+    resources.forEach(resource => {
+        if (!resource.location || resource.location.lat === null || resource.location.lat === undefined) return;
+        
+        const color = resource.status === 'available' ? '#27ae60' : '#7f8c8d';
+        L.circleMarker([resource.location.lat, resource.location.lng], context.options({
+            radius: 7,
+            color: '#ffffff',
+            fillColor: color,
+            fillOpacity: 0.9,
+            weight: 2
+        })).bindPopup(`
+            <strong>${resource.name}</strong><br>
+            Type: ${capitalizeFirstLetter(resource.type.replace('_', ' '))}<br>
+            Status: ${capitalizeFirstLetter(resource.status)}<br>
+            Personnel: ${resource.personnel || 'Unknown'}
+        `).addTo(group);
+    });
+}
+
+/**
+ * Draw risk zones onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context; its data is the risk zones as last filtered (null for all)
+ */
+function drawRiskZonesLayer(group, context) {
+    const riskZones = context.data || emergencyManager.getAllRiskZones();
+    
+    riskZones.forEach(zone => {
+        if (!zone.center || zone.center.lat === null || zone.center.lat === undefined) return;
+        
+        const color = RISK_LEVEL_COLORS[Math.min(Math.max(zone.riskLevel, 1), 5) - 1];
+        L.circle([zone.center.lat, zone.center.lng], context.options({
+            radius: zone.radius,
+            color: color,
+            fillColor: color,
+            fillOpacity: 0.25,
+            weight: 2,
+            dashArray: zone.evacuationRequired ? '6, 4' : null
+        })).bindPopup(`
+            <strong>${zone.name}</strong><br>
+            Risk Level: ${zone.riskLevel}<br>
+            ${zone.description}<br>
+            Affected Population: ~${zone.affectedPopulation.toLocaleString()}
+            ${zone.evacuationRequired ? '<br><strong>Evacuation Required</strong>' : ''}
+        `).addTo(group);
+    });
 }
\ No newline at end of file
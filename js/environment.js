@@ -5,25 +5,35 @@
 
 // Environmental Data Manager class for air quality and pollution monitoring
 class EnvironmentalDataManager {
-    constructor() {
+    constructor(random = createSampleRandom('environment')) {
+        // Seeded generator for sample data, so a seed reproduces the same city state
+        this.random = random;
         this.sensors = [];
         this.pollutionSources = [];
         this.healthRisks = {};
         this.forecasts = [];
+        this.weather = [];
         this.initialized = false;
     }
     
     /**
-     * Initialize the environmental data manager with sample data
+     * Initialize the environmental data manager from the environment feed
+     * (or sample data when the data source is configured for it)
      */
-    initialize() {
+    async initialize() {
         if (this.initialized) return;
         
-        // Load sample sensor data
-        this.loadSampleSensorData();
-        
-        // Load sample pollution sources
-        this.loadSamplePollutionSources();
+        const feed = await dataSource.load('environment');
+        if (feed) {
+            // Load sensors and pollution sources from the environment feed
+            this.loadFeedData(feed);
+        } else {
+            // Load sample sensor data
+            this.loadSampleSensorData();
+            
+            // Load sample pollution sources
+            this.loadSamplePollutionSources();
+        }
         
         // Calculate health risks
         this.calculateHealthRisks();
@@ -35,6 +45,53 @@ class EnvironmentalDataManager {
         console.log('Environmental Data Manager initialized');
     }
     
+    /**
+     * Load sensors, pollution sources and daily weather from a mapped environment feed
+     * @param {Object} feed - Mapped environment feed (see DataSource.mapEnvironmentFeed)
+     */
+    loadFeedData(feed) {
+        this.sensors = feed.sensors;
+        this.pollutionSources = feed.pollutionSources;
+        this.weather = feed.weather;
+    }
+    
+    /**
+     * Apply a live environment feed update
+     * @param {Object} feed - Mapped environment feed
+     */
+    applyFeedUpdate(feed) {
+        this.loadFeedData(feed);
+        this.calculateHealthRisks();
+        this.generateForecasts();
+    }
+    
+    /**
+     * Get the state recorded in history snapshots
+     * @returns {Object} - Sensor readings, pollution sources, health risks, forecasts and daily weather
+     */
+    getSnapshotState() {
+        return {
+            sensors: this.sensors,
+            pollutionSources: this.pollutionSources,
+            healthRisks: this.healthRisks,
+            forecasts: this.forecasts,
+            weather: this.weather
+        };
+    }
+    
+    /**
+     * Restore the state of a history snapshot
+     * @param {Object} state - State returned by getSnapshotState
+     */
+    restoreSnapshotState(state) {
+        this.sensors = state.sensors;
+        this.pollutionSources = state.pollutionSources;
+        this.healthRisks = state.healthRisks;
+        this.forecasts = state.forecasts;
+        // Snapshots recorded before the weather was kept have none
+        this.weather = state.weather || [];
+    }
+    
     /**
      * Load sample sensor data
      */
@@ -103,12 +160,12 @@ class EnvironmentalDataManager {
         const base = baseValues[profile] || baseValues.mixed;
         
         // Add some random variation
-        const pm25 = Math.max(0, Math.round(base.pm25 + (Math.random() - 0.5) * 10));
-        const pm10 = Math.max(0, Math.round(base.pm10 + (Math.random() - 0.5) * 20));
-        const no2 = Math.max(0, Math.round(base.no2 + (Math.random() - 0.5) * 10));
-        const so2 = Math.max(0, Math.round(base.so2 + (Math.random() - 0.5) * 5));
-        const co = Math.max(0, parseFloat((base.co + (Math.random() - 0.5) * 0.5).toFixed(1)));
-        const o3 = Math.max(0, Math.round(base.o3 + (Math.random() - 0.5) * 15));
+        const pm25 = Math.max(0, Math.round(base.pm25 + (this.random.next() - 0.5) * 10));
+        const pm10 = Math.max(0, Math.round(base.pm10 + (this.random.next() - 0.5) * 20));
+        const no2 = Math.max(0, Math.round(base.no2 + (this.random.next() - 0.5) * 10));
+        const so2 = Math.max(0, Math.round(base.so2 + (this.random.next() - 0.5) * 5));
+        const co = Math.max(0, parseFloat((base.co + (this.random.next() - 0.5) * 0.5).toFixed(1)));
+        const o3 = Math.max(0, Math.round(base.o3 + (this.random.next() - 0.5) * 15));
         
         // Calculate AQI based on pollutant concentrations
         const aqi = this.calculateAQI(pm25, pm10, no2, so2, co, o3);
@@ -554,7 +611,7 @@ class EnvironmentalDataManager {
                 }
                 
                 // Add some random noise
-                variation += (Math.random() - 0.5) * 15;
+                variation += (this.random.next() - 0.5) * 15;
                 
                 // Calculate forecasted AQI
                 let forecastedAQI = Math.max(0, Math.round(currentAQI + variation));
@@ -580,6 +637,9 @@ class EnvironmentalDataManager {
      * @returns {Array} - Array of sensor objects
      */
     getAllSensors() {
+        // Tag each sensor with its neighborhood
+        this.sensors.forEach(sensor => assignNeighborhood(sensor.location));
+        
         return this.sensors;
     }
     
@@ -670,9 +730,18 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * Initialize the environment module
  */
-function initializeEnvironmentModule() {
+async function initializeEnvironmentModule() {
     // Initialize the environmental data manager
-    environmentalDataManager.initialize();
+    try {
+        await environmentalDataManager.initialize();
+    } catch (error) {
+        console.error('Failed to initialize environmental data:', error);
+        showNotification('Environmental data could not be loaded', 'error');
+        return;
+    }
+    
+    // Show the air quality layer on the section map
+    mapRegistry.registerMap('environment', 'environment-map', { layers: ['airQuality'] });
     
     // Set up event listeners
     setupEnvironmentEventListeners();
@@ -680,6 +749,19 @@ function initializeEnvironmentModule() {
     // Load initial environmental data
     loadEnvironmentalData();
     
+    // Refresh when live environment updates arrive
+    liveFeedManager.subscribe('environment', feed => {
+        environmentalDataManager.applyFeedUpdate(feed);
+        updateEnvironmentalDisplay();
+        updatePollutionSourcesDisplay();
+    });
+    
+    // Record air quality for viewing past dates
+    historyManager.register('environment', environmentalDataManager, () => {
+        updateEnvironmentalDisplay();
+        updatePollutionSourcesDisplay();
+    });
+    
     console.log('Environment module initialized');
 }
 
@@ -736,10 +818,8 @@ function loadEnvironmentalData() {
     // Update the pollution sources display
     updatePollutionSourcesDisplay();
     
-    // Update the map if the map function is available
-    if (typeof switchMapLayer === 'function') {
-        switchMapLayer('airQuality');
-    }
+    // Redraw the air quality layer on the maps showing it
+    mapRegistry.refreshLayer('airQuality');
 }
 
 /**
@@ -0,0 +1,523 @@
+/**
+ * Smart City Data Analytics Dashboard - Geocoder Module
+ * This file contains the offline geocoder behind the location search: a
+ * local gazetteer of the places the modules know about (transit stops,
+ * sensor locations, incident and issue addresses, neighborhoods), fuzzy
+ * name matching, coordinate parsing and the search box suggestions, plus
+ * reverse geocoding that assigns points to their neighborhood
+ */
+
+// Display names of the gazetteer entry types
+const GAZETTEER_TYPES = {
+    neighborhood: 'Neighborhood',
+    stop: 'Transit Stop',
+    sensor: 'Sensor Location',
+    incident: 'Incident Address',
+    issue: 'Issue Address',
+    coordinates: 'Coordinates'
+};
+
+// Lowest match score returned by a search
+const GEOCODER_MIN_SCORE = 0.5;
+
+// Geocoder class; looks up place names and coordinates without network access
+class Geocoder {
+    /**
+     * Build the gazetteer from the current module data
+     * Entries are rebuilt on each lookup so they follow live updates
+     * @returns {Array} - Entries ({ name, type, lat, lng, key })
+     */
+    buildGazetteer() {
+        const entries = [];
+        const seen = new Set();
+
+        const add = (name, type, lat, lng) => {
+            const key = normalizePlaceName(name);
+            if (!key || !isFinite(lat) || !isFinite(lng) || seen.has(`${type}:${key}`)) return;
+            seen.add(`${type}:${key}`);
+            entries.push({ name, type, lat, lng, key });
+        };
+
+        getNeighborhoods().forEach(neighborhood => {
+            add(neighborhood.name, 'neighborhood', neighborhood.center[0], neighborhood.center[1]);
+        });
+
+        if (typeof transportationManager !== 'undefined') {
+            transportationManager.stops.forEach(stop => add(stop.name, 'stop', stop.location.lat, stop.location.lng));
+        }
+
+        if (typeof environmentalDataManager !== 'undefined') {
+            environmentalDataManager.sensors.forEach(sensor => {
+                add(sensor.location.name, 'sensor', sensor.location.lat, sensor.location.lng);
+            });
+        }
+
+        if (typeof emergencyManager !== 'undefined') {
+            emergencyManager.incidents.forEach(incident => {
+                add(incident.location.address, 'incident', incident.location.lat, incident.location.lng);
+            });
+        }
+
+        if (typeof citizenManager !== 'undefined') {
+            citizenManager.reportedIssues.forEach(issue => {
+                add(issue.location.address, 'issue', issue.location.lat, issue.location.lng);
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Search for places matching a query
+     * Accepts "lat, lng", a place name, or "address, neighborhood"
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results
+     * @returns {Array} - Results ({ name, type, lat, lng, score }), best first
+     */
+    search(query, limit = 5) {
+        const coordinates = parseCoordinates(query);
+        if (coordinates) {
+            return [{
+                name: `${coordinates.lat.toFixed(5)}, ${coordinates.lng.toFixed(5)}`,
+                type: 'coordinates',
+                lat: coordinates.lat,
+                lng: coordinates.lng,
+                score: 1
+            }];
+        }
+
+        const entries = this.buildGazetteer();
+        let results = this.match(normalizePlaceName(query), entries);
+
+        // "address, neighborhood": match the address among the places in that neighborhood
+        const commaIndex = query.lastIndexOf(',');
+        if (commaIndex > 0) {
+            const address = normalizePlaceName(query.slice(0, commaIndex));
+            const area = normalizePlaceName(query.slice(commaIndex + 1));
+            const neighborhood = this.match(area, entries.filter(entry => entry.type === 'neighborhood'))[0];
+
+            if (address && neighborhood) {
+                const inNeighborhood = entries.filter(entry =>
+                    entry.type !== 'neighborhood' && getNeighborhoodAt(entry.lat, entry.lng) === neighborhood.name);
+                const addressResults = this.match(address, inNeighborhood)
+                    .map(result => Object.assign(result, { name: `${result.name}, ${neighborhood.name}` }));
+
+                // Fall back to the neighborhood itself when the address is not known there
+                results = addressResults.length > 0 ? addressResults : [neighborhood];
+            }
+        }
+
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Geocode a query to its best match
+     * @param {string} query - Search query
+     * @returns {Object|null} - Best result or null if nothing matches
+     */
+    geocode(query) {
+        return this.search(query, 1)[0] || null;
+    }
+
+    /**
+     * Score the entries against a normalized query
+     * @param {string} query - Normalized query
+     * @param {Array} entries - Gazetteer entries
+     * @returns {Array} - Matching entries with their score, best first
+     */
+    match(query, entries) {
+        if (!query) return [];
+
+        return entries
+            .map(entry => Object.assign({}, entry, { score: scorePlaceName(query, entry.key) }))
+            .filter(result => result.score >= GEOCODER_MIN_SCORE)
+            .sort((a, b) => b.score - a.score || a.name.length - b.name.length);
+    }
+}
+
+/**
+ * Normalize a place name for matching: lower case, no punctuation, single spaces
+ * @param {string} name - Place name
+ * @returns {string} - Normalized name
+ */
+function normalizePlaceName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Score how well a query matches a place name
+ * Exact and prefix matches score highest, then substrings, then words matched with typos
+ * @param {string} query - Normalized query
+ * @param {string} name - Normalized place name
+ * @returns {number} - Score between 0 and 1
+ */
+function scorePlaceName(query, name) {
+    if (name === query) return 1;
+    if (name.startsWith(query)) return 0.9;
+    if (name.includes(` ${query}`)) return 0.85;
+    if (name.includes(query)) return 0.75;
+
+    // Each query word must match a name word (prefix or within a few edits)
+    const nameWords = name.split(' ');
+    const queryWords = query.split(' ');
+    let total = 0;
+
+    for (const word of queryWords) {
+        let best = 0;
+        nameWords.forEach(nameWord => {
+            if (nameWord.startsWith(word)) {
+                best = Math.max(best, 1);
+                return;
+            }
+
+            const allowedEdits = word.length <= 4 ? 1 : 2;
+            const distance = getEditDistance(word, nameWord.slice(0, word.length + allowedEdits));
+            const prefixDistance = getEditDistance(word, nameWord.slice(0, word.length));
+            const edits = Math.min(distance, prefixDistance);
+            if (edits <= allowedEdits) {
+                best = Math.max(best, 1 - edits / (word.length + 1));
+            }
+        });
+
+        if (best === 0) return 0;
+        total += best;
+    }
+
+    // Typo matches rank below substring matches
+    return 0.7 * total / queryWords.length;
+}
+
+/**
+ * Get the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of insertions, deletions and substitutions
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Parse coordinates from a query ("40.7128, -74.006" or "40.7128 -74.006")
+ * @param {string} query - Search query
+ * @returns {Object|null} - { lat, lng } or null if the query is not a coordinate pair
+ */
+function parseCoordinates(query) {
+    const match = String(query).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+    return { lat, lng };
+}
+
+/**
+ * Get the neighborhoods with their boundary and center
+ * @returns {Array} - Neighborhoods ({ name, polygon: [[lat, lng], ...], center: [lat, lng] })
+ */
+function getNeighborhoods() {
+    if (typeof demographicsManager === 'undefined') return [];
+
+    return demographicsManager.getNeighborhoods().map(neighborhood => {
+        // Average the vertices, leaving out the closing vertex
+        const vertices = neighborhood.polygon.slice(0, -1);
+        return {
+            name: neighborhood.name,
+            polygon: neighborhood.polygon,
+            center: [
+                vertices.reduce((sum, vertex) => sum + vertex[0], 0) / vertices.length,
+                vertices.reduce((sum, vertex) => sum + vertex[1], 0) / vertices.length
+            ]
+        };
+    });
+}
+
+/**
+ * Check whether a point is inside a polygon (ray casting)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array} polygon - Vertices as [lat, lng]
+ * @returns {boolean} - True if the point is inside
+ */
+function isPointInPolygon(lat, lng, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        if ((latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Get the distance in meters from a point to a polygon's boundary
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array} polygon - Vertices as [lat, lng]
+ * @returns {number} - Distance in meters
+ */
+function getDistanceToPolygon(lat, lng, polygon) {
+    // Project to local meters around the point (accurate at city scale)
+    const metersPerDegree = 111320;
+    const lngScale = Math.cos(lat * Math.PI / 180);
+    const toPoint = vertex => [(vertex[1] - lng) * lngScale * metersPerDegree, (vertex[0] - lat) * metersPerDegree];
+
+    let distance = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [ax, ay] = toPoint(polygon[j]);
+        const [bx, by] = toPoint(polygon[i]);
+        const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared)) : 0;
+        distance = Math.min(distance, Math.hypot(ax + t * (bx - ax), ay + t * (by - ay)));
+    }
+
+    return distance;
+}
+
+/**
+ * Get the neighborhood of a point
+ * Points outside every neighborhood polygon belong to the closest one, so every entity has a district
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string|null} - Neighborhood name, or null if no neighborhoods are defined
+ */
+function getNeighborhoodAt(lat, lng) {
+    const neighborhoods = getNeighborhoods();
+
+    const containing = neighborhoods.find(neighborhood => isPointInPolygon(lat, lng, neighborhood.polygon));
+    if (containing) return containing.name;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    neighborhoods.forEach(neighborhood => {
+        const distance = getDistanceToPolygon(lat, lng, neighborhood.polygon);
+        if (distance < nearestDistance) {
+            nearest = neighborhood.name;
+            nearestDistance = distance;
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Tag a location with its neighborhood
+ * @param {Object} location - Location with lat and lng; its neighborhood property is set
+ * @returns {string|null} - Neighborhood name
+ */
+function assignNeighborhood(location) {
+    if (!location || !isFinite(location.lat) || !isFinite(location.lng)) return null;
+
+    location.neighborhood = getNeighborhoodAt(location.lat, location.lng);
+    return location.neighborhood;
+}
+
+/**
+ * Describe a point: its neighborhood and the closest known place
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} maxDistance - Farthest place to report, in meters
+ * @returns {Object} - { neighborhood, place ({ name, type, distance }) or null }
+ */
+function reverseGeocode(lat, lng, maxDistance = 250) {
+    let place = null;
+
+    geocoder.buildGazetteer().forEach(entry => {
+        if (entry.type === 'neighborhood') return;
+
+        const distance = getDistanceToPolygon(lat, lng, [[entry.lat, entry.lng]]);
+        if (distance <= maxDistance && (!place || distance < place.distance)) {
+            place = { name: entry.name, type: entry.type, distance: Math.round(distance) };
+        }
+    });
+
+    return { neighborhood: getNeighborhoodAt(lat, lng), place };
+}
+
+/**
+ * Get statistics for each neighborhood from the module data
+ * @returns {Object} - By neighborhood name: { openIssues, activeIncidents, sensors, averageAqi, stops }
+ */
+function getNeighborhoodStats() {
+    const stats = {};
+    getNeighborhoods().forEach(neighborhood => {
+        stats[neighborhood.name] = { openIssues: 0, activeIncidents: 0, sensors: 0, averageAqi: null, stops: 0 };
+    });
+
+    const aqiTotals = {};
+    const count = (location, update) => {
+        const neighborhood = assignNeighborhood(location);
+        if (stats[neighborhood]) update(stats[neighborhood], neighborhood);
+    };
+
+    if (typeof citizenManager !== 'undefined') {
+        citizenManager.reportedIssues.forEach(issue => count(issue.location, stat => {
+            if (issue.status !== 'resolved' && issue.status !== 'closed') stat.openIssues++;
+        }));
+    }
+
+    if (typeof emergencyManager !== 'undefined') {
+        emergencyManager.incidents.forEach(incident => count(incident.location, stat => {
+            if (incident.status !== 'resolved') stat.activeIncidents++;
+        }));
+    }
+
+    if (typeof environmentalDataManager !== 'undefined') {
+        environmentalDataManager.sensors.forEach(sensor => count(sensor.location, (stat, neighborhood) => {
+            stat.sensors++;
+            if (sensor.readings && sensor.readings.aqi) {
+                aqiTotals[neighborhood] = (aqiTotals[neighborhood] || 0) + sensor.readings.aqi.value;
+            }
+        }));
+    }
+
+    if (typeof transportationManager !== 'undefined') {
+        transportationManager.stops.forEach(stop => count(stop.location, stat => stat.stops++));
+    }
+
+    Object.keys(aqiTotals).forEach(neighborhood => {
+        stats[neighborhood].averageAqi = Math.round(aqiTotals[neighborhood] / stats[neighborhood].sensors);
+    });
+
+    return stats;
+}
+
+/**
+ * Fill a neighborhood filter select with the neighborhood names
+ * @param {string} selectId - Select element ID; its first option ("all") is kept
+ */
+function populateNeighborhoodFilter(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="all">All Neighborhoods</option>' +
+        getNeighborhoods()
+            .map(neighborhood => `<option value="${escapeHtml(neighborhood.name)}">${escapeHtml(neighborhood.name)}</option>`)
+            .join('');
+    select.value = selected && Array.from(select.options).some(option => option.value === selected) ? selected : 'all';
+}
+
+// Create global instance
+const geocoder = new Geocoder();
+
+// Set up the search suggestions and neighborhood filters when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeLocationSuggestions();
+    refreshNeighborhoodFilters();
+});
+
+/**
+ * Fill the incident and issue neighborhood filters with the current neighborhoods
+ */
+function refreshNeighborhoodFilters() {
+    populateNeighborhoodFilter('incident-neighborhood-filter');
+    populateNeighborhoodFilter('issue-neighborhood-filter');
+}
+
+/**
+ * Initialize the suggestions shown under the location search box
+ */
+function initializeLocationSuggestions() {
+    const locationSearch = document.getElementById('location-search');
+    const suggestionList = document.getElementById('location-suggestions');
+    if (!locationSearch || !suggestionList) return;
+
+    let suggestions = [];
+    let activeIndex = -1;
+
+    const close = () => {
+        suggestions = [];
+        activeIndex = -1;
+        suggestionList.hidden = true;
+        suggestionList.innerHTML = '';
+    };
+
+    const render = () => {
+        suggestionList.hidden = suggestions.length === 0;
+        suggestionList.innerHTML = suggestions.map((suggestion, index) => `
+            <li class="location-suggestion ${index === activeIndex ? 'active' : ''}" data-index="${index}">
+                <span class="suggestion-name">${escapeHtml(suggestion.name)}</span>
+                <span class="suggestion-type">${GAZETTEER_TYPES[suggestion.type]}</span>
+            </li>
+        `).join('');
+    };
+
+    const choose = suggestion => {
+        locationSearch.value = suggestion.name;
+        close();
+        if (typeof showSearchResult === 'function') {
+            showSearchResult(suggestion);
+        }
+    };
+
+    locationSearch.addEventListener('input', function() {
+        const query = locationSearch.value.trim();
+        suggestions = query.length >= 2 ? geocoder.search(query, 6) : [];
+        activeIndex = -1;
+        render();
+    });
+
+    locationSearch.addEventListener('keydown', function(e) {
+        if (suggestionList.hidden) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+            render();
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            // Keep the search button from searching the typed text instead
+            e.preventDefault();
+            choose(suggestions[activeIndex]);
+        } else if (e.key === 'Enter' || e.key === 'Escape') {
+            close();
+        }
+    });
+
+    // Use mousedown so the suggestion is chosen before the input loses focus
+    suggestionList.addEventListener('mousedown', function(e) {
+        const item = e.target.closest('.location-suggestion');
+        if (!item) return;
+        e.preventDefault();
+        choose(suggestions[parseInt(item.dataset.index)]);
+    });
+
+    locationSearch.addEventListener('blur', close);
+}
+
+// Export for use in other modules
+window.Geocoder = Geocoder;
+window.geocoder = geocoder;
+window.parseCoordinates = parseCoordinates;
+window.getNeighborhoodAt = getNeighborhoodAt;
+window.assignNeighborhood = assignNeighborhood;
+window.reverseGeocode = reverseGeocode;
+window.getNeighborhoodStats = getNeighborhoodStats;
+window.populateNeighborhoodFilter = populateNeighborhoodFilter;
+window.refreshNeighborhoodFilters = refreshNeighborhoodFilters;
@@ -0,0 +1,978 @@
+/**
+ * Smart City Data Analytics Dashboard - GTFS Module
+ * This file contains the importers for GTFS static zips (stops, routes,
+ * trips, stop_times, calendar, calendar_dates) and GTFS-Realtime protobuf
+ * feeds (vehicle positions, trip updates, alerts), mapped into the shapes
+ * used by the TransportationManager
+ */
+
+// GTFS route_type values mapped to the dashboard's transport modes
+const GTFS_ROUTE_TYPES = {
+    0: 'tram',
+    1: 'subway',
+    2: 'train',
+    3: 'bus',
+    4: 'ferry',
+    5: 'tram',
+    7: 'train',
+    11: 'bus',
+    12: 'train'
+};
+
+// GTFS-Realtime occupancy_status values mapped to an approximate percentage of capacity
+const GTFS_OCCUPANCY_PERCENTAGES = [0, 25, 60, 85, 95, 100, 100];
+
+// GTFS-Realtime message definitions: field number -> [name, type, repeated]
+const GTFS_REALTIME_MESSAGES = {
+    FeedMessage: {
+        1: ['header', 'FeedHeader'],
+        2: ['entity', 'FeedEntity', true]
+    },
+    FeedHeader: {
+        1: ['gtfsRealtimeVersion', 'string'],
+        2: ['incrementality', 'enum'],
+        3: ['timestamp', 'uint64']
+    },
+    FeedEntity: {
+        1: ['id', 'string'],
+        2: ['isDeleted', 'bool'],
+        3: ['tripUpdate', 'TripUpdate'],
+        4: ['vehicle', 'VehiclePosition'],
+        5: ['alert', 'Alert']
+    },
+    TripUpdate: {
+        1: ['trip', 'TripDescriptor'],
+        2: ['stopTimeUpdate', 'StopTimeUpdate', true],
+        3: ['vehicle', 'VehicleDescriptor'],
+        4: ['timestamp', 'uint64'],
+        5: ['delay', 'int32']
+    },
+    StopTimeUpdate: {
+        1: ['stopSequence', 'uint32'],
+        2: ['arrival', 'StopTimeEvent'],
+        3: ['departure', 'StopTimeEvent'],
+        4: ['stopId', 'string'],
+        5: ['scheduleRelationship', 'enum']
+    },
+    StopTimeEvent: {
+        1: ['delay', 'int32'],
+        2: ['time', 'int64'],
+        3: ['uncertainty', 'int32']
+    },
+    TripDescriptor: {
+        1: ['tripId', 'string'],
+        2: ['startTime', 'string'],
+        3: ['startDate', 'string'],
+        4: ['scheduleRelationship', 'enum'],
+        5: ['routeId', 'string'],
+        6: ['directionId', 'uint32']
+    },
+    VehicleDescriptor: {
+        1: ['id', 'string'],
+        2: ['label', 'string'],
+        3: ['licensePlate', 'string']
+    },
+    VehiclePosition: {
+        1: ['trip', 'TripDescriptor'],
+        2: ['position', 'Position'],
+        3: ['currentStopSequence', 'uint32'],
+        4: ['currentStatus', 'enum'],
+        5: ['timestamp', 'uint64'],
+        6: ['congestionLevel', 'enum'],
+        7: ['stopId', 'string'],
+        8: ['vehicle', 'VehicleDescriptor'],
+        9: ['occupancyStatus', 'enum'],
+        10: ['occupancyPercentage', 'uint32']
+    },
+    Position: {
+        1: ['latitude', 'float'],
+        2: ['longitude', 'float'],
+        3: ['bearing', 'float'],
+        4: ['odometer', 'double'],
+        5: ['speed', 'float']
+    },
+    Alert: {
+        1: ['activePeriod', 'TimeRange', true],
+        5: ['informedEntity', 'EntitySelector', true],
+        6: ['cause', 'enum'],
+        7: ['effect', 'enum'],
+        8: ['url', 'TranslatedString'],
+        10: ['headerText', 'TranslatedString'],
+        11: ['descriptionText', 'TranslatedString']
+    },
+    TimeRange: {
+        1: ['start', 'uint64'],
+        2: ['end', 'uint64']
+    },
+    EntitySelector: {
+        1: ['agencyId', 'string'],
+        2: ['routeId', 'string'],
+        3: ['routeType', 'int32'],
+        4: ['trip', 'TripDescriptor'],
+        5: ['stopId', 'string']
+    },
+    TranslatedString: {
+        1: ['translation', 'Translation', true]
+    },
+    Translation: {
+        1: ['text', 'string'],
+        2: ['language', 'string']
+    }
+};
+
+// Minimal protocol buffers reader for the wire format
+class ProtobufReader {
+    /**
+     * @param {Uint8Array} bytes - Encoded message
+     * @param {Object} messages - Message definitions (field number -> [name, type, repeated])
+     */
+    constructor(bytes, messages = GTFS_REALTIME_MESSAGES) {
+        this.bytes = bytes;
+        this.messages = messages;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = 0;
+    }
+
+    /**
+     * Read a base-128 varint
+     * @returns {BigInt} - Unsigned 64-bit value
+     */
+    readVarint() {
+        let result = 0n;
+        let shift = 0n;
+        let byte;
+        do {
+            if (this.pos >= this.bytes.length) {
+                throw new Error('Truncated protobuf varint');
+            }
+            byte = this.bytes[this.pos++];
+            result |= BigInt(byte & 0x7f) << shift;
+            shift += 7n;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    /**
+     * Read a length-delimited field
+     * @returns {Uint8Array} - Field bytes
+     */
+    readBytes() {
+        const length = Number(this.readVarint());
+        if (this.pos + length > this.bytes.length) {
+            throw new Error('Truncated protobuf field');
+        }
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    /**
+     * Skip a field of the given wire type
+     * @param {number} wireType - Protobuf wire type
+     */
+    skip(wireType) {
+        switch (wireType) {
+            case 0: this.readVarint(); break;
+            case 1: this.pos += 8; break;
+            case 2: this.readBytes(); break;
+            case 5: this.pos += 4; break;
+            default: throw new Error(`Unsupported protobuf wire type: ${wireType}`);
+        }
+    }
+
+    /**
+     * Decode a message using the reader's message definitions
+     * @param {string} type - Message type name
+     * @returns {Object} - Decoded message
+     */
+    readMessage(type) {
+        const fields = this.messages[type];
+        const message = {};
+
+        while (this.pos < this.bytes.length) {
+            const tag = Number(this.readVarint());
+            const fieldNumber = tag >>> 3;
+            const wireType = tag & 7;
+            const field = fields[fieldNumber];
+
+            // Unknown fields and extensions are skipped
+            if (!field) {
+                this.skip(wireType);
+                continue;
+            }
+
+            const [name, fieldType, repeated] = field;
+            const value = this.readValue(fieldType, wireType);
+
+            if (repeated) {
+                message[name] = message[name] || [];
+                message[name].push(value);
+            } else {
+                message[name] = value;
+            }
+        }
+
+        return message;
+    }
+
+    /**
+     * Read a single field value
+     * @param {string} fieldType - Scalar type or message type name
+     * @param {number} wireType - Protobuf wire type
+     * @returns {*} - Decoded value
+     */
+    readValue(fieldType, wireType) {
+        switch (fieldType) {
+            case 'string': return new TextDecoder().decode(this.readBytes());
+            case 'bool': return this.readVarint() !== 0n;
+            case 'enum':
+            case 'uint32':
+            case 'uint64': return Number(this.readVarint());
+            case 'int32':
+            case 'int64': return Number(BigInt.asIntN(64, this.readVarint()));
+            case 'packed': {
+                // Packed repeated varints (e.g. uint32 lists)
+                const reader = new ProtobufReader(this.readBytes(), this.messages);
+                const values = [];
+                while (reader.pos < reader.bytes.length) {
+                    values.push(Number(reader.readVarint()));
+                }
+                return values;
+            }
+            case 'float': {
+                const value = this.view.getFloat32(this.pos, true);
+                this.pos += 4;
+                return value;
+            }
+            case 'double': {
+                const value = this.view.getFloat64(this.pos, true);
+                this.pos += 8;
+                return value;
+            }
+            default: {
+                if (wireType !== 2) {
+                    throw new Error(`Expected an embedded ${fieldType} message`);
+                }
+                return new ProtobufReader(this.readBytes(), this.messages).readMessage(fieldType);
+            }
+        }
+    }
+}
+
+// GTFS Importer class for static and realtime transit feeds
+class GtfsImporter {
+    /**
+     * @param {Object} options - GTFS options (see appConfig.gtfs)
+     */
+    constructor(options = {}) {
+        this.staticUrl = options.staticUrl || null;
+        this.realtimeUrls = options.realtimeUrls || [];
+        this.realtimeInterval = options.realtimeInterval || 30000;
+        this.network = null;
+        this.adapters = [];
+    }
+
+    /**
+     * Check whether a GTFS static feed is configured
+     * @returns {boolean} - True if the network should be imported from GTFS
+     */
+    hasStaticFeed() {
+        return this.staticUrl !== null;
+    }
+
+    /**
+     * Import a GTFS static zip
+     * @param {string|ArrayBuffer|Blob} source - URL, zip contents or file
+     * @param {Date} referenceDate - Date used to pick the weekday and weekend services
+     * @returns {Promise<Object>} - Transportation feed (see DataSource.mapTransportationFeed) plus the timetable
+     */
+    async importStatic(source = this.staticUrl, referenceDate = new Date()) {
+        const files = await readZip(await this.readSource(source));
+
+        const table = name => {
+            const text = files.get(name);
+            return text ? parseCsv(text) : [];
+        };
+
+        ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'].forEach(name => {
+            if (!files.has(name)) {
+                throw new Error(`GTFS feed is missing ${name}`);
+            }
+        });
+        if (!files.has('calendar.txt') && !files.has('calendar_dates.txt')) {
+            throw new Error('GTFS feed needs calendar.txt or calendar_dates.txt');
+        }
+
+        const feed = this.buildNetwork({
+            stops: table('stops.txt'),
+            routes: table('routes.txt'),
+            trips: table('trips.txt'),
+            stopTimes: table('stop_times.txt'),
+            calendar: table('calendar.txt'),
+            calendarDates: table('calendar_dates.txt'),
+            frequencies: table('frequencies.txt')
+        }, referenceDate);
+
+        this.network = feed;
+        return feed;
+    }
+
+    /**
+     * Build the transportation feed from the GTFS tables
+     * @param {Object} tables - Parsed GTFS tables
+     * @param {Date} referenceDate - Date used to pick the weekday and weekend services
+     * @returns {Object} - Transportation feed plus the timetable
+     */
+    buildNetwork(tables, referenceDate) {
+        const timetable = {
+            services: this.buildServices(tables.calendar, tables.calendarDates),
+            trips: {}
+        };
+
+        tables.trips.forEach(trip => {
+            timetable.trips[trip.trip_id] = {
+                id: trip.trip_id,
+                routeId: trip.route_id,
+                serviceId: trip.service_id,
+                directionId: trip.direction_id || '0',
+                headsign: trip.trip_headsign || '',
+                wheelchair: trip.wheelchair_accessible === '1',
+                stopTimes: []
+            };
+        });
+
+        tables.stopTimes.forEach(stopTime => {
+            const trip = timetable.trips[stopTime.trip_id];
+            if (!trip) return;
+            trip.stopTimes.push({
+                stopId: stopTime.stop_id,
+                sequence: parseInt(stopTime.stop_sequence, 10),
+                arrival: stopTime.arrival_time || stopTime.departure_time,
+                departure: stopTime.departure_time || stopTime.arrival_time
+            });
+        });
+
+        const trips = Object.values(timetable.trips);
+        trips.forEach(trip => trip.stopTimes.sort((a, b) => a.sequence - b.sequence));
+
+        // Frequency-based trips repeat their stop pattern every headway_secs
+        const headways = {};
+        tables.frequencies.forEach(frequency => {
+            headways[frequency.trip_id] = headways[frequency.trip_id] || [];
+            headways[frequency.trip_id].push({
+                start: this.timeToSeconds(frequency.start_time),
+                end: this.timeToSeconds(frequency.end_time),
+                headway: parseInt(frequency.headway_secs, 10)
+            });
+        });
+        trips.forEach(trip => {
+            if (headways[trip.id]) trip.headways = headways[trip.id];
+        });
+
+        const routeTypes = {};
+        tables.routes.forEach(route => {
+            routeTypes[route.route_id] = this.routeTypeToMode(route.route_type);
+        });
+
+        // Stops served by each route, and the next stops reachable from each stop
+        const stopRoutes = {};
+        const stopConnections = {};
+        trips.forEach(trip => {
+            trip.stopTimes.forEach((stopTime, index) => {
+                stopRoutes[stopTime.stopId] = stopRoutes[stopTime.stopId] || new Set();
+                stopRoutes[stopTime.stopId].add(trip.routeId);
+
+                const next = trip.stopTimes[index + 1];
+                if (next && next.stopId !== stopTime.stopId) {
+                    stopConnections[stopTime.stopId] = stopConnections[stopTime.stopId] || new Set();
+                    stopConnections[stopTime.stopId].add(next.stopId);
+                }
+            });
+        });
+
+        const stationAccessibility = {};
+        tables.stops.forEach(stop => {
+            if (stop.location_type === '1') stationAccessibility[stop.stop_id] = stop.wheelchair_boarding;
+        });
+
+        // Only boarding locations (stops and platforms) are used; stations, entrances and nodes are not
+        const stops = tables.stops
+            .filter(stop => !stop.location_type || stop.location_type === '0')
+            .filter(stop => stop.stop_lat && stop.stop_lon)
+            .map(stop => {
+                const routeIds = Array.from(stopRoutes[stop.stop_id] || []);
+                const wheelchair = stop.wheelchair_boarding && stop.wheelchair_boarding !== '0' ?
+                    stop.wheelchair_boarding :
+                    stationAccessibility[stop.parent_station];
+
+                return {
+                    id: stop.stop_id,
+                    name: stop.stop_name || stop.stop_id,
+                    location: { lat: parseFloat(stop.stop_lat), lng: parseFloat(stop.stop_lon) },
+                    type: routeIds.length > 0 ? routeTypes[routeIds[0]] : 'bus',
+                    routes: routeIds,
+                    accessibility: {
+                        wheelchair: wheelchair === '1',
+                        elevator: false,
+                        ramp: false,
+                        tactilePaving: false
+                    },
+                    amenities: [],
+                    connections: Array.from(stopConnections[stop.stop_id] || []).map(stopId => ({ stopId: stopId }))
+                };
+            });
+
+        const stopIds = new Set(stops.map(stop => stop.id));
+
+        // Representative days for the weekday and weekend timetables
+        const weekdayDate = this.nextDate(referenceDate, day => day >= 1 && day <= 5);
+        const weekendDate = this.nextDate(referenceDate, day => day === 0 || day === 6);
+
+        const schedules = {};
+        const routes = tables.routes.map(route => {
+            const routeTrips = trips.filter(trip => trip.routeId === route.route_id && trip.stopTimes.length > 0);
+
+            // The longest trip in the main direction defines the route's stop pattern
+            const mainDirection = routeTrips.filter(trip => trip.directionId === '0');
+            const pattern = (mainDirection.length > 0 ? mainDirection : routeTrips)
+                .reduce((longest, trip) => (!longest || trip.stopTimes.length > longest.stopTimes.length ? trip : longest), null);
+
+            const weekday = this.buildDailySchedule(routeTrips, timetable.services, weekdayDate);
+            const weekend = this.buildDailySchedule(routeTrips, timetable.services, weekendDate);
+            schedules[route.route_id] = { weekday, weekend };
+
+            const firstStop = pattern ? pattern.stopTimes[0].stopId : null;
+            const weekdayDepartures = (weekday.find(entry => entry.stopId === firstStop) || { departures: [] }).departures;
+            const weekendDepartures = (weekend.find(entry => entry.stopId === firstStop) || { departures: [] }).departures;
+
+            const name = [route.route_short_name, route.route_long_name].filter(Boolean).join(' - ');
+
+            return {
+                id: route.route_id,
+                name: name || route.route_id,
+                type: routeTypes[route.route_id],
+                color: route.route_color ? `#${route.route_color}` : null,
+                stops: pattern ? pattern.stopTimes.map(stopTime => stopTime.stopId).filter(stopId => stopIds.has(stopId)) : [],
+                frequency: this.calculateFrequency(weekdayDepartures),
+                operatingHours: {
+                    weekday: this.getServiceSpan(weekdayDepartures),
+                    weekend: this.getServiceSpan(weekendDepartures)
+                },
+                averageRidership: null,
+                status: 'normal'
+            };
+        });
+
+        return {
+            stops,
+            routes,
+            vehicles: [],
+            schedules,
+            delays: {},
+            serviceAlerts: [],
+            crowdLevels: {},
+            timetable
+        };
+    }
+
+    /**
+     * Build the service calendar from calendar.txt and calendar_dates.txt
+     * @param {Array} calendar - calendar.txt rows
+     * @param {Array} calendarDates - calendar_dates.txt rows
+     * @returns {Object} - Services by ID ({ days, startDate, endDate, added, removed })
+     */
+    buildServices(calendar, calendarDates) {
+        const services = {};
+        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+        calendar.forEach(service => {
+            services[service.service_id] = {
+                days: dayNames.map(day => service[day] === '1'),
+                startDate: service.start_date,
+                endDate: service.end_date,
+                added: [],
+                removed: []
+            };
+        });
+
+        // Exceptions: 1 adds service on a date, 2 removes it
+        calendarDates.forEach(exception => {
+            const service = services[exception.service_id] = services[exception.service_id] || {
+                days: [false, false, false, false, false, false, false],
+                startDate: null,
+                endDate: null,
+                added: [],
+                removed: []
+            };
+            (exception.exception_type === '2' ? service.removed : service.added).push(exception.date);
+        });
+
+        return services;
+    }
+
+    /**
+     * Build the departures per stop of a route's trips running on a date
+     * @param {Array} trips - Trips of the route
+     * @param {Object} services - Service calendar
+     * @param {Date} date - Service date
+     * @returns {Array} - [{ stopId, departures: ['HH:MM'] }]
+     */
+    buildDailySchedule(trips, services, date) {
+        const departuresByStop = {};
+
+        trips.filter(trip => isServiceActive(services[trip.serviceId], date)).forEach(trip => {
+            // Frequency-based trips are expanded into one run per headway
+            const offsets = trip.headways ?
+                trip.headways.flatMap(({ start, end, headway }) => {
+                    const runs = [];
+                    for (let time = start; time < end; time += headway) runs.push(time - this.timeToSeconds(trip.stopTimes[0].departure));
+                    return runs;
+                }) :
+                [0];
+
+            offsets.forEach(offset => {
+                trip.stopTimes.forEach(stopTime => {
+                    if (!stopTime.departure) return;
+                    departuresByStop[stopTime.stopId] = departuresByStop[stopTime.stopId] || [];
+                    departuresByStop[stopTime.stopId].push(this.timeToSeconds(stopTime.departure) + offset);
+                });
+            });
+        });
+
+        // Sorted by service time, so trips after midnight (e.g. 25:10) come last
+        return Object.entries(departuresByStop).map(([stopId, departures]) => ({
+            stopId: stopId,
+            departures: Array.from(new Set(departures)).sort((a, b) => a - b).map(seconds => this.secondsToTime(seconds))
+        }));
+    }
+
+    /**
+     * Calculate the typical headway in peak and off-peak hours
+     * @param {Array} departures - Departure times ('HH:MM') at the first stop
+     * @returns {Object} - { peak, offPeak } in minutes
+     */
+    calculateFrequency(departures) {
+        const minutes = departures.map(time => this.timeToSeconds(time) / 60);
+        const isPeak = time => (time >= 7 * 60 && time <= 9 * 60) || (time >= 16 * 60 && time <= 19 * 60);
+
+        const median = values => {
+            if (values.length === 0) return null;
+            const sorted = values.slice().sort((a, b) => a - b);
+            return Math.round(sorted[Math.floor(sorted.length / 2)]);
+        };
+
+        const peakGaps = [];
+        const offPeakGaps = [];
+        for (let i = 1; i < minutes.length; i++) {
+            const gap = minutes[i] - minutes[i - 1];
+            if (gap <= 0) continue;
+            (isPeak(minutes[i - 1]) ? peakGaps : offPeakGaps).push(gap);
+        }
+
+        const peak = median(peakGaps) || median(offPeakGaps) || 0;
+        return { peak: peak, offPeak: median(offPeakGaps) || peak };
+    }
+
+    /**
+     * Get the first and last departure of a day
+     * @param {Array} departures - Sorted departure times ('HH:MM')
+     * @returns {Object} - { start, end } ('--:--' when there is no service)
+     */
+    getServiceSpan(departures) {
+        if (departures.length === 0) return { start: '--:--', end: '--:--' };
+        return { start: departures[0], end: departures[departures.length - 1] };
+    }
+
+    /**
+     * Import a GTFS-Realtime feed
+     * @param {string|ArrayBuffer|Blob} source - URL, protobuf contents or file
+     * @returns {Promise<Object>} - Realtime update (see mapRealtime)
+     */
+    async importRealtime(source) {
+        const bytes = new Uint8Array(await this.readSource(source));
+        return this.mapRealtime(new ProtobufReader(bytes).readMessage('FeedMessage'));
+    }
+
+    /**
+     * Map a decoded GTFS-Realtime FeedMessage
+     * Only the parts present in the message are returned, so vehicle
+     * positions, trip updates and alerts can come from separate feeds
+     * @param {Object} message - Decoded FeedMessage
+     * @returns {Object} - { timestamp, vehicles, delays, serviceAlerts }
+     */
+    mapRealtime(message) {
+        const trips = this.network ? this.network.timetable.trips : {};
+        const routes = this.network ? this.network.routes : [];
+        const feedTime = message.header && message.header.timestamp ?
+            new Date(message.header.timestamp * 1000).toISOString() :
+            new Date().toISOString();
+
+        const update = { timestamp: feedTime, vehicles: null, delays: null, serviceAlerts: null };
+        const entities = (message.entity || []).filter(entity => !entity.isDeleted);
+        const tripVehicles = {};
+
+        entities.filter(entity => entity.vehicle).forEach(entity => {
+            const position = entity.vehicle;
+            const trip = position.trip || {};
+            const scheduledTrip = trips[trip.tripId];
+            const routeId = trip.routeId || (scheduledTrip ? scheduledTrip.routeId : null);
+            const route = routes.find(r => r.id === routeId);
+            const vehicleId = (position.vehicle && position.vehicle.id) || entity.id;
+
+            if (trip.tripId) tripVehicles[trip.tripId] = vehicleId;
+
+            // current_status: 0 INCOMING_AT, 1 STOPPED_AT, 2 IN_TRANSIT_TO (the default)
+            const status = position.currentStatus === undefined ? 2 : position.currentStatus;
+            const stopIds = scheduledTrip ? scheduledTrip.stopTimes.map(stopTime => stopTime.stopId) : (route ? route.stops : []);
+            const stopIndex = position.stopId ? stopIds.indexOf(position.stopId) : -1;
+
+            let currentStop = null;
+            let nextStop = position.stopId || null;
+            if (status === 1) {
+                currentStop = position.stopId;
+                nextStop = stopIndex >= 0 ? stopIds[stopIndex + 1] || null : null;
+            } else if (stopIndex > 0) {
+                currentStop = stopIds[stopIndex - 1];
+            }
+
+            update.vehicles = update.vehicles || [];
+            update.vehicles.push({
+                id: vehicleId,
+                label: position.vehicle && position.vehicle.label,
+                routeId: routeId,
+                tripId: trip.tripId || null,
+                type: route ? route.type : 'bus',
+                capacity: null,
+                status: 'in_service',
+                location: {
+                    currentStop: currentStop,
+                    nextStop: nextStop,
+                    progress: status === 1 ? 0 : (status === 0 ? 0.9 : 0.5),
+                    lat: position.position ? position.position.latitude : null,
+                    lng: position.position ? position.position.longitude : null
+                },
+                // GTFS-Realtime speeds are in meters per second
+                speed: position.position && position.position.speed !== undefined ?
+                    Math.round(position.position.speed * 3.6) :
+                    null,
+                heading: position.position ? position.position.bearing : null,
+                accessibility: {
+                    wheelchair: scheduledTrip ? scheduledTrip.wheelchair : false,
+                    visualAnnouncements: false,
+                    audioAnnouncements: false
+                },
+                occupancyPercentage: position.occupancyPercentage !== undefined ?
+                    position.occupancyPercentage :
+                    GTFS_OCCUPANCY_PERCENTAGES[position.occupancyStatus],
+                lastUpdated: position.timestamp ? new Date(position.timestamp * 1000).toISOString() : feedTime,
+                realtime: true
+            });
+        });
+
+        entities.filter(entity => entity.tripUpdate).forEach(entity => {
+            const tripUpdate = entity.tripUpdate;
+            const trip = tripUpdate.trip || {};
+            const vehicleId = (tripUpdate.vehicle && tripUpdate.vehicle.id) || tripVehicles[trip.tripId] || trip.tripId || entity.id;
+
+            // The first predicted stop carries the current delay; later stops tell which stops are affected
+            const stopUpdates = tripUpdate.stopTimeUpdate || [];
+            const stopDelay = stopUpdate => {
+                const event = stopUpdate.arrival || stopUpdate.departure;
+                return event && event.delay !== undefined ? event.delay : null;
+            };
+            const firstDelay = stopUpdates.map(stopDelay).find(delay => delay !== null);
+            const delaySeconds = tripUpdate.delay !== undefined ? tripUpdate.delay : (firstDelay !== undefined ? firstDelay : 0);
+
+            update.delays = update.delays || {};
+            update.delays[vehicleId] = {
+                minutes: Math.round(delaySeconds / 60),
+                reason: 'Reported by GTFS-Realtime',
+                timestamp: tripUpdate.timestamp ? new Date(tripUpdate.timestamp * 1000).toISOString() : feedTime,
+                affectedStops: stopUpdates.filter(stopUpdate => stopDelay(stopUpdate) > 0).map(stopUpdate => stopUpdate.stopId).filter(Boolean),
+                tripId: trip.tripId || null
+            };
+        });
+
+        entities.filter(entity => entity.alert).forEach(entity => {
+            const alert = entity.alert;
+            const period = (alert.activePeriod || [])[0] || {};
+            const selectors = alert.informedEntity || [];
+            const routeIds = Array.from(new Set(selectors.map(selector => selector.routeId ||
+                (selector.trip && (selector.trip.routeId || (trips[selector.trip.tripId] || {}).routeId))).filter(Boolean)));
+
+            update.serviceAlerts = update.serviceAlerts || [];
+            (routeIds.length > 0 ? routeIds : [null]).forEach(routeId => {
+                update.serviceAlerts.push({
+                    id: entity.id,
+                    routeId: routeId,
+                    reason: this.translate(alert.headerText) || 'Service alert',
+                    description: this.translate(alert.descriptionText),
+                    startTime: period.start ? new Date(period.start * 1000).toISOString() : null,
+                    endTime: period.end ? new Date(period.end * 1000).toISOString() : null,
+                    affectedStops: selectors.map(selector => selector.stopId).filter(Boolean),
+                    alternatives: [],
+                    source: 'gtfs-realtime'
+                });
+            });
+        });
+
+        return update;
+    }
+
+    /**
+     * Start polling the configured GTFS-Realtime feeds
+     * @param {Function} callback - Called with each realtime update
+     */
+    startRealtime(callback) {
+        this.adapters = this.realtimeUrls.map(url => {
+            const adapter = new PollingFeedAdapter('transportation', {
+                url: url,
+                interval: this.realtimeInterval,
+                responseType: 'arrayBuffer'
+            });
+
+            adapter.onUpdate(buffer => {
+                let update;
+                try {
+                    update = this.mapRealtime(new ProtobufReader(new Uint8Array(buffer)).readMessage('FeedMessage'));
+                } catch (error) {
+                    console.error(`Could not decode GTFS-Realtime feed ${url}:`, error);
+                    return;
+                }
+                callback(update);
+            });
+            adapter.onError(error => console.warn('GTFS-Realtime:', error.message));
+            adapter.start();
+            return adapter;
+        });
+    }
+
+    /**
+     * Stop polling the GTFS-Realtime feeds
+     */
+    stopRealtime() {
+        this.adapters.forEach(adapter => adapter.stop());
+        this.adapters = [];
+    }
+
+    /**
+     * Read a URL, Blob or ArrayBuffer into an ArrayBuffer
+     * @param {string|ArrayBuffer|Blob} source - Source to read
+     * @returns {Promise<ArrayBuffer>} - Contents
+     */
+    async readSource(source) {
+        if (source instanceof ArrayBuffer) return source;
+        if (ArrayBuffer.isView(source)) return source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+        if (typeof Blob !== 'undefined' && source instanceof Blob) return source.arrayBuffer();
+
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to load GTFS data from ${source}: HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
+    }
+
+    /**
+     * Map a GTFS route_type (including extended types) to a transport mode
+     * @param {string} routeType - route_type value
+     * @returns {string} - Transport mode
+     */
+    routeTypeToMode(routeType) {
+        const type = parseInt(routeType, 10);
+        if (GTFS_ROUTE_TYPES[type]) return GTFS_ROUTE_TYPES[type];
+
+        // Extended route types are grouped by hundreds
+        if (type >= 100 && type < 200) return 'train';
+        if (type >= 400 && type < 500) return 'subway';
+        if (type >= 900 && type < 1000) return 'tram';
+        if (type >= 1000 && type < 1100) return 'ferry';
+        return 'bus';
+    }
+
+    /**
+     * Get the first date on or after a date whose weekday matches
+     * @param {Date} date - Start date
+     * @param {Function} matches - Called with the day of the week (0 = Sunday)
+     * @returns {Date} - Matching date
+     */
+    nextDate(date, matches) {
+        const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        while (!matches(next.getDay())) next.setDate(next.getDate() + 1);
+        return next;
+    }
+
+    /**
+     * Convert a GTFS time (may exceed 24:00:00) to seconds after midnight
+     * @param {string} time - Time in HH:MM[:SS] format
+     * @returns {number} - Seconds
+     */
+    timeToSeconds(time) {
+        const [hours, minutes, seconds] = time.trim().split(':').map(Number);
+        return hours * 3600 + minutes * 60 + (seconds || 0);
+    }
+
+    /**
+     * Convert seconds after midnight to HH:MM on a 24-hour clock
+     * @param {number} seconds - Seconds after midnight
+     * @returns {string} - Time in HH:MM format
+     */
+    secondsToTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60) % 24;
+        return `${hours.toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Get the text of a GTFS-Realtime TranslatedString (English preferred)
+     * @param {Object} translated - TranslatedString message
+     * @returns {string} - Text, or an empty string
+     */
+    translate(translated) {
+        const translations = (translated && translated.translation) || [];
+        const match = translations.find(t => !t.language || t.language.startsWith('en')) || translations[0];
+        return match ? match.text : '';
+    }
+}
+
+/**
+ * Check whether a GTFS service runs on a date
+ * @param {Object} service - Service from the calendar (see GtfsImporter.buildServices)
+ * @param {Date} date - Service date
+ * @returns {boolean} - True if the service runs
+ */
+function isServiceActive(service, date) {
+    if (!service) return false;
+
+    const key = `${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}`;
+    if (service.removed.includes(key)) return false;
+    if (service.added.includes(key)) return true;
+
+    return service.days[date.getDay()] &&
+        (!service.startDate || key >= service.startDate) &&
+        (!service.endDate || key <= service.endDate);
+}
+
+/**
+ * Parse CSV text (RFC 4180) into row objects keyed by the header
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark
+    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const header = (rows.shift() || []).map(name => name.trim());
+    return rows
+        .filter(values => values.length > 1 || values[0] !== '')
+        .map(values => Object.fromEntries(header.map((name, index) => [name, (values[index] || '').trim()])));
+}
+
+/**
+ * Read the text files of a zip archive
+ * Supports stored and deflated entries (not ZIP64)
+ * @param {ArrayBuffer} buffer - Zip contents
+ * @returns {Promise<Map>} - File name (without directories) to text
+ */
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // Find the end of central directory record (it is followed by a comment of up to 64 KB)
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive');
+    }
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt zip central directory');
+        }
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || !name.endsWith('.txt')) continue;
+        if (compressedSize === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) {
+            content = data;
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            content = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+        }
+
+        files.set(name.split('/').pop(), new TextDecoder().decode(content));
+    }
+
+    return files;
+}
+
+// Create global instance
+const gtfsImporter = new GtfsImporter(appConfig.gtfs);
+
+// Export for use in other modules
+window.GtfsImporter = GtfsImporter;
+window.ProtobufReader = ProtobufReader;
+window.gtfsImporter = gtfsImporter;
+window.isServiceActive = isServiceActive;
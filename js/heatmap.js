@@ -0,0 +1,243 @@
+/**
+ * Smart City Data Analytics Dashboard - Heatmap Module
+ * This file contains a canvas heatmap layer for Leaflet: point weights are
+ * spread with a kernel density estimate over a pixel grid, optionally
+ * blurred, and colored through a gradient
+ */
+
+// Default heatmap options
+const HEATMAP_DEFAULTS = {
+    radius: 25,  // Kernel bandwidth in pixels
+    blur: 15,  // Blur of the density surface in pixels (0 for none)
+    gradient: { 0.4: 'blue', 0.6: 'yellow', 0.8: 'orange', 1.0: 'red' },
+    max: null,  // Density shown at the top of the gradient (null for the highest density in view)
+    minOpacity: 0.05,
+    cellSize: 2  // Size of a density grid cell in pixels
+};
+
+// Heatmap Layer class; draws weighted points ([lat, lng, weight]) as a density surface
+class HeatmapLayer extends L.Layer {
+    /**
+     * @param {Array} points - Points as [lat, lng, weight] (weight defaults to 1)
+     * @param {Object} options - Heatmap options (see HEATMAP_DEFAULTS), plus the map pane
+     */
+    constructor(points = [], options = {}) {
+        super();
+        L.setOptions(this, Object.assign({}, HEATMAP_DEFAULTS, options));
+        this.points = points;
+        this.canvas = null;
+        this.palette = null;
+    }
+
+    /**
+     * Add the heatmap canvas to the map
+     * @param {L.Map} map - Map
+     */
+    onAdd(map) {
+        this.canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide');
+        this.canvas.style.pointerEvents = 'none';
+        this.getPane().appendChild(this.canvas);
+
+        map.on('moveend resize', this.redraw, this);
+        this.redraw();
+    }
+
+    /**
+     * Remove the heatmap canvas from the map
+     * @param {L.Map} map - Map
+     */
+    onRemove(map) {
+        map.off('moveend resize', this.redraw, this);
+        L.DomUtil.remove(this.canvas);
+        this.canvas = null;
+    }
+
+    /**
+     * Replace the points
+     * @param {Array} points - Points as [lat, lng, weight]
+     * @returns {HeatmapLayer} - This layer
+     */
+    setData(points) {
+        this.points = points;
+        return this.redraw();
+    }
+
+    /**
+     * Change heatmap options
+     * @param {Object} options - Heatmap options
+     * @returns {HeatmapLayer} - This layer
+     */
+    setOptions(options) {
+        L.setOptions(this, options);
+        if (options.gradient) this.palette = null;
+        return this.redraw();
+    }
+
+    /**
+     * Draw the heatmap for the current map view
+     * @returns {HeatmapLayer} - This layer
+     */
+    redraw() {
+        if (!this._map || !this.canvas) return this;
+
+        const size = this._map.getSize();
+        this.canvas.width = size.x;
+        this.canvas.height = size.y;
+        L.DomUtil.setPosition(this.canvas, this._map.containerPointToLayerPoint([0, 0]));
+
+        const cellSize = this.options.cellSize;
+        const cols = Math.ceil(size.x / cellSize);
+        const rows = Math.ceil(size.y / cellSize);
+        const density = this.estimateDensity(cols, rows);
+
+        const blurCells = Math.round(this.options.blur / cellSize);
+        if (blurCells > 0) {
+            blurGrid(density, cols, rows, blurCells);
+        }
+
+        let max = this.options.max;
+        if (!max) {
+            max = density.reduce((highest, value) => Math.max(highest, value), 0);
+        }
+
+        const context = this.canvas.getContext('2d');
+        context.clearRect(0, 0, size.x, size.y);
+        if (max <= 0) return this;
+
+        // Color the grid on a canvas of one pixel per cell, then scale it to the map
+        const grid = document.createElement('canvas');
+        grid.width = cols;
+        grid.height = rows;
+        const gridContext = grid.getContext('2d');
+        const image = gridContext.createImageData(cols, rows);
+        const palette = this.getPalette();
+
+        for (let i = 0; i < density.length; i++) {
+            const value = Math.min(density[i] / max, 1);
+            if (value <= 0.001) continue;
+
+            const color = Math.round(value * 255) * 4;
+            image.data[i * 4] = palette[color];
+            image.data[i * 4 + 1] = palette[color + 1];
+            image.data[i * 4 + 2] = palette[color + 2];
+            image.data[i * 4 + 3] = Math.round(255 * Math.max(value, this.options.minOpacity));
+        }
+
+        gridContext.putImageData(image, 0, 0);
+        context.imageSmoothingEnabled = true;
+        context.drawImage(grid, 0, 0, cols * cellSize, rows * cellSize);
+        return this;
+    }
+
+    /**
+     * Estimate the point density on a grid covering the map view
+     * Each point adds its weight through a quartic (biweight) kernel: weight * (1 - (d / radius)^2)^2
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @returns {Float32Array} - Density by cell, row by row
+     */
+    estimateDensity(cols, rows) {
+        const density = new Float32Array(cols * rows);
+        const cellSize = this.options.cellSize;
+        const radius = this.options.radius / cellSize;
+
+        this.points.forEach(point => {
+            const weight = point[2] === undefined ? 1 : point[2];
+            if (!(weight > 0)) return;
+
+            const position = this._map.latLngToContainerPoint([point[0], point[1]]);
+            const x = position.x / cellSize;
+            const y = position.y / cellSize;
+
+            // Points outside the view still contribute near its edges
+            const startCol = Math.max(0, Math.floor(x - radius));
+            const endCol = Math.min(cols - 1, Math.ceil(x + radius));
+            const startRow = Math.max(0, Math.floor(y - radius));
+            const endRow = Math.min(rows - 1, Math.ceil(y + radius));
+
+            for (let row = startRow; row <= endRow; row++) {
+                for (let col = startCol; col <= endCol; col++) {
+                    const dx = col + 0.5 - x;
+                    const dy = row + 0.5 - y;
+                    const distance = (dx * dx + dy * dy) / (radius * radius);
+                    if (distance < 1) {
+                        density[row * cols + col] += weight * (1 - distance) * (1 - distance);
+                    }
+                }
+            }
+        });
+
+        return density;
+    }
+
+    /**
+     * Get the gradient as 256 RGBA colors
+     * @returns {Uint8ClampedArray} - Colors, 4 values each
+     */
+    getPalette() {
+        if (!this.palette) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 256;
+            canvas.height = 1;
+            const context = canvas.getContext('2d');
+            const gradient = context.createLinearGradient(0, 0, 256, 0);
+            Object.keys(this.options.gradient).forEach(stop => {
+                gradient.addColorStop(parseFloat(stop), this.options.gradient[stop]);
+            });
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, 256, 1);
+            this.palette = context.getImageData(0, 0, 256, 1).data;
+        }
+        return this.palette;
+    }
+}
+
+/**
+ * Blur a grid in place with two box blur passes in each direction (close to a Gaussian blur)
+ * @param {Float32Array} grid - Values by cell, row by row
+ * @param {number} cols - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {number} radius - Blur radius in cells
+ */
+function blurGrid(grid, cols, rows, radius) {
+    const line = new Float32Array(Math.max(cols, rows));
+    const boxRadius = Math.max(1, Math.round(radius / 2));
+
+    const blurLine = (length, read, write) => {
+        for (let i = 0; i < length; i++) line[i] = read(i);
+
+        // Running sum over the window [i - boxRadius, i + boxRadius], clipped to the line
+        let sum = 0;
+        for (let i = 0; i < Math.min(boxRadius, length); i++) sum += line[i];
+        for (let i = 0; i < length; i++) {
+            if (i + boxRadius < length) sum += line[i + boxRadius];
+            if (i - boxRadius - 1 >= 0) sum -= line[i - boxRadius - 1];
+            write(i, sum / (2 * boxRadius + 1));
+        }
+    };
+
+    for (let pass = 0; pass < 2; pass++) {
+        for (let row = 0; row < rows; row++) {
+            blurLine(cols, col => grid[row * cols + col], (col, value) => { grid[row * cols + col] = value; });
+        }
+        for (let col = 0; col < cols; col++) {
+            blurLine(rows, row => grid[row * cols + col], (row, value) => { grid[row * cols + col] = value; });
+        }
+    }
+}
+
+/**
+ * Get the CSS gradient of a heatmap gradient, for legends
+ * @param {Object} gradient - Gradient stops ({ position: color })
+ * @returns {string} - CSS linear-gradient
+ */
+function getHeatmapGradientCSS(gradient = HEATMAP_DEFAULTS.gradient) {
+    const stops = Object.keys(gradient)
+        .sort((a, b) => parseFloat(a) - parseFloat(b))
+        .map(stop => `${gradient[stop]} ${Math.round(parseFloat(stop) * 100)}%`);
+    return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+// Export for use in other modules
+window.HeatmapLayer = HeatmapLayer;
+window.getHeatmapGradientCSS = getHeatmapGradientCSS;
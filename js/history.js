@@ -0,0 +1,342 @@
+/**
+ * Smart City Data Analytics Dashboard - History Module
+ * This file contains the IndexedDB snapshot store that records the state of
+ * every module over time, and the history manager that replays a past date
+ * across all sections
+ */
+
+// Snapshot Store class; snapshots are keyed by their timestamp (milliseconds since the epoch)
+class SnapshotStore {
+    /**
+     * @param {string} databaseName - IndexedDB database name
+     */
+    constructor(databaseName = 'smart-city-history') {
+        this.databaseName = databaseName;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating the snapshot store on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('snapshots', { keyPath: 'timestamp' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the snapshot store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction('snapshots', mode).objectStore('snapshots'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a snapshot
+     * @param {Object} snapshot - { timestamp, modules: { [domain]: state } }
+     * @returns {Promise} - Resolves when the snapshot is stored
+     */
+    save(snapshot) {
+        return this.request('readwrite', store => store.put(snapshot));
+    }
+
+    /**
+     * Get the most recent snapshot taken at or before a time
+     * @param {number} timestamp - Time in milliseconds
+     * @returns {Promise<Object|null>} - Snapshot or null if none was recorded before
+     */
+    async getLatestBefore(timestamp) {
+        const cursor = await this.request('readonly', store =>
+            store.openCursor(IDBKeyRange.upperBound(timestamp), 'prev'));
+        return cursor ? cursor.value : null;
+    }
+
+    /**
+     * Get the timestamps of the snapshots taken in a time range
+     * @param {number} start - Range start in milliseconds (inclusive)
+     * @param {number} end - Range end in milliseconds (inclusive)
+     * @returns {Promise<Array>} - Sorted timestamps
+     */
+    getTimestamps(start, end) {
+        return this.request('readonly', store => store.getAllKeys(IDBKeyRange.bound(start, end)));
+    }
+
+    /**
+     * Visit the snapshots taken in a time range one at a time, oldest first,
+     * without holding them all in memory
+     * @param {number} start - Range start in milliseconds (inclusive)
+     * @param {number} end - Range end in milliseconds (inclusive)
+     * @param {Function} callback - Called with each snapshot
+     * @returns {Promise} - Resolves when every snapshot was visited
+     */
+    async forEach(start, end, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction('snapshots', 'readonly').objectStore('snapshots')
+                .openCursor(IDBKeyRange.bound(start, end));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                callback(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete the snapshots taken before a time
+     * @param {number} timestamp - Time in milliseconds
+     * @returns {Promise} - Resolves when the snapshots are deleted
+     */
+    deleteBefore(timestamp) {
+        return this.request('readwrite', store => store.delete(IDBKeyRange.upperBound(timestamp, true)));
+    }
+}
+
+// History Manager class; records module snapshots and switches the dashboard between live and historical data
+class HistoryManager {
+    /**
+     * @param {Object} options - History options (see appConfig.history)
+     * @param {SnapshotStore} store - Snapshot store
+     */
+    constructor(options = {}, store = new SnapshotStore()) {
+        this.options = options;
+        this.store = store;
+        this.modules = new Map();
+        this.listeners = [];
+        this.liveState = null;
+        this.viewedSnapshot = null;
+        this.recordTimer = null;
+        this.pendingRecord = null;
+    }
+
+    /**
+     * Register a module whose state is recorded and replayed
+     * The manager must implement getSnapshotState() and restoreSnapshotState(state)
+     * @param {string} domain - Domain name
+     * @param {Object} manager - Module manager
+     * @param {Function} refresh - Re-renders the module's section
+     */
+    register(domain, manager, refresh) {
+        this.modules.set(domain, { manager, refresh });
+
+        // Record once all modules that initialize together have registered
+        clearTimeout(this.pendingRecord);
+        this.pendingRecord = setTimeout(() => this.record(), 2000);
+    }
+
+    /**
+     * Start recording snapshots on the configured interval
+     */
+    start() {
+        if (!this.options.enabled || this.recordTimer) return;
+        this.recordTimer = setInterval(() => this.record(), this.options.interval);
+    }
+
+    /**
+     * Record a snapshot of every registered module
+     * Nothing is recorded while historical data is shown
+     * @returns {Promise<Object|null>} - Recorded snapshot, or null if nothing was recorded
+     */
+    async record() {
+        if (!this.options.enabled || this.isViewingHistory() || this.modules.size === 0) return null;
+
+        const snapshot = { timestamp: Date.now(), modules: this.captureModules() };
+
+        try {
+            await this.store.save(snapshot);
+            if (this.options.retentionDays) {
+                await this.store.deleteBefore(snapshot.timestamp - this.options.retentionDays * 24 * 60 * 60 * 1000);
+            }
+        } catch (error) {
+            console.warn('Could not record history snapshot:', error.message);
+            return null;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Capture the state of every registered module
+     * @returns {Object} - State by domain
+     */
+    captureModules() {
+        const modules = {};
+        this.modules.forEach(({ manager }, domain) => {
+            modules[domain] = manager.getSnapshotState();
+        });
+        return modules;
+    }
+
+    /**
+     * Restore module states and re-render their sections
+     * Modules missing from the states are left unchanged
+     * @param {Object} states - State by domain
+     */
+    restoreModules(states) {
+        this.modules.forEach(({ manager, refresh }, domain) => {
+            if (!states[domain]) return;
+            manager.restoreSnapshotState(states[domain]);
+            refresh();
+        });
+    }
+
+    /**
+     * Show the dashboard for a date: recorded data for past dates, live data for today
+     * The last snapshot recorded on a past date is replayed
+     * @param {Date} date - Selected date
+     * @returns {Promise<boolean>} - True if the date could be shown; false leaves the dashboard unchanged
+     */
+    async showDate(date) {
+        const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime() - 1;
+        if (endOfDay >= Date.now()) {
+            this.returnToLive();
+            return true;
+        }
+
+        let snapshot;
+        try {
+            snapshot = await this.store.getLatestBefore(endOfDay);
+        } catch (error) {
+            console.error('Could not read history snapshots:', error);
+            snapshot = null;
+        }
+
+        const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        if (!snapshot || snapshot.timestamp < startOfDay) {
+            showNotification(`No data was recorded on ${formatDate(date)}`, 'warning');
+            return false;
+        }
+
+        this.showSnapshot(snapshot);
+        return true;
+    }
+
+    /**
+     * Replay a recorded snapshot across all modules
+     * The live state is kept aside and live updates are held until returning to live
+     * @param {Object} snapshot - Recorded snapshot
+     */
+    showSnapshot(snapshot) {
+        if (!this.isViewingHistory()) {
+            this.liveState = structuredClone(this.captureModules());
+            liveFeedManager.pause();
+        }
+
+        // Restore a copy so interacting with the historical view does not change the stored snapshot
+        this.viewedSnapshot = snapshot;
+        this.restoreModules(structuredClone(snapshot.modules));
+        this.notify();
+    }
+
+    /**
+     * Return to live data
+     */
+    returnToLive() {
+        if (!this.isViewingHistory()) return;
+
+        this.restoreModules(this.liveState);
+        this.liveState = null;
+        this.viewedSnapshot = null;
+
+        // Deliver the live updates that arrived while historical data was shown
+        liveFeedManager.resume();
+        this.notify();
+    }
+
+    /**
+     * Check whether historical data is shown
+     * @returns {boolean} - True while viewing a snapshot
+     */
+    isViewingHistory() {
+        return this.viewedSnapshot !== null;
+    }
+
+    /**
+     * Register a callback for switches between live and historical data
+     * @param {Function} listener - Called with the viewed snapshot, or null for live data
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify the listeners of a switch between live and historical data
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this.viewedSnapshot));
+    }
+}
+
+// Create global instance
+const historyManager = new HistoryManager(appConfig.history);
+
+// Set up the historical data banner and start recording when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeHistoryBanner();
+    historyManager.start();
+});
+
+/**
+ * Initialize the "Viewing historical data" banner
+ */
+function initializeHistoryBanner() {
+    const banner = document.getElementById('history-banner');
+    const returnButton = document.getElementById('return-to-live-btn');
+
+    if (returnButton) {
+        returnButton.addEventListener('click', function() {
+            historyManager.returnToLive();
+        });
+    }
+
+    historyManager.onChange(snapshot => {
+        if (banner) {
+            banner.hidden = snapshot === null;
+        }
+
+        const bannerTime = document.getElementById('history-banner-time');
+        if (bannerTime && snapshot) {
+            const recorded = new Date(snapshot.timestamp);
+            bannerTime.textContent = `${formatDate(recorded)} ${formatTime(recorded)}`;
+        }
+
+        // Keep the date selector in sync when returning to live from the banner
+        const dateSelector = document.getElementById('date-selector');
+        if (dateSelector && snapshot === null) {
+            dateSelector.value = toDateInputValue(new Date());
+        }
+    });
+}
+
+// Export for use in other modules
+window.SnapshotStore = SnapshotStore;
+window.HistoryManager = HistoryManager;
+window.historyManager = historyManager;
@@ -0,0 +1,331 @@
+/**
+ * Smart City Data Analytics Dashboard - Incident Propagation Module
+ * This file contains the queue model of a traffic incident: the capacity
+ * the incident takes away makes a queue that spills back over the road
+ * graph, segment by segment, until the incident is cleared and the queues
+ * have discharged
+ */
+
+// Vehicles per minute a lane carries at capacity (1800 per hour)
+const INCIDENT_LANE_CAPACITY = 30;
+
+// Lanes per direction of segments whose feed gives no lane count
+const INCIDENT_DEFAULT_LANES = 1;
+
+// Vehicles per meter of a lane in a standing queue (150 per km)
+const INCIDENT_JAM_DENSITY = 0.15;
+
+// Traffic arriving at a segment as a share of its capacity, at 0% and at 100% congestion
+const INCIDENT_DEMAND_RATIO = [0.3, 0.95];
+
+// Largest share of capacity an incident takes away; traffic always gets past eventually
+const INCIDENT_MAX_CAPACITY_REDUCTION = 0.9;
+
+// Segments farther upstream than this many meters from the incident are not modeled
+const INCIDENT_PROPAGATION_MAX_DISTANCE = 3000;
+
+// Minutes after the clearance the simulation follows the queues before giving up
+const INCIDENT_PROPAGATION_MAX_RECOVERY = 240;
+
+// Minutes between the recorded frames of the simulation
+const INCIDENT_PROPAGATION_FRAME_MINUTES = 5;
+
+/**
+ * Get the share of a segment's capacity an incident takes away
+ * @param {Object} incident - Incident ({ type, severity 1-5 })
+ * @returns {number} - Capacity reduction, between 0 and INCIDENT_MAX_CAPACITY_REDUCTION
+ */
+function getIncidentCapacityReduction(incident) {
+    let reduction;
+    switch (incident.type) {
+        case 'accident':
+            reduction = 0.15 + incident.severity * 0.15; // 30-90%
+            break;
+        case 'construction':
+            reduction = 0.1 + incident.severity * 0.1; // 20-60%
+            break;
+        case 'event':
+            reduction = 0.05 + incident.severity * 0.08; // 13-45%
+            break;
+        case 'weather':
+            reduction = 0.05 + incident.severity * 0.05; // 10-30%
+            break;
+        case 'breakdown':
+            reduction = 0.1 + incident.severity * 0.08; // 18-50%
+            break;
+        default:
+            reduction = 0.1 + incident.severity * 0.1; // 20-60%
+    }
+
+    return Math.min(INCIDENT_MAX_CAPACITY_REDUCTION, reduction);
+}
+
+/**
+ * Simulate the queues of an incident minute by minute
+ *
+ * The incident reduces the capacity of both directions of its segment.
+ * Traffic arriving faster than the remaining capacity queues up behind it,
+ * and the back of the queue moves upstream as a shockwave. A full segment
+ * lets in only as much traffic as leaves it, so the segments feeding its
+ * upstream intersection start queuing too (spillback). Traffic arriving at
+ * an intersection continues on the outgoing segments in proportion to their
+ * traffic; while one of them is full, the whole approach waits (first in,
+ * first out). After the clearance the queues discharge at full capacity,
+ * through the segments downstream of them and past the incident.
+ *
+ * A segment's arriving traffic is what the modeled segments feeding it pass
+ * on, plus the rest of the traffic its current congestion implies, which
+ * enters from side streets and segments outside the model. Traffic arriving
+ * at a full segment at the edge of the modeled network is left out, as if
+ * it had taken another way, so its delay is not counted.
+ *
+ * @param {RoadGraph} graph - Road graph
+ * @param {Object} incident - Incident ({ type, severity, lat, lng })
+ * @param {Object} options - { clearance: minutes until the incident is cleared,
+ *   getCongestion: segmentId => current congestion percentage }
+ * @returns {Object|null} - Simulation ({ segmentId, position, capacityReduction, clearance, recovery,
+ *   totalDelay, reach, segments, spillbacks, frames }), or null if the graph has no segments
+ */
+function simulateIncidentPropagation(graph, incident, options) {
+    const nearest = graph.findNearestEdge(incident.lat, incident.lng);
+    if (!nearest) return null;
+
+    const capacityReduction = getIncidentCapacityReduction(incident);
+    const clearance = options.clearance;
+
+    // Arriving traffic of every edge, which sets how traffic splits at intersections
+    const demands = graph.edges.map(edge => {
+        const congestion = Math.max(0, Math.min(100, options.getCongestion(edge.segment.id) || 0));
+        return getIncidentEdgeCapacity(edge) *
+            (INCIDENT_DEMAND_RATIO[0] + (INCIDENT_DEMAND_RATIO[1] - INCIDENT_DEMAND_RATIO[0]) * congestion / 100);
+    });
+
+    const states = buildIncidentQueueTree(graph, nearest, demands);
+    const bottleneck = states.filter(state => !state.parent);
+
+    const segments = new Map();
+    const spillbacks = [];
+    const frames = [];
+    let totalDelay = 0;
+    let recovery = null;
+
+    for (let minute = 0; minute <= clearance + INCIDENT_PROPAGATION_MAX_RECOVERY; minute++) {
+        if (minute % INCIDENT_PROPAGATION_FRAME_MINUTES === 0) {
+            frames.push(getIncidentFrame(states, minute, options.getCongestion));
+        }
+        if (minute >= clearance && states.every(state => state.queue === 0)) {
+            recovery = minute;
+
+            // End the playback on the cleared queues
+            if (minute % INCIDENT_PROPAGATION_FRAME_MINUTES !== 0) {
+                frames.push(getIncidentFrame(states, minute, options.getCongestion));
+            }
+            break;
+        }
+
+        // Outflows from the incident upstream: a full edge passes its free space on to the edges feeding it
+        bottleneck.forEach(state => {
+            const serviceRate = state.capacity * (minute < clearance ? 1 - capacityReduction : 1);
+            state.sending = getIncidentSending(state);
+            state.outflow = Math.min(state.sending, serviceRate);
+        });
+        states.forEach(state => {
+            state.accepted = state.queue >= state.storage ? state.outflow : Infinity;
+
+            const children = state.children;
+            children.forEach(child => {
+                child.sending = getIncidentSending(child);
+            });
+            const wanted = state.local + children.reduce((total, child) => total + child.sending * child.turnShare, 0);
+            const ratio = wanted > state.accepted ? state.accepted / wanted : 1;
+            children.forEach(child => {
+                child.outflow = child.sending * ratio;
+            });
+
+            // The share of the feeding edges' outflow that turns onto this edge joins its queue
+            state.inflow = children.reduce((total, child) => total + child.outflow * child.turnShare, state.local * ratio);
+        });
+
+        states.forEach(state => {
+            state.queue = Math.max(0, state.queue + state.inflow - state.outflow);
+            state.arrival = state.inflow;
+            totalDelay += state.queue;
+
+            if (state.queue === 0) return;
+
+            // A queue lasts about as long as it takes to discharge at the current outflow
+            const length = Math.min(state.queue / state.queueDensity, state.storage / state.queueDensity);
+            const delay = state.queue / Math.max(state.outflow, 1);
+            state.maxQueue = Math.max(state.maxQueue, length);
+            const summary = segments.get(state.edge.segment.id) ||
+                { segmentId: state.edge.segment.id, maxQueue: 0, maxDelay: 0, start: minute + 1, end: null };
+            summary.maxQueue = Math.max(summary.maxQueue, length);
+            summary.maxDelay = Math.max(summary.maxDelay, delay);
+            summary.end = minute + 1;
+            segments.set(state.edge.segment.id, summary);
+
+            // The queue reaches the intersection upstream (or the edge of the modeled network), once per segment
+            if (state.queue >= state.storage && !spillbacks.some(spillback => spillback.segmentId === state.edge.segment.id)) {
+                spillbacks.push({
+                    segmentId: state.edge.segment.id,
+                    lat: state.edge.from.lat,
+                    lng: state.edge.from.lng,
+                    minute: minute + 1
+                });
+            }
+        });
+    }
+
+    return {
+        segmentId: nearest.edge.segment.id,
+        position: nearest.position,
+        capacityReduction: capacityReduction,
+        clearance: clearance,
+        recovery: recovery,
+        // Vehicle-minutes queued, in vehicle-hours
+        totalDelay: totalDelay / 60,
+        // Farthest the back of a queue got from the incident, in meters
+        reach: states.reduce((reach, state) => (state.maxQueue > 0 ? Math.max(reach, state.distance + state.maxQueue) : reach), 0),
+        segments: Array.from(segments.values()),
+        spillbacks: spillbacks,
+        frames: frames
+    };
+}
+
+/**
+ * Get the traffic an edge sends on in a minute: its arriving traffic plus
+ * as much of its queue as it can discharge, up to its capacity
+ * @param {Object} state - Queue state
+ * @returns {number} - Vehicles per minute
+ */
+function getIncidentSending(state) {
+    return Math.min(state.queue + state.arrival, state.capacity);
+}
+
+/**
+ * Get the capacity of one direction of a segment
+ * @param {Object} edge - Road graph edge
+ * @returns {number} - Vehicles per minute
+ */
+function getIncidentEdgeCapacity(edge) {
+    return (edge.segment.lanes || INCIDENT_DEFAULT_LANES) * INCIDENT_LANE_CAPACITY;
+}
+
+/**
+ * Build the queue states of the edges upstream of an incident
+ * Both directions of the incident's segment are roots; each edge feeding
+ * the start of a queued edge (except its U-turn) is its child, up to the
+ * modeled distance. An edge reachable from both roots belongs to the first.
+ * @param {RoadGraph} graph - Road graph
+ * @param {Object} nearest - Incident location on the graph ({ edge, position })
+ * @param {Array} demands - Arriving traffic by edge ID, in vehicles per minute
+ * @returns {Array} - States, downstream edges before the edges feeding them
+ */
+function buildIncidentQueueTree(graph, nearest, demands) {
+    const createState = (edge, parent, storageLength, distance) => {
+        const lanes = edge.segment.lanes || INCIDENT_DEFAULT_LANES;
+        const freeSpeed = edge.segment.speedLimit * METERS_PER_MILE / 60;
+        const demand = demands[edge.id];
+
+        // Queued vehicles are counted above the traffic the road holds anyway
+        const queueDensity = Math.max(lanes * INCIDENT_JAM_DENSITY - demand / freeSpeed, lanes * INCIDENT_JAM_DENSITY / 2);
+
+        return {
+            edge: edge,
+            parent: parent,
+            children: [],
+            capacity: getIncidentEdgeCapacity(edge),
+            demand: demand,
+            queueDensity: queueDensity,
+            storage: storageLength * queueDensity,
+            distance: distance,
+            turnShare: 1,
+            local: demand,
+            arrival: demand,
+            inflow: 0,
+            queue: 0,
+            maxQueue: 0,
+            sending: 0,
+            outflow: 0,
+            accepted: Infinity
+        };
+    };
+
+    // The queue of each direction builds up on the part of the segment before the incident
+    const forward = nearest.edge;
+    const backward = graph.getReverseEdge(forward);
+    const states = [
+        createState(forward, null, forward.length * nearest.position, 0),
+        createState(backward, null, backward.length * (1 - nearest.position), 0)
+    ];
+    const claimed = new Set([forward.id, backward.id]);
+
+    for (let index = 0; index < states.length; index++) {
+        const state = states[index];
+        const storageLength = state.parent ? state.edge.length : state.storage / state.queueDensity;
+        const distance = state.distance + storageLength;
+        if (distance >= INCIDENT_PROPAGATION_MAX_DISTANCE) continue;
+
+        // Edges arriving at the start of this edge, except the U-turn from it
+        state.edge.from.edges.forEach(outgoing => {
+            const edge = graph.getReverseEdge(outgoing);
+            if (outgoing === state.edge || claimed.has(edge.id)) return;
+            claimed.add(edge.id);
+
+            const child = createState(edge, state, edge.length, distance);
+
+            // Share of the edge's traffic that continues onto the queued edge
+            const onward = edge.to.edges
+                .filter(next => next !== graph.getReverseEdge(edge))
+                .reduce((total, next) => total + demands[next.id], 0);
+            child.turnShare = onward > 0 ? demands[state.edge.id] / onward : 1;
+
+            state.children.push(child);
+            states.push(child);
+        });
+    }
+
+    // Traffic joining each edge other than from the modeled edges feeding it; where
+    // the turn shares of the feeding edges add up to more than the edge's traffic, they are scaled down
+    states.forEach(state => {
+        const fed = state.children.reduce((total, child) => total + child.demand * child.turnShare, 0);
+        if (fed > state.demand) {
+            state.children.forEach(child => {
+                child.turnShare *= state.demand / fed;
+            });
+        }
+        state.local = Math.max(0, state.demand - fed);
+    });
+
+    return states;
+}
+
+/**
+ * Record the queues of the simulation at a minute
+ * @param {Array} states - Queue states
+ * @param {number} minute - Minutes since the incident
+ * @param {Function} getCongestion - segmentId => current congestion percentage
+ * @returns {Object} - Frame ({ minute, segments: { [segmentId]: { queue (m), delay (min), congestion } } })
+ */
+function getIncidentFrame(states, minute, getCongestion) {
+    const segments = {};
+    states.forEach(state => {
+        if (state.queue === 0) return;
+
+        const segmentId = state.edge.segment.id;
+        const queue = Math.min(state.queue, state.storage) / state.queueDensity;
+        const congestion = getCongestion(segmentId) || 0;
+        const frame = segments[segmentId] || { queue: 0, delay: 0, congestion: congestion };
+
+        // Both directions of a segment show the longer queue
+        frame.queue = Math.max(frame.queue, queue);
+        frame.delay = Math.max(frame.delay, state.queue / Math.max(state.outflow, 1));
+        frame.congestion = Math.max(frame.congestion, congestion + (100 - congestion) * queue / state.edge.length);
+        segments[segmentId] = frame;
+    });
+
+    return { minute: minute, segments: segments };
+}
+
+// Export for use in other modules
+window.simulateIncidentPropagation = simulateIncidentPropagation;
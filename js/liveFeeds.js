@@ -0,0 +1,442 @@
+/**
+ * Smart City Data Analytics Dashboard - Live Feeds Module
+ * This file contains the pluggable live-feed adapters (HTTP polling,
+ * WebSocket and Server-Sent Events) that push real-time updates of the
+ * domain feeds into the module managers
+ */
+
+// Base Live Feed Adapter class; adapters deliver raw feed documents to their listeners
+class LiveFeedAdapter {
+    /**
+     * @param {string} domain - Domain name (traffic, environment, transportation, emergency, citizen)
+     * @param {Object} options - Adapter options ({ url, ... })
+     */
+    constructor(domain, options = {}) {
+        this.domain = domain;
+        this.url = options.url;
+        this.status = 'idle';
+        this.lastUpdate = null;
+        this.listeners = [];
+        this.errorListeners = [];
+    }
+
+    /**
+     * Start receiving updates
+     */
+    start() {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    /**
+     * Stop receiving updates
+     */
+    stop() {
+        this.status = 'stopped';
+    }
+
+    /**
+     * Register a callback for feed updates
+     * @param {Function} listener - Called with the raw feed document
+     */
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Register a callback for adapter errors
+     * @param {Function} listener - Called with the error
+     */
+    onError(listener) {
+        this.errorListeners.push(listener);
+    }
+
+    /**
+     * Deliver a feed update to the listeners
+     * @param {Object} data - Raw feed document
+     */
+    emit(data) {
+        this.lastUpdate = new Date();
+        this.listeners.forEach(listener => listener(data));
+    }
+
+    /**
+     * Deliver an error to the listeners
+     * @param {Error} error - Adapter error
+     */
+    emitError(error) {
+        this.errorListeners.forEach(listener => listener(error));
+    }
+}
+
+// Polling adapter: fetches the feed on an interval using conditional requests
+class PollingFeedAdapter extends LiveFeedAdapter {
+    /**
+     * @param {string} domain - Domain name
+     * @param {Object} options - { url, interval, responseType } with the interval in milliseconds;
+     *                            responseType is 'json' (default) or 'arrayBuffer' for binary feeds
+     */
+    constructor(domain, options = {}) {
+        super(domain, options);
+        this.interval = options.interval || 30000;
+        this.responseType = options.responseType || 'json';
+        this.etag = null;
+        this.lastModified = null;
+        this.failures = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Start polling
+     */
+    start() {
+        if (this.status === 'polling') return;
+        this.status = 'polling';
+        this.poll();
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        super.stop();
+        clearTimeout(this.timer);
+    }
+
+    /**
+     * Fetch the feed once; a 304 response means nothing has changed
+     */
+    async poll() {
+        const headers = {};
+        if (this.etag) headers['If-None-Match'] = this.etag;
+        if (this.lastModified) headers['If-Modified-Since'] = this.lastModified;
+
+        try {
+            // Bypass the browser cache so the validators above decide freshness
+            const response = await fetch(this.url, { headers, cache: 'no-store' });
+
+            if (response.status !== 304) {
+                if (!response.ok) {
+                    throw new Error(`Failed to poll ${this.domain} feed from ${this.url}: HTTP ${response.status}`);
+                }
+                this.etag = response.headers.get('ETag');
+                this.lastModified = response.headers.get('Last-Modified');
+                this.emit(await (this.responseType === 'arrayBuffer' ? response.arrayBuffer() : response.json()));
+            }
+            this.failures = 0;
+        } catch (error) {
+            this.failures++;
+            this.emitError(error);
+        }
+
+        if (this.status === 'polling') {
+            // Back off exponentially (up to 16x the interval) while the feed is failing
+            const delay = this.interval * Math.pow(2, Math.min(this.failures, 4));
+            this.timer = setTimeout(() => this.poll(), delay);
+        }
+    }
+}
+
+// WebSocket adapter: receives feed documents pushed as JSON messages
+class WebSocketFeedAdapter extends LiveFeedAdapter {
+    /**
+     * @param {string} domain - Domain name
+     * @param {Object} options - { url, reconnectDelay } with the delay in milliseconds
+     */
+    constructor(domain, options = {}) {
+        super(domain, options);
+        this.reconnectDelay = options.reconnectDelay || 5000;
+        this.failures = 0;
+        this.socket = null;
+        this.timer = null;
+    }
+
+    /**
+     * Open the connection
+     */
+    start() {
+        if (this.socket) return;
+        this.status = 'connecting';
+
+        this.socket = new WebSocket(this.url);
+        this.socket.addEventListener('open', () => {
+            this.status = 'connected';
+            this.failures = 0;
+        });
+        this.socket.addEventListener('message', event => {
+            try {
+                this.emit(JSON.parse(event.data));
+            } catch (error) {
+                this.emitError(error);
+            }
+        });
+        this.socket.addEventListener('close', () => {
+            this.socket = null;
+            if (this.status === 'stopped') return;
+
+            // Reconnect with exponential backoff
+            this.failures++;
+            this.status = 'connecting';
+            this.emitError(new Error(`${this.domain} feed connection to ${this.url} closed`));
+            this.timer = setTimeout(() => this.start(), this.reconnectDelay * Math.pow(2, Math.min(this.failures - 1, 4)));
+        });
+    }
+
+    /**
+     * Close the connection
+     */
+    stop() {
+        super.stop();
+        clearTimeout(this.timer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+// Server-Sent Events adapter: receives feed documents as "message" events
+class EventSourceFeedAdapter extends LiveFeedAdapter {
+    /**
+     * @param {string} domain - Domain name
+     * @param {Object} options - { url }
+     */
+    constructor(domain, options = {}) {
+        super(domain, options);
+        this.source = null;
+    }
+
+    /**
+     * Open the event stream (EventSource reconnects on its own)
+     */
+    start() {
+        if (this.source) return;
+        this.status = 'connecting';
+
+        this.source = new EventSource(this.url);
+        this.source.addEventListener('open', () => {
+            this.status = 'connected';
+        });
+        this.source.addEventListener('message', event => {
+            try {
+                this.emit(JSON.parse(event.data));
+            } catch (error) {
+                this.emitError(error);
+            }
+        });
+        this.source.addEventListener('error', () => {
+            this.status = 'connecting';
+            this.emitError(new Error(`${this.domain} event stream from ${this.url} was interrupted`));
+        });
+    }
+
+    /**
+     * Close the event stream
+     */
+    stop() {
+        super.stop();
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+// Live Feed Manager class; one adapter per domain, updates go through the data-source layer
+class LiveFeedManager {
+    /**
+     * @param {Object} options - Live feed options (see appConfig.liveFeeds)
+     * @param {DataSource} source - Data source used to validate and map updates
+     */
+    constructor(options = {}, source = null) {
+        this.options = options;
+        this.source = source;
+        this.adapterTypes = {
+            poll: PollingFeedAdapter,
+            websocket: WebSocketFeedAdapter,
+            sse: EventSourceFeedAdapter
+        };
+        this.adapters = new Map();
+        this.subscribers = {};
+        this.latest = {};
+        this.paused = false;
+        this.pending = new Set();
+    }
+
+    /**
+     * Register an adapter type that can be referenced from the configuration
+     * @param {string} type - Adapter type name
+     * @param {Function} AdapterClass - LiveFeedAdapter subclass
+     */
+    registerAdapterType(type, AdapterClass) {
+        this.adapterTypes[type] = AdapterClass;
+    }
+
+    /**
+     * Create the adapters described by the configuration
+     * A baseUrl enables every domain except the static ones (demographics) with
+     * the default adapter type; entries in feeds configure (or override) individual domains
+     */
+    configure() {
+        const { baseUrl, type = 'poll', interval, feeds = {} } = this.options;
+
+        Object.keys(FEED_ROOT_KEYS).forEach(domain => {
+            if (this.adapters.has(domain)) return;
+
+            const feed = feeds[domain] || (baseUrl && !STATIC_FEED_DOMAINS.includes(domain) ? {} : null);
+            if (!feed) return;
+
+            const adapterType = feed.type || type;
+            const url = feed.url || this.getDefaultUrl(baseUrl, domain, adapterType);
+            this.setAdapter(domain, this.createAdapter(domain, adapterType, Object.assign({ interval }, feed, { url })));
+        });
+    }
+
+    /**
+     * Create an adapter of a registered type
+     * @param {string} domain - Domain name
+     * @param {string} type - Adapter type name
+     * @param {Object} options - Adapter options
+     * @returns {LiveFeedAdapter} - Adapter instance
+     */
+    createAdapter(domain, type, options) {
+        const AdapterClass = this.adapterTypes[type];
+        if (!AdapterClass) {
+            throw new Error(`Unknown live feed adapter type: ${type}`);
+        }
+        return new AdapterClass(domain, options);
+    }
+
+    /**
+     * Get the URL a live feed server exposes for a domain
+     * (matches scripts/mock-feed-server.js)
+     * @param {string} baseUrl - Server base URL
+     * @param {string} domain - Domain name
+     * @param {string} type - Adapter type name
+     * @returns {string} - Feed URL
+     */
+    getDefaultUrl(baseUrl, domain, type) {
+        const base = baseUrl.replace(/\/$/, '');
+        switch (type) {
+            case 'websocket': return `${base.replace(/^http/, 'ws')}/feeds/${domain}/ws`;
+            case 'sse': return `${base}/feeds/${domain}/events`;
+            default: return `${base}/feeds/${domain}.json`;
+        }
+    }
+
+    /**
+     * Use an adapter for a domain, replacing any existing one
+     * @param {string} domain - Domain name
+     * @param {LiveFeedAdapter} adapter - Adapter instance
+     */
+    setAdapter(domain, adapter) {
+        if (this.adapters.has(domain)) {
+            this.adapters.get(domain).stop();
+        }
+
+        adapter.onUpdate(raw => this.handleUpdate(domain, raw));
+        adapter.onError(error => console.warn(`Live ${domain} feed:`, error.message));
+        this.adapters.set(domain, adapter);
+    }
+
+    /**
+     * Validate and map an update, then pass it to the domain's subscribers
+     * @param {string} domain - Domain name
+     * @param {Object} raw - Raw feed document
+     */
+    async handleUpdate(domain, raw) {
+        let feed;
+        try {
+            feed = await this.source.prepareFeed(domain, raw);
+        } catch (error) {
+            console.error(`Rejected live ${domain} update:`, error);
+            return;
+        }
+
+        this.latest[domain] = feed;
+        if (this.paused) {
+            this.pending.add(domain);
+            return;
+        }
+        (this.subscribers[domain] || []).forEach(callback => callback(feed));
+    }
+
+    /**
+     * Subscribe to mapped updates of a domain
+     * The most recent update, if any, is delivered immediately
+     * @param {string} domain - Domain name
+     * @param {Function} callback - Called with the mapped feed
+     */
+    subscribe(domain, callback) {
+        this.subscribers[domain] = this.subscribers[domain] || [];
+        this.subscribers[domain].push(callback);
+
+        if (this.latest[domain]) {
+            callback(this.latest[domain]);
+        }
+    }
+
+    /**
+     * Hold updates instead of delivering them (e.g. while historical data is shown)
+     * The adapters keep running so no update is missed
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Deliver the most recent update of each domain that arrived while paused
+     */
+    resume() {
+        this.paused = false;
+        this.pending.forEach(domain => {
+            (this.subscribers[domain] || []).forEach(callback => callback(this.latest[domain]));
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Check whether a domain has a live feed
+     * @param {string} domain - Domain name
+     * @returns {boolean} - True if an adapter is configured
+     */
+    isLive(domain) {
+        return this.adapters.has(domain);
+    }
+
+    /**
+     * Start all adapters
+     */
+    start() {
+        this.adapters.forEach(adapter => adapter.start());
+    }
+
+    /**
+     * Stop all adapters
+     */
+    stop() {
+        this.adapters.forEach(adapter => adapter.stop());
+    }
+}
+
+// Create global instance
+const liveFeedManager = new LiveFeedManager(appConfig.liveFeeds, dataSource);
+
+// Start the live feeds when the DOM is loaded (live data is not used in sample mode)
+document.addEventListener('DOMContentLoaded', function() {
+    if (dataSource.usesSampleData()) return;
+
+    try {
+        liveFeedManager.configure();
+    } catch (error) {
+        console.error('Failed to configure live feeds:', error);
+        return;
+    }
+    liveFeedManager.start();
+});
+
+// Export for use in other modules
+window.LiveFeedAdapter = LiveFeedAdapter;
+window.PollingFeedAdapter = PollingFeedAdapter;
+window.WebSocketFeedAdapter = WebSocketFeedAdapter;
+window.EventSourceFeedAdapter = EventSourceFeedAdapter;
+window.liveFeedManager = liveFeedManager;
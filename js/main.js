@@ -12,8 +12,10 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize the clock
     initializeClock();
     
-    // Set current date in date picker
-    document.getElementById('date-selector').valueAsDate = new Date();
+    // Set current date in date picker (future dates have no data)
+    const dateSelector = document.getElementById('date-selector');
+    dateSelector.value = toDateInputValue(new Date());
+    dateSelector.max = dateSelector.value;
     
     // Initialize navigation
     initializeNavigation();
@@ -69,6 +71,9 @@ function initializeNavigation() {
             
             // Update current section
             currentSection = sectionId;
+            
+            // Maps in a hidden section had no size until it was shown
+            mapRegistry.invalidateSize();
         });
     });
 }
@@ -163,33 +168,13 @@ function initializeEventListeners() {
     // Date selector change
     const dateSelector = document.getElementById('date-selector');
     dateSelector.addEventListener('change', function() {
-        currentDate = new Date(this.value);
+        if (!this.value) return;
+        currentDate = parseDateInputValue(this.value);
         console.log('Date changed to:', currentDate);
         // Update data based on new date
         updateDashboardData(currentDate);
     });
     
-    // Layer buttons in map section
-    const layerButtons = document.querySelectorAll('.layer-btn');
-    layerButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            // Remove active class from all buttons
-            layerButtons.forEach(btn => btn.classList.remove('active'));
-            
-            // Add active class to clicked button
-            this.classList.add('active');
-            
-            // Get the layer to show
-            const layerType = this.getAttribute('data-layer');
-            console.log('Switching to layer:', layerType);
-            
-            // Update map layer (this function will be defined in map.js)
-            if (typeof switchMapLayer === 'function') {
-                switchMapLayer(layerType);
-            }
-        });
-    });
-    
     // Environment time controls
     const timeButtons = document.querySelectorAll('.time-btn');
     timeButtons.forEach(button => {
@@ -369,12 +354,20 @@ function getCurrentLocation(callback) {
  * Update dashboard data based on selected date
  * @param {Date} date - The selected date
  */
-function updateDashboardData(date) {
-    // This function will call the appropriate update functions for each section
-    // based on the currently active section
+async function updateDashboardData(date) {
+    // Replay the recorded state of every module for past dates (live data for today),
+    // then call the appropriate update functions for the currently active section
     
     console.log('Updating dashboard data for date:', date);
     
+    if (typeof historyManager !== 'undefined' && !(await historyManager.showDate(date))) {
+        // Nothing was recorded on the date: select the date still on screen again
+        currentDate = historyManager.isViewingHistory() ? new Date(historyManager.viewedSnapshot.timestamp) : new Date();
+        document.getElementById('date-selector').value = toDateInputValue(currentDate);
+        deepLinkManager.scheduleUpdate();
+        return;
+    }
+    
     switch (currentSection) {
         case 'map-section':
             if (typeof updateMapData === 'function') {
@@ -463,6 +456,41 @@ function formatTime(date) {
     });
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Value
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a date as the value of a date input (local time, YYYY-MM-DD)
+ * @param {Date} date - The date to format
+ * @returns {string} - Date input value
+ */
+function toDateInputValue(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse the value of a date input as a local date
+ * (new Date('YYYY-MM-DD') would be midnight UTC, which is the previous day west of Greenwich)
+ * @param {string} value - Date input value
+ * @returns {Date} - Local midnight of the date
+ */
+function parseDateInputValue(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
 /**
  * Generate a random ID
  * @returns {string} - Random ID
@@ -490,6 +518,9 @@ function debounce(func, wait) {
 window.showNotification = showNotification;
 window.formatDate = formatDate;
 window.formatTime = formatTime;
+window.escapeHtml = escapeHtml;
+window.toDateInputValue = toDateInputValue;
+window.parseDateInputValue = parseDateInputValue;
 window.generateId = generateId;
 window.debounce = debounce;
 window.getCurrentLocation = getCurrentLocation;
\ No newline at end of file
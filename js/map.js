@@ -5,10 +5,83 @@
 
 // Global map variables
 let cityMap;
-let currentMapLayer = 'traffic';
-let mapLayers = {};
-let markers = {};
-let heatmapLayers = {};
+
+// Overlay layers shown on the city map; several can be visible at once
+// Layers with a clustered flag have dense markers that can be clustered,
+// layers with a heatmap flag can show their point density as a heatmap
+// (layers registered by other modules are added when they register)
+const mapLayerSettings = {
+    traffic: { label: 'Traffic', visible: true, opacity: 1, clustered: true },
+    airQuality: { label: 'Air Quality', visible: false, opacity: 1, heatmap: false },
+    crime: { label: 'Crime', visible: false, opacity: 1, clustered: true, heatmap: true },
+    demographics: { label: 'Demographics', visible: false, opacity: 1 },
+    incidents: { label: 'Emergency Incidents', visible: false, opacity: 1, clustered: true, heatmap: false },
+    issues: { label: 'Citizen Issues', visible: false, opacity: 1, clustered: true, heatmap: false }
+};
+
+// Heatmap options of the layers (see HEATMAP_DEFAULTS)
+const mapHeatmapOptions = {
+    airQuality: {
+        radius: 80,
+        blur: 30,
+        max: 300,  // Top of the "Very Unhealthy" AQI range
+        gradient: { 0.15: '#009966', 0.3: '#ffde33', 0.45: '#ff9933', 0.6: '#cc0033', 1.0: '#660099' }
+    },
+    crime: { radius: 25, blur: 15, gradient: { 0.4: 'blue', 0.6: 'yellow', 0.8: 'orange', 1.0: 'red' } },
+    incidents: { radius: 30, blur: 15 },
+    issues: { radius: 30, blur: 15 }
+};
+
+// Drawing order of the layers, from bottom to top
+let mapLayerOrder = ['demographics', 'crime', 'airQuality', 'traffic', 'issues', 'incidents'];
+
+// Draw functions of the layers drawn by this module
+const mapLayerDrawers = {
+    traffic: drawTrafficLayer,
+    airQuality: drawAirQualityLayer,
+    crime: drawCrimeLayer,
+    demographics: drawDemographicsLayer,
+    incidents: drawIncidentsLayer,
+    issues: drawIssuesLayer
+};
+
+// List the data layers of other modules in the layer control when they register
+mapRegistry.on('layerregister', function(event) {
+    const layer = event.layer;
+    if (layer.module === 'map' || layer.transient || mapLayerSettings[event.layerName]) return;
+    
+    mapLayerSettings[event.layerName] = { label: layer.label, visible: false, opacity: 1 };
+    mapLayerOrder.push(event.layerName);
+    if (cityMap) {
+        cityMap.createPane(getLayerPane(event.layerName));
+        applyLayerOrder();
+        renderLayerControl();
+    }
+});
+
+// Drop the layers of other modules from the layer control when they are unregistered
+mapRegistry.on('layerunregister', function(event) {
+    if (!mapLayerSettings[event.layerName] || mapLayerDrawers[event.layerName]) return;
+    
+    delete mapLayerSettings[event.layerName];
+    mapLayerOrder = mapLayerOrder.filter(layerType => layerType !== event.layerName);
+    if (cityMap) {
+        updateLegend();
+        renderLayerControl();
+    }
+});
+
+// Register the layers drawn by this module
+Object.keys(mapLayerDrawers).forEach(layerType => {
+    mapRegistry.registerLayer(layerType, {
+        label: mapLayerSettings[layerType].label,
+        module: 'map',
+        draw: mapLayerDrawers[layerType],
+        destroy: (group, context) => {
+            if (context.state.clusterer) context.state.clusterer.remove();
+        }
+    });
+});
 
 // Sample data for demonstration
 const sampleData = {
@@ -35,13 +108,6 @@ const sampleData = {
             { lat: 40.7138, lng: -74.003, type: 'theft', severity: 'low', time: '2023-05-15T14:30:00' },
             { lat: 40.7118, lng: -74.012, type: 'vandalism', severity: 'low', time: '2023-05-14T23:15:00' },
             { lat: 40.7158, lng: -74.008, type: 'assault', severity: 'medium', time: '2023-05-13T22:45:00' }
-        ],
-        heatmap: [
-            [40.7138, -74.003, 0.5],
-            [40.7118, -74.012, 0.3],
-            [40.7158, -74.008, 0.7],
-            [40.7128, -74.005, 0.4],
-            [40.7148, -74.015, 0.2]
         ]
     },
     demographics: {
@@ -55,8 +121,13 @@ const sampleData = {
                     [40.7128, -74.006]
                 ],
                 population: 25000,
-                density: 'high',
-                income: 'mixed'
+                areaKm2: 1.3,
+                density: 19230,
+                medianIncome: 72400,
+                ageUnder18: 0.12,
+                age18To64: 0.76,
+                age65Plus: 0.12,
+                carOwnership: 0.34
             },
             { 
                 name: 'Westside',
@@ -67,8 +138,13 @@ const sampleData = {
                     [40.7148, -74.016]
                 ],
                 population: 18000,
-                density: 'medium',
-                income: 'high'
+                areaKm2: 1.4,
+                density: 12860,
+                medianIncome: 97200,
+                ageUnder18: 0.17,
+                age18To64: 0.64,
+                age65Plus: 0.19,
+                carOwnership: 0.55
             }
         ]
     }
@@ -86,72 +162,166 @@ function initializeMap() {
     // Create the map centered on a default location
     cityMap = L.map('city-map').setView([40.7128, -74.006], 13);
     
-    // Add the base tile layer (OpenStreetMap)
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-        maxZoom: 19
-    }).addTo(cityMap);
+    // Add the basemap (online, local or offline package tiles over a blank grid)
+    basemapManager.attach(cityMap);
+    mapRegistry.registerMap('city', cityMap);
     
     // Initialize map layers
     initializeMapLayers();
     
-    // Show the default layer (traffic)
-    switchMapLayer('traffic');
+    // Set up the layer control and show the default layers
+    initializeLayerControl();
+    refreshVisibleLayers();
     
     // Add event listeners for map interactions
     cityMap.on('moveend', function() {
         loadDataForBounds(cityMap.getBounds());
     });
     
-    // Initial data load
-    loadDataForBounds(cityMap.getBounds());
 }
 
 /**
  * Initialize all map layers
  */
 function initializeMapLayers() {
-    // Create layer groups for each data type
-    mapLayers = {
-        traffic: L.layerGroup(),
-        airQuality: L.layerGroup(),
-        crime: L.layerGroup(),
-        demographics: L.layerGroup()
-    };
+    // Create a pane for each layer; the panes carry the z-order and opacity of their layers
+    Object.keys(mapLayerSettings).forEach(layerType => {
+        cityMap.createPane(getLayerPane(layerType));
+    });
+    applyLayerOrder();
     
-    // Add all layer groups to the map
-    Object.values(mapLayers).forEach(layer => layer.addTo(cityMap));
+    // Show the visible layers
+    getVisibleMapLayers().forEach(layerType => mapRegistry.showLayer(layerType));
+}
+
+/**
+ * Get the marker clusterer of a layer instance, created on first use
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
+ * @returns {MarkerClusterer} - Clusterer, following the layer's clustered setting
+ */
+function getLayerClusterer(group, context) {
+    if (!context.state.clusterer) {
+        context.state.clusterer = new MarkerClusterer(context.map, group, { pane: context.pane });
+    }
+    context.state.clusterer.enabled = mapLayerSettings[context.layerName].clustered;
+    return context.state.clusterer;
+}
+
+/**
+ * Get the name of the map pane of a layer
+ * @param {string} layerType - The layer type
+ * @returns {string} - Pane name
+ */
+function getLayerPane(layerType) {
+    return `${layerType}Pane`;
+}
+
+/**
+ * Get the visible layers, from bottom to top
+ * @returns {Array} - Layer types
+ */
+function getVisibleMapLayers() {
+    return mapLayerOrder.filter(layerType => mapLayerSettings[layerType].visible);
+}
+
+/**
+ * Show or hide a map layer
+ * @param {string} layerType - The layer type
+ * @param {boolean} visible - Whether the layer is shown
+ */
+function setMapLayerVisible(layerType, visible) {
+    if (!mapLayerSettings[layerType]) return;
     
-    // Initialize marker collections
-    markers = {
-        traffic: [],
-        airQuality: [],
-        crime: [],
-        demographics: []
-    };
+    mapLayerSettings[layerType].visible = visible;
+    if (visible) {
+        mapRegistry.showLayer(layerType);
+    } else {
+        mapRegistry.hideLayer(layerType);
+    }
     
-    // Initialize heatmap layers
-    heatmapLayers = {};
+    updateLegend();
+    renderLayerControl();
 }
 
 /**
- * Switch between map layers
- * @param {string} layerType - The type of layer to display
+ * Set the opacity of a map layer
+ * @param {string} layerType - The layer type
+ * @param {number} opacity - Opacity between 0 and 1
  */
-function switchMapLayer(layerType) {
-    // Hide all layers
-    Object.keys(mapLayers).forEach(key => {
-        mapLayers[key].clearLayers();
-    });
+function setMapLayerOpacity(layerType, opacity) {
+    if (!mapLayerSettings[layerType]) return;
     
-    // Update current layer type
-    currentMapLayer = layerType;
+    mapLayerSettings[layerType].opacity = opacity;
+    cityMap.getPane(getLayerPane(layerType)).style.opacity = opacity;
+}
+
+/**
+ * Turn marker clustering on or off for a map layer
+ * @param {string} layerType - The layer type
+ * @param {boolean} clustered - Whether the layer's markers are clustered
+ */
+function setMapLayerClustered(layerType, clustered) {
+    if (!mapLayerSettings[layerType] || !('clustered' in mapLayerSettings[layerType])) return;
+    
+    mapLayerSettings[layerType].clustered = clustered;
+    mapRegistry.refreshLayer(layerType);
+    
+    updateLegend();
+    renderLayerControl();
+}
+
+/**
+ * Show or hide the density heatmap of a map layer
+ * @param {string} layerType - The layer type
+ * @param {boolean} heatmap - Whether the layer's heatmap is shown
+ */
+function setMapLayerHeatmap(layerType, heatmap) {
+    if (!mapLayerSettings[layerType] || !('heatmap' in mapLayerSettings[layerType])) return;
+    
+    mapLayerSettings[layerType].heatmap = heatmap;
+    mapRegistry.refreshLayer(layerType);
+    
+    updateLegend();
+    renderLayerControl();
+}
+
+/**
+ * Move a map layer up or down in the drawing order
+ * @param {string} layerType - The layer type
+ * @param {number} delta - Positions to move (positive moves the layer up)
+ */
+function moveMapLayer(layerType, delta) {
+    const index = mapLayerOrder.indexOf(layerType);
+    const newIndex = Math.max(0, Math.min(mapLayerOrder.length - 1, index + delta));
+    if (index < 0 || newIndex === index) return;
     
-    // Load data for the selected layer
-    loadLayerData(layerType);
+    mapLayerOrder.splice(index, 1);
+    mapLayerOrder.splice(newIndex, 0, layerType);
     
-    // Update the legend
-    updateLegend(layerType);
+    applyLayerOrder();
+    updateLegend();
+    renderLayerControl();
+}
+
+/**
+ * Apply the drawing order and opacity of the layers to their panes
+ * (the overlay pane is at z-index 400 and the marker pane at 600)
+ */
+function applyLayerOrder() {
+    mapLayerOrder.forEach((layerType, index) => {
+        const pane = cityMap.getPane(getLayerPane(layerType));
+        pane.style.zIndex = 410 + index * 10;
+        pane.style.opacity = mapLayerSettings[layerType].opacity;
+    });
+}
+
+/**
+ * Redraw all visible layers and the legend
+ */
+function refreshVisibleLayers() {
+    getVisibleMapLayers().forEach(layerType => mapRegistry.refreshLayer(layerType));
+    updateLegend();
 }
 
 /**
@@ -159,96 +329,168 @@ function switchMapLayer(layerType) {
  * @param {L.LatLngBounds} bounds - The current map bounds
  */
 function loadDataForBounds(bounds) {
-    // In a real application, this would make an API call to fetch data
-    // for the current bounds. For this demo, we'll use the sample data.
+    // The domain feeds cover the whole city and are kept current by the
+    // live feed adapters (see liveFeeds.js), so panning only redraws the layers
     console.log('Loading data for bounds:', bounds.toString());
     
-    // Reload the current layer with potentially new data
-    loadLayerData(currentMapLayer);
+    // Reload the visible layers with potentially new data
+    getVisibleMapLayers().forEach(layerType => mapRegistry.refreshLayer(layerType));
 }
 
 /**
- * Load data for a specific layer type
- * @param {string} layerType - The type of layer to load data for
+ * Initialize the layer control (visibility, opacity and order of the layers)
  */
-function loadLayerData(layerType) {
-    // Clear existing markers for this layer
-    markers[layerType] = [];
-    mapLayers[layerType].clearLayers();
+function initializeLayerControl() {
+    const layerControl = document.getElementById('layer-control');
+    if (!layerControl) return;
     
-    // Load data based on layer type
-    switch (layerType) {
-        case 'traffic':
-            loadTrafficData();
-            break;
-        case 'airQuality':
-            loadAirQualityData();
-            break;
-        case 'crime':
-            loadCrimeData();
-            break;
-        case 'demographics':
-            loadDemographicsData();
-            break;
+    layerControl.addEventListener('change', function(e) {
+        const row = e.target.closest('.layer-row');
+        if (row && e.target.classList.contains('layer-toggle')) {
+            setMapLayerVisible(row.dataset.layer, e.target.checked);
+        } else if (row && e.target.classList.contains('layer-cluster')) {
+            setMapLayerClustered(row.dataset.layer, e.target.checked);
+        } else if (row && e.target.classList.contains('layer-heatmap')) {
+            setMapLayerHeatmap(row.dataset.layer, e.target.checked);
+        }
+    });
+    
+    layerControl.addEventListener('input', function(e) {
+        const row = e.target.closest('.layer-row');
+        if (row && e.target.classList.contains('layer-opacity')) {
+            setMapLayerOpacity(row.dataset.layer, parseInt(e.target.value) / 100);
+        }
+    });
+    
+    layerControl.addEventListener('click', function(e) {
+        const button = e.target.closest('button');
+        const row = e.target.closest('.layer-row');
+        if (!button || !row) return;
+        
+        if (button.classList.contains('layer-remove')) {
+            const layer = mapRegistry.getLayer(row.dataset.layer);
+            // The label is HTML, so ask with the text shown in the row
+            const name = row.querySelector('label').textContent.trim();
+            if (layer && confirm(`Delete the layer "${name}"?`)) {
+                layer.remove();
+            }
+            return;
+        }
+        
+        moveMapLayer(row.dataset.layer, button.classList.contains('layer-up') ? 1 : -1);
+    });
+    
+    renderLayerControl();
+}
+
+/**
+ * Render the layer control rows, topmost layer first
+ */
+function renderLayerControl() {
+    const layerControl = document.getElementById('layer-control');
+    if (!layerControl) return;
+    
+    const topFirst = mapLayerOrder.slice().reverse();
+    layerControl.innerHTML = topFirst.map((layerType, index) => {
+        const settings = mapLayerSettings[layerType];
+        const layer = mapRegistry.getLayer(layerType);
+        return `
+            <div class="layer-row" data-layer="${layerType}">
+                <label>
+                    <input type="checkbox" class="layer-toggle" ${settings.visible ? 'checked' : ''}>
+                    ${settings.label}
+                </label>
+                <input type="range" class="layer-opacity" min="0" max="100" value="${Math.round(settings.opacity * 100)}" title="Opacity">
+                ${'clustered' in settings ? `
+                    <label class="layer-cluster-label" title="Cluster nearby markers">
+                        <input type="checkbox" class="layer-cluster" ${settings.clustered ? 'checked' : ''}>
+                        <i class="fas fa-object-group"></i>
+                    </label>
+                ` : ''}
+                ${'heatmap' in settings ? `
+                    <label class="layer-heatmap-label" title="Show density heatmap">
+                        <input type="checkbox" class="layer-heatmap" ${settings.heatmap ? 'checked' : ''}>
+                        <i class="fas fa-fire"></i>
+                    </label>
+                ` : ''}
+                <button class="layer-up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button class="layer-down" title="Move down" ${index === topFirst.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                ${layer && layer.remove ? '<button class="layer-remove" title="Delete layer"><i class="fas fa-trash"></i></button>' : ''}
+            </div>
+        `;
+    }).join('');
+    
+    // The choropleth settings only apply while the demographics layer is shown
+    const choroplethControl = document.getElementById('choropleth-control');
+    if (choroplethControl) {
+        choroplethControl.hidden = !mapLayerSettings.demographics.visible;
     }
 }
 
 /**
- * Load traffic data onto the map
+ * Draw traffic data onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
  */
-function loadTrafficData() {
+function drawTrafficLayer(group, context) {
     const data = sampleData.traffic;
+    const items = [];
     
     // Add congestion points
     data.congestionPoints.forEach(point => {
         const color = getTrafficLevelColor(point.level);
-        const marker = L.circleMarker([point.lat, point.lng], {
+        const marker = L.circleMarker([point.lat, point.lng], context.options({
             radius: 8,
             color: color,
             fillColor: color,
             fillOpacity: 0.7,
             weight: 2
-        }).bindPopup(`
+        })).bindPopup(`
             <strong>Traffic Level: ${capitalizeFirstLetter(point.level)}</strong><br>
-            ${point.description}
+            ${point.description}<br>
+            ${getNeighborhoodHTML(point.lat, point.lng)}
         `);
         
-        markers.traffic.push(marker);
-        mapLayers.traffic.addLayer(marker);
+        items.push({ marker: marker, latlng: [point.lat, point.lng], severity: point.level });
     });
     
     // Add traffic incidents
     data.incidents.forEach(incident => {
         const icon = getTrafficIncidentIcon(incident.type);
-        const marker = L.marker([incident.lat, incident.lng], { icon: icon })
+        const marker = L.marker([incident.lat, incident.lng], context.options({ icon: icon }))
             .bindPopup(`
                 <strong>${capitalizeFirstLetter(incident.type)}</strong><br>
-                ${incident.description}
+                ${incident.description}<br>
+                ${getNeighborhoodHTML(incident.lat, incident.lng)}
             `);
         
-        markers.traffic.push(marker);
-        mapLayers.traffic.addLayer(marker);
+        items.push({ marker: marker, latlng: [incident.lat, incident.lng], severity: getTrafficIncidentSeverity(incident.type) });
     });
+    
+    getLayerClusterer(group, context).setItems(items);
 }
 
 /**
- * Load air quality data onto the map
+ * Draw air quality data onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
  */
-function loadAirQualityData() {
+function drawAirQualityLayer(group, context) {
     const data = sampleData.airQuality;
     
     // Add air quality sensors
     data.sensors.forEach(sensor => {
         const color = getAQIColor(sensor.category);
-        const marker = L.circleMarker([sensor.lat, sensor.lng], {
+        const marker = L.circleMarker([sensor.lat, sensor.lng], context.options({
             radius: 10,
             color: color,
             fillColor: color,
             fillOpacity: 0.7,
             weight: 2
-        }).bindPopup(`
+        })).bindPopup(`
             <strong>Air Quality Index: ${sensor.aqi}</strong><br>
             <span style="color: ${color}">${formatAQICategory(sensor.category)}</span><br>
+            ${getNeighborhoodHTML(sensor.lat, sensor.lng)}<br>
             <br>
             <strong>Pollutants:</strong><br>
             PM2.5: ${sensor.pollutants.pm25} μg/m³<br>
@@ -257,90 +499,96 @@ function loadAirQualityData() {
             O₃: ${sensor.pollutants.o3} ppb
         `);
         
-        markers.airQuality.push(marker);
-        mapLayers.airQuality.addLayer(marker);
+        group.addLayer(marker);
     });
     
     // Create a gradient circle around each sensor
     data.sensors.forEach(sensor => {
         const color = getAQIColor(sensor.category);
-        const circle = L.circle([sensor.lat, sensor.lng], {
+        const circle = L.circle([sensor.lat, sensor.lng], context.options({
             radius: 500,  // 500 meters radius
             color: color,
             fillColor: color,
             fillOpacity: 0.2,
             weight: 1
-        });
+        }));
         
-        mapLayers.airQuality.addLayer(circle);
+        group.addLayer(circle);
     });
+    
+    // Spread the sensor readings as a density surface weighted by AQI
+    drawLayerHeatmap(group, context, data.sensors.map(sensor => [sensor.lat, sensor.lng, sensor.aqi]));
 }
 
 /**
- * Load crime data onto the map
+ * Draw crime data onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
  */
-function loadCrimeData() {
+function drawCrimeLayer(group, context) {
     const data = sampleData.crime;
+    const items = [];
     
     // Add crime incidents
     data.incidents.forEach(incident => {
         const icon = getCrimeIcon(incident.type);
-        const marker = L.marker([incident.lat, incident.lng], { icon: icon })
+        const marker = L.marker([incident.lat, incident.lng], context.options({ icon: icon }))
             .bindPopup(`
                 <strong>${capitalizeFirstLetter(incident.type)}</strong><br>
                 Severity: ${capitalizeFirstLetter(incident.severity)}<br>
-                Time: ${formatDateTime(new Date(incident.time))}
+                Time: ${formatDateTime(new Date(incident.time))}<br>
+                ${getNeighborhoodHTML(incident.lat, incident.lng)}
             `);
         
-        markers.crime.push(marker);
-        mapLayers.crime.addLayer(marker);
+        items.push({ marker: marker, latlng: [incident.lat, incident.lng], severity: incident.severity });
     });
     
-    // Add crime heatmap if the heatmap library is available
-    if (typeof L.heatLayer === 'function') {
-        if (heatmapLayers.crime) {
-            mapLayers.crime.removeLayer(heatmapLayers.crime);
-        }
-        
-        heatmapLayers.crime = L.heatLayer(data.heatmap, {
-            radius: 25,
-            blur: 15,
-            maxZoom: 17,
-            gradient: { 0.4: 'blue', 0.6: 'yellow', 0.8: 'orange', 1.0: 'red' }
-        });
-        
-        mapLayers.crime.addLayer(heatmapLayers.crime);
-    } else {
-        console.warn('Leaflet.heat plugin not available. Heatmap not displayed.');
-    }
+    getLayerClusterer(group, context).setItems(items);
+    
+    // Add the crime density heatmap, weighted by severity
+    drawLayerHeatmap(group, context, data.incidents.map(incident => [incident.lat, incident.lng, getSeverityWeight(incident.severity)]));
 }
 
 /**
- * Load demographics data onto the map
+ * Draw demographics data onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
  */
-function loadDemographicsData() {
-    const data = sampleData.demographics;
+function drawDemographicsLayer(group, context) {
+    const neighborhoods = demographicsManager.getNeighborhoods();
+    const classification = demographicsManager.getClassification();
+    const attribute = classification.attribute;
     
-    // Add neighborhood polygons
-    data.neighborhoods.forEach(neighborhood => {
-        const color = getDemographicsColor(neighborhood.density, neighborhood.income);
-        const polygon = L.polygon(neighborhood.polygon, {
-            color: color,
+    // Add neighborhood polygons, colored by the class of the selected attribute
+    neighborhoods.forEach(neighborhood => {
+        const color = classification.getColor(neighborhood);
+        const polygon = L.polygon(neighborhood.polygon, context.options({
+            color: '#555555',
             fillColor: color,
-            fillOpacity: 0.5,
-            weight: 2
-        }).bindPopup(`
-            <strong>${neighborhood.name}</strong><br>
-            Population: ${neighborhood.population.toLocaleString()}<br>
-            Density: ${capitalizeFirstLetter(neighborhood.density)}<br>
-            Income Level: ${capitalizeFirstLetter(neighborhood.income)}
-        `);
+            fillOpacity: 0.65,
+            weight: 1
+        })).bindPopup(() => {
+            // Statistics are computed when the popup opens so they follow live updates
+            const stats = getNeighborhoodStats()[neighborhood.name];
+            const attributes = Object.keys(CHOROPLETH_ATTRIBUTES).map(name => `
+                ${name === attribute ? '<strong>' : ''}${CHOROPLETH_ATTRIBUTES[name].label}: ${formatNeighborhoodValue(neighborhood, name)}${name === attribute ? '</strong>' : ''}<br>
+            `).join('');
+            return `
+                <strong>${neighborhood.name}</strong><br>
+                ${attributes}
+                <br>
+                Open Issues: ${stats.openIssues}<br>
+                Active Incidents: ${stats.activeIncidents}<br>
+                Average AQI: ${stats.averageAqi !== null ? `${stats.averageAqi} (${stats.sensors} sensors)` : 'No sensors'}<br>
+                Transit Stops: ${stats.stops}
+            `;
+        });
         
-        mapLayers.demographics.addLayer(polygon);
+        group.addLayer(polygon);
     });
     
-    // Add population density labels
-    data.neighborhoods.forEach(neighborhood => {
+    // Add labels with the value of the selected attribute
+    neighborhoods.forEach(neighborhood => {
         // Calculate center of polygon
         const bounds = L.polygon(neighborhood.polygon).getBounds();
         const center = bounds.getCenter();
@@ -348,22 +596,100 @@ function loadDemographicsData() {
         // Add a label
         const icon = L.divIcon({
             className: 'demographics-label',
-            html: `<div>${neighborhood.name}<br>${neighborhood.population.toLocaleString()}</div>`,
+            html: `<div>${neighborhood.name}<br>${formatNeighborhoodValue(neighborhood, attribute)}</div>`,
             iconSize: [100, 40],
             iconAnchor: [50, 20]
         });
         
-        const marker = L.marker(center, { icon: icon });
-        mapLayers.demographics.addLayer(marker);
+        const marker = L.marker(center, context.options({ icon: icon }));
+        group.addLayer(marker);
     });
 }
 
 /**
- * Update the map legend based on the current layer
- * @param {string} layerType - The current layer type
+ * Draw emergency incidents onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
  */
-function updateLegend(layerType) {
-    const legendContent = document.getElementById('legend-content');
+function drawIncidentsLayer(group, context) {
+    // Incidents as last filtered by the emergency module
+    let incidents = context.data;
+    if (!incidents) {
+        incidents = typeof emergencyManager !== 'undefined' ? emergencyManager.incidents : [];
+    }
+    
+    const items = incidents.map(incident => {
+        const marker = L.marker([incident.location.lat, incident.location.lng], context.options({
+            icon: getSeverityIcon('fas fa-exclamation-triangle', incident.severity)
+        })).bindPopup(`
+            <strong>${capitalizeFirstLetter(incident.type)} Incident</strong><br>
+            Severity: ${capitalizeFirstLetter(incident.severity)}<br>
+            Status: ${capitalizeFirstLetter(incident.status.replace('_', ' '))}<br>
+            ${incident.location.address}<br>
+            ${getNeighborhoodHTML(incident.location.lat, incident.location.lng)}<br>
+            Reported: ${formatDateTime(new Date(incident.timestamp))}
+        `);
+        
+        return { marker: marker, latlng: [incident.location.lat, incident.location.lng], severity: incident.severity };
+    });
+    
+    getLayerClusterer(group, context).setItems(items);
+    
+    drawLayerHeatmap(group, context, incidents.map(incident =>
+        [incident.location.lat, incident.location.lng, getSeverityWeight(incident.severity)]));
+}
+
+/**
+ * Draw citizen-reported issues onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
+ */
+function drawIssuesLayer(group, context) {
+    // Issues as last filtered by the citizen module
+    let issues = context.data;
+    if (!issues) {
+        issues = typeof citizenManager !== 'undefined' ? citizenManager.reportedIssues : [];
+    }
+    
+    const items = issues.map(issue => {
+        const marker = L.marker([issue.location.lat, issue.location.lng], context.options({
+            icon: getSeverityIcon('fas fa-bullhorn', issue.priority)
+        })).bindPopup(`
+            <strong>${issue.title}</strong><br>
+            Priority: ${capitalizeFirstLetter(issue.priority)}<br>
+            Status: ${capitalizeFirstLetter(issue.status.replace('_', ' '))}<br>
+            ${issue.location.address}<br>
+            ${getNeighborhoodHTML(issue.location.lat, issue.location.lng)}<br>
+            Votes: ${issue.votes}
+        `);
+        
+        return { marker: marker, latlng: [issue.location.lat, issue.location.lng], severity: issue.priority };
+    });
+    
+    getLayerClusterer(group, context).setItems(items);
+    
+    drawLayerHeatmap(group, context, issues.map(issue =>
+        [issue.location.lat, issue.location.lng, getSeverityWeight(issue.priority)]));
+}
+
+/**
+ * Draw the density heatmap of a layer if it is turned on
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
+ * @param {Array} points - Points as [lat, lng, weight]
+ */
+function drawLayerHeatmap(group, context, points) {
+    if (!mapLayerSettings[context.layerName].heatmap) return;
+    
+    group.addLayer(new HeatmapLayer(points, context.options(mapHeatmapOptions[context.layerName])));
+}
+
+/**
+ * Get the legend items of a layer
+ * @param {string} layerType - The layer type
+ * @returns {string} - Legend HTML
+ */
+function getLegendHTML(layerType) {
     let legendHTML = '';
     
     switch (layerType) {
@@ -429,38 +755,58 @@ function updateLegend(layerType) {
                     <span class="legend-icon"><i class="fas fa-fist-raised"></i></span>
                     <span>Assault</span>
                 </div>
-                <div class="legend-item">
-                    <span class="legend-gradient"></span>
-                    <span>Crime Density</span>
-                </div>
             `;
             break;
         case 'demographics':
-            legendHTML = `
-                <div class="legend-item">
-                    <span class="legend-color" style="background-color: #1a9641;"></span>
-                    <span>High Income, Low Density</span>
-                </div>
-                <div class="legend-item">
-                    <span class="legend-color" style="background-color: #a6d96a;"></span>
-                    <span>High Income, Medium Density</span>
-                </div>
-                <div class="legend-item">
-                    <span class="legend-color" style="background-color: #ffffbf;"></span>
-                    <span>Mixed Income</span>
-                </div>
-                <div class="legend-item">
-                    <span class="legend-color" style="background-color: #fdae61;"></span>
-                    <span>Low Income, Medium Density</span>
-                </div>
+            // Classes of the selected attribute, recomputed as the neighborhoods or settings change
+            legendHTML = getChoroplethLegendHTML(demographicsManager.getClassification());
+            break;
+        case 'incidents':
+        case 'issues':
+            // Issue priorities go up to high, incident severities up to critical
+            legendHTML = SEVERITY_LEVELS.slice(0, layerType === 'issues' ? 3 : 4).reverse().map(level => `
                 <div class="legend-item">
-                    <span class="legend-color" style="background-color: #d7191c;"></span>
-                    <span>Low Income, High Density</span>
+                    <span class="legend-color" style="background-color: ${getSeverityColor(level)};"></span>
+                    <span>${capitalizeFirstLetter(level)} ${layerType === 'incidents' ? 'Severity' : 'Priority'}</span>
                 </div>
-            `;
+            `).join('');
             break;
+        default: {
+            // Layers registered by other modules bring their own legend
+            const layer = mapRegistry.getLayer(layerType);
+            legendHTML = layer && layer.legend ? layer.legend : '';
+        }
     }
     
+    if (mapLayerSettings[layerType].heatmap) {
+        legendHTML += `
+            <div class="legend-item">
+                <span class="legend-gradient" style="background: ${getHeatmapGradientCSS(mapHeatmapOptions[layerType].gradient)};"></span>
+                <span>Density</span>
+            </div>
+        `;
+    }
+    
+    // Clusters are colored by the worst severity of their markers
+    if (mapLayerSettings[layerType].clustered) {
+        legendHTML += `
+            <div class="legend-item">
+                <span class="legend-cluster">3</span>
+                <span>Cluster (colored by most severe)</span>
+            </div>
+        `;
+    }
+    
+    return legendHTML;
+}
+
+/**
+ * Update the map legend with a section for each visible layer, topmost first
+ */
+function updateLegend() {
+    const legendContent = document.getElementById('legend-content');
+    if (!legendContent) return;
+    
     // Add CSS for legend items if not already in the stylesheet
     if (!document.getElementById('legend-styles')) {
         const style = document.createElement('style');
@@ -484,53 +830,103 @@ function updateLegend(layerType) {
                 text-align: center;
                 margin-right: 5px;
             }
+            .legend-section + .legend-section {
+                margin-top: 8px;
+                padding-top: 8px;
+                border-top: 1px solid #eee;
+            }
+            .legend-section h5 {
+                font-size: 12px;
+                font-weight: 600;
+                margin-bottom: 5px;
+            }
+            .legend-cluster {
+                width: 15px;
+                height: 15px;
+                border-radius: 50%;
+                margin-right: 5px;
+                background-color: #808080;
+                color: white;
+                font-size: 9px;
+                line-height: 15px;
+                text-align: center;
+            }
             .legend-gradient {
                 width: 15px;
                 height: 15px;
                 margin-right: 5px;
-                background: linear-gradient(to right, blue, yellow, red);
+            }
+            .legend-swatch {
+                width: 15px;
+                height: 15px;
+                margin-right: 5px;
+                border: 1px solid #999;
+                display: inline-block;
+            }
+            .legend-caption {
+                color: #666;
             }
         `;
         document.head.appendChild(style);
     }
     
-    legendContent.innerHTML = legendHTML;
+    const visibleLayers = getVisibleMapLayers().reverse();
+    legendContent.innerHTML = visibleLayers.length > 0 ?
+        visibleLayers.map(layerType => `
+            <div class="legend-section">
+                <h5>${mapLayerSettings[layerType].label}</h5>
+                ${getLegendHTML(layerType)}
+            </div>
+        `).join('') :
+        '<div class="legend-item">No layers shown</div>';
 }
 
 /**
  * Search for a location on the map
- * @param {string} query - The search query
+ * @param {string} query - The search query (place name, "address, neighborhood" or "lat, lng")
  */
 function searchLocation(query) {
-    // In a real application, this would use a geocoding service
-    // For this demo, we'll just log the query and show a notification
-    console.log('Searching for location:', query);
+    const result = geocoder.geocode(query);
     
-    // Simulate a search result
-    setTimeout(() => {
-        // Random location near the center for demo purposes
-        const lat = 40.7128 + (Math.random() - 0.5) * 0.01;
-        const lng = -74.006 + (Math.random() - 0.5) * 0.01;
-        
-        // Pan to the location
-        cityMap.setView([lat, lng], 16);
-        
-        // Add a temporary marker
-        const searchMarker = L.marker([lat, lng])
-            .addTo(cityMap)
-            .bindPopup(`<strong>Search Result: ${query}</strong>`)
-            .openPopup();
-        
-        // Remove the marker after 5 seconds
-        setTimeout(() => {
-            cityMap.removeLayer(searchMarker);
-        }, 5000);
-        
-        // Show notification
-        if (typeof showNotification === 'function') {
-            showNotification(`Location found: ${query}`, 'success');
+    if (!result) {
+        showNotification(`No location found for "${escapeHtml(query)}"`, 'warning');
+        return;
+    }
+    
+    showSearchResult(result);
+}
+
+/**
+ * Pan to a geocoded location and mark it on the map
+ * @param {Object} result - Geocoder result ({ name, type, lat, lng })
+ */
+function showSearchResult(result) {
+    // Pan to the location
+    cityMap.setView([result.lat, result.lng], result.type === 'neighborhood' ? 15 : 17);
+    
+    // Describe where the result is; coordinates are named after the closest known place
+    let description = GAZETTEER_TYPES[result.type];
+    if (result.type !== 'neighborhood') {
+        const location = reverseGeocode(result.lat, result.lng);
+        if (result.type === 'coordinates' && location.place) {
+            description += `<br>${location.place.distance} m from ${escapeHtml(location.place.name)}`;
         }
-    }, 500);
+        description += `<br>${getNeighborhoodHTML(result.lat, result.lng)}`;
+    }
+    
+    // Add a temporary marker
+    const searchMarker = L.marker([result.lat, result.lng])
+        .addTo(cityMap)
+        .bindPopup(`<strong>${escapeHtml(result.name)}</strong><br>${description}`)
+        .openPopup();
+    
+    // Remove the marker after 5 seconds
+    setTimeout(() => {
+        cityMap.removeLayer(searchMarker);
+    }, 5000);
+    
+    // Show notification
+    showNotification(`Location found: ${escapeHtml(result.name)}`, 'success');
 }
 
 /**
@@ -539,14 +935,8 @@ function searchLocation(query) {
  */
 function updateMapData(date) {
     console.log('Updating map data for date:', date);
-    // In a real application, this would fetch historical data for the selected date
-    // For this demo, we'll just reload the current layer
-    loadLayerData(currentMapLayer);
-    
-    // Show notification
-    if (typeof showNotification === 'function') {
-        showNotification(`Map data updated for ${formatDate(date)}`, 'info');
-    }
+    // The module managers hold the selected date's data (see historyManager.showDate)
+    refreshVisibleLayers();
 }
 
 // Helper functions
@@ -592,6 +982,53 @@ function getTrafficIncidentIcon(type) {
     });
 }
 
+/**
+ * Get the severity of a traffic incident, used to color the clusters it is part of
+ * @param {string} type - The incident type
+ * @returns {string} - Severity level
+ */
+function getTrafficIncidentSeverity(type) {
+    switch (type.toLowerCase()) {
+        case 'accident': return 'high';
+        case 'construction': return 'medium';
+        default: return 'low';
+    }
+}
+
+/**
+ * Get the popup line naming the neighborhood of a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} - Popup HTML
+ */
+function getNeighborhoodHTML(lat, lng) {
+    return `Neighborhood: ${escapeHtml(getNeighborhoodAt(lat, lng) || 'Unknown')}`;
+}
+
+/**
+ * Get the heatmap weight of a severity or priority level
+ * @param {string} level - Severity or priority level
+ * @returns {number} - Weight from 1 (low) to 4 (critical)
+ */
+function getSeverityWeight(level) {
+    return Math.max(SEVERITY_LEVELS.indexOf(level), 0) + 1;
+}
+
+/**
+ * Get a marker icon colored by severity or priority
+ * @param {string} iconClass - Font Awesome icon class
+ * @param {string} level - Severity or priority level
+ * @returns {L.Icon} - Leaflet icon
+ */
+function getSeverityIcon(iconClass, level) {
+    return L.divIcon({
+        className: 'custom-div-icon',
+        html: `<div style="background-color: white; border-radius: 50%; padding: 5px; box-shadow: 0 0 3px rgba(0,0,0,0.3);"><i class="${iconClass}" style="color: ${getSeverityColor(level)};"></i></div>`,
+        iconSize: [30, 30],
+        iconAnchor: [15, 15]
+    });
+}
+
 /**
  * Get color for AQI category
  * @param {string} category - The AQI category
@@ -658,28 +1095,6 @@ function getCrimeIcon(type) {
     });
 }
 
-/**
- * Get color for demographics data
- * @param {string} density - Population density (high, medium, low)
- * @param {string} income - Income level (high, medium, low, mixed)
- * @returns {string} - Color code
- */
-function getDemographicsColor(density, income) {
-    if (income === 'high') {
-        if (density === 'low') return '#1a9641';  // Dark green
-        if (density === 'medium') return '#a6d96a';  // Light green
-        if (density === 'high') return '#ffffbf';  // Yellow
-    } else if (income === 'mixed') {
-        return '#ffffbf';  // Yellow
-    } else if (income === 'low') {
-        if (density === 'low') return '#fdae61';  // Light orange
-        if (density === 'medium') return '#fdae61';  // Orange
-        if (density === 'high') return '#d7191c';  // Red
-    }
-    
-    return '#808080';  // Gray default
-}
-
 /**
  * Format date and time for display
  * @param {Date} dateTime - The date and time to format
@@ -705,6 +1120,11 @@ function capitalizeFirstLetter(string) {
 }
 
 // Export functions for use in other modules
-window.switchMapLayer = switchMapLayer;
+window.setMapLayerVisible = setMapLayerVisible;
+window.setMapLayerOpacity = setMapLayerOpacity;
+window.setMapLayerClustered = setMapLayerClustered;
+window.setMapLayerHeatmap = setMapLayerHeatmap;
+window.moveMapLayer = moveMapLayer;
 window.searchLocation = searchLocation;
+window.showSearchResult = showSearchResult;
 window.updateMapData = updateMapData;
\ No newline at end of file
@@ -0,0 +1,647 @@
+/**
+ * Smart City Data Analytics Dashboard - Map Export Module
+ * This file contains the export of the city map for briefings: the current
+ * view with its legend, a title and a timestamp as a PNG image or a PDF
+ * page, and the features of the visible layers in the current view as GeoJSON
+ */
+
+// Layout of the exported image, in CSS pixels
+const MAP_EXPORT_LAYOUT = {
+    headerHeight: 56,
+    legendWidth: 240,
+    padding: 16,
+    legendLineHeight: 20
+};
+
+// Panes that are not part of an exported map (open popups and tooltips)
+const MAP_EXPORT_SKIPPED_PANES = ['mapPane', 'popupPane', 'tooltipPane'];
+
+// PDF page size in points (A4), turned to landscape for landscape maps
+const PDF_PAGE_SIZE = [595.28, 841.89];
+const PDF_PAGE_MARGIN = 24;
+
+// Map Exporter class; renders a Leaflet map, its legend and its visible features
+class MapExporter {
+    /**
+     * @param {L.Map} map - Map to export
+     * @param {string} mapName - Name of the map in the map registry
+     */
+    constructor(map, mapName = 'city') {
+        this.map = map;
+        this.mapName = mapName;
+    }
+
+    /**
+     * Render the map view, legend, title and timestamp onto a canvas
+     * Basemap tiles from servers without CORS headers cannot be read back
+     * from a canvas; the map is then rendered again without them
+     * @param {Object} options - { title, legend (legend element) }
+     * @returns {Promise<Object>} - { canvas, tilesOmitted }
+     */
+    async render(options = {}) {
+        let canvas = await this.renderCanvas(options, true);
+        try {
+            canvas.getContext('2d').getImageData(0, 0, 1, 1);
+            return { canvas, tilesOmitted: false };
+        } catch (error) {
+            console.warn('Basemap tiles cannot be exported:', error.message);
+            canvas = await this.renderCanvas(options, false);
+            return { canvas, tilesOmitted: true };
+        }
+    }
+
+    /**
+     * Render the export onto a new canvas
+     * @param {Object} options - { title, legend }
+     * @param {boolean} includeTiles - Whether the basemap tiles are drawn
+     * @returns {Promise<HTMLCanvasElement>} - Canvas
+     */
+    async renderCanvas(options, includeTiles) {
+        const layout = MAP_EXPORT_LAYOUT;
+        const size = this.map.getSize();
+        const legend = options.legend ? readLegend(options.legend) : [];
+        const legendHeight = legend.reduce((height, section) => height + (section.items.length + 1) * layout.legendLineHeight + 8, 0);
+
+        const width = size.x + (legend.length > 0 ? layout.legendWidth : 0);
+        const height = layout.headerHeight + Math.max(size.y, legendHeight + layout.padding * 2);
+        const scale = window.devicePixelRatio || 1;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+
+        // Header: title on the left, timestamp on the right
+        context.fillStyle = '#2c3e50';
+        context.font = 'bold 18px sans-serif';
+        context.textBaseline = 'middle';
+        context.fillText(options.title || 'City Map', layout.padding, layout.headerHeight / 2);
+        context.font = '13px sans-serif';
+        context.fillStyle = '#7f8c8d';
+        context.textAlign = 'right';
+        context.fillText(formatDateTime(new Date()), width - layout.padding, layout.headerHeight / 2);
+        context.textAlign = 'left';
+
+        await this.drawMap(context, 0, layout.headerHeight, includeTiles);
+
+        if (legend.length > 0) {
+            drawLegend(context, legend, size.x + layout.padding, layout.headerHeight + layout.padding, layout.legendWidth - layout.padding * 2);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Draw the map panes, bottom to top, the way they are shown on screen
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {number} x - Left of the map on the canvas
+     * @param {number} y - Top of the map on the canvas
+     * @param {boolean} includeTiles - Whether the basemap tiles are drawn
+     */
+    async drawMap(context, x, y, includeTiles) {
+        const container = this.map.getContainer();
+        const origin = container.getBoundingClientRect();
+        const size = this.map.getSize();
+
+        context.save();
+        context.beginPath();
+        context.rect(x, y, size.x, size.y);
+        context.clip();
+
+        const panes = this.map.getPanes();
+        const ordered = Object.keys(panes)
+            .filter(name => !MAP_EXPORT_SKIPPED_PANES.includes(name))
+            .map(name => panes[name])
+            .filter(pane => getComputedStyle(pane).display !== 'none')
+            .sort((a, b) => (parseInt(getComputedStyle(a).zIndex) || 0) - (parseInt(getComputedStyle(b).zIndex) || 0));
+
+        for (const pane of ordered) {
+            context.globalAlpha = parseFloat(getComputedStyle(pane).opacity);
+            // Without tiles, the blank grid (drawn on canvases) still shows under the layers
+            const elements = Array.from(pane.querySelectorAll('img, canvas, svg, div.leaflet-marker-icon'))
+                .filter(element => !element.parentElement.closest('.leaflet-marker-icon, svg'))
+                .filter(element => includeTiles || pane !== panes.tilePane || element.tagName.toLowerCase() !== 'img');
+
+            for (const element of elements) {
+                const rect = element.getBoundingClientRect();
+                if (rect.width === 0 || rect.height === 0) continue;
+
+                const left = x + rect.left - origin.left;
+                const top = y + rect.top - origin.top;
+                await drawMapElement(context, element, left, top, rect.width, rect.height);
+            }
+        }
+        context.globalAlpha = 1;
+
+        // Keep the basemap attribution with the map
+        const attribution = container.querySelector('.leaflet-control-attribution');
+        if (attribution && attribution.textContent.trim()) {
+            const text = attribution.textContent.trim();
+            context.font = '10px sans-serif';
+            const textWidth = context.measureText(text).width;
+            context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            context.fillRect(x + size.x - textWidth - 10, y + size.y - 16, textWidth + 10, 16);
+            context.fillStyle = '#333333';
+            context.textBaseline = 'middle';
+            context.fillText(text, x + size.x - textWidth - 5, y + size.y - 8);
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Export the map as a PNG image
+     * @param {Object} options - { title, legend }
+     * @returns {Promise<Object>} - { blob, tilesOmitted }
+     */
+    async toPng(options) {
+        const { canvas, tilesOmitted } = await this.render(options);
+        return { blob: await canvasToBlob(canvas, 'image/png'), tilesOmitted };
+    }
+
+    /**
+     * Export the map as a one-page PDF
+     * @param {Object} options - { title, legend }
+     * @returns {Promise<Object>} - { blob, tilesOmitted }
+     */
+    async toPdf(options) {
+        const { canvas, tilesOmitted } = await this.render(options);
+        const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+        const pdf = createImagePdf(new Uint8Array(await jpeg.arrayBuffer()), canvas.width, canvas.height);
+        return { blob: new Blob([pdf], { type: 'application/pdf' }), tilesOmitted };
+    }
+
+    /**
+     * Get the features of the visible layers within the current view
+     * Clusters are expanded into their markers, and the popup of each
+     * marker or shape becomes its properties
+     * @param {Array} layerNames - Names of the layers to export
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    toGeoJSON(layerNames) {
+        const view = this.map.getBounds();
+        const features = [];
+
+        layerNames.forEach(layerName => {
+            const group = mapRegistry.getLayerGroup(layerName, this.mapName);
+            const layer = mapRegistry.getLayer(layerName);
+            if (!group || !layer) return;
+
+            getLayerObjects(group).forEach(object => {
+                if (!isInView(object, view)) return;
+
+                const feature = layerObjectToFeature(object);
+                if (!feature) return;
+
+                feature.properties = Object.assign({ layer: layerName, layerLabel: htmlToText(layer.label) }, feature.properties);
+                features.push(feature);
+            });
+        });
+
+        return { type: 'FeatureCollection', features };
+    }
+}
+
+/**
+ * Draw one element of a map pane
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Element} element - Tile or marker image, canvas, SVG renderer or marker icon
+ * @param {number} x - Left on the canvas
+ * @param {number} y - Top on the canvas
+ * @param {number} width - Width on the canvas
+ * @param {number} height - Height on the canvas
+ */
+async function drawMapElement(context, element, x, y, width, height) {
+    const tagName = element.tagName.toLowerCase();
+
+    if (tagName === 'img') {
+        if (element.complete && element.naturalWidth > 0) {
+            context.drawImage(element, x, y, width, height);
+        }
+    } else if (tagName === 'canvas') {
+        context.drawImage(element, x, y, width, height);
+    } else if (tagName === 'svg') {
+        // Leaflet sets the stroke and fill of its paths as attributes, so the SVG renders on its own;
+        // its position comes from the bounding box, so the CSS transform is dropped
+        const svg = element.cloneNode(true);
+        svg.removeAttribute('style');
+        const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' }));
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+            context.drawImage(image, x, y, width, height);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    } else {
+        drawMarkerIcon(context, element, x, y, width, height);
+    }
+}
+
+/**
+ * Draw an HTML marker icon as a symbol: its background shape and color,
+ * a dot in the color of its icon font glyph, or its text (cluster counts, labels)
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Element} element - Marker icon element
+ * @param {number} x - Left on the canvas
+ * @param {number} y - Top on the canvas
+ * @param {number} width - Width on the canvas
+ * @param {number} height - Height on the canvas
+ */
+function drawMarkerIcon(context, element, x, y, width, height) {
+    const filled = [element].concat(Array.from(element.querySelectorAll('*')))
+        .find(child => !isTransparent(getComputedStyle(child).backgroundColor));
+    const glyph = element.querySelector('i');
+    const text = element.innerText ? element.innerText.trim() : '';
+    const centerX = x + width / 2;
+    const centerY = y + height / 2;
+
+    if (filled) {
+        const style = getComputedStyle(filled);
+        const rect = filled.getBoundingClientRect();
+        const radius = Math.min(rect.width, rect.height) / 2;
+        context.beginPath();
+        if (style.borderRadius.startsWith('50%') || parseFloat(style.borderRadius) >= radius) {
+            context.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        } else {
+            context.rect(centerX - rect.width / 2, centerY - rect.height / 2, rect.width, rect.height);
+        }
+        context.fillStyle = style.backgroundColor;
+        context.fill();
+        context.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        context.lineWidth = 1;
+        context.stroke();
+    }
+
+    if (glyph) {
+        context.beginPath();
+        context.arc(centerX, centerY, Math.min(width, height) / 4, 0, 2 * Math.PI);
+        context.fillStyle = getComputedStyle(glyph).color;
+        context.fill();
+    } else if (text) {
+        const style = getComputedStyle(filled || element);
+        const lines = text.split('\n');
+        context.font = `${style.fontWeight} ${style.fontSize} sans-serif`;
+        context.fillStyle = style.color;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        const lineHeight = parseFloat(style.fontSize) * 1.2;
+        lines.forEach((line, index) => {
+            context.fillText(line, centerX, centerY + (index - (lines.length - 1) / 2) * lineHeight);
+        });
+        context.textAlign = 'left';
+    }
+}
+
+/**
+ * Check whether a CSS color is fully transparent
+ * @param {string} color - Computed CSS color
+ * @returns {boolean} - True if transparent
+ */
+function isTransparent(color) {
+    return !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+}
+
+/**
+ * Read the sections of a legend element
+ * @param {Element} legend - Legend element (#legend-content)
+ * @returns {Array} - Sections ({ title, items: [{ swatch, text }] })
+ */
+function readLegend(legend) {
+    return Array.from(legend.querySelectorAll('.legend-section')).map(section => {
+        const title = section.querySelector('h5');
+        const items = Array.from(section.querySelectorAll('.legend-item')).map(item => {
+            const swatch = item.querySelector('.legend-color, .legend-swatch, .legend-gradient, .legend-cluster, .legend-icon');
+            const label = Array.from(item.children).filter(child => child !== swatch).map(child => child.textContent).join(' ');
+            return {
+                swatch: swatch ? readLegendSwatch(swatch) : null,
+                text: (swatch ? label : item.textContent).replace(/\s+/g, ' ').trim()
+            };
+        });
+        return { title: title ? title.textContent.trim() : '', items };
+    });
+}
+
+/**
+ * Read the look of a legend swatch
+ * @param {Element} swatch - Swatch element
+ * @returns {Object} - { colors (gradient stops or a single color), round, text }
+ */
+function readLegendSwatch(swatch) {
+    const style = getComputedStyle(swatch);
+    const glyph = swatch.querySelector('i');
+    const gradient = style.backgroundImage.match(/rgba?\([^)]+\)/g);
+
+    return {
+        colors: glyph ? [getComputedStyle(glyph).color] : (gradient || [style.backgroundColor]),
+        round: Boolean(glyph) || style.borderRadius.startsWith('50%'),
+        text: swatch.classList.contains('legend-cluster') ? swatch.textContent.trim() : ''
+    };
+}
+
+/**
+ * Draw the legend sections
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Array} sections - Legend sections (see readLegend)
+ * @param {number} x - Left of the legend
+ * @param {number} y - Top of the legend
+ * @param {number} width - Width of the legend
+ */
+function drawLegend(context, sections, x, y, width) {
+    const lineHeight = MAP_EXPORT_LAYOUT.legendLineHeight;
+    context.textBaseline = 'middle';
+
+    sections.forEach(section => {
+        context.font = 'bold 12px sans-serif';
+        context.fillStyle = '#2c3e50';
+        context.fillText(fitText(context, section.title, width), x, y + lineHeight / 2);
+        y += lineHeight;
+
+        section.items.forEach(item => {
+            const middle = y + lineHeight / 2;
+            let textX = x;
+
+            if (item.swatch) {
+                const { colors, round, text } = item.swatch;
+                if (colors.length > 1) {
+                    const gradient = context.createLinearGradient(x, 0, x + 15, 0);
+                    colors.forEach((color, index) => gradient.addColorStop(index / (colors.length - 1), color));
+                    context.fillStyle = gradient;
+                } else {
+                    context.fillStyle = isTransparent(colors[0]) ? '#808080' : colors[0];
+                }
+
+                context.beginPath();
+                if (round) {
+                    context.arc(x + 7.5, middle, 7.5, 0, 2 * Math.PI);
+                } else {
+                    context.rect(x, middle - 7.5, 15, 15);
+                }
+                context.fill();
+
+                if (text) {
+                    context.font = '9px sans-serif';
+                    context.fillStyle = '#ffffff';
+                    context.textAlign = 'center';
+                    context.fillText(text, x + 7.5, middle);
+                    context.textAlign = 'left';
+                }
+                textX = x + 22;
+            }
+
+            context.font = '12px sans-serif';
+            context.fillStyle = '#333333';
+            context.fillText(fitText(context, item.text, width - (textX - x)), textX, middle);
+            y += lineHeight;
+        });
+
+        y += 8;
+    });
+}
+
+/**
+ * Shorten a text with an ellipsis to fit a width
+ * @param {CanvasRenderingContext2D} context - Canvas context (with its font set)
+ * @param {string} text - Text
+ * @param {number} width - Available width
+ * @returns {string} - Text that fits
+ */
+function fitText(context, text, width) {
+    if (context.measureText(text).width <= width) return text;
+
+    let fitted = text;
+    while (fitted.length > 1 && context.measureText(`${fitted}…`).width > width) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+/**
+ * Get the markers and shapes drawn by a layer, with clusters expanded into their markers
+ * @param {L.Layer} layer - Layer or layer group
+ * @returns {Array} - Leaflet layers
+ */
+function getLayerObjects(layer) {
+    if (layer.cluster) {
+        return layer.cluster.items.map(item => item.marker);
+    }
+    if (layer instanceof L.LayerGroup) {
+        return layer.getLayers().reduce((objects, child) => objects.concat(getLayerObjects(child)), []);
+    }
+    return [layer];
+}
+
+/**
+ * Check whether a marker or shape is within a view
+ * @param {L.Layer} object - Marker or shape
+ * @param {L.LatLngBounds} view - View bounds
+ * @returns {boolean} - True if it is (partly) inside
+ */
+function isInView(object, view) {
+    if (typeof object.getLatLng === 'function') return view.contains(object.getLatLng());
+    if (typeof object.getBounds === 'function') return view.intersects(object.getBounds());
+    return false;
+}
+
+/**
+ * Convert a marker or shape into a GeoJSON feature
+ * Objects drawn from GeoJSON keep their properties; the others take theirs from
+ * their popup ("<strong>Name</strong><br>Label: value<br>..."), and objects without
+ * either (labels, spider legs, heatmaps) are left out
+ * @param {L.Layer} object - Marker or shape
+ * @returns {Object|null} - GeoJSON feature
+ */
+function layerObjectToFeature(object) {
+    if (typeof object.toGeoJSON !== 'function') return null;
+
+    const popup = object.getPopup ? object.getPopup() : null;
+    if (!object.feature && !popup) return null;
+
+    const feature = object.toGeoJSON();
+    let properties = object.feature ? Object.assign({}, object.feature.properties) : {};
+    if (popup) {
+        const content = popup.getContent();
+        properties = Object.assign(popupToProperties(typeof content === 'function' ? content(object) : content), properties);
+    }
+    if (object instanceof L.Circle) {
+        properties.radius = object.getRadius();
+    }
+
+    feature.properties = properties;
+    return feature;
+}
+
+/**
+ * Turn popup content into properties: the first line is the name,
+ * "Label: value" lines become properties and other lines the description
+ * @param {string|Element} content - Popup content
+ * @returns {Object} - Properties
+ */
+function popupToProperties(content) {
+    const html = typeof content === 'string' ? content : (content && content.innerHTML) || '';
+    const lines = html.split(/<br\s*\/?>|<\/p>|<\/div>/i).map(htmlToText).filter(line => line);
+    const properties = {};
+    const description = [];
+
+    lines.forEach((line, index) => {
+        const separator = line.indexOf(':');
+        if (index === 0 && separator < 0) {
+            properties.name = line;
+        } else if (separator > 0 && separator < 40) {
+            properties[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        } else {
+            description.push(line);
+        }
+    });
+
+    if (description.length > 0) properties.description = description.join(' ');
+    return properties;
+}
+
+/**
+ * Get the text of an HTML fragment without rendering it
+ * @param {string} html - HTML
+ * @returns {string} - Text with collapsed whitespace
+ */
+function htmlToText(html) {
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the contents of a canvas as a blob
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @param {string} type - Image type
+ * @param {number} quality - Quality for lossy types
+ * @returns {Promise<Blob>} - Image
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The map image could not be created'))), type, quality);
+    });
+}
+
+/**
+ * Create a one-page PDF showing a JPEG image, fitted within the page margins
+ * @param {Uint8Array} jpeg - JPEG image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Uint8Array} - PDF file
+ */
+function createImagePdf(jpeg, width, height) {
+    const [pageWidth, pageHeight] = width > height ? [PDF_PAGE_SIZE[1], PDF_PAGE_SIZE[0]] : PDF_PAGE_SIZE;
+    const fit = Math.min((pageWidth - PDF_PAGE_MARGIN * 2) / width, (pageHeight - PDF_PAGE_MARGIN * 2) / height);
+    const drawWidth = width * fit;
+    const drawHeight = height * fit;
+    const left = (pageWidth - drawWidth) / 2;
+    const bottom = (pageHeight - drawHeight) / 2;
+    const number = value => value.toFixed(2);
+
+    const content = `q ${number(drawWidth)} 0 0 ${number(drawHeight)} ${number(left)} ${number(bottom)} cm /Map Do Q`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(pageWidth)} ${number(pageHeight)}] ` +
+            '/Resources << /XObject << /Map 4 0 R >> >> /Contents 5 0 R >>',
+        [`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+            `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, '\nendstream'],
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ];
+
+    // Objects are written in order, recording their byte offsets for the cross-reference table
+    const encoder = new TextEncoder();
+    const chunks = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])];
+    let length = chunks[0].length + chunks[1].length;
+    const offsets = [];
+    const write = part => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+
+    objects.forEach((object, index) => {
+        offsets.push(length);
+        write(`${index + 1} 0 obj\n`);
+        [].concat(object).forEach(write);
+        write('\nendobj\n');
+    });
+
+    const xref = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        pdf.set(chunk, position);
+        position += chunk.length;
+    });
+    return pdf;
+}
+
+/**
+ * Get a file name for an export, stamped with the current time
+ * @param {string} title - Map title
+ * @param {string} extension - File extension
+ * @returns {string} - File name
+ */
+function getExportFileName(title, extension) {
+    const slug = (title || 'city-map').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'city-map';
+    const stamp = new Date().toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+    return `${slug}-${stamp}.${extension}`;
+}
+
+// Set up the export controls once the city map exists
+document.addEventListener('DOMContentLoaded', function() {
+    initializeMapExport();
+});
+
+/**
+ * Initialize the export buttons of the city map
+ */
+function initializeMapExport() {
+    const controls = document.getElementById('map-export-controls');
+    if (!controls) return;
+
+    const titleInput = document.getElementById('map-export-title');
+
+    controls.addEventListener('click', async function(e) {
+        const button = e.target.closest('button[data-export]');
+        if (!button || !cityMap) return;
+
+        const exporter = new MapExporter(cityMap);
+        const title = titleInput.value.trim() || 'City Map';
+        const format = button.dataset.export;
+        button.disabled = true;
+
+        try {
+            if (format === 'geojson') {
+                const geojson = exporter.toGeoJSON(getVisibleMapLayers());
+                downloadFile(getExportFileName(title, 'geojson'), JSON.stringify(geojson, null, 2), 'application/geo+json');
+                showNotification(`Exported ${geojson.features.length} features in view`, 'success');
+                return;
+            }
+
+            const options = { title, legend: document.getElementById('legend-content') };
+            const { blob, tilesOmitted } = format === 'pdf' ? await exporter.toPdf(options) : await exporter.toPng(options);
+            downloadFile(getExportFileName(title, format), blob, blob.type);
+            if (tilesOmitted) {
+                showNotification('The basemap tiles do not allow exporting and were left out of the image', 'warning');
+            }
+        } catch (error) {
+            console.error('Error exporting the map:', error);
+            showNotification(`The map could not be exported: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+// Export for use in other modules
+window.MapExporter = MapExporter;
+window.createImagePdf = createImagePdf;
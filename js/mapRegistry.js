@@ -0,0 +1,346 @@
+/**
+ * Smart City Data Analytics Dashboard - Map Registry Module
+ * This file contains the registry shared by every module that draws on a
+ * map: modules register named layers with their metadata and a draw
+ * function, and any registered map (the city map or a section map) can
+ * show any layer. The registry owns the layer instances, so hiding a
+ * layer or removing a map cleans up everything that was drawn
+ */
+
+// Map Registry class; the maps and layers of the dashboard
+class MapRegistry {
+    constructor() {
+        this.maps = new Map();  // name -> { map, elementId, layers: Map(layer name -> instance) }
+        this.layers = new Map();  // name -> layer definition
+        this.data = new Map();  // layer name -> data set by its module (kept until the layer is registered)
+        this.listeners = {};
+    }
+
+    /**
+     * Register a map
+     * A container id creates the map on first use (section maps are hidden until their section is shown)
+     * @param {string} name - Map name
+     * @param {string|L.Map} target - Container element id, or an existing map
+     * @param {Object} options - { center, zoom, layers (names of the layers shown on this map by default) }
+     * @returns {boolean} - Whether the map was registered (false when its container does not exist)
+     */
+    registerMap(name, target, options = {}) {
+        if (typeof target === 'string' && !document.getElementById(target)) return false;
+
+        this.maps.set(name, {
+            map: typeof target === 'string' ? null : target,
+            elementId: typeof target === 'string' ? target : null,
+            options: options,
+            layers: new Map()
+        });
+
+        this.emit('mapadd', { mapName: name });
+        (options.layers || []).forEach(layerName => {
+            if (this.layers.has(layerName)) this.showLayer(layerName, name);
+        });
+        return true;
+    }
+
+    /**
+     * Get a registered map, creating it if needed
+     * @param {string} name - Map name
+     * @returns {L.Map|null} - Map, or null if no such map is registered
+     */
+    getMap(name) {
+        const entry = this.maps.get(name);
+        if (!entry) return null;
+
+        if (!entry.map) {
+            const center = entry.options.center || [40.7128, -74.006];
+            entry.map = L.map(entry.elementId).setView(center, entry.options.zoom || 13);
+            basemapManager.createLayer().addTo(entry.map);
+        }
+        return entry.map;
+    }
+
+    /**
+     * Whether a map is registered
+     * @param {string} name - Map name
+     * @returns {boolean} - Whether the map is registered
+     */
+    hasMap(name) {
+        return this.maps.has(name);
+    }
+
+    /**
+     * Get the names of the registered maps
+     * @returns {Array} - Map names
+     */
+    getMapNames() {
+        return Array.from(this.maps.keys());
+    }
+
+    /**
+     * Remove a map, hiding its layers; maps created by the registry are destroyed
+     * @param {string} name - Map name
+     */
+    removeMap(name) {
+        const entry = this.maps.get(name);
+        if (!entry) return;
+
+        Array.from(entry.layers.keys()).forEach(layerName => this.hideLayer(layerName, name));
+        if (entry.elementId && entry.map) {
+            entry.map.remove();
+        }
+        this.maps.delete(name);
+        this.emit('mapremove', { mapName: name });
+    }
+
+    /**
+     * Recompute the size of the created maps, after their containers were shown or resized
+     */
+    invalidateSize() {
+        this.maps.forEach(entry => {
+            if (entry.map) entry.map.invalidateSize();
+        });
+    }
+
+    /**
+     * Register a layer
+     * @param {string} name - Layer name
+     * @param {Object} definition - {
+     *     label: display name,
+     *     module: module that owns the layer,
+     *     description: optional description,
+     *     draw: function(group, context) that adds the layer's objects to an L.FeatureGroup,
+     *         where context is { map, mapName, layerName, pane, data, state, options(extra) },
+     *     destroy: optional function(group, context) called when an instance is removed,
+     *     legend: optional legend HTML,
+     *     transient: true for layers that show the result of an action (a route, a simulation)
+     *         rather than a data set, and are not listed in layer controls,
+     *     remove: optional function called when the user deletes the layer from a layer control
+     * }
+     */
+    registerLayer(name, definition) {
+        // A layer registered again replaces the old definition and is redrawn where it is a default layer
+        this.getLayerMaps(name).forEach(mapName => this.hideLayer(name, mapName));
+        this.layers.set(name, Object.assign({ name: name, label: name, module: null, transient: false }, definition));
+        this.emit('layerregister', { layerName: name, layer: this.layers.get(name) });
+
+        // Show the layer on the maps registered with it as a default layer
+        this.maps.forEach((entry, mapName) => {
+            if ((entry.options.layers || []).includes(name)) this.showLayer(name, mapName);
+        });
+    }
+
+    /**
+     * Unregister a layer, removing it from every map
+     * @param {string} name - Layer name
+     */
+    unregisterLayer(name) {
+        if (!this.layers.has(name)) return;
+
+        this.getLayerMaps(name).forEach(mapName => this.hideLayer(name, mapName));
+        this.layers.delete(name);
+        this.data.delete(name);
+        this.emit('layerunregister', { layerName: name });
+    }
+
+    /**
+     * Get the metadata of a layer
+     * @param {string} name - Layer name
+     * @returns {Object|null} - Layer definition
+     */
+    getLayer(name) {
+        return this.layers.get(name) || null;
+    }
+
+    /**
+     * Get the registered layers
+     * @param {string} module - Optional module to list the layers of
+     * @returns {Array} - Layer definitions
+     */
+    getLayers(module) {
+        return Array.from(this.layers.values()).filter(layer => !module || layer.module === module);
+    }
+
+    /**
+     * Get the maps a layer is shown on
+     * @param {string} name - Layer name
+     * @returns {Array} - Map names
+     */
+    getLayerMaps(name) {
+        return this.getMapNames().filter(mapName => this.maps.get(mapName).layers.has(name));
+    }
+
+    /**
+     * Whether a layer is shown on a map
+     * @param {string} name - Layer name
+     * @param {string} mapName - Map name
+     * @returns {boolean} - Whether the layer is shown
+     */
+    isLayerShown(name, mapName = 'city') {
+        const entry = this.maps.get(mapName);
+        return Boolean(entry && entry.layers.has(name));
+    }
+
+    /**
+     * Get the feature group a layer is drawn into on a map
+     * @param {string} name - Layer name
+     * @param {string} mapName - Map name
+     * @returns {L.FeatureGroup|null} - Group, or null if the layer is not shown there
+     */
+    getLayerGroup(name, mapName = 'city') {
+        const entry = this.maps.get(mapName);
+        const instance = entry && entry.layers.get(name);
+        return instance ? instance.group : null;
+    }
+
+    /**
+     * Show a layer on a map and draw it
+     * @param {string} name - Layer name
+     * @param {string} mapName - Map name
+     * @returns {L.FeatureGroup|null} - Group the layer is drawn into, or null if the layer or map is unknown
+     */
+    showLayer(name, mapName = 'city') {
+        const definition = this.layers.get(name);
+        const entry = this.maps.get(mapName);
+        if (!definition || !entry) return null;
+
+        if (!entry.layers.has(name)) {
+            const map = this.getMap(mapName);
+
+            // Each layer draws into its own pane, so maps can order and fade layers independently
+            const pane = `${name}Pane`;
+            if (!map.getPane(pane)) {
+                map.createPane(pane);
+            }
+
+            const instance = {
+                group: L.featureGroup().addTo(map),
+                context: {
+                    map: map,
+                    mapName: mapName,
+                    layerName: name,
+                    pane: pane,
+                    data: null,
+                    state: {},
+                    options: extra => Object.assign({ pane: pane }, extra)
+                }
+            };
+            entry.layers.set(name, instance);
+            this.emit('layeradd', { layerName: name, mapName: mapName });
+        }
+
+        this.drawInstance(definition, entry.layers.get(name));
+        return entry.layers.get(name).group;
+    }
+
+    /**
+     * Hide a layer on a map, removing everything it drew
+     * @param {string} name - Layer name
+     * @param {string} mapName - Map name
+     */
+    hideLayer(name, mapName = 'city') {
+        const entry = this.maps.get(mapName);
+        const instance = entry && entry.layers.get(name);
+        if (!instance) return;
+
+        const definition = this.layers.get(name);
+        if (definition && typeof definition.destroy === 'function') {
+            definition.destroy(instance.group, instance.context);
+        }
+        instance.group.clearLayers();
+        entry.map.removeLayer(instance.group);
+        entry.layers.delete(name);
+        this.emit('layerremove', { layerName: name, mapName: mapName });
+    }
+
+    /**
+     * Redraw a layer on every map it is shown on
+     * Modules call this when the data behind a layer changes
+     * @param {string} name - Layer name
+     */
+    refreshLayer(name) {
+        const definition = this.layers.get(name);
+        if (!definition) return;
+
+        this.maps.forEach(entry => {
+            const instance = entry.layers.get(name);
+            if (instance) this.drawInstance(definition, instance);
+        });
+        this.emit('layerrefresh', { layerName: name });
+    }
+
+    /**
+     * Set the data a layer draws and redraw it
+     * @param {string} name - Layer name
+     * @param {*} data - Layer data (passed to draw as context.data; null lets the layer use its module's data)
+     */
+    setLayerData(name, data) {
+        this.data.set(name, data);
+        this.refreshLayer(name);
+    }
+
+    /**
+     * Get the data set for a layer
+     * @param {string} name - Layer name
+     * @returns {*} - Layer data, or null if none was set
+     */
+    getLayerData(name) {
+        return this.data.has(name) ? this.data.get(name) : null;
+    }
+
+    /**
+     * Fit a map to the objects of a layer
+     * @param {string} name - Layer name
+     * @param {string} mapName - Map name
+     * @param {Object} options - Leaflet fitBounds options
+     */
+    fitLayer(name, mapName = 'city', options = { padding: [50, 50] }) {
+        const group = this.getLayerGroup(name, mapName);
+        if (!group) return;
+
+        const bounds = group.getBounds();
+        if (bounds.isValid()) {
+            this.getMap(mapName).fitBounds(bounds, options);
+        }
+    }
+
+    /**
+     * Clear and draw a layer instance
+     * @param {Object} definition - Layer definition
+     * @param {Object} instance - Layer instance
+     */
+    drawInstance(definition, instance) {
+        instance.group.clearLayers();
+        instance.context.data = this.getLayerData(definition.name);
+        try {
+            definition.draw(instance.group, instance.context);
+        } catch (error) {
+            console.error(`Error drawing map layer ${definition.name}:`, error);
+        }
+    }
+
+    /**
+     * Register a listener for registry events
+     * (mapadd, mapremove, layerregister, layerunregister, layeradd, layerremove, layerrefresh)
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event details
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) this.listeners[event] = [];
+        this.listeners[event].push(listener);
+    }
+
+    /**
+     * Call the listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} details - Event details
+     */
+    emit(event, details) {
+        (this.listeners[event] || []).forEach(listener => listener(details));
+    }
+}
+
+// Create the global map registry
+const mapRegistry = new MapRegistry();
+
+// Export for use in other modules
+window.MapRegistry = MapRegistry;
+window.mapRegistry = mapRegistry;
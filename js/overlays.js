@@ -0,0 +1,638 @@
+/**
+ * Smart City Data Analytics Dashboard - Overlays Module
+ * This file contains the import of user overlay layers (a proposed bike
+ * lane, school locations, a flood plain, ...) from GeoJSON, KML/KMZ and
+ * CSV files with latitude/longitude columns. Imported layers are drawn on
+ * the city map through the map registry and kept in the browser's
+ * IndexedDB so they survive a reload
+ */
+
+// Default style of an imported layer
+const DEFAULT_OVERLAY_STYLE = {
+    color: '#8e44ad',
+    weight: 3,
+    fillOpacity: 0.3,
+    radius: 6
+};
+
+// Column names recognized as coordinates in CSV files (compared in lower case)
+const CSV_LATITUDE_COLUMNS = ['lat', 'latitude', 'y', 'lat_dd'];
+const CSV_LONGITUDE_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x', 'lon_dd'];
+
+// KML geometry elements
+const KML_GEOMETRIES = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'];
+
+// Overlay Store class; imported layers are keyed by their layer name
+class OverlayStore {
+    /**
+     * @param {string} databaseName - IndexedDB database name
+     */
+    constructor(databaseName = 'smart-city-overlays') {
+        this.databaseName = databaseName;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating the layer store on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('layers', { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the layer store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction('layers', mode).objectStore('layers'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a layer
+     * @param {Object} layer - { id, name, format, fileName, style, geojson, visible, importedAt }
+     * @returns {Promise} - Resolves when the layer is stored
+     */
+    save(layer) {
+        return this.request('readwrite', store => store.put(layer));
+    }
+
+    /**
+     * Get every stored layer
+     * @returns {Promise<Array>} - Layers
+     */
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    /**
+     * Delete a layer
+     * @param {string} id - Layer name
+     * @returns {Promise} - Resolves when the layer is deleted
+     */
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// Overlay Manager class; imports, draws and persists user layers
+class OverlayManager {
+    /**
+     * @param {OverlayStore} store - Layer store
+     */
+    constructor(store = new OverlayStore()) {
+        this.store = store;
+        this.layers = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Restore the layers imported in earlier sessions
+     * @returns {Promise<number>} - Number of restored layers
+     */
+    async restore() {
+        const layers = await this.store.getAll();
+        layers
+            .sort((a, b) => a.importedAt - b.importedAt)
+            .forEach(layer => this.addLayer(layer));
+        return layers.length;
+    }
+
+    /**
+     * Import a file as a new layer
+     * @param {File} file - .geojson/.json, .kml, .kmz or .csv file
+     * @param {Object} options - { name, style, latColumn, lngColumn (CSV columns, detected when omitted) }
+     * @returns {Promise<Object>} - Imported layer ({ id, name, ..., skipped: features without a location, persisted })
+     */
+    async importFile(file, options = {}) {
+        const format = detectOverlayFormat(file.name);
+        let parsed;
+        if (format === 'kmz') {
+            const files = await readZip(await file.arrayBuffer());
+            const kml = Array.from(files.keys()).find(name => /\.kml$/i.test(name));
+            if (!kml) {
+                throw new Error('The KMZ archive does not contain a KML file');
+            }
+            parsed = parseKml(files.get(kml));
+        } else {
+            const text = await file.text();
+            parsed = format === 'kml' ? parseKml(text) :
+                format === 'csv' ? parseCsvPoints(text, options.latColumn, options.lngColumn) :
+                    parseGeoJson(text);
+        }
+
+        if (parsed.geojson.features.length === 0) {
+            throw new Error('The file does not contain any features with a location');
+        }
+
+        const layer = {
+            id: this.createLayerId(),
+            name: options.name || file.name.replace(/\.[^.]+$/, ''),
+            format: format,
+            fileName: file.name,
+            style: Object.assign({}, DEFAULT_OVERLAY_STYLE, options.style),
+            geojson: parsed.geojson,
+            visible: true,
+            importedAt: Date.now()
+        };
+
+        this.addLayer(layer);
+
+        // The layer is still shown for this session when it cannot be stored
+        let persisted = true;
+        try {
+            await this.store.save(layer);
+        } catch (error) {
+            console.warn('Imported layer could not be stored:', error.message);
+            persisted = false;
+        }
+        return Object.assign({ skipped: parsed.skipped, persisted }, layer);
+    }
+
+    /**
+     * Get a unique layer name for a new layer
+     * @returns {string} - Layer name
+     */
+    createLayerId() {
+        let id;
+        do {
+            id = `userLayer${Date.now().toString(36)}${this.nextId++}`;
+        } while (this.layers.has(id));
+        return id;
+    }
+
+    /**
+     * Register a layer with the map registry and show it if it was visible
+     * @param {Object} layer - Stored layer
+     */
+    addLayer(layer) {
+        this.layers.set(layer.id, layer);
+
+        // Layer labels are shown as HTML in the layer control and legend
+        mapRegistry.registerLayer(layer.id, {
+            label: escapeHtml(layer.name),
+            module: 'overlays',
+            description: `Imported from ${layer.fileName}`,
+            legend: getOverlayLegendHTML(layer),
+            draw: (group, context) => drawOverlayLayer(group, context, layer),
+            remove: () => this.removeLayer(layer.id)
+        });
+
+        if (layer.visible) {
+            setMapLayerVisible(layer.id, true);
+        }
+    }
+
+    /**
+     * Delete a layer from the maps and the store
+     * @param {string} id - Layer name
+     * @returns {Promise} - Resolves when the layer is deleted from the store
+     */
+    removeLayer(id) {
+        const layer = this.layers.get(id);
+        if (!layer) return Promise.resolve();
+
+        // Forget the layer first so hiding it is not saved as a visibility change
+        this.layers.delete(id);
+        mapRegistry.unregisterLayer(id);
+        return this.store.delete(id).catch(error => console.error('Error deleting imported layer:', error));
+    }
+
+    /**
+     * Remember whether a layer is shown on the city map
+     * @param {string} id - Layer name
+     * @param {boolean} visible - Whether the layer is shown
+     */
+    setVisible(id, visible) {
+        const layer = this.layers.get(id);
+        if (!layer || layer.visible === visible) return;
+
+        layer.visible = visible;
+        this.store.save(layer).catch(error => console.error('Error saving imported layer:', error));
+    }
+}
+
+/**
+ * Detect the format of an overlay file from its name
+ * @param {string} fileName - File name
+ * @returns {string} - 'geojson', 'kml', 'kmz' or 'csv'
+ */
+function detectOverlayFormat(fileName) {
+    const extension = (fileName.match(/\.([^.]+)$/) || [])[1];
+    switch ((extension || '').toLowerCase()) {
+        case 'kml': return 'kml';
+        case 'kmz': return 'kmz';
+        case 'csv':
+        case 'txt': return 'csv';
+        case 'geojson':
+        case 'json': return 'geojson';
+        default: throw new Error(`Unsupported file type: ${fileName} (use GeoJSON, KML, KMZ or CSV)`);
+    }
+}
+
+/**
+ * Parse a GeoJSON file into a FeatureCollection
+ * @param {string} text - GeoJSON text (a FeatureCollection, a Feature or a geometry)
+ * @returns {Object} - { geojson, skipped }
+ */
+function parseGeoJson(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON (${error.message})`);
+    }
+
+    let features;
+    if (json && json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+        features = json.features;
+    } else if (json && json.type === 'Feature') {
+        features = [json];
+    } else if (json && typeof json.type === 'string' && (json.coordinates || json.geometries)) {
+        features = [{ type: 'Feature', geometry: json, properties: {} }];
+    } else {
+        throw new Error('The file is not a GeoJSON FeatureCollection, Feature or geometry');
+    }
+
+    const located = features.filter(feature => feature && feature.geometry);
+    const outside = located.find(feature => !isGeometryInWgs84(feature.geometry));
+    if (outside) {
+        throw new Error('Coordinates must be WGS84 longitude/latitude; reproject the file (e.g. to EPSG:4326) and import it again');
+    }
+
+    return {
+        geojson: {
+            type: 'FeatureCollection',
+            features: located.map(feature => Object.assign({}, feature, { properties: feature.properties || {} }))
+        },
+        skipped: features.length - located.length
+    };
+}
+
+/**
+ * Check whether the coordinates of a geometry are longitudes and latitudes
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} - True if every position is within [-180, 180] x [-90, 90]
+ */
+function isGeometryInWgs84(geometry) {
+    if (geometry.type === 'GeometryCollection') {
+        return (geometry.geometries || []).every(isGeometryInWgs84);
+    }
+
+    const check = coordinates => (typeof coordinates[0] === 'number' ?
+        Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90 :
+        coordinates.every(check));
+    return Array.isArray(geometry.coordinates) && check(geometry.coordinates);
+}
+
+/**
+ * Parse a KML document into a FeatureCollection
+ * Placemarks keep their name, description and extended data as properties
+ * @param {string} text - KML text
+ * @returns {Object} - { geojson, skipped }
+ */
+function parseKml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not a valid KML document');
+    }
+
+    const placemarks = Array.from(doc.getElementsByTagNameNS('*', 'Placemark'));
+    const features = [];
+    placemarks.forEach(placemark => {
+        const geometryElement = getKmlChildren(placemark).find(child => KML_GEOMETRIES.includes(child.localName));
+        const geometry = geometryElement ? parseKmlGeometry(geometryElement) : null;
+        if (!geometry) return;
+
+        const properties = {};
+        getKmlChildren(placemark).forEach(child => {
+            if (child.localName === 'name' || child.localName === 'description') {
+                properties[child.localName] = child.textContent.trim();
+            }
+        });
+        Array.from(placemark.getElementsByTagNameNS('*', 'Data')).forEach(data => {
+            const value = getKmlChildren(data).find(child => child.localName === 'value');
+            properties[data.getAttribute('name')] = value ? value.textContent.trim() : '';
+        });
+        Array.from(placemark.getElementsByTagNameNS('*', 'SimpleData')).forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        features.push({ type: 'Feature', geometry, properties });
+    });
+
+    return {
+        geojson: { type: 'FeatureCollection', features },
+        skipped: placemarks.length - features.length
+    };
+}
+
+/**
+ * Get the child elements of a KML element
+ * @param {Element} element - KML element
+ * @returns {Array} - Child elements
+ */
+function getKmlChildren(element) {
+    return Array.from(element.childNodes).filter(node => node.nodeType === 1);
+}
+
+/**
+ * Convert a KML geometry element into a GeoJSON geometry
+ * @param {Element} element - Point, LineString, LinearRing, Polygon or MultiGeometry element
+ * @returns {Object|null} - GeoJSON geometry, or null if it has no coordinates
+ */
+function parseKmlGeometry(element) {
+    const coordinatesOf = parent => {
+        const coordinates = getKmlChildren(parent).find(child => child.localName === 'coordinates');
+        return coordinates ? parseKmlCoordinates(coordinates.textContent) : [];
+    };
+    const ringOf = boundary => {
+        const ring = getKmlChildren(boundary).find(child => child.localName === 'LinearRing');
+        return ring ? coordinatesOf(ring) : [];
+    };
+
+    switch (element.localName) {
+        case 'Point': {
+            const coordinates = coordinatesOf(element);
+            return coordinates.length > 0 ? { type: 'Point', coordinates: coordinates[0] } : null;
+        }
+        case 'LineString': {
+            const coordinates = coordinatesOf(element);
+            return coordinates.length > 1 ? { type: 'LineString', coordinates } : null;
+        }
+        case 'LinearRing': {
+            const coordinates = coordinatesOf(element);
+            return coordinates.length > 3 ? { type: 'Polygon', coordinates: [coordinates] } : null;
+        }
+        case 'Polygon': {
+            const boundaries = getKmlChildren(element);
+            const outer = boundaries.filter(child => child.localName === 'outerBoundaryIs').map(ringOf);
+            const inner = boundaries.filter(child => child.localName === 'innerBoundaryIs').map(ringOf);
+            const rings = outer.concat(inner).filter(ring => ring.length > 3);
+            return outer.length > 0 && outer[0].length > 3 ? { type: 'Polygon', coordinates: rings } : null;
+        }
+        case 'MultiGeometry': {
+            const geometries = getKmlChildren(element)
+                .filter(child => KML_GEOMETRIES.includes(child.localName))
+                .map(parseKmlGeometry)
+                .filter(geometry => geometry);
+            return geometries.length > 0 ? { type: 'GeometryCollection', geometries } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse the contents of a KML coordinates element
+ * @param {string} text - Whitespace-separated "lng,lat[,alt]" tuples
+ * @returns {Array} - [lng, lat] positions
+ */
+function parseKmlCoordinates(text) {
+    return text.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(parseFloat))
+        .filter(position => position.length >= 2 && isFinite(position[0]) && isFinite(position[1]))
+        .map(position => [position[0], position[1]]);
+}
+
+/**
+ * Find the latitude and longitude columns of a CSV header
+ * @param {Array} columns - Column names
+ * @returns {Object} - { latColumn, lngColumn } (null when not found)
+ */
+function detectCoordinateColumns(columns) {
+    const find = names => columns.find(column => names.includes(column.trim().toLowerCase())) || null;
+    return { latColumn: find(CSV_LATITUDE_COLUMNS), lngColumn: find(CSV_LONGITUDE_COLUMNS) };
+}
+
+/**
+ * Parse a CSV file with latitude/longitude columns into point features
+ * The other columns become the properties of each point
+ * @param {string} text - CSV text
+ * @param {string} latColumn - Latitude column (detected when omitted)
+ * @param {string} lngColumn - Longitude column (detected when omitted)
+ * @returns {Object} - { geojson, skipped: rows without valid coordinates }
+ */
+function parseCsvPoints(text, latColumn, lngColumn) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error('The CSV file has no rows');
+    }
+
+    const detected = detectCoordinateColumns(Object.keys(rows[0]));
+    latColumn = latColumn || detected.latColumn;
+    lngColumn = lngColumn || detected.lngColumn;
+    if (!latColumn || !lngColumn) {
+        throw new Error('The CSV file needs latitude and longitude columns (e.g. "lat" and "lng")');
+    }
+
+    const features = [];
+    rows.forEach(row => {
+        const lat = parseFloat(row[latColumn]);
+        const lng = parseFloat(row[lngColumn]);
+        if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return;
+
+        const properties = Object.assign({}, row);
+        delete properties[latColumn];
+        delete properties[lngColumn];
+        features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties });
+    });
+
+    return {
+        geojson: { type: 'FeatureCollection', features },
+        skipped: rows.length - features.length
+    };
+}
+
+/**
+ * Draw an imported layer onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context (see MapRegistry.registerLayer)
+ * @param {Object} layer - Stored layer
+ */
+function drawOverlayLayer(group, context, layer) {
+    const style = layer.style;
+
+    L.geoJSON(layer.geojson, context.options({
+        style: () => ({
+            color: style.color,
+            weight: style.weight,
+            fillColor: style.color,
+            fillOpacity: style.fillOpacity
+        }),
+        pointToLayer: (feature, latlng) => L.circleMarker(latlng, context.options({
+            radius: style.radius,
+            color: '#ffffff',
+            weight: 1,
+            fillColor: style.color,
+            fillOpacity: 0.9
+        })),
+        onEachFeature: (feature, featureLayer) => {
+            featureLayer.bindPopup(getOverlayPopupHTML(layer, feature));
+        }
+    })).addTo(group);
+}
+
+/**
+ * Get the popup of an imported feature, listing its properties
+ * @param {Object} layer - Stored layer
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string} - Popup HTML
+ */
+function getOverlayPopupHTML(layer, feature) {
+    const properties = feature.properties || {};
+    const title = properties.name || properties.Name || properties.title || layer.name;
+    const rows = Object.keys(properties)
+        .filter(key => properties[key] !== null && properties[key] !== '' && typeof properties[key] !== 'object')
+        .map(key => `${escapeHtml(key)}: ${escapeHtml(properties[key])}<br>`)
+        .join('');
+
+    return `<strong>${escapeHtml(title)}</strong><br>${rows}`;
+}
+
+/**
+ * Get the legend of an imported layer
+ * @param {Object} layer - Stored layer
+ * @returns {string} - Legend HTML
+ */
+function getOverlayLegendHTML(layer) {
+    return `
+        <div class="legend-item">
+            <span class="legend-swatch" style="background-color: ${layer.style.color};"></span>
+            <span>${escapeHtml(layer.fileName)} (${layer.geojson.features.length} features)</span>
+        </div>
+    `;
+}
+
+// Create global instance
+const overlayManager = new OverlayManager();
+
+// Remember which imported layers are shown on the city map
+mapRegistry.on('layeradd', event => {
+    if (event.mapName === 'city') overlayManager.setVisible(event.layerName, true);
+});
+mapRegistry.on('layerremove', event => {
+    if (event.mapName === 'city') overlayManager.setVisible(event.layerName, false);
+});
+
+// Restore the imported layers and set up the import dialog once the city map exists
+document.addEventListener('DOMContentLoaded', function() {
+    initializeOverlayImport();
+    overlayManager.restore().catch(error => {
+        console.warn('Imported layers could not be restored:', error.message);
+    });
+});
+
+/**
+ * Initialize the import dialog
+ */
+function initializeOverlayImport() {
+    const modal = document.getElementById('import-layer-modal');
+    const openButton = document.getElementById('import-layer-btn');
+    if (!modal || !openButton) return;
+
+    const form = document.getElementById('import-layer-form');
+    const fileInput = document.getElementById('import-layer-file');
+    const nameInput = document.getElementById('import-layer-name');
+    const csvColumns = document.getElementById('import-layer-columns');
+    const latSelect = document.getElementById('import-layer-lat');
+    const lngSelect = document.getElementById('import-layer-lng');
+
+    const close = () => {
+        modal.style.display = 'none';
+        form.reset();
+        csvColumns.hidden = true;
+    };
+
+    openButton.addEventListener('click', () => {
+        modal.style.display = 'flex';
+    });
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.querySelector('.cancel-btn').addEventListener('click', close);
+    modal.addEventListener('click', e => {
+        if (e.target === modal) close();
+    });
+
+    // Name the layer after the file, and offer the coordinate columns of CSV files
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        csvColumns.hidden = true;
+        if (!file) return;
+
+        if (!nameInput.value) {
+            nameInput.value = file.name.replace(/\.[^.]+$/, '');
+        }
+
+        if (/\.(csv|txt)$/i.test(file.name)) {
+            const rows = parseCsv(await file.text());
+            const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+            const options = columns.map(column => `<option value="${escapeHtml(column)}">${escapeHtml(column)}</option>`).join('');
+            const detected = detectCoordinateColumns(columns);
+            latSelect.innerHTML = options;
+            lngSelect.innerHTML = options;
+            if (detected.latColumn) latSelect.value = detected.latColumn;
+            if (detected.lngColumn) lngSelect.value = detected.lngColumn;
+            csvColumns.hidden = columns.length === 0;
+        }
+    });
+
+    form.addEventListener('submit', async e => {
+        e.preventDefault();
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const layer = await overlayManager.importFile(file, {
+                name: nameInput.value.trim(),
+                latColumn: csvColumns.hidden ? null : latSelect.value,
+                lngColumn: csvColumns.hidden ? null : lngSelect.value,
+                style: {
+                    color: document.getElementById('import-layer-color').value,
+                    weight: parseInt(document.getElementById('import-layer-weight').value),
+                    fillOpacity: parseInt(document.getElementById('import-layer-fill').value) / 100,
+                    radius: parseInt(document.getElementById('import-layer-radius').value)
+                }
+            });
+
+            close();
+            mapRegistry.fitLayer(layer.id);
+            const skipped = layer.skipped > 0 ? ` (${layer.skipped} without a location skipped)` : '';
+            showNotification(`Imported ${layer.geojson.features.length} features as "${escapeHtml(layer.name)}"${skipped}`, 'success');
+            if (!layer.persisted) {
+                showNotification('The imported layer could not be saved in this browser and will not be kept after a reload', 'warning');
+            }
+        } catch (error) {
+            console.error('Error importing layer:', error);
+            showNotification(`Could not import ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`, 'error');
+        }
+    });
+}
+
+// Export for use in other modules
+window.OverlayStore = OverlayStore;
+window.OverlayManager = OverlayManager;
+window.overlayManager = overlayManager;
@@ -0,0 +1,114 @@
+/**
+ * Smart City Data Analytics Dashboard - Random Module
+ * This file contains the seeded pseudo-random number generator used by all
+ * sample-data generators, so that a seed reproduces the exact same city state
+ */
+
+// Seeded Random class (mulberry32 generator)
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Numeric seed, or a string that is hashed into one
+     */
+    constructor(seed) {
+        this.seed = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next random number
+     * @returns {number} - Number in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random number in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (exclusive)
+     * @returns {number} - Random number
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get a random integer in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (inclusive)
+     * @returns {number} - Random integer
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} - Random element
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Create an independent generator derived from this one's seed
+     * Each module gets its own stream so that the order in which modules
+     * initialize does not change the numbers they draw
+     * @param {string} label - Stream label (e.g. the module name)
+     * @returns {SeededRandom} - Derived generator
+     */
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} - 32-bit unsigned seed
+ */
+function hashSeed(value) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Parse a configured seed value
+ * @param {number|string|null} value - Seed from the configuration or URL
+ * @returns {number|string|null} - Numeric seed, string seed, or null if unset
+ */
+function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return /^\d+$/.test(String(value)) ? parseInt(value, 10) : String(value);
+}
+
+// Create the root generator; without a configured seed a random one is chosen and logged
+const sampleSeed = parseSeed(appConfig.seed) !== null ?
+    parseSeed(appConfig.seed) :
+    Math.floor(Math.random() * 1000000);
+const sampleRandom = new SeededRandom(sampleSeed);
+
+console.log(`Sample data seed: ${sampleSeed} (open with ?seed=${encodeURIComponent(sampleSeed)} to reproduce)`);
+
+/**
+ * Create the random generator for a module's sample data
+ * @param {string} module - Module name
+ * @returns {SeededRandom} - Generator for the module
+ */
+function createSampleRandom(module) {
+    return sampleRandom.fork(module);
+}
+
+// Export for use in other modules
+window.SeededRandom = SeededRandom;
+window.sampleSeed = sampleSeed;
+window.createSampleRandom = createSampleRandom;
@@ -0,0 +1,357 @@
+/**
+ * Smart City Data Analytics Dashboard - Road Graph Module
+ * This file contains the road network built from the traffic feed's road
+ * segments and the shortest travel time search (A*) used for routing
+ */
+
+// Segment end points closer than this many meters are joined into one intersection
+const ROAD_GRAPH_SNAP_DISTANCE = 15;
+
+// Size in degrees of the grid cells intersections are looked up in (about 100 m)
+const ROAD_GRAPH_CELL_SIZE = 0.001;
+
+// Meters in a mile (speed limits and predictions are in mph)
+const METERS_PER_MILE = 1609.344;
+
+// An alternative is only offered when at most this share of its length is shared with a route found before it
+const ROAD_GRAPH_MAX_OVERLAP = 0.7;
+
+// Factor applied to the travel time of the segments of found routes while looking for alternatives
+const ROAD_GRAPH_ALTERNATIVE_PENALTY = 1.5;
+
+// Searches made for alternatives per requested alternative before giving up
+const ROAD_GRAPH_ALTERNATIVE_ATTEMPTS = 4;
+
+/**
+ * Road Graph class
+ * Intersections are the nodes and road segments the edges of the graph.
+ * Segments are two-way streets: each becomes an edge in both directions
+ * with the same recorded conditions.
+ */
+class RoadGraph {
+    /**
+     * Build the graph from road segments
+     * @param {Array} segments - Segments ({ id, startPoint: { lat, lng }, endPoint: { lat, lng }, speedLimit })
+     */
+    constructor(segments) {
+        this.nodes = [];
+        this.edges = [];
+        this.cells = new Map();
+        this.maxSpeedLimit = 0;
+
+        segments.forEach(segment => this.addSegment(segment));
+    }
+
+    /**
+     * Add a road segment as an edge in both directions
+     * @param {Object} segment - Road segment
+     */
+    addSegment(segment) {
+        if (!segment.startPoint || !segment.endPoint || !(segment.speedLimit > 0)) return;
+
+        const from = this.getNode(segment.startPoint.lat, segment.startPoint.lng);
+        const to = this.getNode(segment.endPoint.lat, segment.endPoint.lng);
+        if (from === to) return;
+
+        const length = getDistanceMeters(from.lat, from.lng, to.lat, to.lng);
+        this.maxSpeedLimit = Math.max(this.maxSpeedLimit, segment.speedLimit);
+
+        // The two directions are added one after the other, so an edge's reverse is at id ^ 1
+        [[from, to], [to, from]].forEach(([start, end]) => {
+            const edge = { id: this.edges.length, segment: segment, from: start, to: end, length: length };
+            this.edges.push(edge);
+            start.edges.push(edge);
+        });
+    }
+
+    /**
+     * Get the intersection at a point, adding it when there is none within the snap distance
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} - Node ({ id, lat, lng, edges })
+     */
+    getNode(lat, lng) {
+        const nearest = this.findNearestNode(lat, lng, 1);
+        if (nearest && nearest.distance <= ROAD_GRAPH_SNAP_DISTANCE) return nearest.node;
+
+        const node = { id: this.nodes.length, lat: lat, lng: lng, edges: [] };
+        this.nodes.push(node);
+
+        const key = this.getCellKey(Math.floor(lat / ROAD_GRAPH_CELL_SIZE), Math.floor(lng / ROAD_GRAPH_CELL_SIZE));
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(node);
+
+        return node;
+    }
+
+    /**
+     * Get the key of a grid cell
+     * @param {number} row - Cell row
+     * @param {number} column - Cell column
+     * @returns {string} - Cell key
+     */
+    getCellKey(row, column) {
+        return `${row}:${column}`;
+    }
+
+    /**
+     * Find the intersection nearest to a point
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} radius - Grid cells searched around the point (all nodes when omitted)
+     * @returns {Object|null} - { node, distance } with the distance in meters, or null if there is no node in reach
+     */
+    findNearestNode(lat, lng, radius = Infinity) {
+        let candidates = this.nodes;
+        if (Number.isFinite(radius)) {
+            const row = Math.floor(lat / ROAD_GRAPH_CELL_SIZE);
+            const column = Math.floor(lng / ROAD_GRAPH_CELL_SIZE);
+            candidates = [];
+            for (let r = row - radius; r <= row + radius; r++) {
+                for (let c = column - radius; c <= column + radius; c++) {
+                    candidates = candidates.concat(this.cells.get(this.getCellKey(r, c)) || []);
+                }
+            }
+        }
+
+        let nearest = null;
+        candidates.forEach(node => {
+            const distance = getDistanceMeters(lat, lng, node.lat, node.lng);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { node, distance };
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Find the road segment nearest to a point
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object|null} - { edge, position, distance }: the edge in its first direction, the share of its
+     *   length from its start to the nearest point, and the distance in meters; null if the graph has no edges
+     */
+    findNearestEdge(lat, lng) {
+        // Project onto a local plane in meters around the point
+        const metersPerDegree = 111320;
+        const scale = Math.cos(lat * Math.PI / 180);
+        const toPlane = node => ({ x: (node.lng - lng) * metersPerDegree * scale, y: (node.lat - lat) * metersPerDegree });
+
+        let nearest = null;
+        for (let id = 0; id < this.edges.length; id += 2) {
+            const edge = this.edges[id];
+            const a = toPlane(edge.from);
+            const b = toPlane(edge.to);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const position = Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / (dx * dx + dy * dy)));
+            const distance = Math.hypot(a.x + dx * position, a.y + dy * position);
+
+            if (!nearest || distance < nearest.distance) {
+                nearest = { edge, position, distance };
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Get the edge of the same segment in the other direction
+     * @param {Object} edge - Edge
+     * @returns {Object} - Reverse edge
+     */
+    getReverseEdge(edge) {
+        return this.edges[edge.id ^ 1];
+    }
+
+    /**
+     * Find the fastest path between two intersections (A*)
+     * The travel time of an edge may depend on when it is reached, e.g. to
+     * follow a congestion forecast; the time must not decrease when an edge
+     * is entered later.
+     * @param {Object} start - Start node
+     * @param {Object} end - End node
+     * @param {Function} getTravelTime - (edge, elapsedMinutes) => minutes
+     * @returns {Object|null} - { edges, travelTime } or null if the end cannot be reached
+     */
+    findFastestPath(start, end, getTravelTime) {
+        // Lower bound of the remaining time: the straight line at the highest speed limit
+        const getLowerBound = node => {
+            const miles = getDistanceMeters(node.lat, node.lng, end.lat, end.lng) / METERS_PER_MILE;
+            return miles / this.maxSpeedLimit * 60;
+        };
+
+        const times = new Map([[start.id, 0]]);
+        const previous = new Map();
+        const settled = new Set();
+        const queue = new RoadGraphQueue();
+        queue.push(start, getLowerBound(start));
+
+        while (queue.size > 0) {
+            const node = queue.pop();
+            if (settled.has(node.id)) continue;
+            settled.add(node.id);
+
+            if (node === end) break;
+
+            const elapsed = times.get(node.id);
+            node.edges.forEach(edge => {
+                if (settled.has(edge.to.id)) return;
+
+                const time = elapsed + getTravelTime(edge, elapsed);
+                if (times.has(edge.to.id) && times.get(edge.to.id) <= time) return;
+
+                times.set(edge.to.id, time);
+                previous.set(edge.to.id, edge);
+                queue.push(edge.to, time + getLowerBound(edge.to));
+            });
+        }
+
+        if (!settled.has(end.id)) return null;
+
+        const edges = [];
+        for (let node = end; node !== start; node = edges[0].from) {
+            edges.unshift(previous.get(node.id));
+        }
+
+        return { edges, travelTime: times.get(end.id) };
+    }
+
+    /**
+     * Find the fastest route between two intersections and alternatives that
+     * differ from it: found routes make their segments slower for the next
+     * search, and a result is kept only if it mostly uses other segments
+     * @param {Object} start - Start node
+     * @param {Object} end - End node
+     * @param {Function} getTravelTime - (edge, elapsedMinutes) => minutes
+     * @param {number} alternatives - Number of alternatives wanted
+     * @returns {Array} - Paths ({ edges, travelTime }), the fastest first; empty if the end cannot be reached
+     */
+    findRoutes(start, end, getTravelTime, alternatives = 2) {
+        const fastest = this.findFastestPath(start, end, getTravelTime);
+        if (!fastest) return [];
+
+        const routes = [fastest];
+        const penalties = new Map();
+        const penalize = path => path.edges.forEach(edge => {
+            penalties.set(edge.segment.id, (penalties.get(edge.segment.id) || 1) * ROAD_GRAPH_ALTERNATIVE_PENALTY);
+        });
+        const getPenalizedTime = (edge, elapsed) =>
+            getTravelTime(edge, elapsed) * (penalties.get(edge.segment.id) || 1);
+
+        penalize(fastest);
+        for (let attempt = 0; attempt < alternatives * ROAD_GRAPH_ALTERNATIVE_ATTEMPTS && routes.length <= alternatives; attempt++) {
+            const candidate = this.findFastestPath(start, end, getPenalizedTime);
+            if (!candidate) break;
+
+            penalize(candidate);
+            if (routes.some(route => getPathOverlap(candidate, route) > ROAD_GRAPH_MAX_OVERLAP)) continue;
+
+            // Alternatives are compared by their real travel time, without the penalties
+            candidate.travelTime = getPathTravelTime(candidate.edges, getTravelTime);
+            routes.push(candidate);
+        }
+
+        return [routes[0]].concat(routes.slice(1).sort((a, b) => a.travelTime - b.travelTime));
+    }
+}
+
+/**
+ * Priority queue (binary min-heap) of the nodes to visit in a path search
+ */
+class RoadGraphQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Add an item
+     * @param {*} value - Item
+     * @param {number} priority - Priority, lowest first
+     */
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].priority <= items[index].priority) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Remove the item with the lowest priority
+     * @returns {*} - Item
+     */
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === index) break;
+                [items[smallest], items[index]] = [items[index], items[smallest]];
+                index = smallest;
+            }
+        }
+
+        return top.value;
+    }
+}
+
+/**
+ * Get the travel time of a path, entering each edge when the previous one is done
+ * @param {Array} edges - Edges of the path
+ * @param {Function} getTravelTime - (edge, elapsedMinutes) => minutes
+ * @returns {number} - Travel time in minutes
+ */
+function getPathTravelTime(edges, getTravelTime) {
+    return edges.reduce((elapsed, edge) => elapsed + getTravelTime(edge, elapsed), 0);
+}
+
+/**
+ * Get the length of a path
+ * @param {Object} path - Path ({ edges })
+ * @returns {number} - Length in meters
+ */
+function getPathLength(path) {
+    return path.edges.reduce((total, edge) => total + edge.length, 0);
+}
+
+/**
+ * Get the share of a path's length on road segments another path uses too
+ * (in either direction)
+ * @param {Object} path - Path ({ edges })
+ * @param {Object} other - Path compared with
+ * @returns {number} - Shared share, between 0 and 1
+ */
+function getPathOverlap(path, other) {
+    const length = getPathLength(path);
+    if (length === 0) return 1;
+
+    const segmentIds = new Set(other.edges.map(edge => edge.segment.id));
+    const shared = path.edges
+        .filter(edge => segmentIds.has(edge.segment.id))
+        .reduce((total, edge) => total + edge.length, 0);
+
+    return shared / length;
+}
+
+// Export for use in other modules
+window.RoadGraph = RoadGraph;
@@ -0,0 +1,521 @@
+/**
+ * Smart City Data Analytics Dashboard - Spatial Selection Module
+ * This file contains the drawing tools of the city map: draw a polygon,
+ * rectangle or radius and list the incidents, issues, sensors, stops and
+ * vehicles inside it, with export to GeoJSON and CSV
+ */
+
+// Entity categories that can be selected, with how to locate and name their entities
+const SELECTION_CATEGORIES = {
+    incidents: {
+        label: 'Emergency Incidents',
+        getEntities: () => (typeof emergencyManager !== 'undefined' ? emergencyManager.incidents : []),
+        getPosition: incident => incident.location,
+        getName: incident => `${capitalizeFirstLetter(incident.type)} incident, ${incident.location.address}`
+    },
+    issues: {
+        label: 'Citizen Issues',
+        getEntities: () => (typeof citizenManager !== 'undefined' ? citizenManager.reportedIssues : []),
+        getPosition: issue => issue.location,
+        getName: issue => issue.title
+    },
+    sensors: {
+        label: 'Sensors',
+        getEntities: () => (typeof environmentalDataManager !== 'undefined' ? environmentalDataManager.sensors : []),
+        getPosition: sensor => sensor.location,
+        getName: sensor => sensor.location.name
+    },
+    stops: {
+        label: 'Transit Stops',
+        getEntities: () => (typeof transportationManager !== 'undefined' ? transportationManager.stops : []),
+        getPosition: stop => stop.location,
+        getName: stop => stop.name
+    },
+    vehicles: {
+        label: 'Vehicles',
+        getEntities: () => (typeof transportationManager !== 'undefined' ? transportationManager.vehicles : []),
+        getPosition: vehicle => getVehiclePosition(vehicle),
+        getName: vehicle => `${capitalizeFirstLetter(vehicle.type)} ${vehicle.id} (route ${vehicle.routeId})`
+    }
+};
+
+// Map Selection Tool class; draws selection areas on a map and finds the entities inside them
+class MapSelectionTool {
+    /**
+     * @param {L.Map} map - Map to draw on
+     */
+    constructor(map) {
+        this.map = map;
+        this.layer = L.layerGroup().addTo(map);
+        this.mode = null;
+        this.vertices = [];
+        this.preview = null;
+        this.dragStart = null;
+        this.radius = 500;
+        this.area = null;
+        this.results = null;
+        this.listeners = [];
+
+        this.handlers = {
+            click: e => this.handleClick(e),
+            dblclick: e => this.handleDoubleClick(e),
+            mousedown: e => this.handleMouseDown(e),
+            mousemove: e => this.handleMouseMove(e),
+            mouseup: e => this.handleMouseUp(e)
+        };
+    }
+
+    /**
+     * Start drawing a selection area
+     * @param {string} mode - 'polygon' (click the vertices, double-click to finish),
+     *                        'rectangle' (drag a corner to the opposite one) or 'radius' (click the center)
+     */
+    start(mode) {
+        this.cancel();
+        this.mode = mode;
+        this.vertices = [];
+
+        this.map.on(this.handlers);
+        this.map.doubleClickZoom.disable();
+        if (mode === 'rectangle') {
+            this.map.dragging.disable();
+        }
+        L.DomUtil.addClass(this.map.getContainer(), 'selection-drawing');
+        this.notify();
+    }
+
+    /**
+     * Stop drawing without selecting; an existing selection is kept
+     */
+    cancel() {
+        if (!this.mode) return;
+
+        this.map.off(this.handlers);
+        this.map.doubleClickZoom.enable();
+        this.map.dragging.enable();
+        L.DomUtil.removeClass(this.map.getContainer(), 'selection-drawing');
+
+        if (this.preview) {
+            this.layer.removeLayer(this.preview);
+            this.preview = null;
+        }
+        this.mode = null;
+        this.dragStart = null;
+        this.notify();
+    }
+
+    /**
+     * Add a polygon vertex, or select around a radius center
+     * @param {Object} e - Leaflet mouse event
+     */
+    handleClick(e) {
+        if (this.mode === 'radius') {
+            this.select({ type: 'circle', center: [e.latlng.lat, e.latlng.lng], radius: this.radius });
+        } else if (this.mode === 'polygon') {
+            // The clicks of a double-click land on the same point; keep one vertex
+            const last = this.vertices[this.vertices.length - 1];
+            if (last && this.map.latLngToContainerPoint(last).distanceTo(e.containerPoint) < 5) return;
+
+            this.vertices.push([e.latlng.lat, e.latlng.lng]);
+            this.updatePreview(e.latlng);
+        }
+    }
+
+    /**
+     * Finish the polygon
+     * @param {Object} e - Leaflet mouse event
+     */
+    handleDoubleClick(e) {
+        if (this.mode !== 'polygon' || this.vertices.length < 3) return;
+        L.DomEvent.stop(e);
+        this.select({ type: 'polygon', points: this.vertices.slice() });
+    }
+
+    /**
+     * Start dragging a rectangle
+     * @param {Object} e - Leaflet mouse event
+     */
+    handleMouseDown(e) {
+        if (this.mode !== 'rectangle') return;
+        this.dragStart = e.latlng;
+    }
+
+    /**
+     * Follow the mouse with the shape being drawn
+     * @param {Object} e - Leaflet mouse event
+     */
+    handleMouseMove(e) {
+        if (this.mode === 'polygon' && this.vertices.length > 0) {
+            this.updatePreview(e.latlng);
+        } else if (this.mode === 'rectangle' && this.dragStart) {
+            if (this.preview) this.layer.removeLayer(this.preview);
+            this.preview = L.rectangle(L.latLngBounds(this.dragStart, e.latlng), { color: '#3498db', weight: 2, dashArray: '5, 5', fillOpacity: 0.1, interactive: false });
+            this.layer.addLayer(this.preview);
+        }
+    }
+
+    /**
+     * Finish the rectangle
+     * @param {Object} e - Leaflet mouse event
+     */
+    handleMouseUp(e) {
+        if (this.mode !== 'rectangle' || !this.dragStart) return;
+
+        const bounds = L.latLngBounds(this.dragStart, e.latlng);
+        this.dragStart = null;
+        if (bounds.getNorth() === bounds.getSouth() || bounds.getEast() === bounds.getWest()) return;
+
+        this.select({
+            type: 'polygon',
+            points: [
+                [bounds.getSouth(), bounds.getWest()],
+                [bounds.getNorth(), bounds.getWest()],
+                [bounds.getNorth(), bounds.getEast()],
+                [bounds.getSouth(), bounds.getEast()]
+            ]
+        });
+    }
+
+    /**
+     * Draw the polygon drawn so far, with an edge to the mouse position
+     * @param {L.LatLng} mouse - Mouse position
+     */
+    updatePreview(mouse) {
+        if (this.preview) this.layer.removeLayer(this.preview);
+        this.preview = L.polyline(this.vertices.concat([[mouse.lat, mouse.lng]]), { color: '#3498db', weight: 2, dashArray: '5, 5', interactive: false });
+        this.layer.addLayer(this.preview);
+    }
+
+    /**
+     * Select the entities inside an area and draw the area
+     * @param {Object} area - { type: 'polygon', points: [[lat, lng], ...] } or { type: 'circle', center: [lat, lng], radius (meters) }
+     * @returns {Object} - Selected entities by category
+     */
+    select(area) {
+        this.cancel();
+        this.layer.clearLayers();
+
+        const style = { color: '#3498db', weight: 2, fillOpacity: 0.1, interactive: false };
+        this.layer.addLayer(area.type === 'circle' ?
+            L.circle(area.center, Object.assign({ radius: area.radius }, style)) :
+            L.polygon(area.points, style));
+
+        this.area = area;
+        this.results = getEntitiesInArea(area);
+        this.notify();
+        return this.results;
+    }
+
+    /**
+     * Select again in the current area, picking up data changes
+     */
+    refresh() {
+        if (!this.area) return;
+        this.results = getEntitiesInArea(this.area);
+        this.notify();
+    }
+
+    /**
+     * Remove the selection
+     */
+    clear() {
+        this.cancel();
+        this.layer.clearLayers();
+        this.area = null;
+        this.results = null;
+        this.notify();
+    }
+
+    /**
+     * Register a callback for selection changes
+     * @param {Function} listener - Called with the tool
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify the listeners of a selection change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+/**
+ * Get the distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} - Distance in meters (haversine)
+ */
+function getDistanceMeters(lat1, lng1, lat2, lng2) {
+    const R = 6371000; // Radius of the Earth in meters
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Check whether a point is inside a selection area
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} area - Selection area
+ * @returns {boolean} - True if the point is inside
+ */
+function isInArea(lat, lng, area) {
+    if (area.type === 'circle') {
+        return getDistanceMeters(area.center[0], area.center[1], lat, lng) <= area.radius;
+    }
+    return isPointInPolygon(lat, lng, area.points);
+}
+
+/**
+ * Find the entities of every category inside an area
+ * @param {Object} area - Selection area
+ * @returns {Object} - By category: [{ entity, name, lat, lng, distance (circles only, meters) }]
+ */
+function getEntitiesInArea(area) {
+    const results = {};
+
+    Object.keys(SELECTION_CATEGORIES).forEach(category => {
+        const { getEntities, getPosition, getName } = SELECTION_CATEGORIES[category];
+
+        results[category] = getEntities()
+            .map(entity => {
+                const position = getPosition(entity);
+                if (!position || !isFinite(position.lat) || !isFinite(position.lng)) return null;
+                if (!isInArea(position.lat, position.lng, area)) return null;
+
+                const result = { entity, name: getName(entity), lat: position.lat, lng: position.lng };
+                if (area.type === 'circle') {
+                    result.distance = Math.round(getDistanceMeters(area.center[0], area.center[1], position.lat, position.lng));
+                }
+                return result;
+            })
+            .filter(Boolean)
+            .sort((a, b) => (a.distance || 0) - (b.distance || 0));
+    });
+
+    return results;
+}
+
+/**
+ * Convert a selection to GeoJSON: the area, then one point feature per selected entity
+ * @param {Object} area - Selection area
+ * @param {Object} results - Selected entities by category
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+function selectionToGeoJSON(area, results) {
+    const areaFeature = area.type === 'circle' ?
+        {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [area.center[1], area.center[0]] },
+            properties: { selectionArea: true, radius: area.radius }
+        } :
+        {
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [area.points.concat([area.points[0]]).map(point => [point[1], point[0]])] },
+            properties: { selectionArea: true }
+        };
+
+    const features = [areaFeature];
+    Object.keys(results).forEach(category => {
+        results[category].forEach(result => {
+            const properties = { category, id: result.entity.id, name: result.name };
+            if (result.distance !== undefined) properties.distance = result.distance;
+
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [result.lng, result.lat] },
+                properties
+            });
+        });
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Convert a selection to CSV, one row per selected entity
+ * @param {Object} results - Selected entities by category
+ * @returns {string} - CSV text
+ */
+function selectionToCSV(results) {
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [['category', 'id', 'name', 'lat', 'lng', 'neighborhood', 'distance_m']];
+    Object.keys(results).forEach(category => {
+        results[category].forEach(result => {
+            rows.push([
+                category,
+                result.entity.id,
+                result.name,
+                result.lat,
+                result.lng,
+                typeof getNeighborhoodAt === 'function' ? getNeighborhoodAt(result.lat, result.lng) : '',
+                result.distance
+            ]);
+        });
+    });
+
+    return rows.map(row => row.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Download text as a file
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Global selection tool, created with the city map
+let mapSelectionTool = null;
+
+// Set up the selection tools once the city map exists
+document.addEventListener('DOMContentLoaded', function() {
+    if (typeof cityMap !== 'undefined' && cityMap) {
+        initializeSelectionPanel();
+    }
+});
+
+/**
+ * Initialize the selection panel of the city map
+ */
+function initializeSelectionPanel() {
+    const panel = document.getElementById('selection-panel');
+    if (!panel) return;
+
+    mapSelectionTool = new MapSelectionTool(cityMap);
+    window.mapSelectionTool = mapSelectionTool;
+
+    const radiusInput = document.getElementById('selection-radius');
+    if (radiusInput) {
+        radiusInput.addEventListener('change', function() {
+            const radius = parseFloat(radiusInput.value);
+            if (radius > 0) {
+                mapSelectionTool.radius = radius;
+                // Resize an existing radius selection
+                if (mapSelectionTool.area && mapSelectionTool.area.type === 'circle') {
+                    mapSelectionTool.select(Object.assign({}, mapSelectionTool.area, { radius }));
+                }
+            }
+        });
+    }
+
+    panel.addEventListener('click', function(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.dataset.mode) {
+            if (mapSelectionTool.mode === button.dataset.mode) {
+                mapSelectionTool.cancel();
+            } else {
+                mapSelectionTool.start(button.dataset.mode);
+            }
+        } else if (button.id === 'selection-clear') {
+            mapSelectionTool.clear();
+        } else if (button.dataset.export === 'geojson') {
+            const geojson = selectionToGeoJSON(mapSelectionTool.area, mapSelectionTool.results);
+            downloadFile('selection.geojson', JSON.stringify(geojson, null, 2), 'application/geo+json');
+        } else if (button.dataset.export === 'csv') {
+            downloadFile('selection.csv', selectionToCSV(mapSelectionTool.results), 'text/csv');
+        }
+    });
+
+    // Cancel drawing with Escape
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && mapSelectionTool.mode) {
+            mapSelectionTool.cancel();
+        }
+    });
+
+    // Keep the results current as the modules update their layers
+    mapRegistry.on('layerrefresh', debounce(() => mapSelectionTool.refresh(), 500));
+
+    mapSelectionTool.onChange(renderSelectionPanel);
+    renderSelectionPanel(mapSelectionTool);
+}
+
+/**
+ * Render the selection tool state and results
+ * @param {MapSelectionTool} tool - Selection tool
+ */
+function renderSelectionPanel(tool) {
+    document.querySelectorAll('#selection-panel [data-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === tool.mode);
+    });
+
+    const hint = document.getElementById('selection-hint');
+    if (hint) {
+        const hints = {
+            polygon: 'Click to add vertices, double-click to finish',
+            rectangle: 'Drag from one corner to the opposite corner',
+            radius: `Click the center of the ${tool.radius} m radius`
+        };
+        hint.textContent = tool.mode ? hints[tool.mode] : '';
+    }
+
+    const resultsContainer = document.getElementById('selection-results');
+    if (!resultsContainer) return;
+
+    resultsContainer.hidden = !tool.results;
+    if (!tool.results) {
+        resultsContainer.innerHTML = '';
+        return;
+    }
+
+    // Keep the expanded categories open across refreshes
+    const openCategories = Array.from(resultsContainer.querySelectorAll('details[open]'))
+        .map(details => details.dataset.category);
+
+    const total = Object.values(tool.results).reduce((sum, results) => sum + results.length, 0);
+    const areaDescription = tool.area.type === 'circle' ? `within ${tool.area.radius} m` : 'inside the area';
+
+    resultsContainer.innerHTML = `
+        <div class="selection-summary">${total} ${total === 1 ? 'item' : 'items'} ${areaDescription}</div>
+        ${Object.keys(tool.results).map(category => {
+            const results = tool.results[category];
+            return `
+                <details class="selection-category ${results.length === 0 ? 'empty' : ''}" data-category="${category}"${openCategories.includes(category) ? ' open' : ''}>
+                    <summary>
+                        <span>${SELECTION_CATEGORIES[category].label}</span>
+                        <span class="selection-count">${results.length}</span>
+                    </summary>
+                    <ul>
+                        ${results.map(result => `
+                            <li>${escapeHtml(result.name)}${result.distance !== undefined ? ` <span class="selection-distance">${result.distance} m</span>` : ''}</li>
+                        `).join('')}
+                    </ul>
+                </details>
+            `;
+        }).join('')}
+        <div class="selection-export">
+            <button data-export="geojson"><i class="fas fa-download"></i> GeoJSON</button>
+            <button data-export="csv"><i class="fas fa-download"></i> CSV</button>
+        </div>
+    `;
+}
+
+// Export for use in other modules
+window.MapSelectionTool = MapSelectionTool;
+window.getEntitiesInArea = getEntitiesInArea;
+window.getDistanceMeters = getDistanceMeters;
+window.downloadFile = downloadFile;
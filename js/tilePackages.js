@@ -0,0 +1,691 @@
+/**
+ * Smart City Data Analytics Dashboard - Tile Packages Module
+ * This file contains the readers for offline basemap tile packages:
+ * MBTiles (SQLite) and PMTiles v3, opened from a URL served alongside the
+ * app or from a local file, plus Mapbox Vector Tile decoding and drawing
+ */
+
+// PMTiles tile types and compressions (see the PMTiles v3 specification)
+const PMTILES_TILE_TYPES = { 1: 'mvt', 2: 'png', 3: 'jpeg', 4: 'webp', 5: 'avif' };
+const PMTILES_COMPRESSIONS = { 1: 'none', 2: 'gzip', 3: 'brotli', 4: 'zstd' };
+
+// Mapbox Vector Tile message definitions for ProtobufReader
+const VECTOR_TILE_MESSAGES = {
+    Tile: {
+        3: ['layers', 'Layer', true]
+    },
+    Layer: {
+        1: ['name', 'string'],
+        2: ['features', 'Feature', true],
+        5: ['extent', 'uint32'],
+        15: ['version', 'uint32']
+    },
+    Feature: {
+        1: ['id', 'uint64'],
+        3: ['type', 'enum'],
+        4: ['geometry', 'packed']
+    }
+};
+
+// Styles of vector tile layers, matched on the layer name (first match wins)
+const VECTOR_TILE_STYLES = [
+    { match: /water|ocean|river|lake/, fill: '#aad3df' },
+    { match: /park|landcover|landuse|green|wood|grass/, fill: '#d8e8c8' },
+    { match: /building/, fill: '#d9d0c9', stroke: '#c8bfb8' },
+    { match: /rail/, stroke: '#999999', width: 1 },
+    { match: /road|transportation|street|highway/, stroke: '#ffffff', width: 2, casing: '#c8c8c8' },
+    { match: /boundary|admin/, stroke: '#9e9cab', width: 1, dash: [4, 2] }
+];
+
+// SQLite Reader class; reads tables from an SQLite database file held in memory
+class SqliteReader {
+    /**
+     * @param {ArrayBuffer} buffer - Database file contents
+     */
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+
+        if (new TextDecoder().decode(this.bytes.subarray(0, 15)) !== 'SQLite format 3') {
+            throw new Error('Not an SQLite database');
+        }
+
+        const pageSize = this.view.getUint16(16);
+        this.pageSize = pageSize === 1 ? 65536 : pageSize;
+        this.usableSize = this.pageSize - this.bytes[20];
+        this.schema = null;
+    }
+
+    /**
+     * Read an SQLite varint (big-endian, 1 to 9 bytes)
+     * @param {number} pos - Byte offset
+     * @returns {Array} - [value, length in bytes]
+     */
+    readVarint(pos) {
+        return readSqliteVarint(this.bytes, pos);
+    }
+
+    /**
+     * Iterate over the rows of a table b-tree
+     * @param {number} rootPage - Root page number
+     * @returns {Generator} - { rowid, payload (Uint8Array) }
+     */
+    *walkTable(rootPage) {
+        const pages = [rootPage];
+
+        while (pages.length > 0) {
+            const page = pages.pop();
+            const pageStart = (page - 1) * this.pageSize;
+            const header = pageStart + (page === 1 ? 100 : 0);
+            const type = this.bytes[header];
+            const cellCount = this.view.getUint16(header + 3);
+
+            if (type === 0x05) {
+                // Interior page: visit the children in key order (the stack is last in, first out)
+                pages.push(this.view.getUint32(header + 8));
+                for (let i = cellCount - 1; i >= 0; i--) {
+                    const cell = pageStart + this.view.getUint16(header + 12 + i * 2);
+                    pages.push(this.view.getUint32(cell));
+                }
+            } else if (type === 0x0d) {
+                for (let i = 0; i < cellCount; i++) {
+                    let pos = pageStart + this.view.getUint16(header + 8 + i * 2);
+                    const [payloadSize, sizeLength] = this.readVarint(pos);
+                    pos += sizeLength;
+                    const [rowid, rowidLength] = this.readVarint(pos);
+                    pos += rowidLength;
+                    yield { rowid, payload: this.readPayload(pos, payloadSize) };
+                }
+            } else {
+                throw new Error(`Unexpected SQLite page type ${type} on page ${page}`);
+            }
+        }
+    }
+
+    /**
+     * Read a cell payload, following overflow pages
+     * @param {number} pos - Offset of the payload in its page
+     * @param {number} size - Payload size
+     * @returns {Uint8Array} - Payload
+     */
+    readPayload(pos, size) {
+        const maxLocal = this.usableSize - 35;
+        if (size <= maxLocal) return this.bytes.subarray(pos, pos + size);
+
+        const minLocal = Math.floor((this.usableSize - 12) * 32 / 255) - 23;
+        const k = minLocal + (size - minLocal) % (this.usableSize - 4);
+        const localSize = k <= maxLocal ? k : minLocal;
+
+        const payload = new Uint8Array(size);
+        payload.set(this.bytes.subarray(pos, pos + localSize));
+
+        let written = localSize;
+        let overflowPage = this.view.getUint32(pos + localSize);
+        while (overflowPage && written < size) {
+            const pageStart = (overflowPage - 1) * this.pageSize;
+            const length = Math.min(this.usableSize - 4, size - written);
+            payload.set(this.bytes.subarray(pageStart + 4, pageStart + 4 + length), written);
+            written += length;
+            overflowPage = this.view.getUint32(pageStart);
+        }
+        return payload;
+    }
+
+    /**
+     * Decode a record into its column values
+     * @param {Uint8Array} payload - Record bytes
+     * @returns {Array} - Values (null, number, string or Uint8Array)
+     */
+    decodeRecord(payload) {
+        const offset = payload.byteOffset;
+        const [headerSize, headerSizeLength] = readSqliteVarint(payload, 0);
+        const types = [];
+        for (let pos = headerSizeLength; pos < headerSize;) {
+            const [type, length] = readSqliteVarint(payload, pos);
+            types.push(type);
+            pos += length;
+        }
+
+        const view = new DataView(payload.buffer, offset, payload.byteLength);
+        const values = [];
+        let pos = headerSize;
+
+        types.forEach(type => {
+            if (type === 0) {
+                values.push(null);
+            } else if (type >= 1 && type <= 6) {
+                const length = [0, 1, 2, 3, 4, 6, 8][type];
+                values.push(length === 8 ? Number(view.getBigInt64(pos)) : readSignedInt(payload, pos, length));
+                pos += length;
+            } else if (type === 7) {
+                values.push(view.getFloat64(pos));
+                pos += 8;
+            } else if (type === 8 || type === 9) {
+                values.push(type - 8);
+            } else if (type >= 12 && type % 2 === 0) {
+                const length = (type - 12) / 2;
+                values.push(payload.subarray(pos, pos + length));
+                pos += length;
+            } else if (type >= 13) {
+                const length = (type - 13) / 2;
+                values.push(new TextDecoder().decode(payload.subarray(pos, pos + length)));
+                pos += length;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Get the schema: tables, views and indexes
+     * @returns {Array} - Entries ({ type, name, tableName, rootPage, sql })
+     */
+    getSchema() {
+        if (!this.schema) {
+            this.schema = [];
+            for (const row of this.walkTable(1)) {
+                const [type, name, tableName, rootPage, sql] = this.decodeRecord(row.payload);
+                this.schema.push({ type, name, tableName, rootPage, sql });
+            }
+        }
+        return this.schema;
+    }
+
+    /**
+     * Read all rows of a table as objects keyed by column name
+     * @param {string} name - Table name
+     * @returns {Array} - Rows
+     */
+    readTable(name) {
+        const table = this.getSchema().find(entry => entry.type === 'table' && entry.name === name);
+        if (!table) throw new Error(`Table ${name} not found`);
+
+        const columns = parseColumnDefinitions(table.sql);
+        const rows = [];
+        for (const row of this.walkTable(table.rootPage)) {
+            const values = this.decodeRecord(row.payload);
+            const record = {};
+            columns.forEach((column, index) => {
+                // An INTEGER PRIMARY KEY column is stored as the rowid
+                record[column.name] = column.isRowid ? row.rowid : (values[index] !== undefined ? values[index] : null);
+            });
+            rows.push(record);
+        }
+        return rows;
+    }
+}
+
+/**
+ * Read an SQLite varint (big-endian, 1 to 9 bytes)
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} pos - Byte offset
+ * @returns {Array} - [value, length in bytes]
+ */
+function readSqliteVarint(bytes, pos) {
+    let value = 0;
+    for (let i = 0; i < 8; i++) {
+        const byte = bytes[pos + i];
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) return [value, i + 1];
+    }
+    return [value * 256 + bytes[pos + 8], 9];
+}
+
+/**
+ * Read a big-endian signed integer
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} pos - Byte offset
+ * @param {number} length - Length in bytes (up to 6)
+ * @returns {number} - Value
+ */
+function readSignedInt(bytes, pos, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = value * 256 + bytes[pos + i];
+    return bytes[pos] & 0x80 ? value - 2 ** (8 * length) : value;
+}
+
+/**
+ * Get the columns of a CREATE TABLE statement
+ * @param {string} sql - CREATE TABLE statement
+ * @returns {Array} - Columns ({ name, isRowid })
+ */
+function parseColumnDefinitions(sql) {
+    const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+
+    // Split on the commas outside parentheses
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+    for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            definitions.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    definitions.push(current.trim());
+
+    return definitions
+        .filter(definition => !/^(primary|unique|check|foreign|constraint)\b/i.test(definition))
+        .map(definition => ({
+            name: definition.split(/\s+/)[0].replace(/^["'`[]|["'`\]]$/g, ''),
+            isRowid: /^\S+\s+integer\s+primary\s+key/i.test(definition)
+        }));
+}
+
+// MBTiles Package class; an SQLite tile package, loaded into memory
+class MbtilesPackage {
+    /**
+     * @param {SqliteReader} db - Package database
+     */
+    constructor(db) {
+        this.metadata = {};
+        db.readTable('metadata').forEach(row => {
+            this.metadata[row.name] = row.value;
+        });
+
+        const format = this.metadata.format || 'png';
+        this.tileType = format === 'pbf' ? 'mvt' : (format === 'jpg' ? 'jpeg' : format);
+        this.minZoom = parseInt(this.metadata.minzoom) || 0;
+        this.maxZoom = parseInt(this.metadata.maxzoom) || 22;
+
+        // Tiles are a table, or a view joining deduplicated images to their positions
+        this.tiles = new Map();
+        const tilesEntry = db.getSchema().find(entry => entry.name === 'tiles');
+        if (tilesEntry && tilesEntry.type === 'table') {
+            db.readTable('tiles').forEach(row => this.addTile(row.zoom_level, row.tile_column, row.tile_row, row.tile_data));
+        } else {
+            const images = new Map();
+            db.readTable('images').forEach(row => images.set(row.tile_id, row.tile_data));
+            db.readTable('map').forEach(row => this.addTile(row.zoom_level, row.tile_column, row.tile_row, images.get(row.tile_id)));
+        }
+    }
+
+    /**
+     * Open an MBTiles package
+     * @param {string|Blob} source - URL or file
+     * @returns {Promise<MbtilesPackage>} - Package
+     */
+    static async open(source) {
+        const buffer = typeof source === 'string' ?
+            await fetch(source).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} loading ${source}`);
+                return response.arrayBuffer();
+            }) :
+            await source.arrayBuffer();
+        return new MbtilesPackage(new SqliteReader(buffer));
+    }
+
+    /**
+     * Index a tile; MBTiles rows count from the bottom (TMS)
+     * @param {number} z - Zoom level
+     * @param {number} x - Column
+     * @param {number} tmsY - Row from the bottom
+     * @param {Uint8Array} data - Tile data
+     */
+    addTile(z, x, tmsY, data) {
+        if (!data) return;
+        const y = (1 << z) - 1 - tmsY;
+        this.tiles.set(`${z}/${x}/${y}`, data);
+    }
+
+    /**
+     * Get a tile
+     * @param {number} z - Zoom level
+     * @param {number} x - Column
+     * @param {number} y - Row from the top
+     * @returns {Promise<Uint8Array|null>} - Tile data (decompressed) or null if the package has no such tile
+     */
+    async getTile(z, x, y) {
+        const data = this.tiles.get(`${z}/${x}/${y}`);
+        if (!data) return null;
+
+        // Vector tiles are usually stored gzipped
+        return data[0] === 0x1f && data[1] === 0x8b ? decompressBytes(data, 'gzip') : data;
+    }
+}
+
+// PMTiles Package class; a single-file tile archive read with range requests
+class PmtilesPackage {
+    /**
+     * @param {string|Blob} source - URL or file
+     */
+    constructor(source) {
+        this.source = source;
+        this.buffer = null;
+        this.header = null;
+        this.directories = new Map();
+    }
+
+    /**
+     * Open a PMTiles package
+     * @param {string|Blob} source - URL or file
+     * @returns {Promise<PmtilesPackage>} - Package
+     */
+    static async open(source) {
+        const tilePackage = new PmtilesPackage(source);
+        await tilePackage.readHeader();
+        return tilePackage;
+    }
+
+    /**
+     * Read bytes from the package
+     * @param {number} offset - Byte offset
+     * @param {number} length - Number of bytes
+     * @returns {Promise<Uint8Array>} - Bytes
+     */
+    async readRange(offset, length) {
+        if (this.buffer) return new Uint8Array(this.buffer, offset, length);
+
+        if (typeof this.source !== 'string') {
+            return new Uint8Array(await this.source.slice(offset, offset + length).arrayBuffer());
+        }
+
+        const response = await fetch(this.source, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+        if (!response.ok) throw new Error(`HTTP ${response.status} loading ${this.source}`);
+
+        // A server without range support sends the whole file; keep it
+        if (response.status === 200) {
+            this.buffer = await response.arrayBuffer();
+            return new Uint8Array(this.buffer, offset, length);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    /**
+     * Read the header and the root directory
+     */
+    async readHeader() {
+        const bytes = await this.readRange(0, 127);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (new TextDecoder().decode(bytes.subarray(0, 7)) !== 'PMTiles' || bytes[7] !== 3) {
+            throw new Error('Not a PMTiles v3 archive');
+        }
+
+        const uint64 = pos => Number(view.getBigUint64(pos, true));
+        this.header = {
+            rootDirectoryOffset: uint64(8),
+            rootDirectoryLength: uint64(16),
+            leafDirectoriesOffset: uint64(40),
+            tileDataOffset: uint64(56),
+            internalCompression: PMTILES_COMPRESSIONS[bytes[97]],
+            tileCompression: PMTILES_COMPRESSIONS[bytes[98]]
+        };
+        this.tileType = PMTILES_TILE_TYPES[bytes[99]];
+        this.minZoom = bytes[100];
+        this.maxZoom = bytes[101];
+    }
+
+    /**
+     * Read a directory
+     * @param {number} offset - Byte offset
+     * @param {number} length - Compressed length
+     * @returns {Promise<Array>} - Entries ({ tileId, offset, length, runLength }), sorted by tile ID
+     */
+    async readDirectory(offset, length) {
+        const key = `${offset}:${length}`;
+        if (!this.directories.has(key)) {
+            this.directories.set(key, this.readRange(offset, length)
+                .then(bytes => decompressBytes(bytes, this.header.internalCompression))
+                .then(parsePmtilesDirectory));
+        }
+        return this.directories.get(key);
+    }
+
+    /**
+     * Get a tile
+     * @param {number} z - Zoom level
+     * @param {number} x - Column
+     * @param {number} y - Row from the top
+     * @returns {Promise<Uint8Array|null>} - Tile data (decompressed) or null if the package has no such tile
+     */
+    async getTile(z, x, y) {
+        const tileId = getPmtilesTileId(z, x, y);
+        let offset = this.header.rootDirectoryOffset;
+        let length = this.header.rootDirectoryLength;
+
+        // Follow leaf directories (the specification allows at most three levels)
+        for (let depth = 0; depth < 4; depth++) {
+            const entries = await this.readDirectory(offset, length);
+            const entry = findPmtilesEntry(entries, tileId);
+            if (!entry) return null;
+
+            if (entry.runLength > 0) {
+                const data = await this.readRange(this.header.tileDataOffset + entry.offset, entry.length);
+                return decompressBytes(data, this.header.tileCompression);
+            }
+
+            offset = this.header.leafDirectoriesOffset + entry.offset;
+            length = entry.length;
+        }
+        return null;
+    }
+}
+
+/**
+ * Get the PMTiles tile ID of a tile: tiles of lower zoom levels first, then the Hilbert curve position
+ * @param {number} z - Zoom level
+ * @param {number} x - Column
+ * @param {number} y - Row from the top
+ * @returns {number} - Tile ID
+ */
+function getPmtilesTileId(z, x, y) {
+    const n = 2 ** z;
+    let id = (4 ** z - 1) / 3;
+
+    for (let s = n / 2; s >= 1; s /= 2) {
+        const rx = (x & s) > 0 ? 1 : 0;
+        const ry = (y & s) > 0 ? 1 : 0;
+        id += s * s * ((3 * rx) ^ ry);
+
+        // Rotate the quadrant
+        if (ry === 0) {
+            if (rx === 1) {
+                x = n - 1 - x;
+                y = n - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+    }
+
+    return id;
+}
+
+/**
+ * Parse a PMTiles directory
+ * @param {Uint8Array} bytes - Decompressed directory
+ * @returns {Array} - Entries ({ tileId, offset, length, runLength })
+ */
+function parsePmtilesDirectory(bytes) {
+    const reader = new ProtobufReader(bytes);
+    const readNumber = () => Number(reader.readVarint());
+
+    const count = readNumber();
+    const entries = [];
+    let tileId = 0;
+    for (let i = 0; i < count; i++) {
+        tileId += readNumber();
+        entries.push({ tileId, offset: 0, length: 0, runLength: 0 });
+    }
+    entries.forEach(entry => { entry.runLength = readNumber(); });
+    entries.forEach(entry => { entry.length = readNumber(); });
+    entries.forEach((entry, i) => {
+        // Zero means the entry directly follows the previous one
+        const value = readNumber();
+        entry.offset = value === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : value - 1;
+    });
+
+    return entries;
+}
+
+/**
+ * Find the directory entry covering a tile ID
+ * @param {Array} entries - Directory entries, sorted by tile ID
+ * @param {number} tileId - Tile ID
+ * @returns {Object|null} - Entry (a tile run or a leaf directory) or null
+ */
+function findPmtilesEntry(entries, tileId) {
+    let low = 0;
+    let high = entries.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (entries[middle].tileId === tileId) return entries[middle];
+        if (entries[middle].tileId < tileId) low = middle + 1;
+        else high = middle - 1;
+    }
+
+    // The closest entry before the tile: a leaf directory, or a run of identical tiles
+    const entry = entries[high];
+    if (!entry) return null;
+    if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) return entry;
+    return null;
+}
+
+/**
+ * Decompress bytes
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} compression - 'none' or 'gzip' (brotli and zstd are not supported by browsers)
+ * @returns {Promise<Uint8Array>} - Decompressed bytes
+ */
+async function decompressBytes(bytes, compression) {
+    if (!compression || compression === 'none') return bytes;
+    if (compression !== 'gzip') {
+        throw new Error(`Unsupported tile package compression: ${compression}`);
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Open a tile package, choosing the reader from the file extension
+ * @param {string|Blob} source - URL or file (.mbtiles or .pmtiles)
+ * @returns {Promise<MbtilesPackage|PmtilesPackage>} - Package
+ */
+function openTilePackage(source) {
+    const name = (typeof source === 'string' ? source.split('?')[0] : source.name || '').toLowerCase();
+
+    if (name.endsWith('.mbtiles')) return MbtilesPackage.open(source);
+    if (name.endsWith('.pmtiles')) return PmtilesPackage.open(source);
+    return Promise.reject(new Error(`Unknown tile package type: ${name || 'unnamed file'}`));
+}
+
+/**
+ * Decode a Mapbox Vector Tile
+ * @param {Uint8Array} bytes - Tile data
+ * @returns {Array} - Layers ({ name, extent, features: [{ type, rings: [[[x, y], ...]] }] })
+ */
+function decodeVectorTile(bytes) {
+    const tile = new ProtobufReader(bytes, VECTOR_TILE_MESSAGES).readMessage('Tile');
+
+    return (tile.layers || []).map(layer => ({
+        name: layer.name,
+        extent: layer.extent || 4096,
+        features: (layer.features || []).map(feature => ({
+            type: feature.type,
+            rings: decodeVectorGeometry(feature.geometry || [])
+        }))
+    }));
+}
+
+/**
+ * Decode vector tile geometry commands into rings (or lines, or points)
+ * @param {Array} commands - Geometry command integers
+ * @returns {Array} - Rings of [x, y] in tile extent units
+ */
+function decodeVectorGeometry(commands) {
+    const rings = [];
+    let ring = null;
+    let x = 0;
+    let y = 0;
+
+    for (let i = 0; i < commands.length;) {
+        const command = commands[i] & 0x7;
+        const count = commands[i] >> 3;
+        i++;
+
+        if (command === 7) {
+            // ClosePath
+            if (ring && ring.length > 0) ring.push(ring[0]);
+            continue;
+        }
+
+        for (let j = 0; j < count && i + 1 < commands.length; j++) {
+            x += (commands[i] >> 1) ^ -(commands[i] & 1);
+            y += (commands[i + 1] >> 1) ^ -(commands[i + 1] & 1);
+            i += 2;
+
+            // MoveTo starts a new ring, LineTo extends it
+            if (command === 1 || !ring) {
+                ring = [];
+                rings.push(ring);
+            }
+            ring.push([x, y]);
+        }
+    }
+
+    return rings;
+}
+
+/**
+ * Draw decoded vector tile layers onto a canvas
+ * @param {CanvasRenderingContext2D} context - Tile canvas context
+ * @param {Array} layers - Decoded layers
+ * @param {number} size - Tile size in pixels
+ */
+function drawVectorTile(context, layers, size) {
+    layers.forEach(layer => {
+        const style = VECTOR_TILE_STYLES.find(candidate => candidate.match.test(layer.name.toLowerCase()));
+        if (!style) return;
+
+        const scale = size / layer.extent;
+        const tracePath = rings => {
+            context.beginPath();
+            rings.forEach(ring => {
+                ring.forEach(([x, y], index) => {
+                    if (index === 0) context.moveTo(x * scale, y * scale);
+                    else context.lineTo(x * scale, y * scale);
+                });
+            });
+        };
+
+        layer.features.forEach(feature => {
+            // Type 3 is a polygon, type 2 a line; points (labels) are not drawn
+            if (feature.type === 3 && style.fill) {
+                tracePath(feature.rings);
+                context.fillStyle = style.fill;
+                context.fill('evenodd');
+                if (style.stroke) {
+                    context.strokeStyle = style.stroke;
+                    context.lineWidth = 0.5;
+                    context.stroke();
+                }
+            } else if (feature.type === 2 && style.stroke) {
+                context.setLineDash(style.dash || []);
+                if (style.casing) {
+                    tracePath(feature.rings);
+                    context.strokeStyle = style.casing;
+                    context.lineWidth = style.width + 1.5;
+                    context.stroke();
+                }
+                tracePath(feature.rings);
+                context.strokeStyle = style.stroke;
+                context.lineWidth = style.width;
+                context.stroke();
+                context.setLineDash([]);
+            }
+        });
+    });
+}
+
+// Export for use in other modules
+window.SqliteReader = SqliteReader;
+window.MbtilesPackage = MbtilesPackage;
+window.PmtilesPackage = PmtilesPackage;
+window.openTilePackage = openTilePackage;
+window.decodeVectorTile = decodeVectorTile;
+window.drawVectorTile = drawVectorTile;
@@ -0,0 +1,524 @@
+/**
+ * Smart City Data Analytics Dashboard - Timeline Module
+ * This file contains the playback bar of the city map, which animates a
+ * layer over a time window from the recorded history snapshots or from the
+ * time fields of event data (crime time, incident report time)
+ */
+
+// Number of frames event layers are divided into, whatever the window length
+const TIMELINE_EVENT_FRAMES = 48;
+
+// Base frame duration in milliseconds at 1x speed
+const TIMELINE_FRAME_DURATION = 1000;
+
+// Animated layers; 'snapshot' layers replay recorded module state, 'event' layers show events by their time
+const TIMELINE_SOURCES = {
+    traffic: {
+        label: 'Traffic congestion',
+        type: 'snapshot',
+        domain: 'traffic',
+        manager: () => trafficPredictor,
+        render(state, layer) {
+            state.segments.forEach(segment => {
+                const current = state.realTimeData.get(segment.id);
+                if (!current || !segment.startPoint || !segment.endPoint) return;
+
+                // Real-time congestion is kept as a series; the last value is the current one
+                const congestion = Array.isArray(current.congestion) ?
+                    current.congestion[current.congestion.length - 1] :
+                    current.congestion;
+                const level = congestion >= 70 ? 'high' : (congestion >= 40 ? 'medium' : 'low');
+                const color = getTrafficLevelColor(level);
+
+                L.polyline([segment.startPoint, segment.endPoint], { color: color, weight: 6, opacity: 0.8 })
+                    .bindPopup(`
+                        <strong>Traffic Level: ${capitalizeFirstLetter(level)}</strong><br>
+                        Congestion: ${Math.round(congestion)}%
+                    `)
+                    .addTo(layer);
+            });
+        }
+    },
+    airQuality: {
+        label: 'Air quality sensors',
+        type: 'snapshot',
+        domain: 'environment',
+        manager: () => environmentalDataManager,
+        render(state, layer) {
+            state.sensors.forEach(sensor => {
+                const aqi = sensor.readings.aqi;
+                if (!aqi) return;
+
+                const color = getAQIColor(aqi.category);
+                L.circleMarker([sensor.location.lat, sensor.location.lng], {
+                    radius: 10,
+                    color: color,
+                    fillColor: color,
+                    fillOpacity: 0.7,
+                    weight: 2
+                }).bindPopup(`
+                    <strong>${sensor.location.name}</strong><br>
+                    Air Quality Index: ${aqi.value}<br>
+                    <span style="color: ${color}">${formatAQICategory(aqi.category)}</span>
+                `).addTo(layer);
+            });
+        }
+    },
+    transit: {
+        label: 'Transit vehicles',
+        type: 'snapshot',
+        domain: 'transportation',
+        manager: () => transportationManager,
+        render(state, layer) {
+            state.vehicles.forEach(vehicle => {
+                if (vehicle.status === 'out_of_service') return;
+
+                const position = getVehiclePosition(vehicle);
+                if (!position) return;
+
+                const route = transportationManager.getRouteById(vehicle.routeId);
+                const color = route ? route.color : transportationManager.getRouteColor(vehicle.type);
+                L.circleMarker([position.lat, position.lng], {
+                    radius: 6,
+                    color: '#fff',
+                    fillColor: color,
+                    fillOpacity: 0.9,
+                    weight: 2
+                }).bindPopup(`
+                    <strong>${route ? route.name : vehicle.routeId}</strong><br>
+                    Vehicle: ${vehicle.id}<br>
+                    Occupancy: ${vehicle.occupancy}/${vehicle.capacity}
+                `).addTo(layer);
+            });
+        }
+    },
+    crime: {
+        label: 'Crime incidents',
+        type: 'event',
+        getEvents() {
+            return sampleData.crime.incidents.map(incident => ({
+                start: new Date(incident.time).getTime(),
+                end: null,
+                data: incident
+            }));
+        },
+        render(incident, layer, recent) {
+            L.marker([incident.lat, incident.lng], { icon: getCrimeIcon(incident.type), opacity: recent ? 1 : 0.5 })
+                .bindPopup(`
+                    <strong>${capitalizeFirstLetter(incident.type)}</strong><br>
+                    Severity: ${capitalizeFirstLetter(incident.severity)}<br>
+                    Time: ${formatDateTime(new Date(incident.time))}
+                `)
+                .addTo(layer);
+        }
+    },
+    emergency: {
+        label: 'Emergency incidents',
+        type: 'event',
+        getEvents() {
+            // Incidents are shown from their report until they are resolved
+            return emergencyManager.incidents.map(incident => ({
+                start: new Date(incident.timestamp).getTime(),
+                end: incident.resolutionTime ? new Date(incident.resolutionTime).getTime() : null,
+                data: incident
+            }));
+        },
+        render(incident, layer, recent) {
+            const color = getSeverityColor(incident.severity);
+            L.circleMarker([incident.location.lat, incident.location.lng], {
+                radius: recent ? 10 : 7,
+                color: color,
+                fillColor: color,
+                fillOpacity: recent ? 0.8 : 0.4,
+                weight: 2
+            }).bindPopup(`
+                <strong>${capitalizeFirstLetter(incident.type)}</strong><br>
+                Severity: ${capitalizeFirstLetter(incident.severity)}<br>
+                Reported: ${formatDateTime(new Date(incident.timestamp))}
+            `).addTo(layer);
+        }
+    }
+};
+
+// Map Timeline class; builds the frames of a layer over a window and plays them back
+class MapTimeline {
+    /**
+     * @param {Object} sources - Animated layers (see TIMELINE_SOURCES)
+     */
+    constructor(sources = TIMELINE_SOURCES) {
+        this.sources = sources;
+        this.sourceKey = null;
+        this.frames = [];
+        this.index = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.timer = null;
+        this.layer = null;
+        this.snapshots = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Build the frames of a layer over a time window
+     * Snapshot layers use the snapshots recorded in the window (ending now, or at the
+     * viewed date), followed by the live state; event layers divide the window ending
+     * at the latest event into evenly spaced frames
+     * @param {string} sourceKey - Layer key (see TIMELINE_SOURCES)
+     * @param {number|null} windowHours - Window length, or null for all available data
+     * @returns {Promise<number>} - Number of frames
+     */
+    async load(sourceKey, windowHours) {
+        this.pause();
+        const source = this.sources[sourceKey];
+        if (!source) {
+            throw new Error(`Unknown timeline layer: ${sourceKey}`);
+        }
+
+        this.sourceKey = sourceKey;
+        this.snapshots.clear();
+        this.frames = source.type === 'snapshot' ?
+            await this.buildSnapshotFrames(windowHours) :
+            this.buildEventFrames(source, windowHours);
+        this.index = 0;
+
+        if (this.frames.length > 0) {
+            await this.showFrame(0);
+        }
+        return this.frames.length;
+    }
+
+    /**
+     * Build frames from the recorded history snapshots
+     * @param {number|null} windowHours - Window length, or null for all snapshots
+     * @returns {Promise<Array>} - Frames ({ time } for snapshots, { time, live: true } for the live state)
+     */
+    async buildSnapshotFrames(windowHours) {
+        const viewing = historyManager.isViewingHistory();
+        const end = viewing ? historyManager.viewedSnapshot.timestamp : Date.now();
+        const start = windowHours ? end - windowHours * 60 * 60 * 1000 : 0;
+
+        let timestamps = [];
+        try {
+            timestamps = await historyManager.store.getTimestamps(start, end);
+        } catch (error) {
+            console.warn('Could not read history snapshots:', error.message);
+        }
+
+        const frames = timestamps.map(time => ({ time: time }));
+
+        // The live state ends the timeline unless a past date is being viewed
+        if (!viewing) {
+            frames.push({ time: end, live: true });
+        }
+        return frames;
+    }
+
+    /**
+     * Build evenly spaced frames over the events of a layer
+     * @param {Object} source - Event layer
+     * @param {number|null} windowHours - Window length, or null for all events
+     * @returns {Array} - Frames ({ time, start, events })
+     */
+    buildEventFrames(source, windowHours) {
+        const events = source.getEvents().filter(event => !isNaN(event.start));
+        if (events.length === 0) return [];
+
+        const end = Math.max(...events.map(event => event.start));
+        const start = windowHours ?
+            end - windowHours * 60 * 60 * 1000 :
+            Math.min(...events.map(event => event.start));
+        const frameCount = end > start ? TIMELINE_EVENT_FRAMES : 1;
+        const step = end > start ? (end - start) / (frameCount - 1) : 1;
+
+        const frames = [];
+        for (let i = 0; i < frameCount; i++) {
+            // The last frame is exactly at the latest event, whatever the rounding
+            const time = i === frameCount - 1 ? end : start + i * step;
+            frames.push({ time: time, start: start, step: step, events: events });
+        }
+        return frames;
+    }
+
+    /**
+     * Render a frame on the map
+     * @param {number} index - Frame index
+     * @returns {Promise} - Resolves when the frame is drawn
+     */
+    async showFrame(index) {
+        const frame = this.frames[index];
+        if (!frame) return;
+
+        this.index = index;
+        const source = this.sources[this.sourceKey];
+        const layer = L.layerGroup();
+
+        if (source.type === 'snapshot') {
+            const state = await this.getFrameState(source, frame);
+            if (state) {
+                source.render(state, layer);
+            }
+        } else {
+            // Events that started in the window and are still open at the frame time;
+            // those of the last step are highlighted
+            frame.events
+                .filter(event => event.start >= frame.start && event.start <= frame.time &&
+                    (event.end === null || event.end > frame.time))
+                .forEach(event => source.render(event.data, layer, event.start > frame.time - frame.step));
+        }
+
+        // Frames can finish loading out of order while scrubbing; only draw the current one
+        if (this.index !== index) return;
+
+        this.show(layer);
+        this.notify();
+    }
+
+    /**
+     * Get the module state of a snapshot frame
+     * @param {Object} source - Snapshot layer
+     * @param {Object} frame - Frame
+     * @returns {Promise<Object|null>} - Module state, or null if the snapshot does not include the module
+     */
+    async getFrameState(source, frame) {
+        if (frame.live) {
+            return source.manager().getSnapshotState();
+        }
+
+        if (!this.snapshots.has(frame.time)) {
+            // Keep a small cache so stepping back and forth does not reread every snapshot
+            if (this.snapshots.size >= 20) {
+                this.snapshots.delete(this.snapshots.keys().next().value);
+            }
+            this.snapshots.set(frame.time, historyManager.store.getLatestBefore(frame.time));
+        }
+
+        const snapshot = await this.snapshots.get(frame.time);
+        return snapshot ? snapshot.modules[source.domain] || null : null;
+    }
+
+    /**
+     * Replace the map layers with a frame
+     * @param {L.LayerGroup} layer - Frame layer
+     */
+    show(layer) {
+        if (this.layer) {
+            cityMap.removeLayer(this.layer);
+        } else {
+            // The regular layers are hidden while the timeline is shown
+            getVisibleMapLayers().forEach(layerType => mapRegistry.hideLayer(layerType));
+        }
+
+        this.layer = layer.addTo(cityMap);
+    }
+
+    /**
+     * Start playback (from the beginning when at the last frame)
+     */
+    play() {
+        if (this.frames.length < 2) return;
+        if (this.index >= this.frames.length - 1) {
+            this.index = 0;
+        }
+
+        this.playing = true;
+        this.scheduleNextFrame();
+        this.notify();
+    }
+
+    /**
+     * Show the next frame after the frame duration, stopping at the last frame
+     */
+    scheduleNextFrame() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(async () => {
+            if (!this.playing) return;
+
+            await this.showFrame(this.index + 1);
+            if (this.index >= this.frames.length - 1) {
+                this.pause();
+            } else {
+                this.scheduleNextFrame();
+            }
+        }, TIMELINE_FRAME_DURATION / this.speed);
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        clearTimeout(this.timer);
+        if (!this.playing) return;
+        this.playing = false;
+        this.notify();
+    }
+
+    /**
+     * Show the previous or next frame (pauses playback)
+     * @param {number} delta - Number of frames to move (negative to go back)
+     */
+    step(delta) {
+        this.pause();
+        const index = Math.max(0, Math.min(this.frames.length - 1, this.index + delta));
+        if (index !== this.index) {
+            this.showFrame(index);
+        }
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} speed - Speed multiplier
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.playing) {
+            this.scheduleNextFrame();
+        }
+    }
+
+    /**
+     * Remove the timeline from the map and show the regular layers again
+     */
+    close() {
+        this.pause();
+        if (this.layer) {
+            cityMap.removeLayer(this.layer);
+            this.layer = null;
+            getVisibleMapLayers().forEach(layerType => mapRegistry.showLayer(layerType));
+        }
+        this.frames = [];
+        this.index = 0;
+        this.notify();
+    }
+
+    /**
+     * Register a callback for frame and playback changes
+     * @param {Function} listener - Called with the timeline
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify the listeners of a frame or playback change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+/**
+ * Get the map position of a transit vehicle
+ * Vehicles from a feed report coordinates; others are placed between their stops
+ * @param {Object} vehicle - Vehicle object
+ * @returns {Object|null} - { lat, lng } or null if unknown
+ */
+function getVehiclePosition(vehicle) {
+    if (vehicle.location.lat !== null && vehicle.location.lat !== undefined) {
+        return { lat: vehicle.location.lat, lng: vehicle.location.lng };
+    }
+
+    const currentStop = transportationManager.getStopById(vehicle.location.currentStop);
+    const nextStop = transportationManager.getStopById(vehicle.location.nextStop);
+    if (!currentStop) return nextStop ? nextStop.location : null;
+    if (!nextStop) return currentStop.location;
+
+    const progress = vehicle.location.progress || 0;
+    return {
+        lat: currentStop.location.lat + (nextStop.location.lat - currentStop.location.lat) * progress,
+        lng: currentStop.location.lng + (nextStop.location.lng - currentStop.location.lng) * progress
+    };
+}
+
+// Create global instance
+const mapTimeline = new MapTimeline();
+
+// Initialize the playback bar when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeMapTimeline();
+});
+
+/**
+ * Initialize the playback bar under the city map
+ */
+function initializeMapTimeline() {
+    const layerSelect = document.getElementById('timeline-layer');
+    const windowSelect = document.getElementById('timeline-window');
+    const playButton = document.getElementById('timeline-play');
+    const scrubber = document.getElementById('timeline-scrubber');
+    if (!layerSelect || !windowSelect || !playButton || !scrubber) return;
+
+    layerSelect.innerHTML = Object.entries(mapTimeline.sources)
+        .map(([key, source]) => `<option value="${key}">${source.label}</option>`)
+        .join('');
+
+    // (Re)load the frames of the selected layer and window
+    const loadTimeline = async () => {
+        const windowHours = windowSelect.value === 'all' ? null : parseInt(windowSelect.value, 10);
+        const frameCount = await mapTimeline.load(layerSelect.value, windowHours);
+
+        if (frameCount === 0) {
+            mapTimeline.close();
+            showNotification(`No ${mapTimeline.sources[layerSelect.value].label.toLowerCase()} data in this window`, 'warning');
+        } else if (frameCount === 1 && mapTimeline.sources[layerSelect.value].type === 'snapshot') {
+            showNotification('No snapshots were recorded in this window yet; showing the current state', 'info');
+        }
+    };
+
+    playButton.addEventListener('click', async function() {
+        if (mapTimeline.playing) {
+            mapTimeline.pause();
+            return;
+        }
+        if (mapTimeline.frames.length === 0) {
+            await loadTimeline();
+        }
+        mapTimeline.play();
+    });
+
+    layerSelect.addEventListener('change', loadTimeline);
+    windowSelect.addEventListener('change', loadTimeline);
+
+    document.getElementById('timeline-step-back').addEventListener('click', async function() {
+        if (mapTimeline.frames.length === 0) await loadTimeline();
+        mapTimeline.step(-1);
+    });
+    document.getElementById('timeline-step-forward').addEventListener('click', async function() {
+        if (mapTimeline.frames.length === 0) await loadTimeline();
+        mapTimeline.step(1);
+    });
+
+    scrubber.addEventListener('input', function() {
+        mapTimeline.pause();
+        mapTimeline.showFrame(parseInt(this.value, 10));
+    });
+
+    document.getElementById('timeline-speed').addEventListener('change', function() {
+        mapTimeline.setSpeed(parseFloat(this.value));
+    });
+
+    document.getElementById('timeline-close').addEventListener('click', function() {
+        mapTimeline.close();
+    });
+
+    // Keep the controls in sync with the timeline
+    mapTimeline.onChange(timeline => {
+        const frame = timeline.frames[timeline.index];
+
+        scrubber.max = Math.max(timeline.frames.length - 1, 0);
+        scrubber.value = timeline.index;
+        scrubber.disabled = timeline.frames.length < 2;
+        playButton.innerHTML = `<i class="fas fa-${timeline.playing ? 'pause' : 'play'}"></i>`;
+        playButton.title = timeline.playing ? 'Pause' : 'Play';
+
+        const timeLabel = document.getElementById('timeline-time');
+        if (timeLabel) {
+            timeLabel.textContent = frame ?
+                `${formatDateTime(new Date(frame.time))}${frame.live ? ' (live)' : ''} · ${timeline.index + 1}/${timeline.frames.length}` :
+                'Live map';
+        }
+    });
+}
+
+// Export for use in other modules
+window.MapTimeline = MapTimeline;
+window.mapTimeline = mapTimeline;
@@ -3,41 +3,154 @@
  * This file contains the implementation of the Predictive Traffic Flow Model
  */
 
+// Milliseconds each frame of a simulated incident's queues is shown during playback
+const INCIDENT_PLAYBACK_FRAME_DURATION = 500;
+
+// Time horizon in minutes of the congestion predictions routes are planned with
+const ROUTE_PREDICTION_HORIZON = 60;
+
+// Slowest speed (mph) a route assumes on a segment, so standstill traffic still has a finite travel time
+const ROUTE_MIN_SPEED = 3;
+
+// Segments entered within this many minutes use their measured speed rather than a prediction
+const ROUTE_MEASURED_SPEED_MINUTES = 5;
+
+// Start and end points farther than this many meters from the nearest intersection are not routed
+const ROUTE_MAX_ACCESS_DISTANCE = 1000;
+
 // Traffic Predictor class for traffic analysis and prediction
 class TrafficPredictor {
-    constructor() {
-        this.historicalData = new Map();
+    /**
+     * @param {Object} random - Seeded generator for sample data
+     * @param {Object} options - Traffic options (see appConfig.traffic)
+     */
+    constructor(random = createSampleRandom('traffic'), options = appConfig.traffic) {
+        // Seeded generator for sample data, so a seed reproduces the same city state
+        this.random = random;
+        this.options = options;
+        
+        // Historical congestion by time of week, with the holiday and event calendar (see trafficProfiles.js)
+        this.profiles = new TrafficProfiles(options);
         this.realTimeData = new Map();
         this.predictions = new Map();
+        this.segments = [];
+        this.roadGraph = null;
+        this.roadGraphSegments = null;
+        
+        // Signalized intersections of the traffic feed (see signalTiming.js); sample data has none
+        this.signals = [];
         this.initialized = false;
         
-        // Sample ML model weights (in a real application, these would be trained)
-        this.mlModelWeights = {
-            historical: 0.6,
-            realTime: 0.3,
-            weather: 0.1
-        };
+        // Trained prediction model (see trafficModel.js); null uses the baseline prediction
+        this.model = null;
+        
+        // Recently observed congestion by route, newest first, for the model's lagged features
+        this.observations = new Map();
+        
+        // Forecast errors measured by the last backtest (see trafficBacktest.js), for the prediction intervals
+        this.predictionErrors = null;
     }
     
     /**
-     * Initialize the traffic predictor with sample data
+     * Initialize the traffic predictor from the traffic feed
+     * (or sample data when the data source is configured for it)
      */
-    initialize() {
+    async initialize() {
         if (this.initialized) return;
         
-        // Load sample historical data
-        this.loadSampleHistoricalData();
-        
-        // Load sample real-time data
-        this.loadSampleRealTimeData();
+        const feed = await dataSource.load('traffic');
+        if (feed) {
+            // Load road segments from the traffic feed
+            this.loadFeedData(feed);
+        } else {
+            // Load sample historical data
+            this.loadSampleHistoricalData();
+            
+            // Load sample real-time data
+            this.loadSampleRealTimeData();
+        }
         
-        // Generate initial predictions
-        this.generateAllPredictions();
+        // Generate initial predictions with the active trained model
+        await this.loadModel();
+        await this.generateAllPredictions();
         
         this.initialized = true;
         console.log('Traffic Predictor initialized');
     }
     
+    /**
+     * Apply a live traffic feed update and refresh the predictions
+     * @param {Object} feed - Mapped traffic feed
+     * @returns {Promise} - Resolves when the predictions are updated
+     */
+    applyFeedUpdate(feed) {
+        this.loadFeedData(feed);
+        return this.generateAllPredictions();
+    }
+    
+    /**
+     * Get the state recorded in history snapshots
+     * @returns {Object} - Segments, real-time conditions and predictions
+     */
+    getSnapshotState() {
+        return {
+            segments: this.segments,
+            signals: this.signals,
+            realTimeData: this.realTimeData,
+            predictions: this.predictions
+        };
+    }
+    
+    /**
+     * Restore the state of a history snapshot
+     * @param {Object} state - State returned by getSnapshotState
+     */
+    restoreSnapshotState(state) {
+        this.segments = state.segments;
+        // Snapshots recorded before signals were kept have none
+        this.signals = state.signals || [];
+        this.realTimeData = state.realTimeData;
+        this.predictions = state.predictions;
+    }
+    
+    /**
+     * Load historical and real-time data from the traffic feed
+     * Each road segment is treated as a route
+     * @param {Object} feed - Mapped traffic feed (see DataSource.mapTrafficFeed)
+     */
+    loadFeedData(feed) {
+        this.segments = feed.segments;
+        this.signals = feed.signals;
+        
+        // Configured calendar entries add to the feed's, configured seasonal factors replace the feed's
+        this.profiles.configure({
+            calendar: feed.calendar.concat(this.options.calendar || []),
+            seasonalFactors: this.options.seasonalFactors || feed.seasonalFactors
+        });
+        
+        feed.segments.forEach(segment => {
+            // Times of the week without history use the current observation
+            this.profiles.setObservations(segment.id, feed.historical[segment.id], segment.congestion);
+            
+            const current = feed.realTime[segment.id];
+            this.realTimeData.set(segment.id, {
+                congestion: current.congestion,
+                speed: current.speed,
+                travelTime: this.congestionToTravelTime(current.congestion, segment.id),
+                incidents: current.incidents,
+                lastUpdated: current.lastUpdated
+            });
+        });
+    }
+    
+    /**
+     * Get the IDs of all routes known to the predictor
+     * @returns {Array} - Array of route IDs
+     */
+    getRouteIds() {
+        return this.profiles.getSegmentIds();
+    }
+    
     /**
      * Load sample historical traffic data
      */
@@ -47,58 +160,41 @@ class TrafficPredictor {
             'route_001', 'route_002', 'route_003', 'route_004', 'route_005'
         ];
         
-        // Generate historical data for each route
+        this.profiles.configure({ calendar: this.options.calendar || [], seasonalFactors: this.options.seasonalFactors });
+        
+        // Generate a time-of-week profile for each route
         routes.forEach(routeId => {
-            // Create data for different days of the week and times of day
-            const weekdayMorning = this.generateSampleTrafficPattern(70, 90);
-            const weekdayAfternoon = this.generateSampleTrafficPattern(50, 70);
-            const weekdayEvening = this.generateSampleTrafficPattern(75, 95);
-            const weekendMorning = this.generateSampleTrafficPattern(30, 50);
-            const weekendAfternoon = this.generateSampleTrafficPattern(60, 80);
-            const weekendEvening = this.generateSampleTrafficPattern(40, 60);
-            
-            this.historicalData.set(routeId, {
-                weekday: {
-                    morning: weekdayMorning,
-                    afternoon: weekdayAfternoon,
-                    evening: weekdayEvening
-                },
-                weekend: {
-                    morning: weekendMorning,
-                    afternoon: weekendAfternoon,
-                    evening: weekendEvening
-                }
-            });
+            this.profiles.setProfile(routeId, this.generateSampleProfile(0.8 + this.random.next() * 0.3));
         });
     }
     
     /**
-     * Generate a sample traffic pattern
-     * @param {number} minCongestion - Minimum congestion percentage
-     * @param {number} maxCongestion - Maximum congestion percentage
-     * @returns {Array} - Array of congestion values
+     * Generate a sample time-of-week congestion profile
+     * Weekdays have morning and evening rush hours, weekends a midday peak
+     * @param {number} scale - Factor applied to the congestion above the night-time level
+     * @returns {Array} - Congestion for every 5 minutes of the week, from Sunday 00:00
      */
-    generateSampleTrafficPattern(minCongestion, maxCongestion) {
-        const pattern = [];
-        const hours = 3; // 3-hour time period
-        const pointsPerHour = 12; // 5-minute intervals
+    generateSampleProfile(scale) {
+        const peak = (hour, center, width, height) => height * Math.exp(-Math.pow((hour - center) / width, 2));
+        const profile = [];
         
-        for (let i = 0; i < hours * pointsPerHour; i++) {
-            // Create a realistic pattern with some randomness
-            const baseValue = minCongestion + (maxCongestion - minCongestion) * 
-                Math.sin(Math.PI * (i / (hours * pointsPerHour)));
+        for (let slot = 0; slot < PROFILE_SLOTS_PER_WEEK; slot++) {
+            const day = Math.floor(slot / PROFILE_SLOTS_PER_DAY);
+            const hour = (slot % PROFILE_SLOTS_PER_DAY) * PROFILE_SLOT_MINUTES / 60;
+            
+            const rushHours = day === 0 || day === 6 ?
+                peak(hour, 13.5, 3, 50) + peak(hour, 20, 2, 15) :
+                peak(hour, 8.5, 1.2, 65) + peak(hour, 13, 2.5, 25) + peak(hour, 17.5, 1.5, 70);
             
             // Add some noise
-            const noise = (Math.random() - 0.5) * 10;
+            const noise = (this.random.next() - 0.5) * 6;
             
             // Ensure the value stays within bounds
-            let value = baseValue + noise;
-            value = Math.max(minCongestion, Math.min(maxCongestion, value));
-            
-            pattern.push(Math.round(value));
+            const value = 8 + Math.min(90, rushHours) * scale + noise;
+            profile.push(Math.round(Math.max(0, Math.min(100, value))));
         }
         
-        return pattern;
+        return profile;
     }
     
     /**
@@ -112,13 +208,13 @@ class TrafficPredictor {
         
         // Generate real-time data for each route
         routes.forEach(routeId => {
-            // Get the historical data for this route and time period
-            const historicalData = this.getHistoricalPattern(routeId);
+            // Get the historical congestion of the last 3 hours
+            const historicalData = this.profiles.getSeries(routeId, new Date(Date.now() - 3 * 60 * 60 * 1000), 36);
             
             // Create real-time data based on historical with some variation
             const realTimeData = historicalData.map(value => {
                 // Add some random variation
-                const variation = (Math.random() - 0.5) * 20;
+                const variation = (this.random.next() - 0.5) * 20;
                 let newValue = value + variation;
                 
                 // Ensure the value stays within bounds
@@ -129,11 +225,11 @@ class TrafficPredictor {
             
             // Add some incidents randomly
             const incidents = [];
-            if (Math.random() > 0.7) {
+            if (this.random.next() > 0.7) {
                 incidents.push({
                     type: this.getRandomIncidentType(),
-                    location: `${Math.floor(Math.random() * 100)}% along route`,
-                    severity: Math.floor(Math.random() * 5) + 1,
+                    location: `${Math.floor(this.random.next() * 100)}% along route`,
+                    severity: Math.floor(this.random.next() * 5) + 1,
                     timestamp: new Date().toISOString()
                 });
             }
@@ -154,7 +250,7 @@ class TrafficPredictor {
      */
     getRandomIncidentType() {
         const types = ['accident', 'construction', 'event', 'weather', 'breakdown'];
-        return types[Math.floor(Math.random() * types.length)];
+        return types[Math.floor(this.random.next() * types.length)];
     }
     
     /**
@@ -188,30 +284,24 @@ class TrafficPredictor {
     }
     
     /**
-     * Get the appropriate historical pattern for the current time
+     * Get the historical congestion of a route over a day
      * @param {string} routeId - Route identifier
-     * @returns {Array} - Historical traffic pattern
+     * @param {Date} date - Day (today when omitted)
+     * @returns {Array} - Congestion for every 5 minutes from midnight, with the day's calendar
+     *   and seasonal factor applied; empty if the route has no history
      */
-    getHistoricalPattern(routeId) {
-        const now = new Date();
-        const hour = now.getHours();
-        const isWeekend = now.getDay() === 0 || now.getDay() === 6;
-        
-        const dayType = isWeekend ? 'weekend' : 'weekday';
-        let timeOfDay;
-        
-        if (hour >= 6 && hour < 12) {
-            timeOfDay = 'morning';
-        } else if (hour >= 12 && hour < 18) {
-            timeOfDay = 'afternoon';
-        } else {
-            timeOfDay = 'evening';
-        }
-        
-        const routeData = this.historicalData.get(routeId);
-        if (!routeData) return [];
-        
-        return routeData[dayType][timeOfDay];
+    getHistoricalProfile(routeId, date = new Date()) {
+        return this.profiles.getDayProfile(routeId, date);
+    }
+    
+    /**
+     * Get the historical congestion of a route at a time
+     * @param {string} routeId - Route identifier
+     * @param {Date} date - Time
+     * @returns {number|null} - Congestion percentage, or null if the route has no history
+     */
+    getHistoricalCongestion(routeId, date) {
+        return this.profiles.getCongestion(routeId, date);
     }
     
     /**
@@ -220,76 +310,203 @@ class TrafficPredictor {
      * @returns {Object} - Current traffic conditions
      */
     async getCurrentConditions(routeId) {
-        // In a real application, this would fetch data from an API
-        // For this demo, we'll use the sample data
+        // Live feed updates are applied to realTimeData as they arrive (see liveFeeds.js)
         return this.realTimeData.get(routeId) || { congestion: [], speed: [], travelTime: [] };
     }
     
+    /**
+     * Load the active trained model from the model registry
+     * Without a stored model (or IndexedDB) the baseline prediction is used
+     */
+    async loadModel() {
+        try {
+            this.model = await trafficModelRegistry.getActive();
+        } catch (error) {
+            console.warn('Could not load the traffic model:', error.message);
+            this.model = null;
+        }
+    }
+    
+    /**
+     * Predict with a trained model from now on
+     * @param {Object|null} model - Trained model, or null for the baseline prediction
+     * @returns {Promise} - Resolves when the predictions are updated
+     */
+    setModel(model) {
+        this.model = model;
+        
+        // Backtest errors were measured for the previous model
+        this.predictionErrors = null;
+        return this.generateAllPredictions();
+    }
+    
+    /**
+     * Record the current congestion of every route as an observation for the lagged features
+     * One observation is kept per model time step
+     */
+    recordObservations() {
+        const step = Math.floor(Date.now() / (TRAFFIC_MODEL_STEP_MINUTES * 60 * 1000));
+        
+        this.realTimeData.forEach((current, routeId) => {
+            if (!current.congestion || current.congestion.length === 0) return;
+            
+            const observations = (this.observations.get(routeId) || []).filter(observation => observation.step !== step);
+            observations.unshift({ step: step, congestion: current.congestion[current.congestion.length - 1] });
+            this.observations.set(routeId, observations.slice(0, TRAFFIC_MODEL_LAGS));
+        });
+    }
+    
+    /**
+     * Get the recently observed congestion of a route
+     * @param {string} routeId - Route identifier
+     * @returns {Array} - Congestion values, newest first (only consecutive time steps)
+     */
+    getRecentCongestion(routeId) {
+        const observations = this.observations.get(routeId) || [];
+        const recent = [];
+        observations.forEach((observation, index) => {
+            if (index === recent.length && (index === 0 || observation.step === observations[0].step - index)) {
+                recent.push(observation.congestion);
+            }
+        });
+        return recent;
+    }
+    
+    /**
+     * Use the forecast errors measured by a backtest for the prediction intervals
+     * @param {Array|null} errors - Error quantiles by step ahead ({ step, lower, upper }), or null to use the model's own
+     * @returns {Promise} - Resolves when the predictions are updated
+     */
+    setPredictionErrors(errors) {
+        this.predictionErrors = errors;
+        return this.generateAllPredictions();
+    }
+    
+    /**
+     * Get the interval around a prediction some steps ahead, as offsets from the prediction
+     * Backtest errors are used when measured, then the trained model's validation errors
+     * @param {number} step - Steps ahead
+     * @returns {Object|null} - { lower, upper } or null if the error is not known
+     */
+    getPredictionInterval(step) {
+        const errors = this.predictionErrors ||
+            (this.model ? this.model.steps.map((regression, index) => ({
+                step: index + 1,
+                lower: regression.errorLower,
+                upper: regression.errorUpper
+            })).filter(error => typeof error.lower === 'number') : []);
+        if (errors.length === 0) return null;
+        
+        // Steps beyond the measured ones use the furthest measured step
+        return errors.find(error => error.step === step) || errors[errors.length - 1];
+    }
+    
+    /**
+     * Predict the congestion of a route some 5-minute steps ahead
+     * The active trained model predicts the step; without one, the baseline
+     * moves the current congestion toward the historical pattern
+     * @param {string} routeId - Route identifier
+     * @param {number} step - Steps ahead
+     * @param {Object} conditions - { congestion: recent congestion, newest first; incidents;
+     *   precipitation: forecast precipitation of the day, or null; time: Date predicted from }
+     * @returns {number} - Congestion percentage
+     */
+    predictCongestion(routeId, step, conditions) {
+        const time = new Date(conditions.time.getTime() + step * TRAFFIC_MODEL_STEP_MINUTES * 60 * 1000);
+        const historical = this.getHistoricalCongestion(routeId, time);
+        const currentCongestion = conditions.congestion[0];
+        
+        let predictedCongestion = null;
+        if (this.model) {
+            predictedCongestion = predictTrafficCongestion(this.model, step, getTrafficModelFeatures({
+                congestion: conditions.congestion,
+                historical: historical,
+                time: time,
+                incidents: conditions.incidents,
+                precipitation: conditions.precipitation
+            }));
+        }
+        if (predictedCongestion === null) {
+            // Baseline: reach the historical congestion at the longest horizon
+            const target = historical === null ? currentCongestion : historical;
+            predictedCongestion = currentCongestion + (target - currentCongestion) * step / TRAFFIC_MODEL_MAX_STEPS;
+        }
+        
+        return Math.max(0, Math.min(100, predictedCongestion));
+    }
+    
+    /**
+     * Convert a congestion percentage to the travel time of a route
+     * @param {number} congestion - Congestion percentage
+     * @param {string} routeId - Route identifier
+     * @returns {number} - Travel time in minutes
+     */
+    congestionToRouteTravelTime(congestion, routeId) {
+        // Get a base travel time for the route
+        const baseTime = 10 + (parseInt(routeId.split('_')[1]) % 5) * 2; // 10-18 minutes
+        return Math.round(baseTime * (1 + (congestion / 100) * 2));
+    }
+    
     /**
      * Generate traffic prediction for a specific route
+     * Each 5-minute step has a prediction interval when the forecast errors are known
      * @param {string} routeId - Route identifier
      * @param {number} timeHorizon - Time horizon in minutes (15, 30, 60)
      * @returns {Object} - Traffic prediction
      */
     async generatePrediction(routeId, timeHorizon) {
-        // Get historical pattern
-        const historical = this.getHistoricalPattern(routeId);
-        
         // Get current conditions
         const current = await this.getCurrentConditions(routeId);
+        const recent = this.getRecentCongestion(routeId);
+        const currentCongestion = recent.length > 0 ? recent[0] :
+            (current.congestion.length > 0 ? current.congestion[current.congestion.length - 1] : 50);
+        const conditions = {
+            congestion: recent.length > 0 ? recent : [currentCongestion],
+            incidents: current.incidents,
+            precipitation: getDailyPrecipitation(environmentalDataManager.weather, new Date()),
+            time: new Date()
+        };
         
-        // Simple prediction model: weighted average of historical and real-time data
-        // with some random variation to simulate ML prediction
         const prediction = {
             congestion: [],
             speed: [],
-            travelTime: []
+            travelTime: [],
+            congestionLower: [],
+            congestionUpper: [],
+            travelTimeLower: [],
+            travelTimeUpper: []
         };
         
         // Number of data points to predict (based on time horizon)
-        const pointsToPredict = timeHorizon / 5; // 5-minute intervals
+        const pointsToPredict = timeHorizon / TRAFFIC_MODEL_STEP_MINUTES;
         
-        for (let i = 0; i < pointsToPredict; i++) {
-            // Get the current index in the data
-            const currentIndex = i % current.congestion.length;
-            const historicalIndex = (currentIndex + Math.floor(Date.now() / 300000)) % historical.length;
-            
-            // Get the values
-            const currentCongestion = current.congestion[currentIndex] || 50;
-            const historicalCongestion = historical[historicalIndex] || 50;
-            
-            // Generate a weather factor (random for demo)
-            const weatherFactor = 1 + (Math.random() - 0.5) * 0.2; // ±10%
-            
-            // Calculate predicted congestion
-            let predictedCongestion = (
-                this.mlModelWeights.historical * historicalCongestion +
-                this.mlModelWeights.realTime * currentCongestion
-            ) * this.mlModelWeights.weather * weatherFactor;
-            
-            // Add some randomness to simulate prediction uncertainty
-            predictedCongestion += (Math.random() - 0.5) * 10;
-            
-            // Ensure the value stays within bounds
-            predictedCongestion = Math.max(0, Math.min(100, predictedCongestion));
-            predictedCongestion = Math.round(predictedCongestion);
+        for (let step = 1; step <= pointsToPredict; step++) {
+            const predictedCongestion = Math.round(this.predictCongestion(routeId, step, conditions));
             
             // Calculate speed and travel time from congestion
             const predictedSpeed = Math.round(60 - (predictedCongestion / 100) * 55);
-            
-            // Get a base travel time for the route
-            const baseTime = 10 + (parseInt(routeId.split('_')[1]) % 5) * 2; // 10-18 minutes
-            const predictedTravelTime = Math.round(baseTime * (1 + (predictedCongestion / 100) * 2));
+            const predictedTravelTime = this.congestionToRouteTravelTime(predictedCongestion, routeId);
             
             // Add to prediction
             prediction.congestion.push(predictedCongestion);
             prediction.speed.push(predictedSpeed);
             prediction.travelTime.push(predictedTravelTime);
+            
+            const interval = this.getPredictionInterval(step);
+            if (interval) {
+                const lower = Math.round(Math.max(0, Math.min(predictedCongestion, predictedCongestion + interval.lower)));
+                const upper = Math.round(Math.min(100, Math.max(predictedCongestion, predictedCongestion + interval.upper)));
+                prediction.congestionLower.push(lower);
+                prediction.congestionUpper.push(upper);
+                prediction.travelTimeLower.push(this.congestionToRouteTravelTime(lower, routeId));
+                prediction.travelTimeUpper.push(this.congestionToRouteTravelTime(upper, routeId));
+            }
         }
         
-        // Add timestamp and time horizon
-        prediction.timestamp = new Date().toISOString();
+        // Add timestamp, time horizon and the model that made the prediction
+        prediction.timestamp = conditions.time.toISOString();
         prediction.timeHorizon = timeHorizon;
+        prediction.modelVersion = this.model ? this.model.version : null;
         
         // Store the prediction
         this.predictions.set(`${routeId}_${timeHorizon}`, prediction);
@@ -299,16 +516,22 @@ class TrafficPredictor {
     
     /**
      * Generate predictions for all routes
+     * @returns {Promise} - Resolves when all predictions are stored
      */
     generateAllPredictions() {
-        const routes = Array.from(this.historicalData.keys());
+        this.recordObservations();
+        
+        const routes = this.getRouteIds();
         const timeHorizons = [15, 30, 60]; // 15, 30, and 60 minutes
+        const pending = [];
         
         routes.forEach(routeId => {
             timeHorizons.forEach(timeHorizon => {
-                this.generatePrediction(routeId, timeHorizon);
+                pending.push(this.generatePrediction(routeId, timeHorizon));
             });
         });
+        
+        return Promise.all(pending);
     }
     
     /**
@@ -323,189 +546,205 @@ class TrafficPredictor {
     }
     
     /**
-     * Calculate the optimal route between two points
+     * Get the road network of the current road segments
+     * @returns {RoadGraph} - Road graph, rebuilt when the segments change
+     */
+    getRoadGraph() {
+        if (!this.roadGraph || this.roadGraphSegments !== this.segments) {
+            this.roadGraph = new RoadGraph(this.segments);
+            this.roadGraphSegments = this.segments;
+        }
+        return this.roadGraph;
+    }
+    
+    /**
+     * Get the predicted congestion of a road segment
+     * @param {string} segmentId - Segment identifier
+     * @param {number} elapsedMinutes - Minutes from now
+     * @returns {number} - Congestion percentage (the current one when there is no prediction)
+     */
+    getPredictedCongestion(segmentId, elapsedMinutes) {
+        const prediction = this.getPrediction(segmentId, ROUTE_PREDICTION_HORIZON);
+        if (prediction && prediction.congestion.length > 0) {
+            // Predictions are at 5-minute intervals; later times use the last one
+            const index = Math.min(Math.floor(elapsedMinutes / 5), prediction.congestion.length - 1);
+            return prediction.congestion[index];
+        }
+        
+        const current = this.realTimeData.get(segmentId);
+        const congestion = current ? current.congestion : [];
+        return congestion.length > 0 ? congestion[congestion.length - 1] : 0;
+    }
+    
+    /**
+     * Get the travel time of a road graph edge, at the segment's measured speed
+     * when it is entered now and at its predicted congestion later
+     * @param {Object} edge - Road graph edge
+     * @param {number} elapsedMinutes - Minutes from now the edge is entered
+     * @returns {number} - Travel time in minutes
+     */
+    getSegmentTravelTime(edge, elapsedMinutes) {
+        const measured = edge.segment.currentSpeed;
+        let speed;
+        if (elapsedMinutes < ROUTE_MEASURED_SPEED_MINUTES && typeof measured === 'number') {
+            // Capped at the speed limit, which the route search's estimate assumes is the fastest
+            speed = Math.max(ROUTE_MIN_SPEED, Math.min(measured, edge.segment.speedLimit));
+        } else {
+            const congestion = this.getPredictedCongestion(edge.segment.id, elapsedMinutes);
+            speed = Math.max(ROUTE_MIN_SPEED, edge.segment.speedLimit * (1 - congestion / 100));
+        }
+        return edge.length / METERS_PER_MILE / speed * 60;
+    }
+    
+    /**
+     * Calculate the optimal route between two points over the road segments,
+     * by shortest travel time at the predicted congestion
      * @param {Object} start - Start coordinates {lat, lng}
      * @param {Object} end - End coordinates {lat, lng}
-     * @returns {Object} - Optimal route information
+     * @param {number} alternatives - Number of alternative routes wanted
+     * @returns {Object|null} - Optimal route information, or null if there is no road network or no route
      */
-    calculateOptimalRoute(start, end) {
-        // In a real application, this would use a routing algorithm with traffic data
-        // For this demo, we'll return a sample route
-        
-        // Get a random route ID
-        const routeId = `route_00${Math.floor(Math.random() * 5) + 1}`;
-        
-        // Get the prediction for this route
-        const prediction = this.getPrediction(routeId, 30) || {
-            congestion: [50],
-            speed: [30],
-            travelTime: [15]
-        };
+    calculateOptimalRoute(start, end, alternatives = 2) {
+        const graph = this.getRoadGraph();
+        
+        // Start and end at the nearest intersections
+        const from = graph.findNearestNode(start.lat, start.lng);
+        const to = graph.findNearestNode(end.lat, end.lng);
+        if (!from || !to || from.node === to.node) return null;
+        
+        const getTravelTime = (edge, elapsed) => this.getSegmentTravelTime(edge, elapsed);
+        const paths = graph.findRoutes(from.node, to.node, getTravelTime, alternatives);
+        if (paths.length === 0) return null;
+        
+        const routes = paths.map((path, index) => this.describeRoute(path, index === 0 ? 'route_optimal' : `route_alt_${index}`));
+        return Object.assign(routes[0], {
+            startDistance: from.distance,
+            endDistance: to.distance,
+            alternativeRoutes: routes.slice(1)
+        });
+    }
+    
+    /**
+     * Describe a road graph path as a route
+     * @param {Object} path - Path ({ edges }) returned by RoadGraph.findRoutes
+     * @param {string} routeId - Route identifier
+     * @returns {Object} - Route information
+     */
+    describeRoute(path, routeId) {
+        // Follow the path in time, so each segment has the congestion predicted when it is reached
+        let elapsed = 0;
+        let congestionTotal = 0;
+        path.edges.forEach(edge => {
+            congestionTotal += this.getPredictedCongestion(edge.segment.id, elapsed) * edge.length;
+            elapsed += this.getSegmentTravelTime(edge, elapsed);
+        });
         
-        // Calculate average values
-        const avgCongestion = prediction.congestion.reduce((a, b) => a + b, 0) / prediction.congestion.length;
-        const avgSpeed = prediction.speed.reduce((a, b) => a + b, 0) / prediction.speed.length;
-        const avgTravelTime = prediction.travelTime.reduce((a, b) => a + b, 0) / prediction.travelTime.length;
+        const length = getPathLength(path);
+        const miles = length / METERS_PER_MILE;
         
-        // Generate a sample route
         return {
             routeId: routeId,
-            distance: (5 + Math.random() * 5).toFixed(1), // 5-10 miles
-            travelTime: Math.round(avgTravelTime),
-            congestion: Math.round(avgCongestion),
-            speed: Math.round(avgSpeed),
-            coordinates: this.generateSampleRouteCoordinates(start, end),
-            alternativeRoutes: this.generateAlternativeRoutes(start, end, avgTravelTime)
+            segments: path.edges.map(edge => edge.segment.id),
+            distance: miles.toFixed(1),
+            travelTime: Math.round(elapsed * 10) / 10,
+            congestion: Math.round(congestionTotal / length),
+            speed: Math.round(miles / elapsed * 60),
+            coordinates: [path.edges[0].from].concat(path.edges.map(edge => edge.to)).map(node => [node.lat, node.lng])
         };
     }
     
     /**
-     * Generate sample route coordinates between two points
-     * @param {Object} start - Start coordinates {lat, lng}
-     * @param {Object} end - End coordinates {lat, lng}
-     * @returns {Array} - Array of coordinate pairs
+     * Compare a signal's current timing with the one recommended for current conditions
+     * @param {string} signalId - Signal ID
+     * @returns {Object|null} - Analysis (see analyzeSignalTiming in signalTiming.js), or null for an unknown signal
      */
-    generateSampleRouteCoordinates(start, end) {
-        const coordinates = [];
-        const steps = 10; // Number of points in the route
-        
-        for (let i = 0; i <= steps; i++) {
-            const ratio = i / steps;
-            
-            // Add some randomness to make the route look realistic
-            const jitter = (Math.random() - 0.5) * 0.005;
-            
-            const lat = start.lat + (end.lat - start.lat) * ratio + jitter;
-            const lng = start.lng + (end.lng - start.lng) * ratio + jitter;
-            
-            coordinates.push([lat, lng]);
-        }
+    analyzeSignalTiming(signalId) {
+        const signal = this.signals.find(s => s.id === signalId);
+        if (!signal) return null;
         
-        return coordinates;
+        return analyzeSignalTiming(signal, {
+            getCongestion: segmentId => this.getPredictedCongestion(segmentId, 0),
+            incidents: typeof emergencyManager !== 'undefined' ? emergencyManager.getAllIncidents() : []
+        });
     }
     
     /**
-     * Generate alternative routes
-     * @param {Object} start - Start coordinates {lat, lng}
-     * @param {Object} end - End coordinates {lat, lng}
-     * @param {number} baseTravelTime - Base travel time in minutes
-     * @returns {Array} - Array of alternative routes
+     * Simulate the impact of an incident on traffic
+     * The queue behind the incident is propagated over the road segments
+     * (see incidentPropagation.js) until it has cleared
+     * @param {Object} incident - Incident information ({ type, severity, location, lat, lng, timestamp,
+     *   clearance: minutes until cleared, estimated from the type and severity when omitted })
+     * @returns {Object|null} - Traffic impact assessment, or null if there is no road network
      */
-    generateAlternativeRoutes(start, end, baseTravelTime) {
-        const alternatives = [];
-        const numAlternatives = 2;
-        
-        for (let i = 0; i < numAlternatives; i++) {
-            // Add some variation to the travel time
-            const travelTimeFactor = 1 + (i + 1) * 0.1; // 10% longer for each alternative
-            const travelTime = Math.round(baseTravelTime * travelTimeFactor);
-            
-            // Add some variation to the distance
-            const distanceFactor = 1 - (i + 1) * 0.05; // 5% shorter for each alternative
-            const distance = (5 + Math.random() * 5) * distanceFactor;
-            
-            // Generate coordinates with more variation
-            const coordinates = this.generateSampleRouteCoordinates(start, end);
-            
-            // Add more jitter to make routes visibly different
-            coordinates.forEach((coord, index) => {
-                if (index > 0 && index < coordinates.length - 1) {
-                    const jitterFactor = (i + 1) * 0.01;
-                    coord[0] += (Math.random() - 0.5) * jitterFactor;
-                    coord[1] += (Math.random() - 0.5) * jitterFactor;
-                }
-            });
-            
-            alternatives.push({
-                routeId: `route_alt_${i + 1}`,
-                distance: distance.toFixed(1),
-                travelTime: travelTime,
-                congestion: Math.round(40 + Math.random() * 30), // 40-70%
-                speed: Math.round(20 + Math.random() * 20), // 20-40 mph
-                coordinates: coordinates
+    simulateIncidentImpact(incident) {
+        const durationMinutes = incident.clearance || this.estimateIncidentDuration(incident);
+        const propagation = simulateIncidentPropagation(this.getRoadGraph(), incident, {
+            clearance: durationMinutes,
+            getCongestion: segmentId => this.getPredictedCongestion(segmentId, 0)
+        });
+        if (!propagation) return null;
+        
+        // Largest congestion increase on a segment at any time
+        let congestionIncrease = 0;
+        propagation.frames.forEach(frame => {
+            Object.entries(frame.segments).forEach(([segmentId, conditions]) => {
+                congestionIncrease = Math.max(congestionIncrease,
+                    conditions.congestion - this.getPredictedCongestion(segmentId, 0));
             });
-        }
+        });
         
-        return alternatives;
+        return {
+            incident: incident,
+            propagation: propagation,
+            impactRadius: propagation.reach / METERS_PER_MILE,
+            congestionIncrease: Math.round(congestionIncrease),
+            estimatedDuration: durationMinutes,
+            affectedRoutes: propagation.segments.map(segment => segment.segmentId),
+            recommendedActions: this.generateRecommendedActions(incident, propagation)
+        };
     }
     
     /**
-     * Simulate the impact of an incident on traffic
+     * Estimate how long an incident takes to clear
      * @param {Object} incident - Incident information
-     * @returns {Object} - Traffic impact assessment
+     * @returns {number} - Duration in minutes
      */
-    simulateIncidentImpact(incident) {
-        // Calculate impact radius based on severity (1-5)
-        const impactRadius = incident.severity * 0.5; // 0.5-2.5 miles
-        
-        // Calculate congestion increase based on type and severity
-        let congestionIncrease;
+    estimateIncidentDuration(incident) {
         switch (incident.type) {
             case 'accident':
-                congestionIncrease = 20 + incident.severity * 10; // 30-70%
-                break;
+                return 30 + incident.severity * 30; // 60-180 minutes
             case 'construction':
-                congestionIncrease = 10 + incident.severity * 8; // 18-50%
-                break;
+                return 60 + incident.severity * 120; // 180-660 minutes
             case 'event':
-                congestionIncrease = 5 + incident.severity * 5; // 10-30%
-                break;
+                return 120 + incident.severity * 60; // 180-420 minutes
             case 'weather':
-                congestionIncrease = 15 + incident.severity * 7; // 22-50%
-                break;
-            case 'breakdown':
-                congestionIncrease = 5 + incident.severity * 6; // 11-35%
-                break;
-            default:
-                congestionIncrease = 10 + incident.severity * 5; // 15-35%
-        }
-        
-        // Calculate estimated duration based on type and severity
-        let durationMinutes;
-        switch (incident.type) {
-            case 'accident':
-                durationMinutes = 30 + incident.severity * 30; // 60-180 minutes
-                break;
-            case 'construction':
-                durationMinutes = 60 + incident.severity * 120; // 180-660 minutes
-                break;
-            case 'event':
-                durationMinutes = 120 + incident.severity * 60; // 180-420 minutes
-                break;
-            case 'weather':
-                durationMinutes = 60 + incident.severity * 60; // 120-360 minutes
-                break;
+                return 60 + incident.severity * 60; // 120-360 minutes
             case 'breakdown':
-                durationMinutes = 20 + incident.severity * 20; // 40-120 minutes
-                break;
+                return 20 + incident.severity * 20; // 40-120 minutes
             default:
-                durationMinutes = 30 + incident.severity * 30; // 60-180 minutes
-        }
-        
-        // Calculate affected routes (would use spatial analysis in a real app)
-        const affectedRoutes = [];
-        for (let i = 1; i <= 3; i++) {
-            affectedRoutes.push(`route_00${i}`);
+                return 30 + incident.severity * 30; // 60-180 minutes
         }
-        
-        return {
-            incident: incident,
-            impactRadius: impactRadius,
-            congestionIncrease: congestionIncrease,
-            estimatedDuration: durationMinutes,
-            affectedRoutes: affectedRoutes,
-            recommendedActions: this.generateRecommendedActions(incident)
-        };
     }
     
     /**
      * Generate recommended actions for an incident
      * @param {Object} incident - Incident information
+     * @param {Object} propagation - Queue simulation of the incident
      * @returns {Array} - Recommended actions
      */
-    generateRecommendedActions(incident) {
+    generateRecommendedActions(incident, propagation) {
         const actions = [];
         
+        // Diversions only help before the queue blocks the intersections they would start from
+        if (propagation.spillbacks.length > 0) {
+            const first = propagation.spillbacks[0];
+            actions.push(`Set up diversions within ${first.minute} minute${first.minute === 1 ? '' : 's'}, before the queue blocks the intersection at the start of ${first.segmentId}`);
+        } else if (propagation.segments.length > 0) {
+            actions.push('Queues stay on the incident segment; no diversion needed');
+        } else {
+            actions.push('Remaining capacity carries the current traffic; no queue expected');
+        }
+        
         // Add general recommendation
         actions.push('Consider alternative routes to avoid delays');
         
@@ -543,6 +782,23 @@ class TrafficPredictor {
 // Create a global instance of the traffic predictor
 const trafficPredictor = new TrafficPredictor();
 
+// Playback timer of the simulated incident's queues
+let incidentPlaybackTimer = null;
+
+// Register the map layers of the traffic module
+mapRegistry.registerLayer('trafficRoute', {
+    label: 'Optimal Route',
+    module: 'traffic',
+    transient: true,
+    draw: drawRouteLayer
+});
+mapRegistry.registerLayer('trafficIncidentImpact', {
+    label: 'Simulated Incident',
+    module: 'traffic',
+    transient: true,
+    draw: drawIncidentImpactLayer
+});
+
 // Initialize the traffic module when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     initializeTrafficModule();
@@ -551,9 +807,20 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * Initialize the traffic module
  */
-function initializeTrafficModule() {
+async function initializeTrafficModule() {
     // Initialize the traffic predictor
-    trafficPredictor.initialize();
+    try {
+        await trafficPredictor.initialize();
+    } catch (error) {
+        console.error('Failed to initialize traffic data:', error);
+        showNotification('Traffic data could not be loaded', 'error');
+        return;
+    }
+    
+    // Show the traffic layers on the section map
+    mapRegistry.registerMap('traffic', 'traffic-map', {
+        layers: ['traffic', 'trafficRoute', 'trafficIncidentImpact']
+    });
     
     // Set up event listeners
     setupTrafficEventListeners();
@@ -561,6 +828,21 @@ function initializeTrafficModule() {
     // Load initial traffic data
     loadTrafficData();
     
+    // Refresh when live traffic updates arrive
+    liveFeedManager.subscribe('traffic', async feed => {
+        try {
+            await trafficPredictor.applyFeedUpdate(feed);
+        } catch (error) {
+            console.error('Failed to apply live traffic update:', error);
+            showNotification('The live traffic update could not be applied', 'error');
+            return;
+        }
+        updateTrafficPredictionDisplay();
+    });
+    
+    // Record traffic conditions for viewing past dates
+    historyManager.register('traffic', trafficPredictor, updateTrafficPredictionDisplay);
+    
     console.log('Traffic module initialized');
 }
 
@@ -599,12 +881,23 @@ function setupTrafficEventListeners() {
  * Load traffic data and update the UI
  */
 function loadTrafficData() {
+    // Update the predictions display
+    updateTrafficPredictionDisplay();
+    
+    // Redraw the traffic layer on the maps showing it
+    mapRegistry.refreshLayer('traffic');
+}
+
+/**
+ * Update the predictions display for the selected time horizon
+ */
+function updateTrafficPredictionDisplay() {
     // Get the selected time horizon
     const timeHorizonSelect = document.getElementById('traffic-time-horizon');
     const timeHorizon = timeHorizonSelect ? parseInt(timeHorizonSelect.value) : 30;
     
     // Get predictions for all routes
-    const routes = ['route_001', 'route_002', 'route_003', 'route_004', 'route_005'];
+    const routes = trafficPredictor.getRouteIds();
     const predictions = routes.map(routeId => {
         return {
             routeId: routeId,
@@ -615,10 +908,8 @@ function loadTrafficData() {
     // Update the traffic data display
     updateTrafficDataDisplay(predictions, timeHorizon);
     
-    // Update the traffic map if the map function is available
-    if (typeof switchMapLayer === 'function') {
-        switchMapLayer('traffic');
-    }
+    // Signal timings follow the current conditions
+    renderSignalTimingPanel();
 }
 
 /**
@@ -636,9 +927,13 @@ function updateTrafficDataDisplay(predictions, timeHorizon) {
     // Create header
     const header = document.createElement('div');
     header.className = 'traffic-data-header';
+    const calendarEntries = trafficPredictor.profiles.getCalendarEntries(new Date());
+    const calendarNote = calendarEntries.length > 0 ?
+        `<p>Traffic calendar: ${calendarEntries.map(entry => escapeHtml(entry.name)).join(', ')}</p>` : '';
     header.innerHTML = `
         <h3>Traffic Predictions (${timeHorizon} min horizon)</h3>
         <p>Last updated: ${formatDateTime(new Date())}</p>
+        ${calendarNote}
     `;
     trafficDataContainer.appendChild(header);
     
@@ -818,7 +1113,7 @@ function createTrafficCharts(predictions, timeHorizon) {
     
     // Prepare data for charts
     const labels = [];
-    for (let i = 0; i < timeHorizon / 5; i++) {
+    for (let i = 1; i <= timeHorizon / 5; i++) {
         labels.push(`+${i * 5} min`);
     }
     
@@ -831,7 +1126,8 @@ function createTrafficCharts(predictions, timeHorizon) {
         // Format route name
         const routeName = `Route ${routeId.split('_')[1]}`;
         
-        // Add congestion dataset
+        // Add the prediction interval band and the congestion dataset
+        datasets.push(...getPredictionIntervalDatasets(routeName, prediction.congestionLower, prediction.congestionUpper, colors[index % colors.length]));
         datasets.push({
             label: routeName,
             data: prediction.congestion,
@@ -872,6 +1168,9 @@ function createTrafficCharts(predictions, timeHorizon) {
                 title: {
                     display: true,
                     text: 'Predicted Congestion Levels'
+                },
+                legend: {
+                    labels: { filter: isPredictionLineLegendItem }
                 }
             }
         }
@@ -885,7 +1184,8 @@ function createTrafficCharts(predictions, timeHorizon) {
         // Format route name
         const routeName = `Route ${routeId.split('_')[1]}`;
         
-        // Add travel time dataset
+        // Add the prediction interval band and the travel time dataset
+        travelTimeDatasets.push(...getPredictionIntervalDatasets(routeName, prediction.travelTimeLower, prediction.travelTimeUpper, colors[index % colors.length]));
         travelTimeDatasets.push({
             label: routeName,
             data: prediction.travelTime,
@@ -925,12 +1225,51 @@ function createTrafficCharts(predictions, timeHorizon) {
                 title: {
                     display: true,
                     text: 'Predicted Travel Times'
+                },
+                legend: {
+                    labels: { filter: isPredictionLineLegendItem }
                 }
             }
         }
     });
 }
 
+/**
+ * Get the chart datasets drawing a prediction interval as a band
+ * @param {string} label - Route name
+ * @param {Array} lower - Lower bounds (empty when the interval is not known)
+ * @param {Array} upper - Upper bounds
+ * @param {string} color - Route color (#rrggbb)
+ * @returns {Array} - Lower and upper bound datasets, the upper one filled down to the lower one
+ */
+function getPredictionIntervalDatasets(label, lower, upper, color) {
+    if (!lower || lower.length === 0) return [];
+    
+    const coverage = Math.round((TRAFFIC_MODEL_INTERVAL_QUANTILES[1] - TRAFFIC_MODEL_INTERVAL_QUANTILES[0]) * 100);
+    const bound = {
+        borderColor: 'transparent',
+        pointRadius: 0,
+        pointHitRadius: 0,
+        tension: 0.4,
+        interval: true
+    };
+    
+    return [
+        Object.assign({ label: `${label} (${coverage}% interval, low)`, data: lower, backgroundColor: 'transparent', fill: false }, bound),
+        Object.assign({ label: `${label} (${coverage}% interval, high)`, data: upper, backgroundColor: `${color}33`, fill: '-1' }, bound)
+    ];
+}
+
+/**
+ * Leave the prediction interval bands out of a chart legend
+ * @param {Object} item - Legend item
+ * @param {Object} data - Chart data
+ * @returns {boolean} - True for the prediction lines
+ */
+function isPredictionLineLegendItem(item, data) {
+    return !data.datasets[item.datasetIndex].interval;
+}
+
 /**
  * Calculate and display the optimal route
  */
@@ -945,27 +1284,44 @@ function calculateOptimalRoute() {
     const end = endInput.value.trim();
     
     if (!start || !end) {
-        if (typeof showNotification === 'function') {
-            showNotification('Please enter both start and end locations', 'error');
-        }
+        showNotification('Please enter both start and end locations', 'error');
         return;
     }
     
-    // In a real application, these would be geocoded to coordinates
-    // For this demo, we'll use sample coordinates
-    const startCoords = { lat: 40.7128, lng: -74.006 };
-    const endCoords = { lat: 40.7138 + (Math.random() - 0.5) * 0.02, lng: -74.006 + (Math.random() - 0.5) * 0.02 };
+    findOptimalRoute(start, end);
+}
+
+/**
+ * Geocode two locations and display the optimal route between them
+ * @param {string} start - Start location (place name or "lat, lng")
+ * @param {string} end - End location (place name or "lat, lng")
+ */
+function findOptimalRoute(start, end) {
+    const startPlace = geocoder.geocode(start);
+    const endPlace = geocoder.geocode(end);
+    const unknown = !startPlace ? start : (!endPlace ? end : null);
+    if (unknown) {
+        showNotification(`Location not found: ${escapeHtml(unknown)}`, 'error');
+        return;
+    }
     
     // Calculate the optimal route
-    const route = trafficPredictor.calculateOptimalRoute(startCoords, endCoords);
+    const route = trafficPredictor.calculateOptimalRoute(startPlace, endPlace);
+    if (!route) {
+        showNotification(`No route found from ${start} to ${end} on the road network`, 'error');
+        return;
+    }
+    if (route.startDistance > ROUTE_MAX_ACCESS_DISTANCE || route.endDistance > ROUTE_MAX_ACCESS_DISTANCE) {
+        const place = route.startDistance > ROUTE_MAX_ACCESS_DISTANCE ? start : end;
+        showNotification(`${place} is too far from the road network to be routed`, 'error');
+        return;
+    }
     
     // Display the route
     displayRoute(route, start, end);
     
     // Show notification
-    if (typeof showNotification === 'function') {
-        showNotification(`Optimal route calculated: ${route.travelTime} minutes`, 'success');
-    }
+    showNotification(`Optimal route calculated: ${route.travelTime} minutes`, 'success');
 }
 
 /**
@@ -975,63 +1331,14 @@ function calculateOptimalRoute() {
  * @param {string} end - End location name
  */
 function displayRoute(route, start, end) {
-    // Display route on map if the map function is available
-    if (typeof cityMap !== 'undefined') {
-        // Clear any existing routes
-        if (window.currentRouteLayer) {
-            cityMap.removeLayer(window.currentRouteLayer);
-        }
-        
-        // Create a new layer for the route
-        window.currentRouteLayer = L.layerGroup().addTo(cityMap);
-        
-        // Add the main route
-        const routeLine = L.polyline(route.coordinates, {
-            color: '#4285F4',
-            weight: 5,
-            opacity: 0.7
-        }).addTo(window.currentRouteLayer);
-        
-        // Add start and end markers
-        const startMarker = L.marker(route.coordinates[0], {
-            icon: L.divIcon({
-                className: 'custom-div-icon',
-                html: '<div style="background-color: #4285F4; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; justify-content: center; align-items: center;">A</div>',
-                iconSize: [30, 30],
-                iconAnchor: [15, 15]
-            })
-        }).addTo(window.currentRouteLayer);
-        
-        const endMarker = L.marker(route.coordinates[route.coordinates.length - 1], {
-            icon: L.divIcon({
-                className: 'custom-div-icon',
-                html: '<div style="background-color: #EA4335; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; justify-content: center; align-items: center;">B</div>',
-                iconSize: [30, 30],
-                iconAnchor: [15, 15]
-            })
-        }).addTo(window.currentRouteLayer);
-        
-        // Add alternative routes if available
-        if (route.alternativeRoutes && route.alternativeRoutes.length > 0) {
-            route.alternativeRoutes.forEach((altRoute, index) => {
-                const altColor = index === 0 ? '#FBBC05' : '#34A853';
-                
-                L.polyline(altRoute.coordinates, {
-                    color: altColor,
-                    weight: 3,
-                    opacity: 0.5,
-                    dashArray: '5, 10'
-                }).addTo(window.currentRouteLayer);
-            });
-        }
-        
-        // Fit the map to the route bounds
-        const bounds = L.latLngBounds(route.coordinates);
-        cityMap.fitBounds(bounds, { padding: [50, 50] });
-    }
+    // Display the route on the traffic map (the city map when the section has none)
+    const mapName = mapRegistry.hasMap('traffic') ? 'traffic' : 'city';
+    mapRegistry.setLayerData('trafficRoute', route);
+    mapRegistry.showLayer('trafficRoute', mapName);
+    mapRegistry.fitLayer('trafficRoute', mapName);
     
     // Display route information in the UI
-    const routeInfoContainer = document.getElementById('route-info');
+    const routeInfoContainer = document.getElementById('route-info') || document.getElementById('route-results');
     if (!routeInfoContainer) return;
     
     // Clear existing content
@@ -1176,20 +1483,26 @@ function displayRoute(route, start, end) {
  */
 function simulateIncident() {
     // Get form values
-    const typeSelect = document.getElementById('incident-type');
-    const severitySelect = document.getElementById('incident-severity');
-    const locationInput = document.getElementById('incident-location');
+    const typeSelect = document.getElementById('traffic-incident-type');
+    const severitySelect = document.getElementById('traffic-incident-severity');
+    const locationInput = document.getElementById('traffic-incident-location');
+    const clearanceInput = document.getElementById('traffic-incident-clearance');
     
     if (!typeSelect || !severitySelect || !locationInput) return;
     
     const type = typeSelect.value;
     const severity = parseInt(severitySelect.value);
     const location = locationInput.value.trim();
+    const clearance = clearanceInput ? parseInt(clearanceInput.value, 10) : NaN;
     
     if (!type || !severity || !location) {
-        if (typeof showNotification === 'function') {
-            showNotification('Please fill in all incident details', 'error');
-        }
+        showNotification('Please fill in all incident details', 'error');
+        return;
+    }
+    
+    const place = geocoder.geocode(location);
+    if (!place) {
+        showNotification(`Location not found: ${escapeHtml(location)}`, 'error');
         return;
     }
     
@@ -1198,19 +1511,24 @@ function simulateIncident() {
         type: type,
         severity: severity,
         location: location,
+        lat: place.lat,
+        lng: place.lng,
+        clearance: clearance > 0 ? clearance : null,
         timestamp: new Date().toISOString()
     };
     
     // Simulate the incident impact
     const impact = trafficPredictor.simulateIncidentImpact(incident);
+    if (!impact) {
+        showNotification('No road segments to simulate the incident on', 'error');
+        return;
+    }
     
     // Display the impact
     displayIncidentImpact(impact);
     
     // Show notification
-    if (typeof showNotification === 'function') {
-        showNotification(`Incident impact simulated: ${impact.congestionIncrease}% congestion increase`, 'info');
-    }
+    showNotification(`Incident impact simulated: ${impact.congestionIncrease}% congestion increase`, 'info');
 }
 
 /**
@@ -1232,20 +1550,48 @@ function displayIncidentImpact(impact) {
     const incidentType = capitalizeFirstLetter(impact.incident.type);
     const severityText = getSeverityText(impact.incident.severity);
     
+    const propagation = impact.propagation;
+    const recovery = propagation.recovery === null ?
+        `Not within ${formatDuration(propagation.clearance + INCIDENT_PROPAGATION_MAX_RECOVERY)}` :
+        `After ${formatDuration(propagation.recovery)}`;
+    
+    // Queue and delay by segment, in the order the queue reaches them
+    const segmentTable = propagation.segments.length === 0 ? '' : `
+        <table class="impact-segments">
+            <thead>
+                <tr><th>Segment</th><th>Queued</th><th>Longest Queue</th><th>Longest Delay</th></tr>
+            </thead>
+            <tbody>
+                ${propagation.segments.map(segment => `
+                    <tr>
+                        <td>${segment.segmentId}</td>
+                        <td>+${segment.start}–${segment.end} min</td>
+                        <td>${Math.round(segment.maxQueue)} m</td>
+                        <td>${segment.maxDelay.toFixed(1)} min</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    
     impactCard.innerHTML = `
         <div class="impact-header">
             <h3>Incident Impact Assessment</h3>
             <div class="incident-details">
                 <div><strong>Type:</strong> ${incidentType}</div>
                 <div><strong>Severity:</strong> ${severityText}</div>
-                <div><strong>Location:</strong> ${impact.incident.location}</div>
+                <div><strong>Location:</strong> ${escapeHtml(impact.incident.location)}</div>
                 <div><strong>Time:</strong> ${formatDateTime(new Date(impact.incident.timestamp))}</div>
             </div>
         </div>
         <div class="impact-details">
             <div class="impact-stat">
-                <div class="impact-label">Impact Radius</div>
-                <div class="impact-value">${impact.impactRadius.toFixed(1)} miles</div>
+                <div class="impact-label">Capacity Lost</div>
+                <div class="impact-value">${Math.round(propagation.capacityReduction * 100)}%</div>
+            </div>
+            <div class="impact-stat">
+                <div class="impact-label">Queue Reach</div>
+                <div class="impact-value">${impact.impactRadius.toFixed(2)} miles</div>
             </div>
             <div class="impact-stat">
                 <div class="impact-label">Congestion Increase</div>
@@ -1256,10 +1602,20 @@ function displayIncidentImpact(impact) {
                 <div class="impact-value">${formatDuration(impact.estimatedDuration)}</div>
             </div>
             <div class="impact-stat">
-                <div class="impact-label">Affected Routes</div>
-                <div class="impact-value">${impact.affectedRoutes.map(route => `Route ${route.split('_')[1]}`).join(', ')}</div>
+                <div class="impact-label">Queues Cleared</div>
+                <div class="impact-value">${recovery}</div>
             </div>
+            <div class="impact-stat">
+                <div class="impact-label">Total Delay</div>
+                <div class="impact-value">${Math.round(propagation.totalDelay)} vehicle-hours</div>
+            </div>
+        </div>
+        <div class="impact-playback">
+            <button id="incident-impact-play" title="Play"><i class="fas fa-play"></i></button>
+            <input type="range" id="incident-impact-scrubber" min="0" max="${propagation.frames.length - 1}" value="0">
+            <span id="incident-impact-time"></span>
         </div>
+        ${segmentTable}
         <div class="recommended-actions">
             <h4>Recommended Actions</h4>
             <ul>
@@ -1331,75 +1687,202 @@ function displayIncidentImpact(impact) {
         document.head.appendChild(style);
     }
     
-    // Display the incident on the map if the map function is available
-    if (typeof cityMap !== 'undefined') {
-        // In a real application, the incident would have coordinates
-        // For this demo, we'll use a random location near the center
-        const lat = 40.7128 + (Math.random() - 0.5) * 0.01;
-        const lng = -74.006 + (Math.random() - 0.5) * 0.01;
-        
-        // Clear any existing incident markers
-        if (window.incidentMarker) {
-            cityMap.removeLayer(window.incidentMarker);
-        }
-        
-        // Create an icon based on incident type
-        let iconClass = 'fas fa-exclamation-triangle';
-        let iconColor = '#ff0000';
+    // Display the incident and its spreading queues on the traffic map (the city map when the section has none)
+    const mapName = mapRegistry.hasMap('traffic') ? 'traffic' : 'city';
+    mapRegistry.setLayerData('trafficIncidentImpact', { impact: impact, frame: 0 });
+    mapRegistry.showLayer('trafficIncidentImpact', mapName);
+    
+    // Pan to the incident
+    mapRegistry.getMap(mapName).setView([impact.incident.lat, impact.incident.lng], 16);
+    
+    setupIncidentImpactPlayback(propagation.frames);
+}
+
+/**
+ * Set up the playback controls of a simulated incident's queues
+ * @param {Array} frames - Simulation frames
+ */
+function setupIncidentImpactPlayback(frames) {
+    const playButton = document.getElementById('incident-impact-play');
+    const scrubber = document.getElementById('incident-impact-scrubber');
+    const timeLabel = document.getElementById('incident-impact-time');
+    if (!playButton || !scrubber) return;
+    
+    clearInterval(incidentPlaybackTimer);
+    incidentPlaybackTimer = null;
+    
+    const setPlaying = playing => {
+        playButton.innerHTML = `<i class="fas fa-${playing ? 'pause' : 'play'}"></i>`;
+        playButton.title = playing ? 'Pause' : 'Play';
+    };
+    const showFrame = index => {
+        const data = mapRegistry.getLayerData('trafficIncidentImpact');
+        if (!data) return;
         
-        switch (impact.incident.type) {
-            case 'accident':
-                iconClass = 'fas fa-car-crash';
-                break;
-            case 'construction':
-                iconClass = 'fas fa-hard-hat';
-                iconColor = '#ffa500';
-                break;
-            case 'event':
-                iconClass = 'fas fa-calendar-alt';
-                iconColor = '#3498db';
-                break;
-            case 'weather':
-                iconClass = 'fas fa-cloud-rain';
-                iconColor = '#9b59b6';
-                break;
-            case 'breakdown':
-                iconClass = 'fas fa-car';
-                iconColor = '#e67e22';
-                break;
+        scrubber.value = index;
+        if (timeLabel) timeLabel.textContent = `+${frames[index].minute} min`;
+        mapRegistry.setLayerData('trafficIncidentImpact', { impact: data.impact, frame: index });
+    };
+    const pause = () => {
+        clearInterval(incidentPlaybackTimer);
+        incidentPlaybackTimer = null;
+        setPlaying(false);
+    };
+    
+    playButton.addEventListener('click', function() {
+        if (incidentPlaybackTimer) {
+            pause();
+            return;
         }
         
-        // Create the incident marker
-        window.incidentMarker = L.marker([lat, lng], {
-            icon: L.divIcon({
-                className: 'custom-div-icon',
-                html: `<div style="background-color: white; border-radius: 50%; padding: 5px; box-shadow: 0 0 3px rgba(0,0,0,0.3);"><i class="${iconClass}" style="color: ${iconColor};"></i></div>`,
-                iconSize: [30, 30],
-                iconAnchor: [15, 15]
-            })
-        }).addTo(cityMap);
-        
-        // Add a popup with incident details
-        window.incidentMarker.bindPopup(`
-            <strong>${incidentType}</strong><br>
-            Severity: ${severityText}<br>
-            Location: ${impact.incident.location}<br>
-            Congestion Increase: +${impact.congestionIncrease}%<br>
-            Duration: ${formatDuration(impact.estimatedDuration)}
-        `).openPopup();
-        
-        // Add a circle to show the impact radius
-        window.incidentRadiusCircle = L.circle([lat, lng], {
-            radius: impact.impactRadius * 1609.34, // Convert miles to meters
-            color: iconColor,
-            fillColor: iconColor,
-            fillOpacity: 0.2,
-            weight: 1
-        }).addTo(cityMap);
+        // Play from the beginning when at the last frame
+        if (parseInt(scrubber.value, 10) >= frames.length - 1) showFrame(0);
         
-        // Pan to the incident
-        cityMap.setView([lat, lng], 14);
+        setPlaying(true);
+        incidentPlaybackTimer = setInterval(() => {
+            const next = parseInt(scrubber.value, 10) + 1;
+            showFrame(next);
+            if (next >= frames.length - 1) pause();
+        }, INCIDENT_PLAYBACK_FRAME_DURATION);
+    });
+    
+    scrubber.addEventListener('input', function() {
+        pause();
+        showFrame(parseInt(this.value, 10));
+    });
+    
+    if (timeLabel) timeLabel.textContent = `+${frames[0].minute} min`;
+}
+
+/**
+ * Draw the calculated route with its alternatives
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context; its data is the route
+ */
+function drawRouteLayer(group, context) {
+    const route = context.data;
+    if (!route) return;
+    
+    // Add the main route
+    L.polyline(route.coordinates, context.options({
+        color: '#4285F4',
+        weight: 5,
+        opacity: 0.7
+    })).addTo(group);
+    
+    // Add start and end markers
+    L.marker(route.coordinates[0], context.options({
+        icon: L.divIcon({
+            className: 'custom-div-icon',
+            html: '<div style="background-color: #4285F4; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; justify-content: center; align-items: center;">A</div>',
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        })
+    })).addTo(group);
+    
+    L.marker(route.coordinates[route.coordinates.length - 1], context.options({
+        icon: L.divIcon({
+            className: 'custom-div-icon',
+            html: '<div style="background-color: #EA4335; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; justify-content: center; align-items: center;">B</div>',
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        })
+    })).addTo(group);
+    
+    // Add alternative routes if available
+    if (route.alternativeRoutes && route.alternativeRoutes.length > 0) {
+        route.alternativeRoutes.forEach((altRoute, index) => {
+            const altColor = index === 0 ? '#FBBC05' : '#34A853';
+            
+            L.polyline(altRoute.coordinates, context.options({
+                color: altColor,
+                weight: 3,
+                opacity: 0.5,
+                dashArray: '5, 10'
+            })).addTo(group);
+        });
+    }
+}
+
+/**
+ * Draw a simulated incident with the queues of one simulation frame
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context; its data is { impact, frame (index) }
+ */
+function drawIncidentImpactLayer(group, context) {
+    if (!context.data) return;
+    const { impact, frame } = context.data;
+    const { lat, lng } = impact.incident;
+    const conditions = impact.propagation.frames[frame];
+    
+    // Color the queued segments by their congestion at the frame's time
+    trafficPredictor.segments.forEach(segment => {
+        const queued = conditions.segments[segment.id];
+        if (!queued || !segment.startPoint || !segment.endPoint) return;
+        
+        const level = queued.congestion >= 70 ? 'high' : (queued.congestion >= 40 ? 'medium' : 'low');
+        L.polyline([segment.startPoint, segment.endPoint], context.options({
+            color: getTrafficLevelColor(level),
+            weight: 7,
+            opacity: 0.85
+        })).bindPopup(`
+            <strong>${segment.id}</strong> at +${conditions.minute} min<br>
+            Queue: ${Math.round(queued.queue)} m<br>
+            Delay: ${queued.delay.toFixed(1)} min<br>
+            Congestion: ${Math.round(queued.congestion)}%
+        `).addTo(group);
+    });
+    
+    // Create an icon based on incident type
+    let iconClass = 'fas fa-exclamation-triangle';
+    let iconColor = '#ff0000';
+    
+    switch (impact.incident.type) {
+        case 'accident':
+            iconClass = 'fas fa-car-crash';
+            break;
+        case 'construction':
+            iconClass = 'fas fa-hard-hat';
+            iconColor = '#ffa500';
+            break;
+        case 'event':
+            iconClass = 'fas fa-calendar-alt';
+            iconColor = '#3498db';
+            break;
+        case 'weather':
+            iconClass = 'fas fa-cloud-rain';
+            iconColor = '#9b59b6';
+            break;
+        case 'breakdown':
+            iconClass = 'fas fa-car';
+            iconColor = '#e67e22';
+            break;
     }
+    
+    // Cleared incidents are shown faded
+    const cleared = conditions.minute >= impact.propagation.clearance;
+    
+    // Create the incident marker with a popup of incident details
+    const marker = L.marker([lat, lng], context.options({
+        opacity: cleared ? 0.5 : 1,
+        icon: L.divIcon({
+            className: 'custom-div-icon',
+            html: `<div style="background-color: white; border-radius: 50%; padding: 5px; box-shadow: 0 0 3px rgba(0,0,0,0.3);"><i class="${iconClass}" style="color: ${iconColor};"></i></div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        })
+    })).addTo(group);
+    
+    marker.bindPopup(`
+        <strong>${capitalizeFirstLetter(impact.incident.type)}</strong><br>
+        Severity: ${getSeverityText(impact.incident.severity)}<br>
+        Location: ${escapeHtml(impact.incident.location)}<br>
+        Capacity Lost: ${Math.round(impact.propagation.capacityReduction * 100)}%<br>
+        Duration: ${formatDuration(impact.estimatedDuration)}
+    `);
+    
+    // Open the details with the first frame only, so playback does not keep reopening them
+    if (frame === 0) marker.openPopup();
 }
 
 /**
@@ -1460,4 +1943,5 @@ function capitalizeFirstLetter(string) {
 // Export functions for use in other modules
 window.loadTrafficData = loadTrafficData;
 window.calculateOptimalRoute = calculateOptimalRoute;
+window.findOptimalRoute = findOptimalRoute;
 window.simulateIncident = simulateIncident;
\ No newline at end of file
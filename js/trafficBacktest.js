@@ -0,0 +1,249 @@
+/**
+ * Smart City Data Analytics Dashboard - Traffic Backtest Module
+ * This file contains the backtest of the traffic predictions: it replays the
+ * recorded history snapshots, predicts from each recorded moment as the
+ * predictor would have, and compares the predictions with what was recorded
+ * afterwards
+ */
+
+// Prediction horizons reported, in minutes
+const BACKTEST_HORIZONS = [15, 30, 60];
+
+// Days of history snapshots replayed
+const BACKTEST_DAYS = 7;
+
+// Recorded congestion below this percentage is left out of the MAPE, where relative errors explode
+const BACKTEST_MAPE_MIN_ACTUAL = 5;
+
+/**
+ * Backtest the traffic predictions on the recorded history
+ * Each recorded moment is predicted from the congestion and incidents
+ * recorded up to it, with the predictor's current model (or baseline)
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {TrafficPredictor} predictor - Predictor to test
+ * @param {Object} options - { days: replayed period }
+ * @returns {Promise<Object>} - Report ({ start, end, modelVersion, forecasts, trainingOverlap,
+ *   horizons: { [minutes]: metrics }, routes: { [routeId]: { [minutes]: metrics } },
+ *   errors: [{ step, lower, upper }] error quantiles by step ahead }); metrics are { count, mae, rmse, mape }
+ */
+async function backtestTrafficPredictions(store, predictor, options = {}) {
+    const days = options.days || BACKTEST_DAYS;
+    const end = Date.now();
+    const series = await collectTrafficSeries(store, end - days * 24 * 60 * 60 * 1000, end);
+
+    const stepMs = TRAFFIC_MODEL_STEP_MINUTES * 60 * 1000;
+    const maxStep = Math.max(...BACKTEST_HORIZONS) / TRAFFIC_MODEL_STEP_MINUTES;
+    const stepErrors = [];
+    for (let step = 1; step <= maxStep; step++) {
+        stepErrors.push([]);
+    }
+
+    const routes = {};
+    const horizons = {};
+    BACKTEST_HORIZONS.forEach(minutes => {
+        horizons[minutes] = createBacktestAccumulator();
+    });
+
+    // Moments predicted from inside the model's training period make the model look better than it is
+    const trainedUntil = predictor.model && predictor.model.trainingRange ? predictor.model.trainingRange.end : null;
+    let forecasts = 0;
+    let inTraining = 0;
+
+    series.segments.forEach((observations, routeId) => {
+        routes[routeId] = {};
+        BACKTEST_HORIZONS.forEach(minutes => {
+            routes[routeId][minutes] = createBacktestAccumulator();
+        });
+
+        observations.forEach((observation, time) => {
+            // The congestion known at the time: the recorded value and the consecutive ones before it
+            const congestion = [];
+            for (let lag = 0; lag < TRAFFIC_MODEL_LAGS && observations.has(time - lag); lag++) {
+                congestion.push(observations.get(time - lag).congestion);
+            }
+            const conditions = {
+                congestion,
+                incidents: observation.incidents,
+                precipitation: observation.precipitation,
+                time: new Date(time * stepMs)
+            };
+
+            for (let step = 1; step <= maxStep; step++) {
+                const actual = observations.get(time + step);
+                if (!actual) continue;
+
+                const error = actual.congestion - predictor.predictCongestion(routeId, step, conditions);
+                stepErrors[step - 1].push(error);
+
+                const minutes = step * TRAFFIC_MODEL_STEP_MINUTES;
+                if (horizons[minutes]) {
+                    addBacktestError(horizons[minutes], error, actual.congestion);
+                    addBacktestError(routes[routeId][minutes], error, actual.congestion);
+
+                    forecasts++;
+                    if (trainedUntil !== null && time * stepMs <= trainedUntil) inTraining++;
+                }
+            }
+        });
+    });
+
+    if (forecasts === 0) {
+        throw new Error(`No traffic history to backtest: predictions need recordings ${BACKTEST_HORIZONS[0]} minutes ` +
+            `apart or more within the last ${days} days`);
+    }
+
+    Object.keys(horizons).forEach(minutes => {
+        horizons[minutes] = getBacktestMetrics(horizons[minutes]);
+    });
+    Object.keys(routes).forEach(routeId => {
+        Object.keys(routes[routeId]).forEach(minutes => {
+            routes[routeId][minutes] = getBacktestMetrics(routes[routeId][minutes]);
+        });
+    });
+
+    return {
+        start: series.start,
+        end: series.end,
+        modelVersion: predictor.model ? predictor.model.version : null,
+        forecasts: forecasts,
+        trainingOverlap: inTraining / forecasts,
+        horizons: horizons,
+        routes: routes,
+        errors: stepErrors
+            .map((errors, index) => ({
+                step: index + 1,
+                lower: getQuantile(errors, TRAFFIC_MODEL_INTERVAL_QUANTILES[0]),
+                upper: getQuantile(errors, TRAFFIC_MODEL_INTERVAL_QUANTILES[1])
+            }))
+            .filter(error => error.lower !== null)
+    };
+}
+
+/**
+ * Create the error sums of a route and horizon
+ * @returns {Object} - Empty error sums
+ */
+function createBacktestAccumulator() {
+    return { count: 0, absolute: 0, squared: 0, percentageCount: 0, percentage: 0 };
+}
+
+/**
+ * Add a forecast error to error sums
+ * @param {Object} accumulator - Error sums
+ * @param {number} error - Recorded minus predicted congestion
+ * @param {number} actual - Recorded congestion
+ */
+function addBacktestError(accumulator, error, actual) {
+    accumulator.count++;
+    accumulator.absolute += Math.abs(error);
+    accumulator.squared += error * error;
+
+    if (actual >= BACKTEST_MAPE_MIN_ACTUAL) {
+        accumulator.percentageCount++;
+        accumulator.percentage += Math.abs(error) / actual * 100;
+    }
+}
+
+/**
+ * Get the error metrics of error sums
+ * @param {Object} accumulator - Error sums
+ * @returns {Object} - { count, mae, rmse, mape } (null metrics without forecasts)
+ */
+function getBacktestMetrics(accumulator) {
+    const count = accumulator.count;
+    return {
+        count: count,
+        mae: count > 0 ? accumulator.absolute / count : null,
+        rmse: count > 0 ? Math.sqrt(accumulator.squared / count) : null,
+        mape: accumulator.percentageCount > 0 ? accumulator.percentage / accumulator.percentageCount : null
+    };
+}
+
+// Set up the prediction accuracy panel when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeTrafficBacktestPanel();
+});
+
+/**
+ * Initialize the prediction accuracy panel of the traffic section
+ */
+function initializeTrafficBacktestPanel() {
+    const runButton = document.getElementById('traffic-backtest-run');
+    if (!runButton) return;
+
+    runButton.addEventListener('click', async function() {
+        runButton.disabled = true;
+        runButton.textContent = 'Running...';
+        try {
+            const report = await backtestTrafficPredictions(historyManager.store, trafficPredictor);
+
+            // Draw the measured errors as the prediction intervals
+            await trafficPredictor.setPredictionErrors(report.errors);
+            updateTrafficPredictionDisplay();
+            renderTrafficBacktestReport(report);
+        } catch (error) {
+            console.error('Traffic backtest failed:', error);
+            showNotification(error.message, 'error');
+        } finally {
+            runButton.disabled = false;
+            runButton.textContent = 'Run Backtest';
+        }
+    });
+}
+
+/**
+ * Show a backtest report as a table of errors by route and horizon
+ * @param {Object} report - Report returned by backtestTrafficPredictions
+ */
+function renderTrafficBacktestReport(report) {
+    const container = document.getElementById('traffic-backtest-results');
+    if (!container) return;
+
+    const formatMetric = (value, unit = '') => (value === null ? '-' : `${value.toFixed(1)}${unit}`);
+    const getCells = metrics => BACKTEST_HORIZONS.map(minutes => {
+        const m = metrics[minutes];
+        return `<td>${formatMetric(m.mae)}</td><td>${formatMetric(m.rmse)}</td><td>${formatMetric(m.mape, '%')}</td>`;
+    }).join('');
+
+    const rows = Object.keys(report.routes).sort().map(routeId => `
+        <tr>
+            <td>Route ${routeId.split('_')[1]}</td>
+            ${getCells(report.routes[routeId])}
+        </tr>
+    `).join('');
+
+    const method = report.modelVersion ? `model v${report.modelVersion}` : 'the baseline prediction';
+    const overlap = report.trainingOverlap > 0 ?
+        ` ${Math.round(report.trainingOverlap * 100)}% of them fall in the model's training period, where errors look smaller.` : '';
+
+    container.innerHTML = `
+        <p class="traffic-backtest-summary">
+            ${report.forecasts} predictions of ${method} replayed from
+            ${formatDateTime(new Date(report.start))} to ${formatDateTime(new Date(report.end))}.${overlap}
+            Errors are in congestion points; MAPE leaves out recordings below ${BACKTEST_MAPE_MIN_ACTUAL}%.
+        </p>
+        <table class="traffic-backtest-table">
+            <thead>
+                <tr>
+                    <th rowspan="2">Route</th>
+                    ${BACKTEST_HORIZONS.map(minutes => `<th colspan="3">${minutes} min</th>`).join('')}
+                </tr>
+                <tr>
+                    ${BACKTEST_HORIZONS.map(() => '<th>MAE</th><th>RMSE</th><th>MAPE</th>').join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td>All routes</td>
+                    ${getCells(report.horizons)}
+                </tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+// Export for use in other modules
+window.backtestTrafficPredictions = backtestTrafficPredictions;
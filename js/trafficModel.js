@@ -0,0 +1,578 @@
+/**
+ * Smart City Data Analytics Dashboard - Traffic Model Module
+ * This file contains the traffic prediction model: ridge regressions trained
+ * in the browser from the recorded history snapshots, and the versioned
+ * registry the trained models are stored in
+ */
+
+// Minutes between the time steps of the model (the default snapshot interval)
+const TRAFFIC_MODEL_STEP_MINUTES = 5;
+
+// Steps predicted ahead; one regression is trained per step (12 steps = 60 minutes, the longest horizon)
+const TRAFFIC_MODEL_MAX_STEPS = 12;
+
+// Observed congestion values used as lagged features (the current one and the ones before it)
+const TRAFFIC_MODEL_LAGS = 3;
+
+// Feature names, in the order of the feature vectors
+const TRAFFIC_MODEL_FEATURES = [
+    'congestion', 'congestionLag1', 'congestionLag2',
+    'historical',
+    'hourSin', 'hourCos', 'weekSin', 'weekCos', 'weekend',
+    'incidents', 'incidentSeverity',
+    'precipitation'
+];
+
+// Ridge penalty on the standardized feature weights
+const TRAFFIC_MODEL_RIDGE_LAMBDA = 1;
+
+// Samples a step needs before it can be trained
+const TRAFFIC_MODEL_MIN_SAMPLES = 50;
+
+// Share of the training period, at its end, held out to measure the model's error
+const TRAFFIC_MODEL_VALIDATION_SHARE = 0.2;
+
+// Quantiles of the forecast errors that bound the prediction intervals (an 80% interval)
+const TRAFFIC_MODEL_INTERVAL_QUANTILES = [0.1, 0.9];
+
+// Days of history snapshots a model is trained on
+const TRAFFIC_MODEL_TRAINING_DAYS = 30;
+
+// Traffic Model Registry class; trained models are stored by version, the most recently activated one is used
+class TrafficModelRegistry {
+    /**
+     * @param {string} databaseName - IndexedDB database name
+     */
+    constructor(databaseName = 'smart-city-models') {
+        this.databaseName = databaseName;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating the model store on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('models', { keyPath: 'version' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the model store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction('models', mode).objectStore('models'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get every stored model
+     * @returns {Promise<Array>} - Models, oldest version first
+     */
+    async list() {
+        const models = await this.request('readonly', store => store.getAll());
+        return models.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Store a trained model as the next version and activate it
+     * @param {Object} model - Model returned by trainTrafficModel
+     * @returns {Promise<Object>} - Stored model, with its version
+     */
+    async register(model) {
+        const models = await this.list();
+        const version = models.length > 0 ? models[models.length - 1].version + 1 : 1;
+
+        const stored = Object.assign({}, model, { version: version, activatedAt: Date.now() });
+        await this.request('readwrite', store => store.put(stored));
+        return stored;
+    }
+
+    /**
+     * Activate a stored model, e.g. to roll back to an earlier version
+     * @param {number} version - Model version
+     * @returns {Promise<Object>} - Activated model
+     */
+    async activate(version) {
+        const model = await this.request('readonly', store => store.get(version));
+        if (!model) {
+            throw new Error(`Traffic model version ${version} does not exist`);
+        }
+
+        model.activatedAt = Date.now();
+        await this.request('readwrite', store => store.put(model));
+        return model;
+    }
+
+    /**
+     * Get the active model
+     * @returns {Promise<Object|null>} - Most recently activated model, or null if none was trained
+     */
+    async getActive() {
+        const models = await this.list();
+        return models.reduce((active, model) =>
+            (!active || model.activatedAt > active.activatedAt ? model : active), null);
+    }
+}
+
+/**
+ * Get the feature vector of a prediction
+ * @param {Object} input - { congestion: [current, lag1, lag2] (missing lags repeat the oldest value),
+ *   historical (historical congestion at the target time, or null), time (target Date),
+ *   incidents: [{ severity }], precipitation (forecast precipitation of the day, or null if unknown) }
+ * @returns {Array} - Features, in the order of TRAFFIC_MODEL_FEATURES
+ */
+function getTrafficModelFeatures(input) {
+    const lags = [];
+    for (let i = 0; i < TRAFFIC_MODEL_LAGS; i++) {
+        lags.push(input.congestion[Math.min(i, input.congestion.length - 1)]);
+    }
+
+    const hour = input.time.getHours() + input.time.getMinutes() / 60;
+    const hourOfWeek = input.time.getDay() * 24 + hour;
+    const incidents = input.incidents || [];
+
+    return lags.concat([
+        input.historical === null || input.historical === undefined ? lags[0] : input.historical,
+        Math.sin(2 * Math.PI * hour / 24),
+        Math.cos(2 * Math.PI * hour / 24),
+        Math.sin(2 * Math.PI * hourOfWeek / 168),
+        Math.cos(2 * Math.PI * hourOfWeek / 168),
+        input.time.getDay() === 0 || input.time.getDay() === 6 ? 1 : 0,
+        incidents.length,
+        incidents.reduce((max, incident) => Math.max(max, Number(incident.severity) || 0), 0),
+        typeof input.precipitation === 'number' ? input.precipitation : 0
+    ]);
+}
+
+/**
+ * Get the forecast precipitation of a day from the environment feed's daily weather
+ * @param {Array} weather - Daily weather ({ date: 'YYYY-MM-DD', precipitation })
+ * @param {Date} date - Time
+ * @returns {number|null} - Precipitation, or null if the day has no weather
+ */
+function getDailyPrecipitation(weather, date) {
+    const day = toDateInputValue(date);
+    const entry = (weather || []).find(w => w.date === day);
+    return entry && typeof entry.precipitation === 'number' ? entry.precipitation : null;
+}
+
+/**
+ * Predict the congestion some steps ahead with a trained model
+ * @param {Object} model - Trained model
+ * @param {number} step - Steps ahead; steps beyond the trained ones use the furthest trained step
+ * @param {Array} features - Feature vector (see getTrafficModelFeatures)
+ * @returns {number|null} - Congestion percentage, or null if the model has no trained steps
+ *   or was trained on other features
+ */
+function predictTrafficCongestion(model, step, features) {
+    if (model.features.join() !== TRAFFIC_MODEL_FEATURES.join()) return null;
+
+    const regression = model.steps[Math.min(step, model.steps.length) - 1];
+    if (!regression) return null;
+
+    return Math.max(0, Math.min(100, predictRidge(regression, features)));
+}
+
+/**
+ * Train a traffic model from the recorded history snapshots
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {TrafficPredictor} predictor - Predictor providing the historical congestion profiles
+ * @param {Object} options - { days: training period, lambda: ridge penalty }
+ * @returns {Promise<Object>} - Trained model (not yet registered)
+ */
+async function trainTrafficModel(store, predictor, options = {}) {
+    const days = options.days || TRAFFIC_MODEL_TRAINING_DAYS;
+    const lambda = options.lambda !== undefined ? options.lambda : TRAFFIC_MODEL_RIDGE_LAMBDA;
+    const end = Date.now();
+    const start = end - days * 24 * 60 * 60 * 1000;
+
+    const series = await collectTrafficSeries(store, start, end);
+    const datasets = buildTrafficDatasets(series, predictor);
+
+    const available = datasets[0].samples.length;
+    if (available < TRAFFIC_MODEL_MIN_SAMPLES) {
+        throw new Error(`Not enough traffic history to train a model: ${available} samples, ` +
+            `at least ${TRAFFIC_MODEL_MIN_SAMPLES} needed (snapshots are recorded every ${TRAFFIC_MODEL_STEP_MINUTES} minutes)`);
+    }
+
+    const steps = [];
+    for (const dataset of datasets) {
+        if (dataset.samples.length < TRAFFIC_MODEL_MIN_SAMPLES) break;
+
+        // Measure the error on the end of the period with a model fitted on the rest
+        const times = dataset.samples.map(sample => sample.time).sort((a, b) => a - b);
+        const cutoff = times[Math.floor(times.length * (1 - TRAFFIC_MODEL_VALIDATION_SHARE))];
+        const training = dataset.samples.filter(sample => sample.time < cutoff);
+        const validation = dataset.samples.filter(sample => sample.time >= cutoff);
+
+        let metrics = { mae: null, baselineMae: null, errorLower: null, errorUpper: null };
+        if (training.length >= TRAFFIC_MODEL_MIN_SAMPLES && validation.length > 0) {
+            const regression = fitRidge(training.map(s => s.features), training.map(s => s.target), lambda);
+            const errors = validation.map(sample => sample.target - predictRidge(regression, sample.features));
+            metrics = {
+                mae: getMeanAbsoluteError(validation, sample => predictRidge(regression, sample.features)),
+                // Persistence (the congestion stays as it is) is what the model has to beat
+                baselineMae: getMeanAbsoluteError(validation, sample => sample.features[0]),
+                // Prediction intervals until a backtest measures the errors
+                errorLower: getQuantile(errors, TRAFFIC_MODEL_INTERVAL_QUANTILES[0]),
+                errorUpper: getQuantile(errors, TRAFFIC_MODEL_INTERVAL_QUANTILES[1])
+            };
+        }
+
+        const regression = fitRidge(dataset.samples.map(s => s.features), dataset.samples.map(s => s.target), lambda);
+        steps.push(Object.assign(regression, {
+            minutes: dataset.step * TRAFFIC_MODEL_STEP_MINUTES,
+            samples: dataset.samples.length
+        }, metrics));
+    }
+
+    const validated = steps.filter(step => step.mae !== null);
+    return {
+        type: 'ridge',
+        features: TRAFFIC_MODEL_FEATURES.slice(),
+        lambda: lambda,
+        stepMinutes: TRAFFIC_MODEL_STEP_MINUTES,
+        steps: steps,
+        trainedAt: end,
+        trainingRange: { start: series.start, end: series.end },
+        segments: series.segments.size,
+        mae: validated.length > 0 ? getAverage(validated.map(step => step.mae)) : null,
+        baselineMae: validated.length > 0 ? getAverage(validated.map(step => step.baselineMae)) : null
+    };
+}
+
+/**
+ * Read the congestion of every road segment from the history snapshots, by time step
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {number} start - Period start in milliseconds
+ * @param {number} end - Period end in milliseconds
+ * @returns {Promise<Object>} - { segments: Map(segmentId => Map(step => { congestion, incidents, precipitation })), start, end }
+ */
+async function collectTrafficSeries(store, start, end) {
+    const stepMs = TRAFFIC_MODEL_STEP_MINUTES * 60 * 1000;
+    const series = { segments: new Map(), start: null, end: null };
+
+    await store.forEach(start, end, snapshot => {
+        const traffic = snapshot.modules && snapshot.modules.traffic;
+        if (!traffic || !traffic.realTimeData) return;
+
+        // The same time steps as the predictor's recorded observations
+        const step = Math.floor(snapshot.timestamp / stepMs);
+        const environment = snapshot.modules.environment;
+        const precipitation = getDailyPrecipitation(environment && environment.weather, new Date(snapshot.timestamp));
+        traffic.realTimeData.forEach((current, segmentId) => {
+            const congestion = current.congestion;
+            if (!congestion || congestion.length === 0) return;
+
+            if (!series.segments.has(segmentId)) series.segments.set(segmentId, new Map());
+            series.segments.get(segmentId).set(step, {
+                congestion: congestion[congestion.length - 1],
+                incidents: current.incidents || [],
+                precipitation: precipitation
+            });
+        });
+
+        if (series.start === null) series.start = snapshot.timestamp;
+        series.end = snapshot.timestamp;
+    });
+
+    return series;
+}
+
+/**
+ * Build the training samples of every step ahead
+ * A sample needs the current and lagged congestion and the congestion the
+ * given number of steps later; gaps in the recordings are skipped
+ * @param {Object} series - Series returned by collectTrafficSeries
+ * @param {TrafficPredictor} predictor - Predictor providing the historical congestion profiles
+ * @returns {Array} - Datasets ({ step, samples: [{ features, target, time }] }), one per step ahead
+ */
+function buildTrafficDatasets(series, predictor) {
+    const stepMs = TRAFFIC_MODEL_STEP_MINUTES * 60 * 1000;
+    const datasets = [];
+    for (let step = 1; step <= TRAFFIC_MODEL_MAX_STEPS; step++) {
+        datasets.push({ step: step, samples: [] });
+    }
+
+    series.segments.forEach((observations, segmentId) => {
+        observations.forEach((observation, time) => {
+            const congestion = [];
+            for (let lag = 0; lag < TRAFFIC_MODEL_LAGS; lag++) {
+                const previous = observations.get(time - lag);
+                if (!previous) return;
+                congestion.push(previous.congestion);
+            }
+
+            datasets.forEach(dataset => {
+                const target = observations.get(time + dataset.step);
+                if (!target) return;
+
+                const targetTime = new Date((time + dataset.step) * stepMs);
+                dataset.samples.push({
+                    features: getTrafficModelFeatures({
+                        congestion: congestion,
+                        historical: predictor.getHistoricalCongestion(segmentId, targetTime),
+                        time: targetTime,
+                        incidents: observation.incidents,
+                        precipitation: observation.precipitation
+                    }),
+                    target: target.congestion,
+                    time: time * stepMs
+                });
+            });
+        });
+    });
+
+    return datasets;
+}
+
+/**
+ * Fit a ridge regression on standardized features
+ * The intercept is not penalized
+ * @param {Array} rows - Feature vectors
+ * @param {Array} targets - Target values
+ * @param {number} lambda - Ridge penalty
+ * @returns {Object} - { weights, intercept, means, scales }
+ */
+function fitRidge(rows, targets, lambda) {
+    const featureCount = rows[0].length;
+    const means = [];
+    const scales = [];
+    for (let j = 0; j < featureCount; j++) {
+        const values = rows.map(row => row[j]);
+        const mean = getAverage(values);
+        const deviation = Math.sqrt(getAverage(values.map(value => (value - mean) * (value - mean))));
+        means.push(mean);
+        // Constant features get no weight rather than an infinite one
+        scales.push(deviation > 1e-9 ? deviation : 1);
+    }
+
+    const intercept = getAverage(targets);
+    const matrix = [];
+    const vector = new Array(featureCount).fill(0);
+    for (let j = 0; j < featureCount; j++) {
+        matrix.push(new Array(featureCount).fill(0));
+        matrix[j][j] = lambda;
+    }
+
+    rows.forEach((row, i) => {
+        const z = row.map((value, j) => (value - means[j]) / scales[j]);
+        for (let j = 0; j < featureCount; j++) {
+            vector[j] += z[j] * (targets[i] - intercept);
+            for (let k = 0; k < featureCount; k++) {
+                matrix[j][k] += z[j] * z[k];
+            }
+        }
+    });
+
+    return { weights: solveLinearSystem(matrix, vector), intercept, means, scales };
+}
+
+/**
+ * Apply a fitted ridge regression
+ * @param {Object} regression - { weights, intercept, means, scales }
+ * @param {Array} features - Feature vector
+ * @returns {number} - Predicted value
+ */
+function predictRidge(regression, features) {
+    return features.reduce((value, feature, j) =>
+        value + regression.weights[j] * (feature - regression.means[j]) / regression.scales[j], regression.intercept);
+}
+
+/**
+ * Solve a linear system by Gaussian elimination with partial pivoting
+ * @param {Array} matrix - Square matrix (rows), modified in place
+ * @param {Array} vector - Right-hand side, modified in place
+ * @returns {Array} - Solution
+ */
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+
+    for (let column = 0; column < n; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < n; row++) {
+            if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+        }
+        [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+        [vector[column], vector[pivot]] = [vector[pivot], vector[column]];
+
+        if (Math.abs(matrix[column][column]) < 1e-12) continue;
+
+        for (let row = column + 1; row < n; row++) {
+            const factor = matrix[row][column] / matrix[column][column];
+            for (let k = column; k < n; k++) {
+                matrix[row][k] -= factor * matrix[column][k];
+            }
+            vector[row] -= factor * vector[column];
+        }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        if (Math.abs(matrix[row][row]) < 1e-12) continue;
+
+        let sum = vector[row];
+        for (let k = row + 1; k < n; k++) {
+            sum -= matrix[row][k] * solution[k];
+        }
+        solution[row] = sum / matrix[row][row];
+    }
+
+    return solution;
+}
+
+/**
+ * Get the mean absolute error of predictions
+ * @param {Array} samples - Samples ({ target })
+ * @param {Function} predict - Called with a sample, returns its prediction
+ * @returns {number} - Mean absolute error
+ */
+function getMeanAbsoluteError(samples, predict) {
+    return getAverage(samples.map(sample => Math.abs(predict(sample) - sample.target)));
+}
+
+/**
+ * Get a quantile of numbers, interpolating between the closest values
+ * @param {Array} values - Numbers
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number|null} - Quantile, or null for no numbers
+ */
+function getQuantile(values, q) {
+    if (values.length === 0) return null;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, sorted.length - 1);
+    return sorted[index] + (sorted[next] - sorted[index]) * (position - index);
+}
+
+/**
+ * Get the average of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} - Average (0 for no numbers)
+ */
+function getAverage(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+// Create global instance
+const trafficModelRegistry = new TrafficModelRegistry();
+
+// Set up the prediction model panel when the DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initializeTrafficModelPanel();
+});
+
+/**
+ * Initialize the prediction model panel of the traffic section
+ */
+function initializeTrafficModelPanel() {
+    const panel = document.getElementById('traffic-model');
+    if (!panel) return;
+
+    const trainButton = document.getElementById('traffic-model-train');
+    const versionSelect = document.getElementById('traffic-model-version');
+
+    trainButton.addEventListener('click', async function() {
+        trainButton.disabled = true;
+        trainButton.textContent = 'Training...';
+        try {
+            const trained = await trainTrafficModel(historyManager.store, trafficPredictor);
+            const model = await trafficModelRegistry.register(trained);
+            await trafficPredictor.setModel(model);
+            updateTrafficPredictionDisplay();
+            showNotification(`Traffic model v${model.version} trained on ${model.steps[0].samples} samples`, 'success');
+        } catch (error) {
+            console.error('Traffic model training failed:', error);
+            showNotification(error.message, 'error');
+        } finally {
+            trainButton.disabled = false;
+            trainButton.textContent = 'Train Model';
+            renderTrafficModelPanel();
+        }
+    });
+
+    versionSelect.addEventListener('change', async function() {
+        const version = parseInt(this.value, 10);
+        if (!version) return;
+
+        try {
+            const model = await trafficModelRegistry.activate(version);
+            await trafficPredictor.setModel(model);
+            updateTrafficPredictionDisplay();
+            showNotification(`Traffic model v${version} activated`, 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+        renderTrafficModelPanel();
+    });
+
+    renderTrafficModelPanel();
+}
+
+/**
+ * Show the stored model versions and the active model's validation error
+ */
+async function renderTrafficModelPanel() {
+    const status = document.getElementById('traffic-model-status');
+    const versionSelect = document.getElementById('traffic-model-version');
+    if (!status || !versionSelect) return;
+
+    let models = [];
+    let active = null;
+    try {
+        models = await trafficModelRegistry.list();
+        active = await trafficModelRegistry.getActive();
+    } catch (error) {
+        console.warn('Could not read the traffic model registry:', error.message);
+    }
+
+    versionSelect.innerHTML = models.length > 0 ? '' : '<option value="">No trained models</option>';
+    models.slice().reverse().forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.version;
+        option.textContent = `v${model.version} - ${formatDate(new Date(model.trainedAt))} ${formatTime(new Date(model.trainedAt))}`;
+        option.selected = active && model.version === active.version;
+        versionSelect.appendChild(option);
+    });
+    versionSelect.disabled = models.length === 0;
+
+    if (!active) {
+        status.textContent = 'Baseline: the current congestion moving toward the historical pattern. Train a model from the recorded history to replace it.';
+    } else if (active.mae === null) {
+        status.textContent = `Model v${active.version} (${active.steps.length * active.stepMinutes} min ahead); too little history to validate it.`;
+    } else {
+        status.textContent = `Model v${active.version}: mean error ${active.mae.toFixed(1)} points ` +
+            `(${active.baselineMae.toFixed(1)} if congestion stayed as it is), up to ${active.steps.length * active.stepMinutes} min ahead.`;
+    }
+}
+
+// Export for use in other modules
+window.TrafficModelRegistry = TrafficModelRegistry;
+window.trafficModelRegistry = trafficModelRegistry;
+window.trainTrafficModel = trainTrafficModel;
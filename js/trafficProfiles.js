@@ -0,0 +1,359 @@
+/**
+ * Smart City Data Analytics Dashboard - Traffic Profiles Module
+ * This file contains the historical congestion profiles of the road
+ * segments: a value for every 5 minutes of the week, overridden by a
+ * holiday and special-event calendar and scaled by seasonal factors
+ */
+
+// Minutes covered by each profile value
+const PROFILE_SLOT_MINUTES = 5;
+
+// Profile values per day and per week
+const PROFILE_SLOTS_PER_DAY = 24 * 60 / PROFILE_SLOT_MINUTES;
+const PROFILE_SLOTS_PER_WEEK = 7 * PROFILE_SLOTS_PER_DAY;
+
+// Day names, indexed like Date.getDay()
+const PROFILE_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Month names, indexed like Date.getMonth()
+const PROFILE_MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Day whose profile public holidays follow
+const HOLIDAY_PROFILE_DAY = 0;
+
+// Traffic Profiles class; congestion profiles by segment with the calendar and seasonal factors applied on lookup
+class TrafficProfiles {
+    /**
+     * @param {Object} options - { calendar: extra calendar entries, holidays: include public holidays,
+     *   seasonalFactors: 12 monthly factors }
+     */
+    constructor(options = {}) {
+        this.profiles = new Map();
+        this.calendar = [];
+        this.seasonalFactors = new Array(12).fill(1);
+        this.holidays = options.holidays !== false;
+        this.holidayCache = new Map();
+
+        this.configure(options);
+    }
+
+    /**
+     * Set the calendar and seasonal factors
+     * Entries are { date: 'YYYY-MM-DD', name, profileDay (day name whose profile is used),
+     * start/end ('HH:MM', all day when omitted), factor (congestion multiplier), segments (all when omitted) }
+     * @param {Object} options - { calendar, seasonalFactors: 12 monthly factors or { January: factor, ... } }
+     */
+    configure(options) {
+        if (options.calendar) {
+            this.calendar = options.calendar.map(entry => normalizeCalendarEntry(entry)).filter(Boolean);
+        }
+        if (options.seasonalFactors) {
+            this.seasonalFactors = normalizeSeasonalFactors(options.seasonalFactors);
+        }
+    }
+
+    /**
+     * Get the segments with a profile
+     * @returns {Array} - Segment IDs
+     */
+    getSegmentIds() {
+        return Array.from(this.profiles.keys());
+    }
+
+    /**
+     * Set the profile of a segment
+     * @param {string} segmentId - Segment ID
+     * @param {Array} values - Congestion for every 5 minutes of the week, from Sunday 00:00
+     */
+    setProfile(segmentId, values) {
+        if (values.length !== PROFILE_SLOTS_PER_WEEK) {
+            throw new Error(`A traffic profile needs ${PROFILE_SLOTS_PER_WEEK} values, got ${values.length}`);
+        }
+        this.profiles.set(segmentId, values);
+    }
+
+    /**
+     * Build the profile of a segment from average congestion over time windows
+     * Slots without an observation take the same time on days of the same
+     * kind (weekdays or weekend), are otherwise interpolated between the
+     * nearest known times of their day, and days without any known time
+     * take the average of the other days
+     * @param {string} segmentId - Segment ID
+     * @param {Array} observations - { day (0-6, Sunday first), start, end (minutes of the day), congestion }
+     * @param {number} fallback - Congestion used when there are no observations at all
+     */
+    setObservations(segmentId, observations, fallback) {
+        this.setProfile(segmentId, buildTimeOfWeekProfile(observations, fallback));
+    }
+
+    /**
+     * Get the historical congestion of a segment at a time, with the calendar
+     * and seasonal factor of that date applied
+     * @param {string} segmentId - Segment ID
+     * @param {Date} date - Time
+     * @returns {number|null} - Congestion percentage, or null if the segment has no profile
+     */
+    getCongestion(segmentId, date) {
+        const profile = this.profiles.get(segmentId);
+        if (!profile) return null;
+
+        const entries = this.getCalendarEntries(date, segmentId);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        // The last entry that substitutes a day's profile wins
+        let day = date.getDay();
+        entries.forEach(entry => {
+            if (entry.profileDay !== null && isInCalendarWindow(entry, minutes)) day = entry.profileDay;
+        });
+
+        let congestion = profile[day * PROFILE_SLOTS_PER_DAY + Math.floor(minutes / PROFILE_SLOT_MINUTES)];
+        congestion *= this.seasonalFactors[date.getMonth()];
+        entries.forEach(entry => {
+            if (isInCalendarWindow(entry, minutes)) congestion *= entry.factor;
+        });
+
+        return Math.max(0, Math.min(100, congestion));
+    }
+
+    /**
+     * Get the historical congestion of a segment over a period
+     * @param {string} segmentId - Segment ID
+     * @param {Date} start - Start of the period
+     * @param {number} count - Number of 5-minute values
+     * @returns {Array} - Congestion values (empty if the segment has no profile)
+     */
+    getSeries(segmentId, start, count) {
+        if (!this.profiles.has(segmentId)) return [];
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            values.push(this.getCongestion(segmentId, new Date(start.getTime() + i * PROFILE_SLOT_MINUTES * 60 * 1000)));
+        }
+        return values;
+    }
+
+    /**
+     * Get the historical congestion of a segment over a whole day
+     * @param {string} segmentId - Segment ID
+     * @param {Date} date - Day
+     * @returns {Array} - 288 congestion values from midnight (empty if the segment has no profile)
+     */
+    getDayProfile(segmentId, date) {
+        const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return this.getSeries(segmentId, midnight, PROFILE_SLOTS_PER_DAY);
+    }
+
+    /**
+     * Get the calendar entries of a date, public holidays included
+     * @param {Date} date - Date
+     * @param {string} segmentId - Only entries for this segment (all entries when omitted)
+     * @returns {Array} - Calendar entries
+     */
+    getCalendarEntries(date, segmentId) {
+        const key = toDateInputValue(date);
+        const entries = this.calendar.filter(entry => entry.date === key);
+        if (this.holidays) {
+            const holiday = this.getPublicHolidays(date.getFullYear()).find(entry => entry.date === key);
+            if (holiday) entries.unshift(holiday);
+        }
+
+        return segmentId === undefined ? entries :
+            entries.filter(entry => !entry.segments || entry.segments.includes(segmentId));
+    }
+
+    /**
+     * Get the public holidays of a year, which follow the Sunday profile
+     * @param {number} year - Year
+     * @returns {Array} - Calendar entries
+     */
+    getPublicHolidays(year) {
+        if (!this.holidayCache.has(year)) {
+            this.holidayCache.set(year, getPublicHolidays(year).map(holiday => normalizeCalendarEntry(
+                Object.assign({ profileDay: PROFILE_DAY_NAMES[HOLIDAY_PROFILE_DAY] }, holiday))));
+        }
+        return this.holidayCache.get(year);
+    }
+}
+
+/**
+ * Build a time-of-week profile from average congestion over time windows
+ * @param {Array} observations - { day (0-6, Sunday first), start, end (minutes of the day), congestion }
+ * @param {number} fallback - Congestion used when there are no observations at all
+ * @returns {Array} - Congestion for every 5 minutes of the week, from Sunday 00:00
+ */
+function buildTimeOfWeekProfile(observations, fallback = 0) {
+    // Average the observations covering each slot
+    const sums = new Array(PROFILE_SLOTS_PER_WEEK).fill(0);
+    const counts = new Array(PROFILE_SLOTS_PER_WEEK).fill(0);
+    observations.forEach(observation => {
+        const first = Math.floor(observation.start / PROFILE_SLOT_MINUTES);
+        const last = Math.max(first + 1, Math.ceil(observation.end / PROFILE_SLOT_MINUTES));
+        for (let slot = first; slot < last && slot < PROFILE_SLOTS_PER_DAY; slot++) {
+            sums[observation.day * PROFILE_SLOTS_PER_DAY + slot] += observation.congestion;
+            counts[observation.day * PROFILE_SLOTS_PER_DAY + slot]++;
+        }
+    });
+
+    const profile = sums.map((sum, index) => (counts[index] > 0 ? sum / counts[index] : null));
+    if (profile.every(value => value === null)) {
+        return new Array(PROFILE_SLOTS_PER_WEEK).fill(fallback);
+    }
+
+    // Fill slots from the same time on days of the same kind (weekdays or weekend)
+    const isWeekend = day => day === 0 || day === 6;
+    const days = [0, 1, 2, 3, 4, 5, 6];
+    const filled = profile.slice();
+    for (let slot = 0; slot < PROFILE_SLOTS_PER_DAY; slot++) {
+        days.forEach(day => {
+            const index = day * PROFILE_SLOTS_PER_DAY + slot;
+            if (filled[index] !== null) return;
+
+            const values = days
+                .filter(other => isWeekend(other) === isWeekend(day))
+                .map(other => profile[other * PROFILE_SLOTS_PER_DAY + slot])
+                .filter(value => value !== null);
+            if (values.length > 0) filled[index] = values.reduce((a, b) => a + b, 0) / values.length;
+        });
+    }
+
+    // Interpolate the remaining slots between the nearest known times of the day, across midnight
+    const emptyDays = [];
+    days.forEach(day => {
+        const offset = day * PROFILE_SLOTS_PER_DAY;
+        const known = [];
+        for (let slot = 0; slot < PROFILE_SLOTS_PER_DAY; slot++) {
+            if (filled[offset + slot] !== null) known.push(slot);
+        }
+        if (known.length === 0) {
+            emptyDays.push(day);
+            return;
+        }
+
+        for (let slot = 0; slot < PROFILE_SLOTS_PER_DAY; slot++) {
+            if (filled[offset + slot] !== null) continue;
+
+            const after = known.find(k => k > slot);
+            const before = known.slice().reverse().find(k => k < slot);
+            const next = after !== undefined ? after : known[0] + PROFILE_SLOTS_PER_DAY;
+            const previous = before !== undefined ? before : known[known.length - 1] - PROFILE_SLOTS_PER_DAY;
+            const nextValue = filled[offset + next % PROFILE_SLOTS_PER_DAY];
+            const previousValue = filled[offset + (previous + PROFILE_SLOTS_PER_DAY) % PROFILE_SLOTS_PER_DAY];
+
+            filled[offset + slot] = previousValue + (nextValue - previousValue) * (slot - previous) / (next - previous);
+        }
+    });
+
+    // Days of a kind without any observation (e.g. weekends) take the average of the other days
+    const fullDays = days.filter(day => !emptyDays.includes(day));
+    emptyDays.forEach(day => {
+        for (let slot = 0; slot < PROFILE_SLOTS_PER_DAY; slot++) {
+            filled[day * PROFILE_SLOTS_PER_DAY + slot] = fullDays
+                .reduce((sum, other) => sum + filled[other * PROFILE_SLOTS_PER_DAY + slot], 0) / fullDays.length;
+        }
+    });
+
+    return filled;
+}
+
+/**
+ * Normalize a calendar entry
+ * @param {Object} entry - Raw entry (see TrafficProfiles.configure)
+ * @returns {Object|null} - { date, name, profileDay (0-6 or null), start, end (minutes), factor, segments }, or null if invalid
+ */
+function normalizeCalendarEntry(entry) {
+    if (!entry || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) return null;
+
+    const profileDay = entry.profileDay === undefined || entry.profileDay === null ? null :
+        (typeof entry.profileDay === 'number' ? entry.profileDay : PROFILE_DAY_NAMES.indexOf(entry.profileDay));
+
+    return {
+        date: entry.date,
+        name: entry.name || entry.date,
+        profileDay: profileDay >= 0 ? profileDay : null,
+        start: entry.start ? parseClockMinutes(entry.start) : 0,
+        end: entry.end ? parseClockMinutes(entry.end) : 24 * 60,
+        factor: typeof entry.factor === 'number' && entry.factor >= 0 ? entry.factor : 1,
+        segments: Array.isArray(entry.segments) ? entry.segments : null
+    };
+}
+
+/**
+ * Check whether a time of day falls in a calendar entry's window
+ * @param {Object} entry - Normalized calendar entry
+ * @param {number} minutes - Minutes of the day
+ * @returns {boolean} - True inside the window
+ */
+function isInCalendarWindow(entry, minutes) {
+    return minutes >= entry.start && minutes < entry.end;
+}
+
+/**
+ * Parse a clock time
+ * @param {string} value - Time as HH:MM
+ * @returns {number} - Minutes of the day
+ */
+function parseClockMinutes(value) {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Normalize seasonal factors to 12 monthly multipliers
+ * @param {Array|Object} factors - 12 factors, or factors by month name (missing months are 1)
+ * @returns {Array} - Factors by month, January first
+ */
+function normalizeSeasonalFactors(factors) {
+    return PROFILE_MONTH_NAMES.map((month, index) => {
+        const factor = Array.isArray(factors) ? factors[index] : factors[month];
+        return typeof factor === 'number' && factor >= 0 ? factor : 1;
+    });
+}
+
+/**
+ * Get the US federal holidays of a year (the observed dates when they fall on a weekend)
+ * @param {number} year - Year
+ * @returns {Array} - Holidays ({ date: 'YYYY-MM-DD', name })
+ */
+function getPublicHolidays(year) {
+    // nth weekday of a month (n = -1 for the last one)
+    const nthWeekday = (month, weekday, n) => {
+        if (n > 0) {
+            const first = new Date(year, month, 1);
+            return new Date(year, month, 1 + (weekday - first.getDay() + 7) % 7 + (n - 1) * 7);
+        }
+        const last = new Date(year, month + 1, 0);
+        return new Date(year, month, last.getDate() - (last.getDay() - weekday + 7) % 7);
+    };
+    // Fixed-date holidays on a Saturday are observed on Friday, on a Sunday on Monday
+    const observed = (month, day, holidayYear = year) => {
+        const date = new Date(holidayYear, month, day);
+        if (date.getDay() === 6) return new Date(holidayYear, month, day - 1);
+        if (date.getDay() === 0) return new Date(holidayYear, month, day + 1);
+        return date;
+    };
+
+    // New Year's Day on a Saturday is observed on December 31 of the year before
+    return [
+        { date: observed(0, 1), name: "New Year's Day" },
+        { date: observed(0, 1, year + 1), name: "New Year's Day" },
+        { date: nthWeekday(0, 1, 3), name: 'Martin Luther King Jr. Day' },
+        { date: nthWeekday(1, 1, 3), name: "Presidents' Day" },
+        { date: nthWeekday(4, 1, -1), name: 'Memorial Day' },
+        { date: observed(5, 19), name: 'Juneteenth' },
+        { date: observed(6, 4), name: 'Independence Day' },
+        { date: nthWeekday(8, 1, 1), name: 'Labor Day' },
+        { date: nthWeekday(9, 1, 2), name: 'Columbus Day' },
+        { date: observed(10, 11), name: 'Veterans Day' },
+        { date: nthWeekday(10, 4, 4), name: 'Thanksgiving Day' },
+        { date: observed(11, 25), name: 'Christmas Day' }
+    ]
+        .filter(holiday => holiday.date.getFullYear() === year)
+        .map(holiday => ({ date: toDateInputValue(holiday.date), name: holiday.name }));
+}
+
+// Export for use in other modules
+window.TrafficProfiles = TrafficProfiles;
+window.getPublicHolidays = getPublicHolidays;
@@ -5,42 +5,169 @@
 
 // Transportation Data Manager class for public transit optimization
 class TransportationManager {
-    constructor() {
+    constructor(random = createSampleRandom('transportation')) {
+        // Seeded generator for sample data, so a seed reproduces the same city state
+        this.random = random;
         this.vehicles = [];
         this.routes = [];
         this.stops = [];
         this.schedules = {};
         this.delays = {};
         this.crowdLevels = {};
+        this.serviceAlerts = [];
+        // GTFS services and trips, when the network was imported from a GTFS feed
+        this.timetable = null;
         this.initialized = false;
     }
     
     /**
-     * Initialize the transportation manager with sample data
+     * Initialize the transportation manager from a GTFS feed when one is configured,
+     * otherwise from the transportation feed (or sample data when the data source is configured for it)
      */
-    initialize() {
+    async initialize() {
         if (this.initialized) return;
         
-        // Load sample stops
-        this.loadSampleStops();
+        const feed = gtfsImporter.hasStaticFeed() ?
+            await gtfsImporter.importStatic() :
+            await dataSource.load('transportation');
+        if (feed) {
+            // Load the network and live state from the transportation feed
+            this.loadFeedData(feed);
+        } else {
+            // Load sample stops
+            this.loadSampleStops();
+            
+            // Load sample routes
+            this.loadSampleRoutes();
+            
+            // Load sample vehicles
+            this.loadSampleVehicles();
+            
+            // Generate schedules
+            this.generateSchedules();
+            
+            // Generate delays
+            this.generateDelays();
+            
+            // Generate crowd levels
+            this.generateCrowdLevels();
+        }
         
-        // Load sample routes
-        this.loadSampleRoutes();
+        this.initialized = true;
+        console.log('Transportation Manager initialized');
+    }
+    
+    /**
+     * Apply a live transportation feed update
+     * @param {Object} feed - Mapped transportation feed
+     */
+    applyFeedUpdate(feed) {
+        this.loadFeedData(feed);
+    }
+    
+    /**
+     * Get the state recorded in history snapshots
+     * @returns {Object} - Vehicles, delays, service alerts and crowd levels
+     */
+    getSnapshotState() {
+        return {
+            vehicles: this.vehicles,
+            delays: this.delays,
+            serviceAlerts: this.serviceAlerts,
+            crowdLevels: this.crowdLevels
+        };
+    }
+    
+    /**
+     * Restore the state of a history snapshot
+     * @param {Object} state - State returned by getSnapshotState
+     */
+    restoreSnapshotState(state) {
+        this.vehicles = state.vehicles;
+        this.delays = state.delays;
+        this.serviceAlerts = state.serviceAlerts;
+        this.crowdLevels = state.crowdLevels;
+    }
+    
+    /**
+     * Apply a GTFS-Realtime update (see GtfsImporter.mapRealtime)
+     * Vehicles and delays are merged by ID; alerts replace the previous GTFS-Realtime alerts
+     * @param {Object} update - Realtime update
+     */
+    applyRealtimeUpdate(update) {
+        if (update.vehicles) {
+            update.vehicles.forEach(vehicle => {
+                const capacity = vehicle.capacity || this.getVehicleCapacity(vehicle.type);
+                const realtimeVehicle = Object.assign({}, vehicle, {
+                    capacity: capacity,
+                    occupancy: vehicle.occupancyPercentage !== undefined ?
+                        Math.round(capacity * vehicle.occupancyPercentage / 100) :
+                        0
+                });
+                
+                const index = this.vehicles.findIndex(v => v.id === vehicle.id);
+                if (index >= 0) {
+                    this.vehicles[index] = realtimeVehicle;
+                } else {
+                    this.vehicles.push(realtimeVehicle);
+                }
+            });
+        }
         
-        // Load sample vehicles
-        this.loadSampleVehicles();
+        if (update.delays) {
+            Object.assign(this.delays, update.delays);
+        }
         
-        // Generate schedules
-        this.generateSchedules();
+        if (update.serviceAlerts) {
+            this.serviceAlerts = this.serviceAlerts
+                .filter(alert => alert.source !== 'gtfs-realtime')
+                .concat(update.serviceAlerts);
+        }
+    }
+    
+    /**
+     * Load stops, routes, vehicles, schedules, delays and crowd levels from the transportation feed
+     * @param {Object} feed - Mapped transportation feed (see DataSource.mapTransportationFeed)
+     */
+    loadFeedData(feed) {
+        this.stops = feed.stops;
+        this.vehicles = feed.vehicles;
+        this.delays = feed.delays;
+        this.serviceAlerts = feed.serviceAlerts;
+        this.crowdLevels = feed.crowdLevels;
+        this.timetable = feed.timetable || null;
         
-        // Generate delays
-        this.generateDelays();
+        // Complete stop connections with distances and travel times
+        this.stops.forEach(stop => {
+            stop.connections.forEach(connection => {
+                const connectedStop = this.getStopById(connection.stopId);
+                if (!connectedStop) return;
+                
+                connection.distance = this.calculateDistance(
+                    stop.location.lat, stop.location.lng,
+                    connectedStop.location.lat, connectedStop.location.lng
+                );
+                connection.travelTime = Math.round(connection.distance / 30 * 60); // Assuming 30 km/h average speed
+            });
+        });
         
-        // Generate crowd levels
-        this.generateCrowdLevels();
+        // Complete routes with display color and accessibility
+        this.routes = feed.routes.map(route => {
+            const routeVehicles = this.vehicles.filter(vehicle => vehicle.routeId === route.id);
+            return Object.assign({}, route, {
+                color: route.color || this.getRouteColor(route.type),
+                accessibility: routeVehicles.length > 0 &&
+                    routeVehicles.every(vehicle => vehicle.accessibility.wheelchair)
+            });
+        });
         
-        this.initialized = true;
-        console.log('Transportation Manager initialized');
+        // Use published timetables where available, frequency-based schedules otherwise
+        this.routes.forEach(route => {
+            this.schedules[route.id] = feed.schedules[route.id] || {
+                weekday: this.generateDailySchedule(route, 'weekday'),
+                weekend: this.generateDailySchedule(route, 'weekend')
+            };
+        });
     }
     
     /**
@@ -68,17 +195,17 @@ class TransportationManager {
             const stopId = `stop_${(index + 1).toString().padStart(3, '0')}`;
             
             // Determine accessibility features
-            const hasElevator = Math.random() > 0.3; // 70% chance of having an elevator
-            const hasRamp = Math.random() > 0.2; // 80% chance of having a ramp
-            const hasTactilePaving = Math.random() > 0.4; // 60% chance of having tactile paving
+            const hasElevator = this.random.next() > 0.3; // 70% chance of having an elevator
+            const hasRamp = this.random.next() > 0.2; // 80% chance of having a ramp
+            const hasTactilePaving = this.random.next() > 0.4; // 60% chance of having tactile paving
             
             // Determine amenities
             const amenities = [];
-            if (Math.random() > 0.3) amenities.push('shelter');
-            if (Math.random() > 0.5) amenities.push('seating');
-            if (Math.random() > 0.7) amenities.push('real_time_display');
-            if (Math.random() > 0.8) amenities.push('ticket_machine');
-            if (Math.random() > 0.9) amenities.push('wifi');
+            if (this.random.next() > 0.3) amenities.push('shelter');
+            if (this.random.next() > 0.5) amenities.push('seating');
+            if (this.random.next() > 0.7) amenities.push('real_time_display');
+            if (this.random.next() > 0.8) amenities.push('ticket_machine');
+            if (this.random.next() > 0.9) amenities.push('wifi');
             
             // Create stop object
             const stop = {
@@ -105,11 +232,11 @@ class TransportationManager {
         // Add connections between stops
         this.stops.forEach(stop => {
             // Each stop connects to 2-4 other stops
-            const numConnections = 2 + Math.floor(Math.random() * 3);
+            const numConnections = 2 + Math.floor(this.random.next() * 3);
             const otherStops = this.stops.filter(s => s.id !== stop.id);
             
             // Shuffle and take the first numConnections
-            const shuffled = otherStops.sort(() => 0.5 - Math.random());
+            const shuffled = otherStops.sort(() => 0.5 - this.random.next());
             const connections = shuffled.slice(0, numConnections);
             
             // Add connections
@@ -138,7 +265,7 @@ class TransportationManager {
      * @param {number} lon2 - Longitude of point 2
      * @returns {number} - Distance in kilometers
      */
-CalculateDistance(lat1, lon1, lat2, lon2) {
+    calculateDistance(lat1, lon1, lat2, lon2) {
         const R = 6371; // Radius of the Earth in km
         const dLat = this.deg2rad(lat2 - lat1);
         const dLon = this.deg2rad(lon2 - lon1);
@@ -173,18 +300,11 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
             const routeType = routeTypes[i % routeTypes.length];
             
             // Determine route color based on type
-            let routeColor;
-            switch (routeType) {
-                case 'bus': routeColor = '#0066CC'; break; // Blue
-                case 'subway': routeColor = '#CC0000'; break; // Red
-                case 'tram': routeColor = '#009933'; break; // Green
-                case 'train': routeColor = '#FF6600'; break; // Orange
-                default: routeColor = '#666666'; // Gray
-            }
+            const routeColor = this.getRouteColor(routeType);
             
             // Select stops for this route (5-8 stops per route)
-            const numStops = 5 + Math.floor(Math.random() * 4);
-            const shuffledStops = [...this.stops].sort(() => 0.5 - Math.random());
+            const numStops = 5 + Math.floor(this.random.next() * 4);
+            const shuffledStops = [...this.stops].sort(() => 0.5 - this.random.next());
             const routeStops = shuffledStops.slice(0, numStops);
             
             // Sort stops to create a logical route
@@ -207,6 +327,36 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
         }
     }
     
+    /**
+     * Get the display color for a route type
+     * @param {string} type - Route type
+     * @returns {string} - Color code
+     */
+    getRouteColor(type) {
+        switch (type) {
+            case 'bus': return '#0066CC'; // Blue
+            case 'subway': return '#CC0000'; // Red
+            case 'tram': return '#009933'; // Green
+            case 'train': return '#FF6600'; // Orange
+            default: return '#666666'; // Gray
+        }
+    }
+    
+    /**
+     * Get the typical passenger capacity of a vehicle type
+     * @param {string} type - Vehicle type
+     * @returns {number} - Capacity
+     */
+    getVehicleCapacity(type) {
+        switch (type) {
+            case 'subway': return 800;
+            case 'train': return 500;
+            case 'tram': return 200;
+            case 'bus': return 80;
+            default: return 100;
+        }
+    }
+    
     /**
      * Generate a route name based on type and index
      * @param {string} type - Route type
@@ -331,17 +481,10 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
                 const vehicleId = `${route.type}_${(this.vehicles.length + 1).toString().padStart(3, '0')}`;
                 
                 // Determine vehicle capacity based on type
-                let capacity;
-                switch (route.type) {
-                    case 'subway': capacity = 800; break;
-                    case 'train': capacity = 500; break;
-                    case 'tram': capacity = 200; break;
-                    case 'bus': capacity = 80; break;
-                    default: capacity = 100;
-                }
+                const capacity = this.getVehicleCapacity(route.type);
                 
                 // Determine current location (random stop on the route)
-                const currentStopIndex = Math.floor(Math.random() * route.stops.length);
+                const currentStopIndex = Math.floor(this.random.next() * route.stops.length);
                 const currentStop = route.stops[currentStopIndex];
                 
                 // Determine next stop
@@ -354,18 +497,18 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
                     routeId: route.id,
                     type: route.type,
                     capacity: capacity,
-                    status: Math.random() > 0.9 ? 'out_of_service' : 'in_service',
+                    status: this.random.next() > 0.9 ? 'out_of_service' : 'in_service',
                     location: {
                         currentStop: currentStop,
                         nextStop: nextStop,
-                        progress: Math.random() // 0-1 progress between stops
+                        progress: this.random.next() // 0-1 progress between stops
                     },
                     accessibility: {
-                        wheelchair: route.type !== 'bus' || Math.random() > 0.3, // 70% of buses are wheelchair accessible
-                        visualAnnouncements: Math.random() > 0.2, // 80% have visual announcements
-                        audioAnnouncements: Math.random() > 0.1 // 90% have audio announcements
+                        wheelchair: route.type !== 'bus' || this.random.next() > 0.3, // 70% of buses are wheelchair accessible
+                        visualAnnouncements: this.random.next() > 0.2, // 80% have visual announcements
+                        audioAnnouncements: this.random.next() > 0.1 // 90% have audio announcements
                     },
-                    occupancy: Math.floor(Math.random() * capacity), // Current number of passengers
+                    occupancy: Math.floor(this.random.next() * capacity), // Current number of passengers
                     lastUpdated: new Date().toISOString()
                 };
                 
@@ -473,9 +616,9 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
     generateDelays() {
         this.vehicles.forEach(vehicle => {
             // 30% chance of delay
-            if (Math.random() < 0.3) {
+            if (this.random.next() < 0.3) {
                 // Generate random delay (1-15 minutes)
-                const delayMinutes = 1 + Math.floor(Math.random() * 15);
+                const delayMinutes = 1 + Math.floor(this.random.next() * 15);
                 
                 // Determine reason for delay
                 const delayReasons = [
@@ -486,7 +629,7 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
                     'Road maintenance',
                     'Signal problems'
                 ];
-                const reason = delayReasons[Math.floor(Math.random() * delayReasons.length)];
+                const reason = delayReasons[Math.floor(this.random.next() * delayReasons.length)];
                 
                 // Create delay object
                 this.delays[vehicle.id] = {
@@ -504,7 +647,7 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
     generateCrowdLevels() {
         this.stops.forEach(stop => {
             // Generate crowd level (0-100%)
-            const crowdLevel = Math.floor(Math.random() * 101);
+            const crowdLevel = Math.floor(this.random.next() * 101);
             
             // Determine crowd category
             let category;
@@ -549,6 +692,9 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
      * @returns {Array} - Array of stop objects
      */
     getAllStops() {
+        // Tag each stop with its neighborhood
+        this.stops.forEach(stop => assignNeighborhood(stop.location));
+        
         return this.stops;
     }
     
@@ -587,6 +733,25 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
         return this.schedules[routeId] || null;
     }
     
+    /**
+     * Get the departures per stop of a route on a date
+     * With a GTFS timetable only the trips whose service runs that day
+     * (calendar and calendar_dates) are included
+     * @param {string} routeId - Route ID
+     * @param {Date} date - Service date
+     * @returns {Array} - [{ stopId, departures: ['HH:MM'] }]
+     */
+    getDailySchedule(routeId, date = new Date()) {
+        if (this.timetable) {
+            const trips = Object.values(this.timetable.trips).filter(trip => trip.routeId === routeId);
+            return gtfsImporter.buildDailySchedule(trips, this.timetable.services, date);
+        }
+        
+        const schedule = this.getRouteSchedule(routeId);
+        const dayType = date.getDay() === 0 || date.getDay() === 6 ? 'weekend' : 'weekday';
+        return schedule && schedule[dayType] ? schedule[dayType] : [];
+    }
+    
     /**
      * Get delay for a vehicle
      * @param {string} vehicleId - Vehicle ID
@@ -596,6 +761,16 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
         return this.delays[vehicleId] || null;
     }
     
+    /**
+     * Get service alerts (route-level disruptions)
+     * @param {string} routeId - Optional route ID to filter by
+     * @returns {Array} - Array of service alert objects
+     */
+    getServiceAlerts(routeId) {
+        if (!routeId) return this.serviceAlerts;
+        return this.serviceAlerts.filter(alert => alert.routeId === routeId);
+    }
+    
     /**
      * Get crowd level for a stop
      * @param {string} stopId - Stop ID
@@ -795,8 +970,8 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
      */
     updateVehiclePositions() {
         this.vehicles.forEach(vehicle => {
-            // Skip vehicles that are out of service
-            if (vehicle.status === 'out_of_service') return;
+            // Skip vehicles that are out of service, and those whose positions come from GTFS-Realtime
+            if (vehicle.status === 'out_of_service' || vehicle.realtime) return;
             
             // Get route
             const route = this.getRouteById(vehicle.routeId);
@@ -822,7 +997,7 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
                 
                 // Update occupancy (simulate passengers getting on/off)
                 const maxChange = Math.floor(vehicle.capacity * 0.2); // Max 20% change
-                const change = Math.floor(Math.random() * maxChange) * (Math.random() > 0.5 ? 1 : -1);
+                const change = Math.floor(this.random.next() * maxChange) * (this.random.next() > 0.5 ? 1 : -1);
                 vehicle.occupancy = Math.max(0, Math.min(vehicle.capacity, vehicle.occupancy + change));
             }
             
@@ -835,6 +1010,19 @@ CalculateDistance(lat1, lon1, lat2, lon2) {
 // Create a global instance of the transportation manager
 const transportationManager = new TransportationManager();
 
+// Register the map layers of the transportation module
+mapRegistry.registerLayer('transitVehicles', {
+    label: 'Transit Vehicles',
+    module: 'transportation',
+    draw: drawVehiclesLayer
+});
+mapRegistry.registerLayer('journey', {
+    label: 'Planned Journey',
+    module: 'transportation',
+    transient: true,
+    draw: drawJourneyLayer
+});
+
 // Initialize the transportation module when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     initializeTransportationModule();
@@ -843,9 +1031,20 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * Initialize the transportation module
  */
-function initializeTransportationModule() {
+async function initializeTransportationModule() {
     // Initialize the transportation manager
-    transportationManager.initialize();
+    try {
+        await transportationManager.initialize();
+    } catch (error) {
+        console.error('Failed to initialize transportation data:', error);
+        showNotification('Transportation data could not be loaded', 'error');
+        return;
+    }
+    
+    // Show the transportation layers on the section map
+    mapRegistry.registerMap('transport', 'transport-map', {
+        layers: ['transitVehicles', 'journey']
+    });
     
     // Set up event listeners
     setupTransportationEventListeners();
@@ -853,8 +1052,32 @@ function initializeTransportationModule() {
     // Load initial transportation data
     loadTransportationData();
     
-    // Start vehicle position updates
+    // Refresh when live transportation updates arrive (a GTFS network is updated through GTFS-Realtime instead)
+    if (!gtfsImporter.hasStaticFeed()) {
+        liveFeedManager.subscribe('transportation', feed => {
+            transportationManager.applyFeedUpdate(feed);
+            updateRouteDisplay();
+            updateVehicleMarkers();
+        });
+    }
+    
+    // Refresh when GTFS-Realtime vehicle positions, trip updates or alerts arrive
+    gtfsImporter.startRealtime(update => {
+        if (historyManager.isViewingHistory()) return;
+        transportationManager.applyRealtimeUpdate(update);
+        updateRouteDisplay();
+        updateVehicleMarkers();
+    });
+    
+    // Record vehicles and delays for viewing past dates
+    historyManager.register('transportation', transportationManager, () => {
+        updateRouteDisplay();
+        updateVehicleMarkers();
+    });
+    
+    // Start vehicle position updates (paused while historical data is shown)
     setInterval(() => {
+        if (historyManager.isViewingHistory()) return;
         transportationManager.updateVehiclePositions();
         updateVehicleMarkers();
     }, 5000); // Update every 5 seconds
@@ -924,10 +1147,8 @@ function loadTransportationData() {
     // Update the route display
     updateRouteDisplay();
     
-    // Update the map if the map function is available
-    if (typeof switchMapLayer === 'function') {
-        switchMapLayer('transport');
-    }
+    // Redraw the vehicles on the maps showing them
+    mapRegistry.refreshLayer('transitVehicles');
 }
 
 /**
@@ -1016,11 +1237,6 @@ function updateRouteFilters() {
     
     // Update route display
     updateRouteDisplay();
-    
-    // Update the map if the map function is available
-    if (typeof updateTransportLayer === 'function') {
-        updateTransportLayer(filteredRoutes);
-    }
 }
 
 /**
@@ -1041,26 +1257,21 @@ function updateRouteDisplay() {
     // Get vehicles for this route
     const vehicles = transportationManager.getVehiclesByRoute(routeId);
     
-    // Get schedule for this route
-    const schedule = transportationManager.getRouteSchedule(routeId);
+    // Get today's schedule for this route
+    const schedule = transportationManager.getDailySchedule(routeId, new Date());
     
     // Update route info display
     updateRouteInfo(route, vehicles, schedule);
     
     // Update vehicle display
     updateVehicleDisplay(vehicles);
-    
-    // Update the map if the map function is available
-    if (typeof highlightRoute === 'function') {
-        highlightRoute(route);
-    }
 }
 
 /**
  * Update the route info display
  * @param {Object} route - Route object
  * @param {Array} vehicles - Array of vehicle objects for this route
- * @param {Object} schedule - Schedule object for this route
+ * @param {Array} schedule - Today's departures per stop for this route
  */
 function updateRouteInfo(route, vehicles, schedule) {
     const routeInfoContainer = document.getElementById('route-info');
@@ -1079,10 +1290,6 @@ function updateRouteInfo(route, vehicles, schedule) {
     // Get stops for this route
     const stops = route.stops.map(stopId => transportationManager.getStopById(stopId));
     
-    // Determine if it's a weekday or weekend
-    const today = new Date();
-    const dayType = today.getDay() === 0 || today.getDay() === 6 ? 'weekend' : 'weekday';
-    
     // Create route info card
     routeInfoContainer.innerHTML = `
         <div class="route-card" style="border-color: ${route.color}">
@@ -1127,8 +1334,8 @@ function updateRouteInfo(route, vehicles, schedule) {
                     ${stops.map((stop, index) => {
                         // Get next departure time
                         let nextDeparture = '';
-                        if (schedule && schedule[dayType]) {
-                            const stopSchedule = schedule[dayType].find(s => s.stopId === stop.id);
+                        if (schedule) {
+                            const stopSchedule = schedule.find(s => s.stopId === stop.id);
                             if (stopSchedule) {
                                 const now = new Date();
                                 const currentHour = now.getHours();
@@ -1771,23 +1978,84 @@ function displayJourneyResults(route) {
         document.head.appendChild(style);
     }
     
-    // Update the map if the map function is available
-    if (typeof showJourneyOnMap === 'function') {
-        showJourneyOnMap(route);
-    }
+    // Show the journey on the maps
+    mapRegistry.setLayerData('journey', route);
 }
 
 /**
  * Update vehicle markers on the map
  */
 function updateVehicleMarkers() {
-    // This function would update vehicle markers on the map
-    // It would be called periodically to show vehicle movement
+    // Called periodically to show vehicle movement
+    mapRegistry.setLayerData('transitVehicles', transportationManager.getAllVehicles());
+}
+
+/**
+ * Draw transit vehicles onto a map
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context; its data is the vehicles (null for all)
+ */
+function drawVehiclesLayer(group, context) {
+    const vehicles = context.data || transportationManager.getAllVehicles();
     
-    // If the map function is available
-    if (typeof updateVehiclesOnMap === 'function') {
-        updateVehiclesOnMap(transportationManager.getAllVehicles());
-    }
+    vehicles.forEach(vehicle => {
+        if (vehicle.status === 'out_of_service') return;
+        
+        const position = getVehiclePosition(vehicle);
+        if (!position) return;
+        
+        const route = transportationManager.getRouteById(vehicle.routeId);
+        const color = route ? route.color : transportationManager.getRouteColor(vehicle.type);
+        L.circleMarker([position.lat, position.lng], context.options({
+            radius: 6,
+            color: '#fff',
+            fillColor: color,
+            fillOpacity: 0.9,
+            weight: 2
+        })).bindPopup(`
+            <strong>${route ? route.name : vehicle.routeId}</strong><br>
+            Vehicle: ${vehicle.id}<br>
+            Occupancy: ${vehicle.occupancy}/${vehicle.capacity}
+        `).addTo(group);
+    });
+}
+
+/**
+ * Draw a planned journey: a line per route ridden, between the stops it is boarded and left at
+ * @param {L.FeatureGroup} group - Group the layer is drawn into
+ * @param {Object} context - Draw context; its data is the journey planner result
+ */
+function drawJourneyLayer(group, context) {
+    const journey = context.data;
+    if (!journey || !journey.success) return;
+    
+    // Journeys name their stops; look up their locations
+    const findStop = name => transportationManager.stops.find(stop => stop.name === name);
+    const segments = journey.journeyType === 'direct' ?
+        [Object.assign({}, journey.route, { stopNames: journey.route.stops })] :
+        journey.route.segments.map(segment => Object.assign({}, segment, { stopNames: [segment.startStop, segment.endStop] }));
+    
+    segments.forEach(segment => {
+        const stops = segment.stopNames.map(findStop).filter(stop => stop && stop.location);
+        if (stops.length === 0) return;
+        
+        const color = segment.routeColor || transportationManager.getRouteColor(segment.routeType);
+        L.polyline(stops.map(stop => [stop.location.lat, stop.location.lng]), context.options({
+            color: color,
+            weight: 5,
+            opacity: 0.8
+        })).bindPopup(`<strong>${segment.routeName}</strong><br>${segment.startStop} to ${segment.endStop}`).addTo(group);
+        
+        stops.forEach(stop => {
+            L.circleMarker([stop.location.lat, stop.location.lng], context.options({
+                radius: 5,
+                color: color,
+                fillColor: '#fff',
+                fillOpacity: 1,
+                weight: 2
+            })).bindPopup(stop.name).addTo(group);
+        });
+    });
 }
 
 // Export functions for use in other modules
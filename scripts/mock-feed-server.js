@@ -0,0 +1,387 @@
+/**
+ * Smart City Data Analytics Dashboard - Mock Live Feed Server
+ * Replays the data/*.json feeds as live feeds for offline development.
+ * Every tick the timestamps in each feed are shifted so the newest one is
+ * "now" (plus an optional offset), and the new frame is served through:
+ *
+ *   GET /feeds/<domain>.json     HTTP polling with ETag / Last-Modified (304 when unchanged)
+ *   GET /feeds/<domain>/events   Server-Sent Events stream
+ *   WS  /feeds/<domain>/ws       WebSocket stream
+ *
+ * Any other path serves the dashboard itself, so it can be opened at
+ * http://localhost:8090/?live to use the server for every domain.
+ *
+ * Usage: node scripts/mock-feed-server.js [--port 8090] [--interval 15] [--offset 0]
+ *   --interval  seconds between frames
+ *   --offset    minutes added to the replayed timestamps (negative values
+ *               make the feeds lag behind, e.g. to test stale-data warnings)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const DOMAINS = ['traffic', 'environment', 'transportation', 'emergency', 'citizen'];
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+// Fields holding the time a record was observed; the newest of them marks the feed's "now"
+const OBSERVATION_FIELDS = ['timestamp', 'lastUpdated', 'reportTime', 'submissionTime'];
+// Collections describing the future, which are ignored when finding the feed's "now"
+const FORECAST_COLLECTIONS = ['predictions', 'forecasts'];
+// Collections of calendar dates (holidays, events), which are replayed unshifted
+const CALENDAR_COLLECTIONS = ['calendar'];
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse the command-line options
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - { port, interval, offset }
+ */
+function parseOptions(args) {
+    const options = { port: 8090, interval: 15, offset: 0 };
+
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].replace(/^--/, '');
+        if (!(name in options)) {
+            throw new Error(`Unknown option: ${args[i]}`);
+        }
+
+        const value = Number(args[++i]);
+        if (!isFinite(value)) {
+            throw new Error(`Option --${name} needs a numeric value`);
+        }
+        options[name] = value;
+    }
+
+    return options;
+}
+
+/**
+ * Walk every string in a JSON value
+ * @param {*} value - JSON value
+ * @param {Function} transform - Called with each string and its property name, returns the replacement
+ * @param {string} key - Property name of the value
+ * @returns {*} - Transformed copy
+ */
+function mapStrings(value, transform, key = null) {
+    if (typeof value === 'string') return transform(value, key);
+    if (Array.isArray(value)) return value.map(item => mapStrings(item, transform, key));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, mapStrings(item, transform, name)]));
+    }
+    return value;
+}
+
+// Replayed feed: the source document plus the current frame
+class ReplayFeed {
+    /**
+     * @param {string} domain - Domain name
+     */
+    constructor(domain) {
+        this.domain = domain;
+        this.source = JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${domain}.json`), 'utf8'));
+
+        // The newest observation in the file is the anchor that gets moved to "now"
+        const root = Object.values(this.source)[0];
+        const observations = Object.fromEntries(Object.entries(root)
+            .filter(([name]) => !FORECAST_COLLECTIONS.includes(name)));
+
+        let anchor = 0;
+        mapStrings(observations, (value, key) => {
+            if (OBSERVATION_FIELDS.includes(key) && DATE_TIME_PATTERN.test(value)) {
+                anchor = Math.max(anchor, Date.parse(value));
+            }
+            return value;
+        });
+        this.anchor = anchor;
+
+        this.frame = 0;
+        this.body = '';
+        this.modified = null;
+        this.clients = new Set();
+    }
+
+    /**
+     * Produce the next frame and push it to the streaming clients
+     * @param {number} offsetMinutes - Minutes added to the replayed timestamps
+     */
+    advance(offsetMinutes) {
+        // Shift by whole seconds so the replayed timestamps stay second-aligned
+        const now = Math.floor(Date.now() / 1000) * 1000;
+        const shift = now - this.anchor + offsetMinutes * 60000;
+
+        // Dates without a time move by whole days, so they keep their place relative to the timestamps
+        const dayShift = Math.round(shift / 86400000) * 86400000;
+
+        const document = mapStrings(this.source, value => {
+            if (DATE_TIME_PATTERN.test(value)) {
+                return new Date(Date.parse(value) + shift).toISOString().replace(/\.000Z$/, 'Z');
+            }
+            if (DATE_PATTERN.test(value)) {
+                return new Date(Date.parse(value) + dayShift).toISOString().slice(0, 10);
+            }
+            return value;
+        });
+
+        // Holidays and events stay on their calendar dates
+        const [rootName, root] = Object.entries(this.source)[0];
+        CALENDAR_COLLECTIONS.forEach(name => {
+            if (root[name]) document[rootName][name] = root[name];
+        });
+
+        this.frame++;
+        this.body = JSON.stringify(document);
+        this.modified = new Date(now);
+
+        this.clients.forEach(client => client.send(this));
+    }
+
+    /**
+     * Get the entity tag of the current frame
+     * @returns {string} - Quoted ETag
+     */
+    getETag() {
+        return `"${this.domain}-${this.frame}"`;
+    }
+}
+
+/**
+ * Set the CORS headers so a dashboard on another origin can use the feeds
+ * @param {http.ServerResponse} response - HTTP response
+ */
+function setCorsHeaders(response) {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'If-None-Match, If-Modified-Since');
+    response.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified');
+}
+
+/**
+ * Serve a feed for polling, answering conditional requests with 304
+ * @param {ReplayFeed} feed - Replayed feed
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {http.ServerResponse} response - HTTP response
+ */
+function servePoll(feed, request, response) {
+    const etag = feed.getETag();
+    const ifNoneMatch = request.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(request.headers['if-modified-since']);
+
+    const unchanged = ifNoneMatch ?
+        ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag) :
+        !isNaN(ifModifiedSince) && feed.modified.getTime() <= ifModifiedSince;
+
+    response.setHeader('ETag', etag);
+    response.setHeader('Last-Modified', feed.modified.toUTCString());
+    response.setHeader('Cache-Control', 'no-cache');
+
+    if (unchanged) {
+        response.writeHead(304);
+        response.end();
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'] });
+    response.end(feed.body);
+}
+
+/**
+ * Serve a feed as a Server-Sent Events stream
+ * @param {ReplayFeed} feed - Replayed feed
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {http.ServerResponse} response - HTTP response
+ */
+function serveEvents(feed, request, response) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const client = {
+        send: current => response.write(`id: ${current.frame}\ndata: ${current.body}\n\n`)
+    };
+    feed.clients.add(client);
+    client.send(feed);
+
+    request.on('close', () => feed.clients.delete(client));
+}
+
+/**
+ * Encode a WebSocket text frame (server frames are not masked)
+ * @param {string} text - Message text
+ * @returns {Buffer} - Frame
+ */
+function encodeWebSocketFrame(text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Accept a WebSocket connection and stream a feed over it
+ * @param {ReplayFeed} feed - Replayed feed
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Client socket
+ */
+function serveWebSocket(feed, request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const client = {
+        send: current => socket.write(encodeWebSocketFrame(current.body))
+    };
+    feed.clients.add(client);
+    client.send(feed);
+
+    // Incoming messages are ignored; a close frame (opcode 8) ends the connection
+    socket.on('data', data => {
+        if ((data[0] & 0x0f) === 8) socket.end();
+    });
+    socket.on('close', () => feed.clients.delete(client));
+    socket.on('error', () => feed.clients.delete(client));
+}
+
+/**
+ * Serve a file of the dashboard
+ * @param {string} urlPath - Request path
+ * @param {http.ServerResponse} response - HTTP response
+ */
+function serveStatic(urlPath, response) {
+    const filePath = path.join(ROOT_DIR, path.normalize(decodeURIComponent(urlPath === '/' ? '/index.html' : urlPath)));
+
+    // Never serve files outside the repository
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+/**
+ * Start the mock feed server
+ * @param {Object} options - { port, interval, offset }
+ * @returns {http.Server} - Running server
+ */
+function startServer(options) {
+    const feeds = new Map(DOMAINS.map(domain => [domain, new ReplayFeed(domain)]));
+    const advanceAll = () => feeds.forEach(feed => feed.advance(options.offset));
+
+    advanceAll();
+    setInterval(advanceAll, options.interval * 1000);
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const match = pathname.match(/^\/feeds\/([a-z]+)(\.json|\/events)$/);
+
+        setCorsHeaders(response);
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        if (match) {
+            const feed = feeds.get(match[1]);
+            if (!feed) {
+                response.writeHead(404, { 'Content-Type': 'text/plain' });
+                response.end(`Unknown feed: ${match[1]}`);
+                return;
+            }
+
+            if (match[2] === '.json') {
+                servePoll(feed, request, response);
+            } else {
+                serveEvents(feed, request, response);
+            }
+            return;
+        }
+
+        serveStatic(pathname, response);
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const match = pathname.match(/^\/feeds\/([a-z]+)\/ws$/);
+        const feed = match && feeds.get(match[1]);
+
+        if (!feed) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        serveWebSocket(feed, request, socket);
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Mock feed server running at http://localhost:${options.port}/`);
+        console.log(`Open http://localhost:${options.port}/?live to use it for every domain`);
+        console.log(`Replaying ${DOMAINS.join(', ')} every ${options.interval}s with a ${options.offset} min offset`);
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    try {
+        startServer(parseOptions(process.argv.slice(2)));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { startServer, ReplayFeed };